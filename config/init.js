@@ -1,33 +1,56 @@
+const path = require("path");
 const { sequelize } = require("./database");
-const bcrypt = require("bcryptjs");
-const { User, Teacher } = require("../models");
+const { createMigrator } = require("../utils/migrator");
+const { User } = require("../models");
+
+const getAdminSettings = () => ({
+  name: process.env.ADMIN_NAME || "Admin User",
+  email: process.env.ADMIN_EMAIL || "admin@example.com",
+  password: process.env.ADMIN_PASSWORD || "admin123",
+});
+
+// Create the admin account from the ADMIN_* settings unless it already exists
+const ensureAdminUser = async ({ transaction } = {}) => {
+  const settings = getAdminSettings();
+
+  const existing = await User.findOne({
+    where: { email: settings.email },
+    transaction,
+  });
+  if (existing) {
+    return { user: existing, created: false };
+  }
+
+  // The User model hashes the password in its beforeCreate hook
+  const user = await User.create(
+    { ...settings, role: "admin", emailVerified: true },
+    { transaction }
+  );
+
+  return { user, created: true };
+};
 
 const initializeDatabase = async () => {
   try {
-    // Sync all models with database (create tables)
-    await sequelize.sync({ force: process.env.DB_FORCE_SYNC === "true" });
-    console.log("Database tables created successfully.");
-
-    // Check if admin user already exists
-    const adminExists = await User.findOne({
-      where: { email: process.env.ADMIN_EMAIL || "admin@example.com" },
+    const migrator = createMigrator({
+      sequelize,
+      directory: path.join(__dirname, "..", "migrations"),
     });
 
-    if (!adminExists && !process.env.SKIP_ADMIN_CREATION) {
-      console.log("Creating admin user...");
-
-      // Create admin user
-      const adminUser = await User.create({
-        name: "Admin User",
-        email: process.env.ADMIN_EMAIL || "admin@example.com",
-        password: await bcrypt.hash(
-          process.env.ADMIN_PASSWORD || "admin123",
-          10
-        ),
-        role: "admin",
-      });
-
-      console.log(`Admin user created with ID: ${adminUser.id}`);
+    // Rebuild the schema from scratch when explicitly requested
+    if (process.env.DB_FORCE_SYNC === "true") {
+      await migrator.down({ to: "0" });
+    }
+
+    // Create or update tables through the migration set
+    await migrator.up();
+    console.log("Database tables created successfully.");
+
+    if (!process.env.SKIP_ADMIN_CREATION) {
+      const { user, created } = await ensureAdminUser();
+      if (created) {
+        console.log(`Admin user created with ID: ${user.id}`);
+      }
     }
 
     console.log("Database initialization completed.");
@@ -37,4 +60,4 @@ const initializeDatabase = async () => {
   }
 };
 
-module.exports = { initializeDatabase };
+module.exports = { initializeDatabase, ensureAdminUser, getAdminSettings };
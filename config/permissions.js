@@ -0,0 +1,113 @@
+// Named permissions checked by routes and controllers
+const PERMISSIONS = {
+  USER_MANAGE: "user:manage",
+  USER_IMPORT: "user:import",
+  SEMESTER_VIEW: "semester:view",
+  SEMESTER_MANAGE: "semester:manage",
+  EVENT_VIEW: "event:view",
+  EVENT_MANAGE: "event:manage",
+  STUDENTS_VIEW: "students:view",
+  STUDENT_ASSIGN: "student:assign",
+  COURSE_CREATE: "course:create",
+  COURSE_VIEW: "course:view",
+  COURSE_MANAGE: "course:manage",
+  STAFF_MANAGE: "staff:manage",
+  ROSTER_VIEW: "roster:view",
+  LECTURE_MANAGE: "lecture:manage",
+  ASSIGNMENT_MANAGE: "assignment:manage",
+  ECONTENT_MANAGE: "econtent:manage",
+  ATTENDANCE_MANAGE: "attendance:manage",
+  SUBMISSION_CREATE: "submission:create",
+  SUBMISSION_GRADE: "submission:grade",
+  REGRADE_REQUEST: "regrade:request",
+  RUBRIC_MANAGE: "rubric:manage",
+  GRADESCALE_MANAGE: "gradescale:manage",
+  ENROLLMENT_SELF: "enrollment:self",
+  ENROLLMENT_MANAGE: "enrollment:manage",
+  REQUISITE_OVERRIDE: "requisite:override",
+  JOB_VIEW: "job:view",
+  AUDIT_VIEW: "audit:view",
+  TEACHER_PROFILE: "profile:teacher",
+  STUDENT_PROFILE: "profile:student",
+};
+
+// How far a granted permission reaches:
+// - any: everything the permission covers
+// - own: only records tied to the user (their advisees, their profile, the
+//   jobs they started, their rubrics and grade scales)
+// - staff: only courses the user is listed as staff of (CourseStaff)
+// - enrolled: only courses the user is enrolled in
+const SCOPES = {
+  ANY: "any",
+  OWN: "own",
+  STAFF: "staff",
+  ENROLLED: "enrolled",
+};
+
+const P = PERMISSIONS;
+const S = SCOPES;
+
+// Permissions granted to each role. A new role only needs an entry here;
+// course-scoped checks then apply to it automatically
+const ROLE_PERMISSIONS = {
+  admin: {
+    [P.USER_MANAGE]: S.ANY,
+    [P.USER_IMPORT]: S.ANY,
+    [P.SEMESTER_VIEW]: S.ANY,
+    [P.SEMESTER_MANAGE]: S.ANY,
+    [P.EVENT_VIEW]: S.ANY,
+    [P.EVENT_MANAGE]: S.ANY,
+    [P.STUDENTS_VIEW]: S.ANY,
+    [P.STUDENT_ASSIGN]: S.ANY,
+    [P.REQUISITE_OVERRIDE]: S.ANY,
+    [P.ENROLLMENT_MANAGE]: S.ANY,
+    [P.JOB_VIEW]: S.ANY,
+    [P.AUDIT_VIEW]: S.ANY,
+    [P.GRADESCALE_MANAGE]: S.ANY,
+  },
+  teacher: {
+    [P.SEMESTER_VIEW]: S.ANY,
+    [P.EVENT_VIEW]: S.ANY,
+    [P.STUDENTS_VIEW]: S.OWN,
+    [P.STUDENT_ASSIGN]: S.OWN,
+    [P.COURSE_CREATE]: S.ANY,
+    [P.COURSE_VIEW]: S.STAFF,
+    [P.COURSE_MANAGE]: S.STAFF,
+    [P.STAFF_MANAGE]: S.STAFF,
+    [P.ROSTER_VIEW]: S.STAFF,
+    [P.ENROLLMENT_MANAGE]: S.STAFF,
+    [P.LECTURE_MANAGE]: S.STAFF,
+    [P.ASSIGNMENT_MANAGE]: S.STAFF,
+    [P.ECONTENT_MANAGE]: S.STAFF,
+    [P.ATTENDANCE_MANAGE]: S.STAFF,
+    [P.SUBMISSION_GRADE]: S.STAFF,
+    [P.RUBRIC_MANAGE]: S.OWN,
+    [P.GRADESCALE_MANAGE]: S.OWN,
+    [P.TEACHER_PROFILE]: S.OWN,
+    [P.JOB_VIEW]: S.OWN,
+  },
+  // Teaching assistants grade, take attendance and upload e-content on the
+  // courses they assist, but cannot manage the course or its enrollments.
+  // They can follow the jobs they start, such as gradebook imports
+  ta: {
+    [P.SEMESTER_VIEW]: S.ANY,
+    [P.EVENT_VIEW]: S.ANY,
+    [P.COURSE_VIEW]: S.STAFF,
+    [P.ROSTER_VIEW]: S.STAFF,
+    [P.ECONTENT_MANAGE]: S.STAFF,
+    [P.ATTENDANCE_MANAGE]: S.STAFF,
+    [P.SUBMISSION_GRADE]: S.STAFF,
+    [P.JOB_VIEW]: S.OWN,
+  },
+  student: {
+    [P.SEMESTER_VIEW]: S.ANY,
+    [P.EVENT_VIEW]: S.ANY,
+    [P.COURSE_VIEW]: S.ENROLLED,
+    [P.SUBMISSION_CREATE]: S.ENROLLED,
+    [P.REGRADE_REQUEST]: S.ENROLLED,
+    [P.ENROLLMENT_SELF]: S.OWN,
+    [P.STUDENT_PROFILE]: S.OWN,
+  },
+};
+
+module.exports = { PERMISSIONS, SCOPES, ROLE_PERMISSIONS };
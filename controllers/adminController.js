@@ -1,150 +1,79 @@
-const { User, Teacher, Student, sequelize } = require("../models");
+const crypto = require("crypto");
+const { Op } = require("sequelize");
+const { validate: isUuid } = require("uuid");
+const {
+  User,
+  Teacher,
+  Student,
+  Course,
+  TeacherInvite,
+  RequisiteOverride,
+  Job,
+  AuditLog,
+} = require("../models");
 const { ErrorHandler } = require("../middleware/errorHandler");
 const catchAsyncErrors = require("../middleware/catchAsyncErrors");
-
+const { hashToken, revokeAllSessions } = require("../utils/authTokens");
+const { unlockUser, unlockIp } = require("../utils/loginThrottle");
+const { getPermissionScope } = require("../utils/policies");
+const { IMPORT_MODES } = require("../utils/userImport");
+const { enqueueJob } = require("../utils/jobQueue");
+
+const DEFAULT_INVITE_TTL_DAYS = 7;
+const AUDIT_PAGE_SIZE = 50;
+const MAX_AUDIT_PAGE_SIZE = 200;
+
+// Query and form fields arrive as strings
+const isFlagSet = (value) => value === true || value === "true";
+
+// Queue an import of users from the uploaded sheet. ?dryRun=true only
+// validates, ?mode=skipInvalid imports the valid rows and ?upsert=true
+// updates existing users; the job result is a per-row report with sheet row
+// numbers
 const uploadUsers = catchAsyncErrors(async (req, res, next) => {
-  const transaction = await sequelize.transaction();
   console.log("Processing user upload from in-memory data");
 
-  try {
-    // Get the Excel data that was parsed in the middleware
-    if (
-      !req.excelData ||
-      !Array.isArray(req.excelData) ||
-      req.excelData.length === 0
-    ) {
-      return res.status(400).json({
-        error: "No valid data found in the Excel file",
-      });
-    }
-
-    const users = req.excelData;
-    const results = [];
-    const teacherMap = new Map();
-
-    // Process teachers first
-    const teacherData = users.filter((user) => user.role === "teacher");
-
-    // Process each teacher individually
-    for (const userData of teacherData) {
-      const email = userData.email.toLowerCase();
-
-      // Check if user already exists
-      const existingUser = await User.findOne({
-        where: { email },
-        transaction,
-      });
-
-      if (existingUser) {
-        throw new Error(`User with email ${email} already exists`);
-      }
-
-      // Create user record
-      const user = await User.create(
-        {
-          ...userData,
-          email: email,
-        },
-        { transaction }
-      );
-
-      // Create teacher record
-      const teacher = await Teacher.create(
-        {
-          userId: user.id,
-          email: email,
-        },
-        { transaction }
-      );
-
-      // Store in map for quick lookup when processing students
-      teacherMap.set(email, teacher);
-
-      // Add to results
-      results.push({
-        id: user.id,
-        email: user.email,
-        role: user.role,
-        createdAt: user.createdAt,
-      });
-    }
-
-    // Process students
-    const studentData = users.filter((user) => user.role === "student");
-
-    for (const userData of studentData) {
-      const email = userData.email.toLowerCase();
-      const teacherEmail = userData.teacherEmail.toLowerCase();
-
-      // Check if user already exists
-      const existingUser = await User.findOne({
-        where: { email },
-        transaction,
-      });
-
-      if (existingUser) {
-        throw new Error(`User with email ${email} already exists`);
-      }
-
-      // Find the teacher
-      let teacher = teacherMap.get(teacherEmail);
-      if (!teacher) {
-        teacher = await Teacher.findOne({
-          where: { email: teacherEmail },
-          transaction,
-        });
-
-        if (!teacher) {
-          throw new Error(
-            `Teacher with email ${teacherEmail} not found for student: ${email}`
-          );
-        }
-      }
-
-      // Create user document
-      const user = await User.create(
-        {
-          ...userData,
-          email: email,
-        },
-        { transaction }
-      );
-
-      // Create student document
-      const student = await Student.create(
-        {
-          userId: user.id,
-          teacherId: teacher.id,
-          teacherEmail: teacher.email,
-        },
-        { transaction }
-      );
-
-      // Add to results
-      results.push({
-        id: user.id,
-        email: user.email,
-        role: user.role,
-        createdAt: user.createdAt,
-        teacherEmail: teacher.email,
-      });
-    }
-
-    // Commit transaction
-    await transaction.commit();
-
-    // Return results as array
-    return res.status(201).json(results);
-  } catch (error) {
-    // Rollback transaction on error
-    await transaction.rollback();
-    console.error("Upload error:", error);
-
+  // Get the rows that were parsed in the middleware
+  if (
+    !req.importRows ||
+    !Array.isArray(req.importRows) ||
+    req.importRows.length === 0
+  ) {
     return res.status(400).json({
-      error: error.message || "Error processing upload",
-      details: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      error: "No valid data found in the Excel file",
     });
   }
+
+  const options = { ...req.body, ...req.query };
+  const dryRun = isFlagSet(options.dryRun);
+  const upsert = isFlagSet(options.upsert);
+  const mode = options.mode || "atomic";
+
+  if (!IMPORT_MODES.includes(mode)) {
+    return next(
+      new ErrorHandler(`mode must be one of: ${IMPORT_MODES.join(", ")}`, 400)
+    );
+  }
+
+  // Large files can take longer than a request may last, so the import
+  // runs as a background job; poll GET /api/admin/jobs/:jobId for the report
+  const job = await enqueueJob(
+    "user-import",
+    { rows: req.importRows, dryRun, mode, upsert },
+    { createdById: req.user.id }
+  );
+
+  console.log(
+    `User import job ${job.id} queued by ${req.user.email} (${mode}${
+      dryRun ? ", dry run" : ""
+    }${upsert ? ", upsert" : ""}, ${req.importRows.length} rows)`
+  );
+  res.status(202).json({
+    success: true,
+    message: "User import queued",
+    jobId: job.id,
+    statusUrl: `/api/admin/jobs/${job.id}`,
+  });
 });
 
 // Get students for the currently authenticated teacher
@@ -233,6 +162,14 @@ const getStudentsByTeacherId = catchAsyncErrors(async (req, res, next) => {
     return next(new ErrorHandler("Teacher not found", 404));
   }
 
+  // Teachers may only list their own advisees
+  if (
+    getPermissionScope(req.user.role, "students:view") !== "any" &&
+    teacher.userId !== req.user.id
+  ) {
+    return next(new ErrorHandler("Access denied", 403));
+  }
+
   // Find all students associated with this teacher
   const students = await Student.findAll({
     where: { teacherId },
@@ -281,8 +218,427 @@ const getStudentsByTeacherId = catchAsyncErrors(async (req, res, next) => {
   });
 });
 
+// Revoke every session of a user, e.g. when an account is compromised
+const revokeUserSessions = catchAsyncErrors(async (req, res, next) => {
+  const { userId } = req.params;
+
+  const user = await User.findByPk(userId);
+  if (!user) {
+    return next(new ErrorHandler("User not found", 404));
+  }
+
+  const revokedCount = await revokeAllSessions(user.id);
+  console.log(
+    `Admin ${req.user.email} revoked ${revokedCount} session(s) of ${user.email}`
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "All sessions revoked",
+    revokedSessions: revokedCount,
+  });
+});
+
+// Create a single-use teacher invite code. The plain code is only returned
+// here; the database keeps its hash
+const createTeacherInvite = catchAsyncErrors(async (req, res, next) => {
+  const email = req.body.email ? String(req.body.email).toLowerCase() : null;
+  const expiresInDays =
+    req.body.expiresInDays === undefined
+      ? DEFAULT_INVITE_TTL_DAYS
+      : Number(req.body.expiresInDays);
+
+  if (!Number.isInteger(expiresInDays) || expiresInDays < 1) {
+    return next(
+      new ErrorHandler("expiresInDays must be a positive whole number", 400)
+    );
+  }
+
+  const code = crypto.randomBytes(6).toString("hex").toUpperCase();
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + expiresInDays);
+
+  const invite = await TeacherInvite.create({
+    codeHash: hashToken(code),
+    email,
+    expiresAt,
+    createdById: req.user.id,
+  });
+
+  console.log(`Teacher invite ${invite.id} created by ${req.user.email}`);
+
+  res.status(201).json({
+    success: true,
+    invite: {
+      id: invite.id,
+      code,
+      email: invite.email,
+      expiresAt: invite.expiresAt,
+    },
+  });
+});
+
+// List teacher invites with their current state
+const getTeacherInvites = catchAsyncErrors(async (req, res, next) => {
+  const invites = await TeacherInvite.findAll({
+    attributes: { exclude: ["codeHash"] },
+    include: [{ model: User, as: "UsedBy", attributes: ["name", "email"] }],
+    order: [["createdAt", "DESC"]],
+  });
+
+  const now = new Date();
+  res.status(200).json({
+    success: true,
+    count: invites.length,
+    invites: invites.map((invite) => ({
+      ...invite.toJSON(),
+      status: invite.usedAt
+        ? "used"
+        : invite.expiresAt <= now
+        ? "expired"
+        : "active",
+    })),
+  });
+});
+
+// Revoke an unused teacher invite
+const revokeTeacherInvite = catchAsyncErrors(async (req, res, next) => {
+  const invite = await TeacherInvite.findByPk(req.params.inviteId);
+  if (!invite) {
+    return next(new ErrorHandler("Invite not found", 404));
+  }
+  if (invite.usedAt) {
+    return next(new ErrorHandler("Invite has already been used", 400));
+  }
+
+  await invite.destroy();
+
+  res.status(200).json({ success: true, message: "Invite revoked" });
+});
+
+// Teachers who registered without an invite and wait for approval
+const getPendingTeachers = catchAsyncErrors(async (req, res, next) => {
+  const users = await User.findAll({
+    where: { role: "teacher", isApproved: false },
+    attributes: ["id", "name", "email", "createdAt"],
+    order: [["createdAt", "ASC"]],
+  });
+
+  res.status(200).json({ success: true, count: users.length, users });
+});
+
+// Approve a pending teacher account
+const approveTeacher = catchAsyncErrors(async (req, res, next) => {
+  const user = await User.findOne({
+    where: { id: req.params.userId, role: "teacher" },
+  });
+  if (!user) {
+    return next(new ErrorHandler("Teacher not found", 404));
+  }
+  if (user.isApproved) {
+    return next(new ErrorHandler("Teacher is already approved", 400));
+  }
+
+  await user.update({ isApproved: true });
+  console.log(`Teacher ${user.email} approved by ${req.user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: "Teacher approved",
+    user: { id: user.id, name: user.name, email: user.email },
+  });
+});
+
+// Reject a pending teacher registration, removing the account
+const rejectTeacher = catchAsyncErrors(async (req, res, next) => {
+  const user = await User.findOne({
+    where: { id: req.params.userId, role: "teacher" },
+  });
+  if (!user) {
+    return next(new ErrorHandler("Teacher not found", 404));
+  }
+  if (user.isApproved) {
+    return next(
+      new ErrorHandler("Only pending registrations can be rejected", 400)
+    );
+  }
+
+  // The Teacher row is removed by the cascade on userId
+  await user.destroy();
+  console.log(
+    `Teacher registration ${user.email} rejected by ${req.user.email}`
+  );
+
+  res.status(200).json({ success: true, message: "Registration rejected" });
+});
+
+// Lift a login lockout on a user account
+const unlockUserAccount = catchAsyncErrors(async (req, res, next) => {
+  const user = await User.findByPk(req.params.userId);
+  if (!user) {
+    return next(new ErrorHandler("User not found", 404));
+  }
+
+  await unlockUser(user);
+  console.log(`Account ${user.email} unlocked by ${req.user.email}`);
+
+  res.status(200).json({ success: true, message: "Account unlocked" });
+});
+
+// Lift a login lockout on a client IP address
+const unlockIpAddress = catchAsyncErrors(async (req, res, next) => {
+  const { ip } = req.body;
+  if (!ip) {
+    return next(new ErrorHandler("IP address is required", 400));
+  }
+
+  const cleared = await unlockIp(String(ip));
+  if (!cleared) {
+    return next(new ErrorHandler("No failed logins recorded for this IP", 404));
+  }
+  console.log(`IP ${ip} unlocked by ${req.user.email}`);
+
+  res.status(200).json({ success: true, message: "IP address unlocked" });
+});
+
+// Let a student enroll in a course without meeting its prerequisites and
+// co-requisites
+const grantRequisiteOverride = catchAsyncErrors(async (req, res, next) => {
+  const { studentId, courseId, reason } = req.body;
+  if (!studentId || !courseId) {
+    return next(new ErrorHandler("studentId and courseId are required", 400));
+  }
+
+  const student = await Student.findByPk(studentId);
+  if (!student) {
+    return next(new ErrorHandler("Student not found", 404));
+  }
+  const course = await Course.findByPk(courseId);
+  if (!course) {
+    return next(new ErrorHandler("Course not found", 404));
+  }
+
+  const [override, created] = await RequisiteOverride.findOrCreate({
+    where: { studentId, courseId },
+    defaults: { reason: reason || null, grantedById: req.user.id },
+  });
+  if (!created) {
+    return next(
+      new ErrorHandler("Student already has an override for this course", 400)
+    );
+  }
+
+  console.log(
+    `Requisite override for student ${studentId} in course ${courseId} granted by ${req.user.email}`
+  );
+  res.status(201).json({ success: true, override });
+});
+
+// List requisite overrides, optionally for one student or course
+const getRequisiteOverrides = catchAsyncErrors(async (req, res, next) => {
+  const where = {};
+  if (req.query.studentId) where.studentId = req.query.studentId;
+  if (req.query.courseId) where.courseId = req.query.courseId;
+
+  const overrides = await RequisiteOverride.findAll({
+    where,
+    include: [
+      {
+        model: Student,
+        attributes: ["id"],
+        include: [{ model: User, attributes: ["name", "email"] }],
+      },
+      { model: Course, attributes: ["id", "title"], paranoid: false },
+      { model: User, as: "GrantedBy", attributes: ["name", "email"] },
+    ],
+    order: [["createdAt", "DESC"]],
+  });
+
+  res.status(200).json({
+    success: true,
+    count: overrides.length,
+    overrides: overrides.map((override) => ({
+      id: override.id,
+      reason: override.reason,
+      createdAt: override.createdAt,
+      student: {
+        id: override.studentId,
+        name: override.Student.User ? override.Student.User.name : "Unknown",
+        email: override.Student.User ? override.Student.User.email : "",
+      },
+      course: { id: override.Course.id, title: override.Course.title },
+      grantedBy: override.GrantedBy ? override.GrantedBy.email : null,
+    })),
+  });
+});
+
+// Withdraw a requisite override; existing enrollments are kept
+const revokeRequisiteOverride = catchAsyncErrors(async (req, res, next) => {
+  const override = await RequisiteOverride.findByPk(req.params.overrideId);
+  if (!override) {
+    return next(new ErrorHandler("Override not found", 404));
+  }
+
+  await override.destroy();
+
+  res.status(200).json({ success: true, message: "Override revoked" });
+});
+
+// Shape a job for API responses; the result (e.g. an import's per-row
+// report) is only included when asked for
+const formatJob = (job, withResult) => ({
+  id: job.id,
+  type: job.type,
+  status: job.status,
+  progress: job.progress,
+  attempts: job.attempts,
+  maxAttempts: job.maxAttempts,
+  error: job.error,
+  createdAt: job.createdAt,
+  finishedAt: job.finishedAt,
+  ...(job.status === "queued" && job.attempts > 0
+    ? { nextAttemptAt: job.runAt }
+    : {}),
+  ...(withResult ? { result: job.result } : {}),
+});
+
+// Status, progress and result of a background job. Without the "any" scope
+// only the user's own jobs are visible
+const getJob = catchAsyncErrors(async (req, res, next) => {
+  const job = await Job.findByPk(req.params.jobId);
+  const scope = getPermissionScope(req.user.role, "job:view");
+
+  if (!job || (scope !== "any" && job.createdById !== req.user.id)) {
+    return next(new ErrorHandler("Job not found", 404));
+  }
+
+  res.status(200).json({ success: true, job: formatJob(job, true) });
+});
+
+// Recent jobs, optionally filtered by ?status and ?type
+const getJobs = catchAsyncErrors(async (req, res, next) => {
+  const where = {};
+  if (req.query.status) where.status = req.query.status;
+  if (req.query.type) where.type = req.query.type;
+  if (getPermissionScope(req.user.role, "job:view") !== "any") {
+    where.createdById = req.user.id;
+  }
+
+  const jobs = await Job.findAll({
+    where,
+    order: [["createdAt", "DESC"]],
+    limit: 100,
+  });
+
+  res.status(200).json({
+    success: true,
+    count: jobs.length,
+    jobs: jobs.map((job) => formatJob(job, false)),
+  });
+});
+
+// Query the audit log, newest first. Filters: ?actorId, ?actorEmail,
+// ?action, ?entityType, ?entityId, ?from and ?to; ?page and ?limit paginate
+const getAuditLogs = catchAsyncErrors(async (req, res, next) => {
+  const { actorId, actorEmail, action, entityType, entityId, from, to } =
+    req.query;
+  const where = {};
+
+  if (actorId) {
+    if (!isUuid(actorId)) {
+      return next(new ErrorHandler("actorId must be a UUID", 400));
+    }
+    where.actorId = actorId;
+  }
+  if (action) {
+    const actions = AuditLog.rawAttributes.action.values;
+    if (!actions.includes(action)) {
+      return next(
+        new ErrorHandler(`action must be one of: ${actions.join(", ")}`, 400)
+      );
+    }
+    where.action = action;
+  }
+  if (entityType) where.entityType = entityType;
+  if (entityId) where.entityId = entityId;
+
+  for (const [field, value, op] of [
+    ["from", from, Op.gte],
+    ["to", to, Op.lte],
+  ]) {
+    if (!value) continue;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      return next(new ErrorHandler(`Invalid date format for ${field}`, 400));
+    }
+    where.createdAt = { ...where.createdAt, [op]: date };
+  }
+
+  const limit = Math.min(
+    Math.max(parseInt(req.query.limit, 10) || AUDIT_PAGE_SIZE, 1),
+    MAX_AUDIT_PAGE_SIZE
+  );
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+  const { count, rows } = await AuditLog.findAndCountAll({
+    where,
+    include: [
+      {
+        model: User,
+        as: "Actor",
+        attributes: ["id", "name", "email"],
+        ...(actorEmail
+          ? { where: { email: String(actorEmail).trim().toLowerCase() } }
+          : {}),
+      },
+    ],
+    order: [["createdAt", "DESC"]],
+    limit,
+    offset: (page - 1) * limit,
+  });
+
+  res.status(200).json({
+    success: true,
+    count,
+    page,
+    totalPages: Math.ceil(count / limit),
+    entries: rows.map((entry) => ({
+      id: entry.id,
+      action: entry.action,
+      entityType: entry.entityType,
+      entityId: entry.entityId,
+      before: entry.before,
+      after: entry.after,
+      actor: entry.Actor
+        ? {
+            id: entry.Actor.id,
+            name: entry.Actor.name,
+            email: entry.Actor.email,
+          }
+        : null,
+      ip: entry.ip,
+      createdAt: entry.createdAt,
+    })),
+  });
+});
+
 module.exports = {
   uploadUsers,
+  getJob,
+  getJobs,
+  unlockUserAccount,
+  unlockIpAddress,
+  createTeacherInvite,
+  getTeacherInvites,
+  revokeTeacherInvite,
+  getPendingTeachers,
+  approveTeacher,
+  rejectTeacher,
+  revokeUserSessions,
   getStudentsByTeacherId,
   getMyStudents,
+  grantRequisiteOverride,
+  getRequisiteOverrides,
+  revokeRequisiteOverride,
+  getAuditLogs,
 };
@@ -1,16 +1,41 @@
 const {
   Assignment,
   Course,
-  Teacher,
   Student,
   AssignmentAttachment,
   Submission,
+  RegradeRequest,
+  GradeCategory,
   User,
   sequelize,
 } = require("../models");
 const { ErrorHandler } = require("../middleware/errorHandler");
 const catchAsyncErrors = require("../middleware/catchAsyncErrors");
 const { uploadFileToAzure } = require("../utils/azureUtils");
+const { moveToTrash, purgeDate } = require("../utils/trash");
+const { enqueueFileCleanup } = require("../utils/jobQueue");
+const { canAccessCourse } = require("../utils/policies");
+const {
+  loadRubric,
+  rubricMaxPoints,
+  formatRubric,
+  gradeFromRequest,
+  recordGrade,
+} = require("../utils/grading");
+const {
+  getStudentDueDate,
+  lateStatus,
+  applyLatePenalty,
+} = require("../utils/latePolicy");
+const { validateLatePolicyData } = require("../utils/validation");
+
+// Find a gradebook category of the course
+const findCourseCategory = (courseId, categoryId) =>
+  GradeCategory.findOne({ where: { id: categoryId, courseId } });
+
+// Grades are out of totalPoints, so it has to be a positive whole number
+const isValidTotalPoints = (totalPoints) =>
+  Number.isInteger(Number(totalPoints)) && Number(totalPoints) > 0;
 
 // Create new assignment
 exports.createAssignment = catchAsyncErrors(async (req, res, next) => {
@@ -18,7 +43,7 @@ exports.createAssignment = catchAsyncErrors(async (req, res, next) => {
   const transaction = await sequelize.transaction();
 
   try {
-    const { title, description, dueDate, totalPoints } = req.body;
+    const { title, description, dueDate, totalPoints, categoryId } = req.body;
     const { courseId } = req.params; // Extract courseId from URL
 
     console.log(`Creating assignment for course: ${courseId}`);
@@ -26,34 +51,30 @@ exports.createAssignment = catchAsyncErrors(async (req, res, next) => {
     // Validate inputs
     if (!title || !description || !dueDate || !totalPoints) {
       console.log("Missing required fields");
+      await transaction.rollback();
       return next(new ErrorHandler("All fields are required", 400));
     }
-
-    // Check if course exists and belongs to the teacher
-    const teacher = await Teacher.findOne({
-      where: { userId: req.user.id },
-      transaction,
-    });
-
-    if (!teacher) {
+    if (!isValidTotalPoints(totalPoints)) {
       await transaction.rollback();
-      return next(new ErrorHandler("Teacher not found", 404));
+      return next(
+        new ErrorHandler("totalPoints must be a whole number above 0", 400)
+      );
     }
 
-    const course = await Course.findOne({
-      where: {
-        id: courseId,
-        teacherId: teacher.id,
-      },
-      transaction,
-    });
+    // The gradebook category must belong to the same course
+    if (categoryId && !(await findCourseCategory(courseId, categoryId))) {
+      await transaction.rollback();
+      return next(new ErrorHandler("Grade category not found", 404));
+    }
 
-    if (!course) {
-      console.log(`Course not found: ${courseId}`);
+    // Optional late policy; late work is accepted by default
+    const { error: lateError, value: latePolicy } = validateLatePolicyData(
+      req.body
+    );
+    if (lateError) {
       await transaction.rollback();
-      return next(new ErrorHandler("Course not found or unauthorized", 404));
+      return next(new ErrorHandler(lateError, 400));
     }
-    console.log("Course found");
 
     // Create assignment object
     const assignment = await Assignment.create(
@@ -63,7 +84,9 @@ exports.createAssignment = catchAsyncErrors(async (req, res, next) => {
         courseId,
         dueDate,
         totalPoints,
+        categoryId: categoryId || null,
         isActive: true, // Default value
+        ...latePolicy,
       },
       { transaction }
     );
@@ -136,6 +159,7 @@ exports.createAssignment = catchAsyncErrors(async (req, res, next) => {
               assignmentId: assignment.id,
               name: file.key.split("/").pop(), // Extract filename from key
               url: file.url,
+              fileKey: file.key,
             },
             { transaction }
           )
@@ -180,9 +204,10 @@ exports.submitAssignment = catchAsyncErrors(async (req, res, next) => {
   const transaction = await sequelize.transaction();
 
   try {
-    const { assignmentId } = req.params;
+    // Assignment and enrollment were checked by authorizeCourse
+    const assignment = req.assignment;
 
-    // Verify student permissions
+    // Submissions are recorded against the student profile
     const student = await Student.findOne({
       where: { userId: req.user.id },
       include: [{ model: User, attributes: ["name", "email"] }],
@@ -196,31 +221,6 @@ exports.submitAssignment = catchAsyncErrors(async (req, res, next) => {
     }
     console.log("Student found:", student.id);
 
-    // Get the assignment
-    const assignment = await Assignment.findByPk(assignmentId, { transaction });
-    if (!assignment) {
-      console.log("Assignment not found");
-      await transaction.rollback();
-      return next(new ErrorHandler("Assignment not found", 404));
-    }
-    console.log("Assignment found:", assignment.id);
-
-    // Check if the student is enrolled in the course
-    const studentCourse = await sequelize.models.StudentCourse.findOne({
-      where: {
-        studentId: student.id,
-        courseId: assignment.courseId,
-      },
-      transaction,
-    });
-
-    if (!studentCourse) {
-      console.log("Student not enrolled in course");
-      await transaction.rollback();
-      return next(new ErrorHandler("Not enrolled in this course", 403));
-    }
-    console.log("Student is enrolled in the course");
-
     // Check if the assignment is active
     if (!assignment.isActive) {
       console.log("Assignment not active");
@@ -269,9 +269,26 @@ exports.submitAssignment = catchAsyncErrors(async (req, res, next) => {
       );
     }
 
-    // Check if past due date
+    // Check if past the student's due date (extensions and accommodations
+    // included) and whether the late policy still accepts submissions
     const now = new Date();
-    const isDueDatePassed = now > new Date(assignment.dueDate);
+    const { dueDate } = await getStudentDueDate(
+      assignment,
+      student.id,
+      transaction
+    );
+    const late = lateStatus(assignment, dueDate, now);
+    if (late.closed) {
+      console.log("Submissions closed at:", late.closesAt);
+      await transaction.rollback();
+      return next(
+        new ErrorHandler(
+          `Submissions for this assignment closed at ${late.closesAt.toISOString()}`,
+          400
+        )
+      );
+    }
+    const isDueDatePassed = late.isLate;
     console.log("Is submission late:", isDueDatePassed);
 
     try {
@@ -294,8 +311,13 @@ exports.submitAssignment = catchAsyncErrors(async (req, res, next) => {
 
       if (existingSubmission) {
         console.log("Updating existing submission");
-        // Update existing submission
+        // Update existing submission; the replaced file goes once saved
+        await enqueueFileCleanup([existingSubmission.submissionFileKey], {
+          createdById: req.user.id,
+          transaction,
+        });
         existingSubmission.submissionFile = uploadedFile.url;
+        existingSubmission.submissionFileKey = uploadedFile.key;
         existingSubmission.submissionDate = now;
         existingSubmission.status = "submitted";
         existingSubmission.isLate = isDueDatePassed;
@@ -308,6 +330,7 @@ exports.submitAssignment = catchAsyncErrors(async (req, res, next) => {
             assignmentId: assignment.id,
             studentId: student.id,
             submissionFile: uploadedFile.url,
+            submissionFileKey: uploadedFile.key,
             submissionDate: now,
             status: "submitted",
             isLate: isDueDatePassed,
@@ -323,6 +346,9 @@ exports.submitAssignment = catchAsyncErrors(async (req, res, next) => {
         success: true,
         message: "Assignment submitted successfully",
         isLate: isDueDatePassed,
+        dueDate,
+        // Taken off the grade when it is graded
+        latePenaltyPercent: late.penaltyPercent || null,
       });
     } catch (uploadError) {
       console.log("Error during file upload:", uploadError.message);
@@ -346,89 +372,73 @@ exports.gradeSubmission = catchAsyncErrors(async (req, res, next) => {
   const transaction = await sequelize.transaction();
 
   try {
-    const { assignmentId, submissionId } = req.params;
-
-    // Verify teacher permissions
-    const teacher = await Teacher.findOne({
-      where: { userId: req.user.id },
-      transaction,
-    });
+    // Submission, assignment and grading rights were checked by authorizeCourse
+    const { assignment, submission } = req;
+    console.log("Grading submission:", submission.id);
 
-    if (!teacher) {
-      console.log("Teacher not found");
-      await transaction.rollback();
-      return next(new ErrorHandler("Teacher not found", 404));
-    }
-    console.log("Teacher found:", teacher.id);
+    const { feedback, reason } = req.body;
+    console.log(
+      `Grading with ${
+        assignment.rubricId ? "rubric" : `${req.body.grade} points`
+      }, feedback: ${feedback ? "provided" : "not provided"}`
+    );
 
-    // Get the assignment
-    const assignment = await Assignment.findByPk(assignmentId, { transaction });
-    if (!assignment) {
-      console.log("Assignment not found");
+    // Rubric assignments compute the grade from the levels chosen
+    const { grade, rubricScores, error } = await gradeFromRequest(
+      assignment,
+      req.body,
+      transaction
+    );
+    if (error) {
+      console.log(`Invalid grade: ${error}`);
       await transaction.rollback();
-      return next(new ErrorHandler("Assignment not found", 404));
+      return next(new ErrorHandler(error, 400));
     }
-    console.log("Assignment found:", assignment.id);
 
-    // Check if the teacher owns the course
-    const course = await Course.findOne({
-      where: {
-        id: assignment.courseId,
-        teacherId: teacher.id,
-      },
-      transaction,
-    });
-
-    if (!course) {
-      console.log("Teacher not authorized for this course");
+    // Changing an existing grade is versioned and needs a reason
+    if (submission.grade !== null && !reason) {
       await transaction.rollback();
       return next(
-        new ErrorHandler("Unauthorized to grade this assignment", 403)
+        new ErrorHandler("A reason is required to change a grade", 400)
       );
     }
-    console.log("Teacher authorized for course:", course.id);
-
-    const { grade, feedback } = req.body;
-    console.log(
-      `Grading with: ${grade} points, feedback: ${
-        feedback ? "provided" : "not provided"
-      }`
-    );
 
-    if (!grade || grade < 0 || grade > assignment.totalPoints) {
-      console.log(
-        `Invalid grade: ${grade}, total points: ${assignment.totalPoints}`
-      );
+    // Open regrade requests are answered through their resolve endpoint
+    const openRequest = await RegradeRequest.findOne({
+      where: { submissionId: submission.id, status: "open" },
+      transaction,
+    });
+    if (openRequest) {
       await transaction.rollback();
       return next(
         new ErrorHandler(
-          `Grade must be between 0 and ${assignment.totalPoints}`,
+          "This submission has an open regrade request; resolve it instead",
           400
         )
       );
     }
 
-    // Find the submission
-    const submission = await Submission.findOne({
-      where: {
-        id: submissionId,
-        assignmentId: assignment.id,
-      },
-      transaction,
-    });
-
-    if (!submission) {
-      console.log(`Submission not found: ${submissionId}`);
-      await transaction.rollback();
-      return next(new ErrorHandler("Submission not found", 404));
-    }
-    console.log("Submission found");
+    // Late submissions lose points under a penalty policy
+    const penalized = await applyLatePenalty(
+      assignment,
+      submission,
+      grade,
+      transaction
+    );
 
-    // Update grade and feedback
-    submission.grade = grade;
-    submission.feedback = feedback;
-    submission.status = "graded";
-    await submission.save({ transaction });
+    await recordGrade(
+      submission,
+      {
+        grade: penalized.grade,
+        rubricScores,
+        feedback,
+        gradedById: req.user.id,
+        reason: reason || null,
+        latePenalty: penalized.latePenalty,
+      },
+      "graded",
+      transaction
+    );
     console.log("Submission updated with grade and feedback");
 
     await transaction.commit();
@@ -454,45 +464,10 @@ exports.gradeSubmission = catchAsyncErrors(async (req, res, next) => {
 exports.getCourseAssignments = catchAsyncErrors(async (req, res, next) => {
   console.log("getCourseAssignments: Started");
   try {
-    // Get the course ID from request parameters
-    const { courseId } = req.params;
+    // Course access was checked by authorizeCourse
+    const courseId = req.course.id;
     console.log(`Fetching assignments for course: ${courseId}`);
 
-    // Find the course
-    const course = await Course.findByPk(courseId);
-    if (!course) {
-      console.log("Course not found");
-      return next(new ErrorHandler("Course not found", 404));
-    }
-    console.log("Course found");
-
-    // Verify that the user has access to this course
-    if (req.user.role === "teacher") {
-      console.log("Verifying teacher access");
-      const teacher = await Teacher.findOne({ where: { userId: req.user.id } });
-      if (!teacher || course.teacherId !== teacher.id) {
-        console.log("Teacher not authorized for this course");
-        return next(new ErrorHandler("Unauthorized access", 403));
-      }
-      console.log("Teacher authorized");
-    } else if (req.user.role === "student") {
-      console.log("Verifying student access");
-      const student = await Student.findOne({ where: { userId: req.user.id } });
-
-      const studentCourse = await sequelize.models.StudentCourse.findOne({
-        where: {
-          studentId: student.id,
-          courseId: course.id,
-        },
-      });
-
-      if (!student || !studentCourse) {
-        console.log("Student not enrolled in this course");
-        return next(new ErrorHandler("Unauthorized access", 403));
-      }
-      console.log("Student authorized");
-    }
-
     // Find all assignments for this course
     console.log("Fetching assignments");
     const assignments = await Assignment.findAll({
@@ -503,10 +478,10 @@ exports.getCourseAssignments = catchAsyncErrors(async (req, res, next) => {
 
     console.log(`Found ${assignments.length} assignments`);
 
-    // For students, include their submissions
-    if (req.user.role === "student") {
+    // Students get their own submissions alongside each assignment
+    const student = await Student.findOne({ where: { userId: req.user.id } });
+    if (student) {
       console.log("Fetching student submissions");
-      const student = await Student.findOne({ where: { userId: req.user.id } });
 
       // Get submissions for this student for these assignments
       const assignmentIds = assignments.map((a) => a.id);
@@ -548,7 +523,8 @@ exports.getAssignmentById = catchAsyncErrors(async (req, res, next) => {
     const { assignmentId } = req.params;
     console.log(`Fetching assignment: ${assignmentId}`);
 
-    // Find the assignment with associated info
+    // Find the assignment with associated info; course access was checked
+    // by authorizeCourse
     const assignment = await Assignment.findByPk(assignmentId, {
       include: [
         AssignmentAttachment,
@@ -565,18 +541,13 @@ exports.getAssignmentById = catchAsyncErrors(async (req, res, next) => {
     }
     console.log("Assignment found");
 
-    // Verify that the user has access to this assignment's course
-    if (req.user.role === "teacher") {
-      console.log("Verifying teacher access");
-      const teacher = await Teacher.findOne({ where: { userId: req.user.id } });
+    // The rubric submissions are graded with, criteria and levels in order
+    assignment.dataValues.rubric = assignment.rubricId
+      ? formatRubric(await loadRubric(assignment.rubricId))
+      : null;
 
-      if (!teacher || assignment.Course.teacherId !== teacher.id) {
-        console.log("Teacher not authorized for this course");
-        return next(new ErrorHandler("Unauthorized access", 403));
-      }
-      console.log("Teacher authorized");
-
-      // For teachers, include all submissions
+    // Graders see every submission, others only their own
+    if (await canAccessCourse(req.user, "submission:grade", req.course)) {
       const submissions = await Submission.findAll({
         where: { assignmentId: assignment.id },
         include: [
@@ -593,32 +564,33 @@ exports.getAssignmentById = catchAsyncErrors(async (req, res, next) => {
       });
 
       assignment.dataValues.submissions = submissions;
-    } else if (req.user.role === "student") {
-      console.log("Verifying student access");
+    } else {
       const student = await Student.findOne({ where: { userId: req.user.id } });
+      const submission = student
+        ? await Submission.findOne({
+            where: {
+              assignmentId: assignment.id,
+              studentId: student.id,
+            },
+          })
+        : null;
 
-      const studentCourse = await sequelize.models.StudentCourse.findOne({
-        where: {
-          studentId: student.id,
-          courseId: assignment.courseId,
-        },
-      });
+      assignment.dataValues.submission = submission || null;
 
-      if (!student || !studentCourse) {
-        console.log("Student not enrolled in this course");
-        return next(new ErrorHandler("Unauthorized access", 403));
+      // The student's own due date and when submissions close for them
+      if (student) {
+        const { dueDate, extended } = await getStudentDueDate(
+          assignment,
+          student.id
+        );
+        const { closesAt, closed } = lateStatus(assignment, dueDate);
+        assignment.dataValues.deadline = {
+          dueDate,
+          extended,
+          closesAt,
+          closed,
+        };
       }
-      console.log("Student authorized");
-
-      // For students, include only their submission
-      const submission = await Submission.findOne({
-        where: {
-          assignmentId: assignment.id,
-          studentId: student.id,
-        },
-      });
-
-      assignment.dataValues.submission = submission || null;
     }
 
     res.status(200).json({
@@ -637,51 +609,54 @@ exports.updateAssignment = catchAsyncErrors(async (req, res, next) => {
   const transaction = await sequelize.transaction();
 
   try {
-    const { assignmentId } = req.params;
-    console.log(`Updating assignment: ${assignmentId}`);
+    // Assignment and course access were checked by authorizeCourse
+    const assignment = req.assignment;
+    console.log(`Updating assignment: ${assignment.id}`);
 
-    // Verify teacher permissions
-    const teacher = await Teacher.findOne({
-      where: { userId: req.user.id },
-      transaction,
-    });
-
-    if (!teacher) {
-      console.log("Teacher not found");
+    // Extract update fields
+    const { title, description, dueDate, totalPoints, isActive, categoryId } =
+      req.body;
+
+    // categoryId: null takes the assignment out of its category
+    if (
+      categoryId &&
+      !(await findCourseCategory(assignment.courseId, categoryId))
+    ) {
       await transaction.rollback();
-      return next(new ErrorHandler("Teacher not found", 404));
+      return next(new ErrorHandler("Grade category not found", 404));
     }
-    console.log("Teacher found:", teacher.id);
 
-    // Get the assignment
-    const assignment = await Assignment.findByPk(assignmentId, { transaction });
-    if (!assignment) {
-      console.log("Assignment not found");
+    const { error: lateError, value: latePolicy } = validateLatePolicyData(
+      req.body,
+      assignment.get()
+    );
+    if (lateError) {
       await transaction.rollback();
-      return next(new ErrorHandler("Assignment not found", 404));
+      return next(new ErrorHandler(lateError, 400));
     }
-    console.log("Assignment found:", assignment.id);
-
-    // Check if the teacher owns the course
-    const course = await Course.findOne({
-      where: {
-        id: assignment.courseId,
-        teacherId: teacher.id,
-      },
-      transaction,
-    });
 
-    if (!course) {
-      console.log("Teacher not authorized for this course");
+    if (totalPoints !== undefined && !isValidTotalPoints(totalPoints)) {
       await transaction.rollback();
       return next(
-        new ErrorHandler("Unauthorized to update this assignment", 403)
+        new ErrorHandler("totalPoints must be a whole number above 0", 400)
       );
     }
-    console.log("Teacher authorized for course:", course.id);
 
-    // Extract update fields
-    const { title, description, dueDate, totalPoints, isActive } = req.body;
+    // A rubric's best total must stay within the assignment's points
+    if (totalPoints && assignment.rubricId) {
+      const rubric = await loadRubric(assignment.rubricId, { transaction });
+      if (rubricMaxPoints(rubric) > Number(totalPoints)) {
+        await transaction.rollback();
+        return next(
+          new ErrorHandler(
+            `totalPoints cannot be below the rubric's ${rubricMaxPoints(
+              rubric
+            )} points`,
+            400
+          )
+        );
+      }
+    }
 
     // Update assignment fields if provided
     const updateData = {};
@@ -690,6 +665,8 @@ exports.updateAssignment = catchAsyncErrors(async (req, res, next) => {
     if (dueDate) updateData.dueDate = dueDate;
     if (totalPoints) updateData.totalPoints = totalPoints;
     if (isActive !== undefined) updateData.isActive = isActive;
+    if (categoryId !== undefined) updateData.categoryId = categoryId || null;
+    Object.assign(updateData, latePolicy);
 
     // Update the assignment
     await assignment.update(updateData, { transaction });
@@ -757,7 +734,16 @@ exports.updateAssignment = catchAsyncErrors(async (req, res, next) => {
         const { replaceAttachments } = req.body;
 
         if (replaceAttachments === "true") {
-          // Delete existing attachments
+          // Delete existing attachments, and their blobs once saved
+          const replaced = await AssignmentAttachment.findAll({
+            where: { assignmentId: assignment.id },
+            attributes: ["fileKey"],
+            transaction,
+          });
+          await enqueueFileCleanup(
+            replaced.map((attachment) => attachment.fileKey),
+            { createdById: req.user.id, transaction }
+          );
           await AssignmentAttachment.destroy({
             where: { assignmentId: assignment.id },
             transaction,
@@ -772,6 +758,7 @@ exports.updateAssignment = catchAsyncErrors(async (req, res, next) => {
               assignmentId: assignment.id,
               name: file.key.split("/").pop(), // Extract filename from key
               url: file.url,
+              fileKey: file.key,
             },
             { transaction }
           )
@@ -794,6 +781,18 @@ exports.updateAssignment = catchAsyncErrors(async (req, res, next) => {
 
       console.log(`Removing ${attachmentsToRemove.length} attachments`);
 
+      const removed = await AssignmentAttachment.findAll({
+        where: {
+          id: attachmentsToRemove,
+          assignmentId: assignment.id,
+        },
+        attributes: ["fileKey"],
+        transaction,
+      });
+      await enqueueFileCleanup(
+        removed.map((attachment) => attachment.fileKey),
+        { createdById: req.user.id, transaction }
+      );
       await AssignmentAttachment.destroy({
         where: {
           id: attachmentsToRemove,
@@ -829,69 +828,82 @@ exports.updateAssignment = catchAsyncErrors(async (req, res, next) => {
   }
 });
 
-// Delete assignment
-exports.deleteAssignment = catchAsyncErrors(async (req, res, next) => {
-  console.log("deleteAssignment: Started");
-  const transaction = await sequelize.transaction();
+// Grade an assignment's submissions with one of the signed-in user's rubrics
+exports.attachRubric = catchAsyncErrors(async (req, res, next) => {
+  const assignment = req.assignment;
+  const { rubricId } = req.body;
 
-  try {
-    const { assignmentId } = req.params;
-    console.log(`Deleting assignment: ${assignmentId}`);
+  if (!rubricId) {
+    return next(new ErrorHandler("rubricId is required", 400));
+  }
 
-    // Verify teacher permissions
-    const teacher = await Teacher.findOne({
-      where: { userId: req.user.id },
-      transaction,
-    });
+  const rubric = await loadRubric(rubricId);
+  if (!rubric || rubric.ownerId !== req.user.id) {
+    return next(new ErrorHandler("Rubric not found", 404));
+  }
 
-    if (!teacher) {
-      console.log("Teacher not found");
-      await transaction.rollback();
-      return next(new ErrorHandler("Teacher not found", 404));
-    }
-    console.log("Teacher found:", teacher.id);
+  const maxPoints = rubricMaxPoints(rubric);
+  if (maxPoints > assignment.totalPoints) {
+    return next(
+      new ErrorHandler(
+        `The rubric is worth up to ${maxPoints} points but the assignment only ${assignment.totalPoints}`,
+        400
+      )
+    );
+  }
 
-    // Get the assignment
-    const assignment = await Assignment.findByPk(assignmentId, {
-      include: [AssignmentAttachment],
-      transaction,
-    });
+  // Grades already given keep the rubric scores they were given with
+  await assignment.update({ rubricId: rubric.id });
+  console.log(`Rubric ${rubric.id} attached to assignment ${assignment.id}`);
 
-    if (!assignment) {
-      console.log("Assignment not found");
-      await transaction.rollback();
-      return next(new ErrorHandler("Assignment not found", 404));
-    }
-    console.log("Assignment found:", assignment.id);
+  res.json({
+    success: true,
+    message: "Rubric attached to the assignment",
+    assignmentId: assignment.id,
+    rubric: formatRubric(rubric),
+  });
+});
 
-    // Check if the teacher owns the course
-    const course = await Course.findOne({
-      where: {
-        id: assignment.courseId,
-        teacherId: teacher.id,
-      },
-      transaction,
-    });
+// Go back to grading an assignment with a single number
+exports.detachRubric = catchAsyncErrors(async (req, res, next) => {
+  const assignment = req.assignment;
 
-    if (!course) {
-      console.log("Teacher not authorized for this course");
-      await transaction.rollback();
-      return next(
-        new ErrorHandler("Unauthorized to delete this assignment", 403)
-      );
-    }
-    console.log("Teacher authorized for course:", course.id);
+  if (!assignment.rubricId) {
+    return next(new ErrorHandler("This assignment has no rubric", 400));
+  }
+
+  await assignment.update({ rubricId: null });
+  console.log(`Rubric detached from assignment ${assignment.id}`);
+
+  res.json({
+    success: true,
+    message: "Rubric detached from the assignment",
+    assignmentId: assignment.id,
+  });
+});
+
+// Delete assignment
+exports.deleteAssignment = catchAsyncErrors(async (req, res, next) => {
+  console.log("deleteAssignment: Started");
+  const transaction = await sequelize.transaction();
+
+  try {
+    // Assignment and course access were checked by authorizeCourse
+    const assignment = req.assignment;
+    console.log(`Deleting assignment: ${assignment.id}`);
 
-    // Delete the assignment (cascades to attachments and submissions due to FK constraints)
-    await assignment.destroy({ transaction });
-    console.log("Assignment deleted");
+    // Attachments and submissions are kept until the assignment is purged
+    // from the trash
+    await moveToTrash(assignment, req.user.id, transaction);
+    console.log("Assignment moved to trash");
 
     await transaction.commit();
     console.log("Transaction committed");
 
     res.status(200).json({
       success: true,
-      message: "Assignment deleted successfully",
+      message: "Assignment moved to the trash",
+      purgeAt: purgeDate(assignment),
     });
   } catch (error) {
     console.log(`Error in deleteAssignment: ${error.message}`);
@@ -1,36 +1,195 @@
-const jwt = require("jsonwebtoken");
-const { User } = require("../models");
+const { fn, col } = require("sequelize");
+const {
+  User,
+  Teacher,
+  Student,
+  TeacherInvite,
+  sequelize,
+} = require("../models");
+const { validateRegistrationData } = require("../utils/validation");
+const {
+  hashToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+  pruneExpiredRefreshTokens,
+  issueUserToken,
+  consumeUserToken,
+} = require("../utils/authTokens");
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockUser,
+} = require("../utils/loginThrottle");
+const { getMailer } = require("../utils/mailer");
+const {
+  passwordResetEmail,
+  verificationEmail,
+} = require("../utils/emailTemplates");
 
-// Register a new user
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const EMAIL_VERIFICATION_TTL_HOURS = 48;
+
+// Strip fields that must never leave the server
+const toUserData = (user) => {
+  const userData = user.toJSON();
+  delete userData.password;
+  delete userData.tokenVersion;
+  delete userData.failedLoginAttempts;
+  delete userData.lastFailedLoginAt;
+  return userData;
+};
+
+// Match an email whatever its case; accounts from before emails were
+// lowercased may still hold capitals
+const byEmail = (email) => sequelize.where(fn("lower", col("email")), email);
+
+// Reject a login attempt while the account or IP is locked out
+const sendLockedOut = (res, retryAfterSeconds) => {
+  const minutes = Math.ceil(retryAfterSeconds / 60);
+  res.set("Retry-After", String(retryAfterSeconds));
+  return res.status(429).json({
+    error: `Too many failed login attempts. Try again in ${minutes} minute(s).`,
+    retryAfterSeconds,
+  });
+};
+
+// Email a fresh verification link to a user
+const sendVerificationEmail = async (user) => {
+  const token = await issueUserToken(
+    user.id,
+    "email_verification",
+    EMAIL_VERIFICATION_TTL_HOURS * 60
+  );
+
+  await getMailer().sendMail({
+    to: user.email,
+    ...verificationEmail({
+      name: user.name,
+      token,
+      expiresInHours: EMAIL_VERIFICATION_TTL_HOURS,
+    }),
+  });
+};
+
+// Register a new user. Open signup is for students only; teachers need an
+// invite code or admin approval, and admins cannot self-register
 const register = async (req, res) => {
-  try {
-    const { name, email, password, role } = req.body;
+  const { value, error: validationError } = validateRegistrationData(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  const { name, email, password, role, inviteCode, program, semester } = value;
+
+  if (role === "admin") {
+    return res
+      .status(403)
+      .json({ error: "Admin accounts cannot be created through registration" });
+  }
+
+  const transaction = await sequelize.transaction();
 
+  try {
     // Check if user already exists
-    const existingUser = await User.findOne({ where: { email } });
+    const existingUser = await User.findOne({
+      where: byEmail(email),
+      transaction,
+    });
     if (existingUser) {
+      await transaction.rollback();
       return res.status(400).json({ error: "Email already exists" });
     }
 
+    // Teachers with a valid invite are approved straight away
+    let invite = null;
+    if (role === "teacher" && inviteCode) {
+      invite = await TeacherInvite.findOne({
+        where: { codeHash: hashToken(inviteCode) },
+        lock: transaction.LOCK.UPDATE,
+        transaction,
+      });
+
+      if (
+        !invite ||
+        invite.usedAt ||
+        invite.expiresAt <= new Date() ||
+        (invite.email && invite.email.toLowerCase() !== email)
+      ) {
+        await transaction.rollback();
+        return res
+          .status(400)
+          .json({ error: "Invalid or expired invite code" });
+      }
+    }
+
+    const isApproved = role === "student" || Boolean(invite);
+
     // Create new user
-    const user = await User.create({
-      name,
-      email,
-      password, // Will be hashed by model hook
-      role,
-    });
+    const user = await User.create(
+      {
+        name,
+        email,
+        password, // Will be hashed by model hook
+        role,
+        isApproved,
+      },
+      { transaction }
+    );
 
-    // Generate JWT token
-    const token = jwt.sign({ id: user.id }, process.env.JWT_SECRET, {
-      expiresIn: "1d",
-    });
+    // Create the matching profile row
+    if (role === "teacher") {
+      await Teacher.create({ userId: user.id, email }, { transaction });
+
+      if (invite) {
+        await invite.update(
+          { usedAt: new Date(), usedByUserId: user.id },
+          { transaction }
+        );
+      }
+    } else {
+      await Student.create(
+        {
+          userId: user.id,
+          program: program || null,
+          semester: semester || null,
+        },
+        { transaction }
+      );
+    }
 
-    // Return user data without password
-    const userData = user.toJSON();
-    delete userData.password;
+    await transaction.commit();
 
-    res.status(201).json({ user: userData, token });
+    // The account exists either way; a failed email can be re-sent later
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error("Verification email error:", mailError.message);
+    }
+
+    if (!isApproved) {
+      console.log(`Teacher ${email} registered and is awaiting approval`);
+      return res.status(202).json({
+        user: toUserData(user),
+        message:
+          "Registration received. An administrator must approve your account before you can log in.",
+      });
+    }
+
+    // Start a session with an access/refresh token pair
+    const { token, refreshToken, expiresIn } = await issueTokens(user, {
+      req,
+    });
+
+    res
+      .status(201)
+      .json({ user: toUserData(user), token, refreshToken, expiresIn });
   } catch (error) {
+    if (!transaction.finished) {
+      await transaction.rollback();
+    }
     console.error("Register error:", error);
     res.status(400).json({ error: error.message });
   }
@@ -39,34 +198,310 @@ const register = async (req, res) => {
 // Login user
 const login = async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { password } = req.body;
+    const email = String(req.body.email || "")
+      .trim()
+      .toLowerCase();
 
     // Find user by email
-    const user = await User.findOne({ where: { email } });
-    if (!user) {
-      return res.status(401).json({ error: "Invalid credentials" });
+    const user = await User.findOne({ where: byEmail(email) });
+
+    // Refuse attempts while the account or the client IP is locked
+    const { allowed, retryAfterSeconds } = await checkLoginAllowed({
+      user,
+      ip: req.ip,
+    });
+    if (!allowed) {
+      return sendLockedOut(res, retryAfterSeconds);
     }
 
     // Check password
-    const isMatch = await user.comparePassword(password);
+    const isMatch = user ? await user.comparePassword(password) : false;
     if (!isMatch) {
+      await recordLoginFailure({ user, ip: req.ip });
       return res.status(401).json({ error: "Invalid credentials" });
     }
 
-    // Generate JWT token
-    const token = jwt.sign({ id: user.id }, process.env.JWT_SECRET, {
-      expiresIn: "1d",
-    });
+    if (!user.isApproved) {
+      return res
+        .status(403)
+        .json({ error: "Your account is awaiting administrator approval" });
+    }
 
-    // Return user data without password
-    const userData = user.toJSON();
-    delete userData.password;
+    if (!user.isActive) {
+      return res
+        .status(403)
+        .json({ error: "Your account has been deactivated" });
+    }
+
+    // Only accounts that may sign in get their lockout state cleared
+    await recordLoginSuccess(user);
+
+    // Drop this user's long-expired refresh tokens
+    await pruneExpiredRefreshTokens(user.id);
+
+    // Start a session with an access/refresh token pair
+    const { token, refreshToken, expiresIn } = await issueTokens(user, {
+      req,
+    });
 
-    res.json({ user: userData, token });
+    res.json({ user: toUserData(user), token, refreshToken, expiresIn });
   } catch (error) {
     console.error("Login error:", error);
     res.status(400).json({ error: error.message });
   }
 };
 
-module.exports = { register, login };
+// Exchange a refresh token for a new access/refresh token pair
+const refresh = async (req, res) => {
+  try {
+    const { user, token, refreshToken, expiresIn } = await rotateRefreshToken(
+      req.body.refreshToken,
+      { req }
+    );
+
+    res.json({ user: toUserData(user), token, refreshToken, expiresIn });
+  } catch (error) {
+    console.error("Refresh error:", error.message);
+    res.status(error.statusCode || 400).json({ error: error.message });
+  }
+};
+
+// Log out the session the refresh token belongs to
+const logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ error: "Refresh token is required" });
+    }
+
+    // Respond the same way for unknown tokens so logout is idempotent
+    await revokeRefreshToken(refreshToken);
+
+    res.json({ message: "Logged out successfully" });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Log out every session of the authenticated user
+const logoutAll = async (req, res) => {
+  try {
+    const revokedCount = await revokeAllSessions(req.user.id);
+
+    res.json({
+      message: "Logged out of all sessions",
+      revokedSessions: revokedCount,
+    });
+  } catch (error) {
+    console.error("Logout all error:", error);
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Email a password reset link. The response never reveals whether the
+// address belongs to an account
+const forgotPassword = async (req, res) => {
+  try {
+    const email = String(req.body.email || "")
+      .trim()
+      .toLowerCase();
+    if (!email) {
+      return res.status(400).json({ error: "Email is required" });
+    }
+
+    const user = await User.findOne({ where: byEmail(email) });
+    if (user) {
+      const token = await issueUserToken(
+        user.id,
+        "password_reset",
+        PASSWORD_RESET_TTL_MINUTES
+      );
+
+      await getMailer().sendMail({
+        to: user.email,
+        ...passwordResetEmail({
+          name: user.name,
+          token,
+          expiresInMinutes: PASSWORD_RESET_TTL_MINUTES,
+        }),
+      });
+      console.log(`Password reset requested for ${user.email}`);
+    }
+
+    res.json({
+      message:
+        "If an account exists for that email, a password reset link has been sent.",
+    });
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    res.status(500).json({ error: "Could not send password reset email" });
+  }
+};
+
+// Set a new password using a reset token; ends all existing sessions
+const resetPassword = async (req, res) => {
+  const { token, password } = req.body;
+
+  if (!password || String(password).length < 6) {
+    return res
+      .status(400)
+      .json({ error: "Password must be at least 6 characters long" });
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    const record = await consumeUserToken(token, "password_reset", {
+      transaction,
+    });
+
+    const user = await User.findByPk(record.userId, { transaction });
+    if (!user) {
+      await transaction.rollback();
+      return res.status(400).json({ error: "Invalid or expired token" });
+    }
+
+    // Receiving the reset link also proves ownership of the address
+    await user.update(
+      { password, emailVerified: true }, // Password hashed by model hook
+      { transaction }
+    );
+    await unlockUser(user, { transaction });
+    await revokeAllSessions(user.id, { transaction });
+
+    await transaction.commit();
+    console.log(`Password reset completed for ${user.email}`);
+
+    res.json({ message: "Password has been reset. Please log in again." });
+  } catch (error) {
+    await transaction.rollback();
+    console.error("Reset password error:", error.message);
+    res.status(error.statusCode || 400).json({ error: error.message });
+  }
+};
+
+// Change the password of the authenticated user. Other sessions are ended;
+// the current one continues with a fresh token pair
+const changePassword = async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (!currentPassword || !newPassword) {
+    return res
+      .status(400)
+      .json({ error: "Current password and new password are required" });
+  }
+  if (String(newPassword).length < 6) {
+    return res
+      .status(400)
+      .json({ error: "Password must be at least 6 characters long" });
+  }
+  if (currentPassword === newPassword) {
+    return res
+      .status(400)
+      .json({ error: "New password must be different from the current one" });
+  }
+
+  try {
+    const user = req.user;
+
+    // A wrong current password counts towards lockout like a failed login
+    const { allowed, retryAfterSeconds } = await checkLoginAllowed({
+      user,
+      ip: req.ip,
+    });
+    if (!allowed) {
+      return sendLockedOut(res, retryAfterSeconds);
+    }
+
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+      await recordLoginFailure({ user, ip: req.ip });
+      return res.status(400).json({ error: "Current password is incorrect" });
+    }
+
+    const transaction = await sequelize.transaction();
+    try {
+      await user.update({ password: newPassword }, { transaction }); // Hashed by model hook
+      await unlockUser(user, { transaction });
+      await revokeAllSessions(user.id, { transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    // revokeAllSessions bumped tokenVersion; reload so the new token carries it
+    await user.reload();
+    const { token, refreshToken, expiresIn } = await issueTokens(user, {
+      req,
+    });
+
+    console.log(`Password changed for ${user.email}`);
+    res.json({
+      message: "Password changed successfully",
+      token,
+      refreshToken,
+      expiresIn,
+    });
+  } catch (error) {
+    console.error("Change password error:", error);
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Mark the email address as verified using a verification token
+const verifyEmail = async (req, res) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const record = await consumeUserToken(
+      req.body.token,
+      "email_verification",
+      { transaction }
+    );
+
+    await User.update(
+      { emailVerified: true },
+      { where: { id: record.userId }, transaction }
+    );
+
+    await transaction.commit();
+
+    res.json({ message: "Email address verified" });
+  } catch (error) {
+    await transaction.rollback();
+    console.error("Verify email error:", error.message);
+    res.status(error.statusCode || 400).json({ error: error.message });
+  }
+};
+
+// Send a new verification email to the authenticated user
+const resendVerification = async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ error: "Email is already verified" });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({ message: "Verification email sent" });
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    res.status(500).json({ error: "Could not send verification email" });
+  }
+};
+
+module.exports = {
+  register,
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  verifyEmail,
+  resendVerification,
+};
@@ -12,15 +12,17 @@ const {
   WeeklyPlan,
   CreditPoints,
   CourseAttendance,
+  CourseStaff,
   sequelize,
 } = require("../models");
 const { ErrorHandler } = require("../middleware/errorHandler");
 const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const { canAccessCourse } = require("../utils/policies");
+const { lockCourse, promoteFromWaitlist } = require("../utils/enrollment");
 const { Op } = require("sequelize");
-const {
-  uploadFileToAzure,
-  deleteFileFromAzure,
-} = require("../utils/azureUtils");
+const { uploadFileToAzure } = require("../utils/azureUtils");
+const { enqueueFileCleanup } = require("../utils/jobQueue");
+const { moveToTrash, purgeDate } = require("../utils/trash");
 
 // Better logging setup - replace with your preferred logging library
 const logger = {
@@ -28,33 +30,38 @@ const logger = {
   error: (message, error) => console.error(`[ERROR] ${message}`, error),
 };
 
+// Associations that make up the full course detail view
+const courseDetailIncludes = () => [
+  { model: Semester },
+  { model: CourseOutcome, as: "Outcomes" },
+  { model: CourseSchedule, as: "Schedule" },
+  { model: CourseSyllabus, as: "Syllabus" },
+  { model: WeeklyPlan, as: "WeeklyPlan" },
+  { model: CreditPoints, as: "CreditPoints" },
+  { model: CourseAttendance, as: "Attendance" },
+];
+
+// Ways a course can be offered to students
+const ENROLLMENT_POLICIES = Course.rawAttributes.enrollmentPolicy.values;
+
+// Seat caps are whole numbers; null removes the cap
+const isValidCapacity = (capacity) =>
+  capacity === null || (Number.isInteger(capacity) && capacity >= 0);
+
 // Helper function to format course data for consistent API responses
 const formatCourseData = async (course) => {
   try {
     // Load associated data if not already loaded
-    if (!course.Semester && course.semester_id) {
+    if (!course.Semester && course.semesterId) {
       await course.reload({
-        include: [
-          { model: Semester, as: "Semester" },
-          { model: CourseOutcome, as: "Outcomes" },
-          { model: CourseSchedule, as: "Schedule" },
-          { model: CourseSyllabus, as: "Syllabus" },
-          { model: WeeklyPlan, as: "WeeklyPlan" },
-          { model: CreditPoints, as: "CreditPoints" },
-          { model: CourseAttendance, as: "Attendance" },
-          { model: Lecture, as: "Lectures" },
-        ],
+        include: [...courseDetailIncludes(), { model: Lecture }],
       });
     }
 
-    // Convert attendance sessions from JSON to object if needed
-    let attendanceSessions = {};
-    if (course.Attendance && course.Attendance.sessions) {
-      attendanceSessions =
-        typeof course.Attendance.sessions === "string"
-          ? JSON.parse(course.Attendance.sessions)
-          : course.Attendance.sessions;
-    }
+    const attendanceSessions =
+      course.Attendance && course.Attendance.sessions
+        ? course.Attendance.sessions
+        : {};
 
     // Process lectures
     let lectures = [];
@@ -63,32 +70,34 @@ const formatCourseData = async (course) => {
         id: lecture.id,
         title: lecture.title,
         content: lecture.content,
-        videoUrl: lecture.video_url,
-        isReviewed: lecture.is_reviewed,
-        reviewDeadline: lecture.review_deadline,
-        createdAt: lecture.created_at,
-        updatedAt: lecture.updated_at,
+        videoUrl: lecture.videoUrl,
+        isReviewed: lecture.isReviewed,
+        reviewDeadline: lecture.reviewDeadline,
+        createdAt: lecture.createdAt,
+        updatedAt: lecture.updatedAt,
       }));
     }
 
     return {
       id: course.id,
       title: course.title,
-      aboutCourse: course.about_course,
+      aboutCourse: course.aboutCourse,
+      enrollmentPolicy: course.enrollmentPolicy,
+      capacity: course.capacity,
       semester: course.Semester
         ? {
             id: course.Semester.id,
             name: course.Semester.name,
-            startDate: course.Semester.start_date,
-            endDate: course.Semester.end_date,
+            startDate: course.Semester.startDate,
+            endDate: course.Semester.endDate,
           }
         : null,
       creditPoints: course.CreditPoints
         ? {
-            lecture: course.CreditPoints.lecture_hours,
-            tutorial: course.CreditPoints.tutorial_hours,
-            practical: course.CreditPoints.practical_hours,
-            project: course.CreditPoints.project_hours,
+            lecture: course.CreditPoints.lecture,
+            tutorial: course.CreditPoints.tutorial,
+            practical: course.CreditPoints.practical,
+            project: course.CreditPoints.project,
           }
         : {
             lecture: 0,
@@ -96,17 +105,15 @@ const formatCourseData = async (course) => {
             practical: 0,
             project: 0,
           },
-      learningOutcomes: course.Outcomes
-        ? JSON.parse(course.Outcomes.outcomes || "[]")
-        : [],
+      learningOutcomes: course.Outcomes ? course.Outcomes.outcomes : [],
       weeklyPlan: course.WeeklyPlan
-        ? JSON.parse(course.WeeklyPlan.weeks || "[]").map((week) => ({
+        ? course.WeeklyPlan.weeks.map((week) => ({
             weekNumber: week.weekNumber,
             topics: week.topics,
           }))
         : [],
       syllabus: course.Syllabus
-        ? JSON.parse(course.Syllabus.modules || "[]").map((module) => ({
+        ? course.Syllabus.modules.map((module) => ({
             moduleNumber: module.moduleNumber,
             moduleTitle: module.moduleTitle,
             topics: module.topics,
@@ -114,13 +121,11 @@ const formatCourseData = async (course) => {
         : [],
       courseSchedule: course.Schedule
         ? {
-            classStartDate: course.Schedule.class_start_date,
-            classEndDate: course.Schedule.class_end_date,
-            midSemesterExamDate: course.Schedule.mid_semester_exam_date,
-            endSemesterExamDate: course.Schedule.end_semester_exam_date,
-            classDaysAndTimes: JSON.parse(
-              course.Schedule.class_days_and_times || "[]"
-            ),
+            classStartDate: course.Schedule.classStartDate,
+            classEndDate: course.Schedule.classEndDate,
+            midSemesterExamDate: course.Schedule.midSemesterExamDate,
+            endSemesterExamDate: course.Schedule.endSemesterExamDate,
+            classDaysAndTimes: course.Schedule.classDaysAndTimes,
           }
         : {
             classStartDate: null,
@@ -157,7 +162,7 @@ const getEnrolledCourses = catchAsyncErrors(async (req, res, next) => {
 
     // Find the student
     const student = await Student.findOne({
-      where: { user_id: req.user.id },
+      where: { userId: req.user.id },
       include: [{ model: User, attributes: ["name", "email"] }],
     });
 
@@ -168,8 +173,8 @@ const getEnrolledCourses = catchAsyncErrors(async (req, res, next) => {
 
     // Get the courses this student is enrolled in
     const enrollments = await StudentCourse.findAll({
-      where: { student_id: student.id },
-      attributes: ["course_id", "enrollment_date"],
+      where: { studentId: student.id, status: "enrolled" },
+      attributes: ["courseId", "enrollmentDate"],
     });
 
     if (enrollments.length === 0) {
@@ -186,19 +191,19 @@ const getEnrolledCourses = catchAsyncErrors(async (req, res, next) => {
       });
     }
 
-    const courseIds = enrollments.map((enrollment) => enrollment.course_id);
+    const courseIds = enrollments.map((enrollment) => enrollment.courseId);
 
     // Get course details
     const courses = await Course.findAll({
       where: { id: courseIds },
-      attributes: ["id", "title", "about_course"],
+      attributes: ["id", "title", "aboutCourse"],
       include: [
         {
           model: Semester,
-          attributes: ["id", "name", "start_date", "end_date"],
+          attributes: ["id", "name", "startDate", "endDate"],
         },
       ],
-      order: [["created_at", "DESC"]],
+      order: [["createdAt", "DESC"]],
     });
 
     logger.info(
@@ -208,7 +213,7 @@ const getEnrolledCourses = catchAsyncErrors(async (req, res, next) => {
     // Create a map of courseId to enrollment date
     const enrollmentDates = {};
     enrollments.forEach((enrollment) => {
-      enrollmentDates[enrollment.course_id] = enrollment.enrollment_date;
+      enrollmentDates[enrollment.courseId] = enrollment.enrollmentDate;
     });
 
     res.json({
@@ -222,14 +227,14 @@ const getEnrolledCourses = catchAsyncErrors(async (req, res, next) => {
       courses: courses.map((course) => ({
         id: course.id,
         title: course.title,
-        aboutCourse: course.about_course,
+        aboutCourse: course.aboutCourse,
         enrollmentDate: enrollmentDates[course.id],
         semester: course.Semester
           ? {
               id: course.Semester.id,
               name: course.Semester.name,
-              startDate: course.Semester.start_date,
-              endDate: course.Semester.end_date,
+              startDate: course.Semester.startDate,
+              endDate: course.Semester.endDate,
             }
           : null,
       })),
@@ -240,7 +245,92 @@ const getEnrolledCourses = catchAsyncErrors(async (req, res, next) => {
   }
 });
 
-// Get courses for the logged-in teacher or student
+// Get the courses a student can join: open and approval-required offerings
+// plus invite-only courses they have been invited to
+const getCourseCatalog = catchAsyncErrors(async (req, res, next) => {
+  const student = await Student.findOne({ where: { userId: req.user.id } });
+  if (!student) {
+    return next(new ErrorHandler("Student not found", 404));
+  }
+
+  const enrollments = await StudentCourse.findAll({
+    where: { studentId: student.id },
+    attributes: ["courseId", "status"],
+  });
+  const statusByCourse = {};
+  enrollments.forEach((enrollment) => {
+    statusByCourse[enrollment.courseId] = enrollment.status;
+  });
+
+  const courses = await Course.findAll({
+    where: {
+      [Op.or]: [
+        { enrollmentPolicy: { [Op.in]: ["open", "approval"] } },
+        { id: Object.keys(statusByCourse) },
+      ],
+    },
+    attributes: ["id", "title", "aboutCourse", "enrollmentPolicy", "capacity"],
+    include: [
+      {
+        model: Semester,
+        attributes: [
+          "id",
+          "name",
+          "startDate",
+          "endDate",
+          "enrollmentOpensAt",
+          "enrollmentClosesAt",
+          "dropDeadline",
+        ],
+      },
+    ],
+    order: [["createdAt", "DESC"]],
+  });
+
+  // Seats taken per course, for the ones with a cap
+  const seatCounts = await StudentCourse.count({
+    where: {
+      courseId: courses
+        .filter((course) => course.capacity !== null)
+        .map((course) => course.id),
+      status: "enrolled",
+    },
+    group: ["courseId"],
+  });
+  const seatsTaken = {};
+  seatCounts.forEach(({ courseId, count }) => {
+    seatsTaken[courseId] = Number(count);
+  });
+
+  res.json({
+    success: true,
+    courses: courses.map((course) => ({
+      id: course.id,
+      title: course.title,
+      aboutCourse: course.aboutCourse,
+      enrollmentPolicy: course.enrollmentPolicy,
+      enrollmentStatus: statusByCourse[course.id] || null,
+      capacity: course.capacity,
+      seatsAvailable:
+        course.capacity === null
+          ? null
+          : Math.max(0, course.capacity - (seatsTaken[course.id] || 0)),
+      semester: course.Semester
+        ? {
+            id: course.Semester.id,
+            name: course.Semester.name,
+            startDate: course.Semester.startDate,
+            endDate: course.Semester.endDate,
+            enrollmentOpensAt: course.Semester.enrollmentOpensAt,
+            enrollmentClosesAt: course.Semester.enrollmentClosesAt,
+            dropDeadline: course.Semester.dropDeadline,
+          }
+        : null,
+    })),
+  });
+});
+
+// Get courses for the logged-in teacher, teaching assistant or student
 const getUserCourses = catchAsyncErrors(async (req, res, next) => {
   try {
     logger.info(`Fetching courses for user with ID: ${req.user.id}`);
@@ -249,7 +339,7 @@ const getUserCourses = catchAsyncErrors(async (req, res, next) => {
     if (userRole === "teacher") {
       // Get teacher's courses
       const teacher = await Teacher.findOne({
-        where: { user_id: req.user.id },
+        where: { userId: req.user.id },
         include: [{ model: User, attributes: ["name", "email"] }],
       });
 
@@ -258,21 +348,27 @@ const getUserCourses = catchAsyncErrors(async (req, res, next) => {
         return next(new ErrorHandler("Teacher not found", 404));
       }
 
+      // Courses the teacher is primary or co-instructor of
       const courses = await Course.findAll({
-        where: { teacher_id: teacher.id },
-        attributes: ["id", "title", "about_course"],
+        attributes: ["id", "title", "aboutCourse"],
         include: [
           {
             model: Semester,
-            attributes: ["id", "name", "start_date", "end_date"],
+            attributes: ["id", "name", "startDate", "endDate"],
+          },
+          {
+            model: CourseStaff,
+            as: "Staff",
+            where: { userId: req.user.id },
+            attributes: ["role"],
           },
         ],
-        order: [["created_at", "DESC"]],
+        order: [["createdAt", "DESC"]],
       });
 
       // Count students for this teacher
       const studentCount = await Student.count({
-        where: { teacher_id: teacher.id },
+        where: { teacherId: teacher.id },
       });
 
       logger.info(`Found ${courses.length} courses for teacher: ${teacher.id}`);
@@ -289,13 +385,59 @@ const getUserCourses = catchAsyncErrors(async (req, res, next) => {
         courses: courses.map((course) => ({
           id: course.id,
           title: course.title,
-          aboutCourse: course.about_course,
+          aboutCourse: course.aboutCourse,
+          staffRole: course.Staff[0].role,
+          semester: course.Semester
+            ? {
+                id: course.Semester.id,
+                name: course.Semester.name,
+                startDate: course.Semester.startDate,
+                endDate: course.Semester.endDate,
+              }
+            : null,
+        })),
+      });
+    } else if (userRole === "ta") {
+      // Teaching assistants see the courses they are staff of
+      const memberships = await CourseStaff.findAll({
+        where: { userId: req.user.id },
+        include: [
+          {
+            model: Course,
+            attributes: ["id", "title", "aboutCourse"],
+            include: [
+              {
+                model: Semester,
+                attributes: ["id", "name", "startDate", "endDate"],
+              },
+            ],
+          },
+        ],
+        order: [["createdAt", "DESC"]],
+      });
+
+      logger.info(
+        `Found ${memberships.length} courses for teaching assistant: ${req.user.id}`
+      );
+
+      res.json({
+        user: {
+          id: req.user.id,
+          name: req.user.name,
+          email: req.user.email,
+          role: "ta",
+          totalCourses: memberships.length,
+        },
+        courses: memberships.map(({ Course: course }) => ({
+          id: course.id,
+          title: course.title,
+          aboutCourse: course.aboutCourse,
           semester: course.Semester
             ? {
                 id: course.Semester.id,
                 name: course.Semester.name,
-                startDate: course.Semester.start_date,
-                endDate: course.Semester.end_date,
+                startDate: course.Semester.startDate,
+                endDate: course.Semester.endDate,
               }
             : null,
         })),
@@ -321,15 +463,7 @@ const getCourseById = catchAsyncErrors(async (req, res, next) => {
 
     // Find the course with all its related data
     const course = await Course.findByPk(req.params.courseId, {
-      include: [
-        { model: Semester },
-        { model: CourseOutcome, as: "Outcomes" },
-        { model: CourseSchedule, as: "Schedule" },
-        { model: CourseSyllabus, as: "Syllabus" },
-        { model: WeeklyPlan, as: "WeeklyPlan" },
-        { model: CreditPoints, as: "CreditPoints" },
-        { model: CourseAttendance, as: "Attendance" },
-      ],
+      include: courseDetailIncludes(),
     });
 
     if (!course) {
@@ -337,91 +471,42 @@ const getCourseById = catchAsyncErrors(async (req, res, next) => {
       return next(new ErrorHandler("Course not found", 404));
     }
 
-    // Check if user has access to this course
-    let hasAccess = false;
-    let userDetails = null;
+    // Course access was checked by authorizeCourse; course staff also get
+    // its roster
+    const canViewRoster = await canAccessCourse(
+      req.user,
+      "roster:view",
+      course
+    );
     let students = [];
 
-    if (req.user.role === "teacher") {
-      // For teacher: check if they're the course teacher
-      const teacher = await Teacher.findOne({
-        where: {
-          user_id: req.user.id,
-          id: course.teacher_id,
-        },
-        include: [{ model: User, attributes: ["name", "email"] }],
-      });
-
-      if (teacher) {
-        hasAccess = true;
-        userDetails = {
-          id: teacher.id,
-          name: teacher.User.name,
-          email: teacher.email,
-        };
-
-        // Get students for this course
-        const enrollments = await StudentCourse.findAll({
-          where: { course_id: course.id },
-          include: [
-            {
-              model: Student,
-              include: [{ model: User, attributes: ["name", "email"] }],
-            },
-          ],
-        });
-
-        students = enrollments.map((enrollment, index) => ({
-          id: enrollment.Student.id,
-          rollNo: `CS${String(index + 101).padStart(3, "0")}`,
-          name: enrollment.Student.User
-            ? enrollment.Student.User.name
-            : "Unknown",
-          program: enrollment.Student.program || "Computer Science",
-          email: enrollment.Student.User ? enrollment.Student.User.email : "",
-          enrollmentDate: enrollment.enrollment_date,
-        }));
-      }
-    } else if (req.user.role === "student") {
-      // For student: check if they're enrolled in the course
-      const student = await Student.findOne({
-        where: { user_id: req.user.id },
-        include: [{ model: User, attributes: ["name", "email"] }],
-      });
-
-      if (student) {
-        // Check if student is enrolled in this course
-        const enrollment = await StudentCourse.findOne({
-          where: {
-            student_id: student.id,
-            course_id: course.id,
+    if (canViewRoster) {
+      const enrollments = await StudentCourse.findAll({
+        where: { courseId: course.id, status: "enrolled" },
+        include: [
+          {
+            model: Student,
+            include: [{ model: User, attributes: ["name", "email"] }],
           },
-        });
-
-        if (enrollment) {
-          hasAccess = true;
-          userDetails = {
-            id: student.id,
-            name: student.User.name,
-            email: student.User.email,
-          };
-        }
-      }
-    }
+        ],
+      });
 
-    if (!hasAccess) {
-      logger.error(
-        `User ${req.user.id} does not have access to course ${req.params.courseId}`
-      );
-      return next(
-        new ErrorHandler("You don't have access to this course", 403)
-      );
+      students = enrollments.map((enrollment, index) => ({
+        id: enrollment.Student.id,
+        rollNo: `CS${String(index + 101).padStart(3, "0")}`,
+        name: enrollment.Student.User
+          ? enrollment.Student.User.name
+          : "Unknown",
+        program: enrollment.Student.program || "Computer Science",
+        email: enrollment.Student.User ? enrollment.Student.User.email : "",
+        enrollmentDate: enrollment.enrollmentDate,
+      }));
     }
 
     // Get lectures for this course
     const lectures = await Lecture.findAll({
-      where: { course_id: course.id },
-      order: [["created_at", "ASC"]],
+      where: { courseId: course.id },
+      order: [["createdAt", "ASC"]],
     });
 
     // Add lectures to the course object
@@ -436,9 +521,9 @@ const getCourseById = catchAsyncErrors(async (req, res, next) => {
     const response = { ...formattedCourse };
 
     // Add user-specific data
-    if (req.user.role === "teacher") {
+    if (canViewRoster) {
       // Get teacher information and include student count
-      const teacherData = await Teacher.findByPk(course.teacher_id, {
+      const teacherData = await Teacher.findByPk(course.teacherId, {
         include: [{ model: User, attributes: ["name", "email"] }],
       });
 
@@ -449,17 +534,24 @@ const getCourseById = catchAsyncErrors(async (req, res, next) => {
         totalStudents: students.length,
       };
 
-      // Include students for teachers
+      // Include students for course staff
       response.students = students;
-    } else if (req.user.role === "student") {
-      response.student = {
-        id: userDetails.id,
-        name: userDetails.name,
-        email: userDetails.email,
-      };
+    } else {
+      const student = await Student.findOne({
+        where: { userId: req.user.id },
+        include: [{ model: User, attributes: ["name", "email"] }],
+      });
+
+      if (student) {
+        response.student = {
+          id: student.id,
+          name: student.User.name,
+          email: student.User.email,
+        };
+      }
 
       // Include teacher info for students
-      const teacherData = await Teacher.findByPk(course.teacher_id, {
+      const teacherData = await Teacher.findByPk(course.teacherId, {
         include: [{ model: User, attributes: ["name", "email"] }],
       });
 
@@ -472,6 +564,25 @@ const getCourseById = catchAsyncErrors(async (req, res, next) => {
       }
     }
 
+    // Everyone who can see the course sees who teaches it
+    const instructors = await CourseStaff.findAll({
+      where: {
+        courseId: course.id,
+        role: { [Op.in]: ["primary", "co_instructor"] },
+      },
+      include: [{ model: User, attributes: ["name", "email"] }],
+      order: [
+        ["role", "ASC"],
+        ["createdAt", "ASC"],
+      ],
+    });
+    response.instructors = instructors.map((member) => ({
+      userId: member.userId,
+      name: member.User.name,
+      email: member.User.email,
+      role: member.role,
+    }));
+
     res.json(response);
   } catch (error) {
     logger.error("Error in getCourseById:", error);
@@ -489,7 +600,7 @@ const createCourse = catchAsyncErrors(async (req, res, next) => {
 
     // Find teacher using the logged-in user ID
     const teacher = await Teacher.findOne({
-      where: { user_id: req.user.id },
+      where: { userId: req.user.id },
       transaction,
     });
 
@@ -499,24 +610,54 @@ const createCourse = catchAsyncErrors(async (req, res, next) => {
       return next(new ErrorHandler("Teacher not found", 404));
     }
 
+    if (
+      req.body.enrollmentPolicy &&
+      !ENROLLMENT_POLICIES.includes(req.body.enrollmentPolicy)
+    ) {
+      await transaction.rollback();
+      return next(
+        new ErrorHandler(
+          `enrollmentPolicy must be one of: ${ENROLLMENT_POLICIES.join(", ")}`,
+          400
+        )
+      );
+    }
+    if (
+      req.body.capacity !== undefined &&
+      !isValidCapacity(req.body.capacity)
+    ) {
+      await transaction.rollback();
+      return next(
+        new ErrorHandler("capacity must be a non-negative integer or null", 400)
+      );
+    }
+
     // Create main course
     const courseData = {
       title: req.body.title,
-      about_course: req.body.aboutCourse,
-      semester_id: req.body.semesterId,
-      teacher_id: teacher.id,
+      aboutCourse: req.body.aboutCourse,
+      semesterId: req.body.semesterId,
+      teacherId: teacher.id,
+      enrollmentPolicy: req.body.enrollmentPolicy || "open",
+      capacity: req.body.capacity === undefined ? null : req.body.capacity,
     };
 
     const course = await Course.create(courseData, { transaction });
     logger.info(`Main course created with ID: ${course.id}`);
 
+    // The creating teacher is the course's primary instructor
+    await CourseStaff.create(
+      { courseId: course.id, userId: req.user.id, role: "primary" },
+      { transaction }
+    );
+
     // Create learning outcomes
     if (req.body.learningOutcomes && req.body.learningOutcomes.length > 0) {
       logger.info("Creating learning outcomes");
       await CourseOutcome.create(
         {
-          course_id: course.id,
-          outcomes: JSON.stringify(req.body.learningOutcomes),
+          courseId: course.id,
+          outcomes: req.body.learningOutcomes,
         },
         { transaction }
       );
@@ -526,14 +667,12 @@ const createCourse = catchAsyncErrors(async (req, res, next) => {
     if (req.body.courseSchedule) {
       logger.info("Creating course schedule");
       const scheduleData = {
-        course_id: course.id,
-        class_start_date: req.body.courseSchedule.classStartDate,
-        class_end_date: req.body.courseSchedule.classEndDate,
-        mid_semester_exam_date: req.body.courseSchedule.midSemesterExamDate,
-        end_semester_exam_date: req.body.courseSchedule.endSemesterExamDate,
-        class_days_and_times: JSON.stringify(
-          req.body.courseSchedule.classDaysAndTimes || []
-        ),
+        courseId: course.id,
+        classStartDate: req.body.courseSchedule.classStartDate,
+        classEndDate: req.body.courseSchedule.classEndDate,
+        midSemesterExamDate: req.body.courseSchedule.midSemesterExamDate,
+        endSemesterExamDate: req.body.courseSchedule.endSemesterExamDate,
+        classDaysAndTimes: req.body.courseSchedule.classDaysAndTimes || [],
       };
       await CourseSchedule.create(scheduleData, { transaction });
     }
@@ -543,8 +682,8 @@ const createCourse = catchAsyncErrors(async (req, res, next) => {
       logger.info("Creating course syllabus");
       await CourseSyllabus.create(
         {
-          course_id: course.id,
-          modules: JSON.stringify(req.body.syllabus),
+          courseId: course.id,
+          modules: req.body.syllabus,
         },
         { transaction }
       );
@@ -555,8 +694,8 @@ const createCourse = catchAsyncErrors(async (req, res, next) => {
       logger.info("Creating weekly plan");
       await WeeklyPlan.create(
         {
-          course_id: course.id,
-          weeks: JSON.stringify(req.body.weeklyPlan),
+          courseId: course.id,
+          weeks: req.body.weeklyPlan,
         },
         { transaction }
       );
@@ -567,11 +706,11 @@ const createCourse = catchAsyncErrors(async (req, res, next) => {
       logger.info("Creating credit points");
       await CreditPoints.create(
         {
-          course_id: course.id,
-          lecture_hours: req.body.creditPoints.lecture || 0,
-          tutorial_hours: req.body.creditPoints.tutorial || 0,
-          practical_hours: req.body.creditPoints.practical || 0,
-          project_hours: req.body.creditPoints.project || 0,
+          courseId: course.id,
+          lecture: req.body.creditPoints.lecture || 0,
+          tutorial: req.body.creditPoints.tutorial || 0,
+          practical: req.body.creditPoints.practical || 0,
+          project: req.body.creditPoints.project || 0,
         },
         { transaction }
       );
@@ -582,8 +721,8 @@ const createCourse = catchAsyncErrors(async (req, res, next) => {
       logger.info("Creating course attendance");
       await CourseAttendance.create(
         {
-          course_id: course.id,
-          sessions: JSON.stringify(req.body.attendance.sessions),
+          courseId: course.id,
+          sessions: req.body.attendance.sessions,
         },
         { transaction }
       );
@@ -600,10 +739,10 @@ const createCourse = catchAsyncErrors(async (req, res, next) => {
           {
             title: lectureData.title,
             content: lectureData.content || null,
-            video_url: lectureData.videoUrl || null,
-            course_id: course.id,
-            is_reviewed: lectureData.isReviewed || false,
-            review_deadline: lectureData.reviewDeadline || null,
+            videoUrl: lectureData.videoUrl || null,
+            courseId: course.id,
+            isReviewed: lectureData.isReviewed || false,
+            reviewDeadline: lectureData.reviewDeadline || undefined,
           },
           { transaction }
         );
@@ -615,48 +754,13 @@ const createCourse = catchAsyncErrors(async (req, res, next) => {
       );
     }
 
-    // Find all students under this teacher and enroll them in the course
-    logger.info(`Finding students for teacher: ${teacher.id}`);
-    const students = await Student.findAll({
-      where: { teacher_id: teacher.id },
-      transaction,
-    });
-
-    // Add course ID to all students' enrollments
-    if (students && students.length > 0) {
-      logger.info(`Enrolling ${students.length} students in the course`);
-
-      const enrollmentPromises = students.map((student) => {
-        return StudentCourse.create(
-          {
-            student_id: student.id,
-            course_id: course.id,
-            enrollment_date: new Date(),
-          },
-          { transaction }
-        );
-      });
-
-      await Promise.all(enrollmentPromises);
-      logger.info("All students enrolled successfully");
-    }
-
     logger.info("Committing transaction");
     await transaction.commit();
     logger.info("Transaction committed successfully");
 
     // Fetch the fully populated course
     const createdCourse = await Course.findByPk(course.id, {
-      include: [
-        { model: Semester },
-        { model: CourseOutcome, as: "Outcomes" },
-        { model: CourseSchedule, as: "Schedule" },
-        { model: CourseSyllabus, as: "Syllabus" },
-        { model: WeeklyPlan, as: "WeeklyPlan" },
-        { model: CreditPoints, as: "CreditPoints" },
-        { model: CourseAttendance, as: "Attendance" },
-        { model: Lecture },
-      ],
+      include: [...courseDetailIncludes(), { model: Lecture }],
     });
 
     // Format the course data for API response
@@ -681,49 +785,58 @@ const updateCourse = catchAsyncErrors(async (req, res, next) => {
   const transaction = await sequelize.transaction();
 
   try {
-    // Find teacher and check authorization
-    const teacher = await Teacher.findOne({
-      where: { user_id: req.user.id },
-      transaction,
-    });
-
-    if (!teacher) {
-      logger.error(`Teacher not found for user ID: ${req.user.id}`);
-      await transaction.rollback();
-      return next(new ErrorHandler("Teacher not found", 404));
-    }
-
-    // Find the course and verify ownership
-    const course = await Course.findOne({
-      where: {
-        id: req.params.courseId,
-        teacher_id: teacher.id,
-      },
-      transaction,
-    });
-
-    if (!course) {
-      logger.error(`Course not found with ID: ${req.params.courseId}`);
-      await transaction.rollback();
-      return next(new ErrorHandler("Course not found or unauthorized", 404));
-    }
+    // Course access was checked by authorizeCourse
+    const course = req.course;
 
     // Update main course fields
     const updateData = {};
     if (req.body.title) updateData.title = req.body.title;
-    if (req.body.aboutCourse) updateData.about_course = req.body.aboutCourse;
-    if (req.body.semesterId) updateData.semester_id = req.body.semesterId;
+    if (req.body.aboutCourse) updateData.aboutCourse = req.body.aboutCourse;
+    if (req.body.semesterId) updateData.semesterId = req.body.semesterId;
+    if (req.body.enrollmentPolicy) {
+      if (!ENROLLMENT_POLICIES.includes(req.body.enrollmentPolicy)) {
+        await transaction.rollback();
+        return next(
+          new ErrorHandler(
+            `enrollmentPolicy must be one of: ${ENROLLMENT_POLICIES.join(
+              ", "
+            )}`,
+            400
+          )
+        );
+      }
+      updateData.enrollmentPolicy = req.body.enrollmentPolicy;
+    }
+    if (req.body.capacity !== undefined) {
+      if (!isValidCapacity(req.body.capacity)) {
+        await transaction.rollback();
+        return next(
+          new ErrorHandler(
+            "capacity must be a non-negative integer or null",
+            400
+          )
+        );
+      }
+      updateData.capacity = req.body.capacity;
+    }
 
     await course.update(updateData, { transaction });
     logger.info("Updated main course fields");
 
+    // A raised or removed cap lets waitlisted students in. Lowering it
+    // keeps everyone already enrolled
+    if (updateData.capacity !== undefined) {
+      await lockCourse(course.id, transaction);
+      await promoteFromWaitlist(course, transaction);
+    }
+
     // Update learning outcomes
     if (req.body.learningOutcomes) {
       const [outcome, created] = await CourseOutcome.findOrCreate({
-        where: { course_id: course.id },
+        where: { courseId: course.id },
         defaults: {
-          course_id: course.id,
-          outcomes: JSON.stringify(req.body.learningOutcomes),
+          courseId: course.id,
+          outcomes: req.body.learningOutcomes,
         },
         transaction,
       });
@@ -731,7 +844,7 @@ const updateCourse = catchAsyncErrors(async (req, res, next) => {
       if (!created) {
         await outcome.update(
           {
-            outcomes: JSON.stringify(req.body.learningOutcomes),
+            outcomes: req.body.learningOutcomes,
           },
           { transaction }
         );
@@ -742,18 +855,16 @@ const updateCourse = catchAsyncErrors(async (req, res, next) => {
     // Update course schedule
     if (req.body.courseSchedule) {
       const scheduleData = {
-        class_start_date: req.body.courseSchedule.classStartDate,
-        class_end_date: req.body.courseSchedule.classEndDate,
-        mid_semester_exam_date: req.body.courseSchedule.midSemesterExamDate,
-        end_semester_exam_date: req.body.courseSchedule.endSemesterExamDate,
-        class_days_and_times: JSON.stringify(
-          req.body.courseSchedule.classDaysAndTimes || []
-        ),
+        classStartDate: req.body.courseSchedule.classStartDate,
+        classEndDate: req.body.courseSchedule.classEndDate,
+        midSemesterExamDate: req.body.courseSchedule.midSemesterExamDate,
+        endSemesterExamDate: req.body.courseSchedule.endSemesterExamDate,
+        classDaysAndTimes: req.body.courseSchedule.classDaysAndTimes || [],
       };
 
       const [schedule, created] = await CourseSchedule.findOrCreate({
-        where: { course_id: course.id },
-        defaults: { ...scheduleData, course_id: course.id },
+        where: { courseId: course.id },
+        defaults: { ...scheduleData, courseId: course.id },
         transaction,
       });
 
@@ -766,10 +877,10 @@ const updateCourse = catchAsyncErrors(async (req, res, next) => {
     // Update syllabus
     if (req.body.syllabus) {
       const [syllabus, created] = await CourseSyllabus.findOrCreate({
-        where: { course_id: course.id },
+        where: { courseId: course.id },
         defaults: {
-          course_id: course.id,
-          modules: JSON.stringify(req.body.syllabus),
+          courseId: course.id,
+          modules: req.body.syllabus,
         },
         transaction,
       });
@@ -777,7 +888,7 @@ const updateCourse = catchAsyncErrors(async (req, res, next) => {
       if (!created) {
         await syllabus.update(
           {
-            modules: JSON.stringify(req.body.syllabus),
+            modules: req.body.syllabus,
           },
           { transaction }
         );
@@ -788,10 +899,10 @@ const updateCourse = catchAsyncErrors(async (req, res, next) => {
     // Update weekly plan
     if (req.body.weeklyPlan) {
       const [weeklyPlan, created] = await WeeklyPlan.findOrCreate({
-        where: { course_id: course.id },
+        where: { courseId: course.id },
         defaults: {
-          course_id: course.id,
-          weeks: JSON.stringify(req.body.weeklyPlan),
+          courseId: course.id,
+          weeks: req.body.weeklyPlan,
         },
         transaction,
       });
@@ -799,7 +910,7 @@ const updateCourse = catchAsyncErrors(async (req, res, next) => {
       if (!created) {
         await weeklyPlan.update(
           {
-            weeks: JSON.stringify(req.body.weeklyPlan),
+            weeks: req.body.weeklyPlan,
           },
           { transaction }
         );
@@ -810,15 +921,15 @@ const updateCourse = catchAsyncErrors(async (req, res, next) => {
     // Update credit points
     if (req.body.creditPoints) {
       const creditPointsData = {
-        lecture_hours: req.body.creditPoints.lecture || 0,
-        tutorial_hours: req.body.creditPoints.tutorial || 0,
-        practical_hours: req.body.creditPoints.practical || 0,
-        project_hours: req.body.creditPoints.project || 0,
+        lecture: req.body.creditPoints.lecture || 0,
+        tutorial: req.body.creditPoints.tutorial || 0,
+        practical: req.body.creditPoints.practical || 0,
+        project: req.body.creditPoints.project || 0,
       };
 
       const [creditPoints, created] = await CreditPoints.findOrCreate({
-        where: { course_id: course.id },
-        defaults: { ...creditPointsData, course_id: course.id },
+        where: { courseId: course.id },
+        defaults: { ...creditPointsData, courseId: course.id },
         transaction,
       });
 
@@ -831,10 +942,10 @@ const updateCourse = catchAsyncErrors(async (req, res, next) => {
     // Update attendance if provided
     if (req.body.attendance && req.body.attendance.sessions) {
       const [attendance, created] = await CourseAttendance.findOrCreate({
-        where: { course_id: course.id },
+        where: { courseId: course.id },
         defaults: {
-          course_id: course.id,
-          sessions: JSON.stringify(req.body.attendance.sessions),
+          courseId: course.id,
+          sessions: req.body.attendance.sessions,
         },
         transaction,
       });
@@ -842,7 +953,7 @@ const updateCourse = catchAsyncErrors(async (req, res, next) => {
       if (!created) {
         await attendance.update(
           {
-            sessions: JSON.stringify(req.body.attendance.sessions),
+            sessions: req.body.attendance.sessions,
           },
           { transaction }
         );
@@ -855,16 +966,7 @@ const updateCourse = catchAsyncErrors(async (req, res, next) => {
 
     // Get updated course with all populated fields
     const updatedCourse = await Course.findByPk(course.id, {
-      include: [
-        { model: Semester },
-        { model: CourseOutcome, as: "Outcomes" },
-        { model: CourseSchedule, as: "Schedule" },
-        { model: CourseSyllabus, as: "Syllabus" },
-        { model: WeeklyPlan, as: "WeeklyPlan" },
-        { model: CreditPoints, as: "CreditPoints" },
-        { model: CourseAttendance, as: "Attendance" },
-        { model: Lecture },
-      ],
+      include: [...courseDetailIncludes(), { model: Lecture }],
     });
 
     // Format the course data for API response
@@ -882,85 +984,26 @@ const updateCourse = catchAsyncErrors(async (req, res, next) => {
   }
 });
 
-// Delete course and all related data
+// Move a course to the trash. Its lectures, content and enrollments are kept
+// until it is restored or purged (see utils/trash)
 const deleteCourse = catchAsyncErrors(async (req, res, next) => {
   logger.info(`Deleting course ID: ${req.params.courseId}`);
   const transaction = await sequelize.transaction();
 
   try {
-    // Find teacher and check authorization
-    const teacher = await Teacher.findOne({
-      where: { user_id: req.user.id },
-      transaction,
-    });
-
-    if (!teacher) {
-      logger.error(`Teacher not found for user ID: ${req.user.id}`);
-      await transaction.rollback();
-      return next(new ErrorHandler("Teacher not found", 404));
-    }
-
-    // Find the course and verify ownership
-    const course = await Course.findOne({
-      where: {
-        id: req.params.courseId,
-        teacher_id: teacher.id,
-      },
-      transaction,
-    });
-
-    if (!course) {
-      logger.error(`Course not found with ID: ${req.params.courseId}`);
-      await transaction.rollback();
-      return next(new ErrorHandler("Course not found or unauthorized", 404));
-    }
-
-    // Before deleting course, get lectures to delete videos from Azure
-    const lectures = await Lecture.findAll({
-      where: { course_id: course.id },
-      transaction,
-    });
-
-    // Delete videos from Azure for each lecture
-    for (const lecture of lectures) {
-      if (lecture.video_key) {
-        try {
-          await deleteFileFromAzure(lecture.video_key);
-          logger.info(`Deleted video from Azure: ${lecture.video_key}`);
-        } catch (deleteError) {
-          logger.error("Error deleting video file:", deleteError);
-          // Continue with deletion even if Azure delete fails
-        }
-      }
-    }
-
-    // Delete all related data
-    await Promise.all([
-      CourseOutcome.destroy({ where: { course_id: course.id }, transaction }),
-      CourseSchedule.destroy({ where: { course_id: course.id }, transaction }),
-      CourseSyllabus.destroy({ where: { course_id: course.id }, transaction }),
-      WeeklyPlan.destroy({ where: { course_id: course.id }, transaction }),
-      CreditPoints.destroy({ where: { course_id: course.id }, transaction }),
-      CourseAttendance.destroy({
-        where: { course_id: course.id },
-        transaction,
-      }),
-      Lecture.destroy({ where: { course_id: course.id }, transaction }),
-      StudentCourse.destroy({ where: { course_id: course.id }, transaction }),
-    ]);
-
-    logger.info("Deleted all related course data");
+    // Course access was checked by authorizeCourse
+    const course = req.course;
 
-    // Delete the course itself (should be after related data is deleted)
-    await course.destroy({ transaction });
-    logger.info(`Course deleted: ${req.params.courseId}`);
+    await moveToTrash(course, req.user.id, transaction);
+    logger.info(`Course moved to trash: ${req.params.courseId}`);
 
     await transaction.commit();
     logger.info("Transaction committed successfully");
 
     res.json({
       success: true,
-      message: "Course deleted successfully",
+      message: "Course moved to the trash",
+      purgeAt: purgeDate(course),
     });
   } catch (error) {
     logger.error("Error in deleteCourse:", error);
@@ -979,32 +1022,8 @@ const addLecture = catchAsyncErrors(async (req, res, next) => {
   const transaction = await sequelize.transaction();
 
   try {
-    // Find teacher and check authorization
-    const teacher = await Teacher.findOne({
-      where: { user_id: req.user.id },
-      transaction,
-    });
-
-    if (!teacher) {
-      logger.error(`Teacher not found for user ID: ${req.user.id}`);
-      await transaction.rollback();
-      return next(new ErrorHandler("Teacher not found", 404));
-    }
-
-    // Find the course and verify ownership
-    const course = await Course.findOne({
-      where: {
-        id: req.params.courseId,
-        teacher_id: teacher.id,
-      },
-      transaction,
-    });
-
-    if (!course) {
-      logger.error(`Course not found with ID: ${req.params.courseId}`);
-      await transaction.rollback();
-      return next(new ErrorHandler("Course not found or unauthorized", 404));
-    }
+    // Course access was checked by authorizeCourse
+    const course = req.course;
 
     // Handle video file upload if present
     let videoUrl = req.body.videoUrl;
@@ -1032,11 +1051,11 @@ const addLecture = catchAsyncErrors(async (req, res, next) => {
       {
         title: req.body.title,
         content: req.body.content || req.body.title,
-        video_url: videoUrl,
-        video_key: videoKey,
-        course_id: course.id,
-        is_reviewed: req.body.isReviewed || false,
-        review_deadline: req.body.reviewDeadline || null,
+        videoUrl: videoUrl,
+        videoKey: videoKey,
+        courseId: course.id,
+        isReviewed: req.body.isReviewed || false,
+        reviewDeadline: req.body.reviewDeadline || undefined,
       },
       { transaction }
     );
@@ -1051,13 +1070,13 @@ const addLecture = catchAsyncErrors(async (req, res, next) => {
       id: newLecture.id,
       title: newLecture.title,
       content: newLecture.content,
-      videoUrl: newLecture.video_url,
-      videoKey: newLecture.video_key,
-      courseId: newLecture.course_id,
-      isReviewed: newLecture.is_reviewed,
-      reviewDeadline: newLecture.review_deadline,
-      createdAt: newLecture.created_at,
-      updatedAt: newLecture.updated_at,
+      videoUrl: newLecture.videoUrl,
+      videoKey: newLecture.videoKey,
+      courseId: newLecture.courseId,
+      isReviewed: newLecture.isReviewed,
+      reviewDeadline: newLecture.reviewDeadline,
+      createdAt: newLecture.createdAt,
+      updatedAt: newLecture.updatedAt,
     });
   } catch (error) {
     logger.error("Error in addLecture:", error);
@@ -1078,38 +1097,14 @@ const updateCourseLecture = catchAsyncErrors(async (req, res, next) => {
   const transaction = await sequelize.transaction();
 
   try {
-    // Find teacher and check authorization
-    const teacher = await Teacher.findOne({
-      where: { user_id: req.user.id },
-      transaction,
-    });
-
-    if (!teacher) {
-      logger.error(`Teacher not found for user ID: ${req.user.id}`);
-      await transaction.rollback();
-      return next(new ErrorHandler("Teacher not found", 404));
-    }
-
-    // Find the course and verify ownership
-    const course = await Course.findOne({
-      where: {
-        id: req.params.courseId,
-        teacher_id: teacher.id,
-      },
-      transaction,
-    });
-
-    if (!course) {
-      logger.error(`Course not found with ID: ${req.params.courseId}`);
-      await transaction.rollback();
-      return next(new ErrorHandler("Course not found or unauthorized", 404));
-    }
+    // Course access was checked by authorizeCourse
+    const course = req.course;
 
     // Find the lecture
     const lecture = await Lecture.findOne({
       where: {
         id: req.params.lectureId,
-        course_id: course.id,
+        courseId: course.id,
       },
       transaction,
     });
@@ -1125,9 +1120,9 @@ const updateCourseLecture = catchAsyncErrors(async (req, res, next) => {
     if (req.body.title) updateData.title = req.body.title;
     if (req.body.content) updateData.content = req.body.content;
     if (req.body.isReviewed !== undefined)
-      updateData.is_reviewed = req.body.isReviewed;
+      updateData.isReviewed = req.body.isReviewed;
     if (req.body.reviewDeadline)
-      updateData.review_deadline = req.body.reviewDeadline;
+      updateData.reviewDeadline = req.body.reviewDeadline;
 
     // Handle video file update if provided
     if (req.files && req.files.video) {
@@ -1139,24 +1134,20 @@ const updateCourseLecture = catchAsyncErrors(async (req, res, next) => {
         return next(new ErrorHandler("Uploaded file must be a video", 400));
       }
 
-      // Delete old video from Azure if it exists
-      if (lecture.video_key) {
-        try {
-          await deleteFileFromAzure(lecture.video_key);
-        } catch (deleteError) {
-          logger.error("Error deleting old video file:", deleteError);
-          // Continue with upload even if delete fails
-        }
-      }
+      // Delete the old video from Azure once the update is saved
+      await enqueueFileCleanup([lecture.videoKey], {
+        createdById: req.user.id,
+        transaction,
+      });
 
       // Upload new video to Azure
       const uploadPath = `courses/${course.id}/lectures`;
       const uploadResult = await uploadFileToAzure(videoFile, uploadPath);
 
-      updateData.video_url = uploadResult.url;
-      updateData.video_key = uploadResult.key;
+      updateData.videoUrl = uploadResult.url;
+      updateData.videoKey = uploadResult.key;
     } else if (req.body.videoUrl) {
-      updateData.video_url = req.body.videoUrl;
+      updateData.videoUrl = req.body.videoUrl;
     }
 
     await lecture.update(updateData, { transaction });
@@ -1170,13 +1161,13 @@ const updateCourseLecture = catchAsyncErrors(async (req, res, next) => {
       id: lecture.id,
       title: lecture.title,
       content: lecture.content,
-      videoUrl: lecture.video_url,
-      videoKey: lecture.video_key,
-      courseId: lecture.course_id,
-      isReviewed: lecture.is_reviewed,
-      reviewDeadline: lecture.review_deadline,
-      createdAt: lecture.created_at,
-      updatedAt: lecture.updated_at,
+      videoUrl: lecture.videoUrl,
+      videoKey: lecture.videoKey,
+      courseId: lecture.courseId,
+      isReviewed: lecture.isReviewed,
+      reviewDeadline: lecture.reviewDeadline,
+      createdAt: lecture.createdAt,
+      updatedAt: lecture.updatedAt,
     });
   } catch (error) {
     logger.error("Error in updateCourseLecture:", error);
@@ -1197,38 +1188,14 @@ const deleteCourseLecture = catchAsyncErrors(async (req, res, next) => {
   const transaction = await sequelize.transaction();
 
   try {
-    // Find teacher and check authorization
-    const teacher = await Teacher.findOne({
-      where: { user_id: req.user.id },
-      transaction,
-    });
-
-    if (!teacher) {
-      logger.error(`Teacher not found for user ID: ${req.user.id}`);
-      await transaction.rollback();
-      return next(new ErrorHandler("Teacher not found", 404));
-    }
-
-    // Find the course and verify ownership
-    const course = await Course.findOne({
-      where: {
-        id: req.params.courseId,
-        teacher_id: teacher.id,
-      },
-      transaction,
-    });
-
-    if (!course) {
-      logger.error(`Course not found with ID: ${req.params.courseId}`);
-      await transaction.rollback();
-      return next(new ErrorHandler("Course not found or unauthorized", 404));
-    }
+    // Course access was checked by authorizeCourse
+    const course = req.course;
 
     // Find the lecture
     const lecture = await Lecture.findOne({
       where: {
         id: req.params.lectureId,
-        course_id: course.id,
+        courseId: course.id,
       },
       transaction,
     });
@@ -1239,27 +1206,17 @@ const deleteCourseLecture = catchAsyncErrors(async (req, res, next) => {
       return next(new ErrorHandler("Lecture not found", 404));
     }
 
-    // Delete video from Azure if it exists
-    if (lecture.video_key) {
-      try {
-        await deleteFileFromAzure(lecture.video_key);
-        logger.info(`Deleted video from Azure: ${lecture.video_key}`);
-      } catch (deleteError) {
-        logger.error("Error deleting video file:", deleteError);
-        // Continue with lecture deletion even if Azure delete fails
-      }
-    }
-
-    // Delete the lecture
-    await lecture.destroy({ transaction });
-    logger.info(`Deleted lecture: ${lecture.id}`);
+    // The video is kept until the lecture is purged from the trash
+    await moveToTrash(lecture, req.user.id, transaction);
+    logger.info(`Lecture moved to trash: ${lecture.id}`);
 
     await transaction.commit();
     logger.info("Transaction committed successfully");
 
     res.json({
       success: true,
-      message: "Lecture deleted successfully",
+      message: "Lecture moved to the trash",
+      purgeAt: purgeDate(lecture),
     });
   } catch (error) {
     logger.error("Error in deleteCourseLecture:", error);
@@ -1277,59 +1234,13 @@ const getCourseLectures = catchAsyncErrors(async (req, res, next) => {
   try {
     logger.info(`Getting all lectures for course ID: ${req.params.courseId}`);
 
-    // Verify user has access to the course
-    const course = await Course.findByPk(req.params.courseId);
-
-    if (!course) {
-      logger.error(`Course not found with ID: ${req.params.courseId}`);
-      return next(new ErrorHandler("Course not found", 404));
-    }
-
-    let hasAccess = false;
-
-    if (req.user.role === "teacher") {
-      const teacher = await Teacher.findOne({
-        where: {
-          user_id: req.user.id,
-          id: course.teacher_id,
-        },
-      });
-
-      if (teacher) {
-        hasAccess = true;
-      }
-    } else if (req.user.role === "student") {
-      const student = await Student.findOne({
-        where: { user_id: req.user.id },
-      });
-
-      if (student) {
-        const enrollment = await StudentCourse.findOne({
-          where: {
-            student_id: student.id,
-            course_id: course.id,
-          },
-        });
-
-        if (enrollment) {
-          hasAccess = true;
-        }
-      }
-    }
-
-    if (!hasAccess) {
-      logger.error(
-        `User ${req.user.id} does not have access to course ${req.params.courseId}`
-      );
-      return next(
-        new ErrorHandler("You don't have access to this course", 403)
-      );
-    }
+    // Course access was checked by authorizeCourse
+    const course = req.course;
 
     // Get lectures for this course
     const lectures = await Lecture.findAll({
-      where: { course_id: course.id },
-      order: [["created_at", "ASC"]],
+      where: { courseId: course.id },
+      order: [["createdAt", "ASC"]],
     });
 
     // Check and update review status for all lectures
@@ -1338,22 +1249,22 @@ const getCourseLectures = catchAsyncErrors(async (req, res, next) => {
 
     for (const lecture of lectures) {
       if (
-        !lecture.is_reviewed &&
-        lecture.review_deadline &&
-        now >= lecture.review_deadline
+        !lecture.isReviewed &&
+        lecture.reviewDeadline &&
+        now >= lecture.reviewDeadline
       ) {
-        await lecture.update({ is_reviewed: true });
+        await lecture.update({ isReviewed: true });
       }
 
       updatedLectures.push({
         id: lecture.id,
         title: lecture.title,
         content: lecture.content,
-        videoUrl: lecture.video_url,
-        isReviewed: lecture.is_reviewed,
-        reviewDeadline: lecture.review_deadline,
-        createdAt: lecture.created_at,
-        updatedAt: lecture.updated_at,
+        videoUrl: lecture.videoUrl,
+        isReviewed: lecture.isReviewed,
+        reviewDeadline: lecture.reviewDeadline,
+        createdAt: lecture.createdAt,
+        updatedAt: lecture.updatedAt,
       });
     }
 
@@ -1371,41 +1282,15 @@ const updateCourseAttendance = catchAsyncErrors(async (req, res, next) => {
   const transaction = await sequelize.transaction();
 
   try {
-    // Find teacher and check authorization
-    const teacher = await Teacher.findOne({
-      where: { user_id: req.user.id },
-      transaction,
-    });
-
-    if (!teacher) {
-      logger.error(`Teacher not found for user ID: ${req.user.id}`);
-      await transaction.rollback();
-      return next(new ErrorHandler("Teacher not found", 404));
-    }
-
-    // Find the course and verify ownership
-    const course = await Course.findOne({
-      where: {
-        id: req.params.courseId,
-        teacher_id: teacher.id,
-      },
-      transaction,
-    });
-
-    if (!course) {
-      logger.error(`Course not found with ID: ${req.params.courseId}`);
-      await transaction.rollback();
-      return next(new ErrorHandler("Course not found or unauthorized", 404));
-    }
+    // Course access was checked by authorizeCourse
+    const course = req.course;
 
     if (req.body.sessions) {
-      const sessionsJson = JSON.stringify(req.body.sessions);
-
       const [attendance, created] = await CourseAttendance.findOrCreate({
-        where: { course_id: course.id },
+        where: { courseId: course.id },
         defaults: {
-          course_id: course.id,
-          sessions: sessionsJson,
+          courseId: course.id,
+          sessions: req.body.sessions,
         },
         transaction,
       });
@@ -1413,7 +1298,7 @@ const updateCourseAttendance = catchAsyncErrors(async (req, res, next) => {
       if (!created) {
         await attendance.update(
           {
-            sessions: sessionsJson,
+            sessions: req.body.sessions,
           },
           { transaction }
         );
@@ -1426,12 +1311,12 @@ const updateCourseAttendance = catchAsyncErrors(async (req, res, next) => {
 
     // Get updated course attendance
     const updatedAttendance = await CourseAttendance.findOne({
-      where: { course_id: course.id },
+      where: { courseId: course.id },
     });
 
     // Format attendance for response
     const attendanceSessions = updatedAttendance
-      ? JSON.parse(updatedAttendance.sessions || "{}")
+      ? updatedAttendance.sessions
       : {};
 
     res.json({
@@ -1453,6 +1338,7 @@ const updateCourseAttendance = catchAsyncErrors(async (req, res, next) => {
 module.exports = {
   getUserCourses,
   getEnrolledCourses,
+  getCourseCatalog,
   getCourseById,
   createCourse,
   updateCourse,
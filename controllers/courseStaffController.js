@@ -0,0 +1,128 @@
+const { fn, col } = require("sequelize");
+const { validate: isUuid } = require("uuid");
+const { CourseStaff, User, sequelize } = require("../models");
+const { ErrorHandler } = require("../middleware/errorHandler");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+
+// Staff roles that can be granted through the API, with the account role
+// each one requires. The primary instructor follows Course.teacherId
+const ASSIGNABLE_ROLES = {
+  co_instructor: "teacher",
+  ta: "ta",
+};
+
+// Shape a staff membership for API responses
+const formatStaffMember = (member) => ({
+  id: member.id,
+  userId: member.userId,
+  name: member.User ? member.User.name : null,
+  email: member.User ? member.User.email : null,
+  role: member.role,
+  addedAt: member.createdAt,
+});
+
+// List the staff of a course, primary instructor first
+const getCourseStaff = catchAsyncErrors(async (req, res, next) => {
+  const staff = await CourseStaff.findAll({
+    where: { courseId: req.course.id },
+    include: [{ model: User, attributes: ["name", "email"] }],
+    order: [
+      ["role", "ASC"],
+      ["createdAt", "ASC"],
+    ],
+  });
+
+  res.json({
+    success: true,
+    courseId: req.course.id,
+    staff: staff.map(formatStaffMember),
+  });
+});
+
+// Add a co-instructor or teaching assistant to a course, by user ID or email
+const addCourseStaff = catchAsyncErrors(async (req, res, next) => {
+  const { userId, email } = req.body;
+  if (!userId && !email) {
+    return next(new ErrorHandler("userId or email is required", 400));
+  }
+  if (userId && !isUuid(String(userId))) {
+    return next(new ErrorHandler("userId must be a UUID", 400));
+  }
+
+  // Exact match whatever the case; the email is not a LIKE pattern
+  const user = await User.findOne({
+    where: userId
+      ? { id: userId }
+      : sequelize.where(
+          fn("lower", col("email")),
+          String(email).trim().toLowerCase()
+        ),
+  });
+  if (!user) {
+    return next(new ErrorHandler("User not found", 404));
+  }
+
+  // Teachers join as co-instructors and TAs as TAs unless a role is given
+  const role =
+    req.body.role || (user.role === "teacher" ? "co_instructor" : "ta");
+  if (!ASSIGNABLE_ROLES[role]) {
+    return next(new ErrorHandler("Role must be co_instructor or ta", 400));
+  }
+  if (user.role !== ASSIGNABLE_ROLES[role]) {
+    return next(
+      new ErrorHandler(
+        `Only ${ASSIGNABLE_ROLES[role]} accounts can be added as ${role}`,
+        400
+      )
+    );
+  }
+
+  const [member, created] = await CourseStaff.findOrCreate({
+    where: { courseId: req.course.id, userId: user.id },
+    defaults: { role, addedById: req.user.id },
+  });
+  if (!created) {
+    return next(
+      new ErrorHandler("User is already a staff member of this course", 400)
+    );
+  }
+
+  member.User = user;
+  console.log(`Added ${user.email} as ${role} of course ${req.course.id}`);
+
+  res.status(201).json({
+    success: true,
+    message: "Staff member added successfully",
+    staff: formatStaffMember(member),
+  });
+});
+
+// Remove a co-instructor or teaching assistant from a course
+const removeCourseStaff = catchAsyncErrors(async (req, res, next) => {
+  const member = await CourseStaff.findOne({
+    where: { courseId: req.course.id, userId: req.params.userId },
+  });
+
+  if (!member) {
+    return next(new ErrorHandler("Staff member not found", 404));
+  }
+
+  if (member.role === "primary") {
+    return next(
+      new ErrorHandler("The primary instructor cannot be removed", 400)
+    );
+  }
+
+  await member.destroy();
+
+  console.log(
+    `Removed user ${req.params.userId} from staff of course ${req.course.id}`
+  );
+  res.json({ success: true, message: "Staff member removed successfully" });
+});
+
+module.exports = {
+  getCourseStaff,
+  addCourseStaff,
+  removeCourseStaff,
+};
@@ -2,17 +2,13 @@ const {
   EContent,
   EContentModule,
   EContentFile,
-  Course,
-  Teacher,
-  Student,
   sequelize,
 } = require("../models");
 const { ErrorHandler } = require("../middleware/errorHandler");
 const catchAsyncErrors = require("../middleware/catchAsyncErrors");
-const {
-  uploadFileToAzure,
-  deleteFileFromAzure,
-} = require("../utils/azureUtils");
+const { uploadFileToAzure } = require("../utils/azureUtils");
+const { enqueueFileCleanup } = require("../utils/jobQueue");
+const { moveToTrash, purgeDate } = require("../utils/trash");
 
 // Helper function to handle file uploads
 const handleFileUploads = async (files, allowedTypes, next) => {
@@ -110,31 +106,7 @@ exports.createEContent = catchAsyncErrors(async (req, res, next) => {
       );
     }
 
-    // Check if course exists and belongs to the teacher
-    const teacher = await Teacher.findOne({
-      where: { userId: req.user.id },
-      transaction,
-    });
-
-    if (!teacher) {
-      await transaction.rollback();
-      return next(new ErrorHandler("Teacher not found", 404));
-    }
-
-    const course = await Course.findOne({
-      where: {
-        id: courseId,
-        teacherId: teacher.id,
-      },
-      transaction,
-    });
-
-    if (!course) {
-      console.log(`Course not found: ${courseId}`);
-      await transaction.rollback();
-      return next(new ErrorHandler("Course not found or unauthorized", 404));
-    }
-    console.log("Course found");
+    // Course access was checked by authorizeCourse
 
     // Find existing EContent document for this course or create new one
     let eContent = await EContent.findOne({
@@ -241,44 +213,7 @@ exports.getEContentByCourse = catchAsyncErrors(async (req, res, next) => {
   try {
     console.log(`Fetching EContent for course: ${courseId}`);
 
-    // Check if course exists
-    const course = await Course.findByPk(courseId);
-    if (!course) {
-      console.log(`Course not found: ${courseId}`);
-      return next(new ErrorHandler("Course not found", 404));
-    }
-
-    // If user is a teacher, verify they own the course
-    if (req.user.role === "teacher") {
-      const teacher = await Teacher.findOne({
-        where: { userId: req.user.id },
-      });
-
-      if (!teacher || course.teacherId !== teacher.id) {
-        return next(new ErrorHandler("Unauthorized access", 403));
-      }
-    }
-    // If user is a student, verify they're enrolled in the course
-    else if (req.user.role === "student") {
-      const student = await Student.findOne({
-        where: { userId: req.user.id },
-      });
-
-      if (!student) {
-        return next(new ErrorHandler("Student not found", 404));
-      }
-
-      const enrollment = await sequelize.models.StudentCourse.findOne({
-        where: {
-          studentId: student.id,
-          courseId,
-        },
-      });
-
-      if (!enrollment) {
-        return next(new ErrorHandler("Not enrolled in this course", 403));
-      }
-    }
+    // Course access was checked by authorizeCourse
 
     // Find EContent with modules and files
     const eContent = await EContent.findOne({
@@ -324,41 +259,7 @@ exports.getModuleById = catchAsyncErrors(async (req, res, next) => {
   try {
     console.log(`Fetching module ${moduleId} for course: ${courseId}`);
 
-    // Check course access
-    const course = await Course.findByPk(courseId);
-    if (!course) {
-      return next(new ErrorHandler("Course not found", 404));
-    }
-
-    // Verify access rights
-    if (req.user.role === "teacher") {
-      const teacher = await Teacher.findOne({
-        where: { userId: req.user.id },
-      });
-
-      if (!teacher || course.teacherId !== teacher.id) {
-        return next(new ErrorHandler("Unauthorized access", 403));
-      }
-    } else if (req.user.role === "student") {
-      const student = await Student.findOne({
-        where: { userId: req.user.id },
-      });
-
-      if (!student) {
-        return next(new ErrorHandler("Student not found", 404));
-      }
-
-      const enrollment = await sequelize.models.StudentCourse.findOne({
-        where: {
-          studentId: student.id,
-          courseId,
-        },
-      });
-
-      if (!enrollment) {
-        return next(new ErrorHandler("Not enrolled in this course", 403));
-      }
-    }
+    // Course access was checked by authorizeCourse
 
     // Find EContent for this course
     const eContent = await EContent.findOne({
@@ -407,29 +308,7 @@ exports.updateModule = catchAsyncErrors(async (req, res, next) => {
 
     console.log(`Updating module ${moduleId} for course: ${courseId}`);
 
-    // Check course access
-    const teacher = await Teacher.findOne({
-      where: { userId: req.user.id },
-      transaction,
-    });
-
-    if (!teacher) {
-      await transaction.rollback();
-      return next(new ErrorHandler("Teacher not found", 404));
-    }
-
-    const course = await Course.findOne({
-      where: {
-        id: courseId,
-        teacherId: teacher.id,
-      },
-      transaction,
-    });
-
-    if (!course) {
-      await transaction.rollback();
-      return next(new ErrorHandler("Course not found or unauthorized", 404));
-    }
+    // Course access was checked by authorizeCourse
 
     // Find EContent for this course
     const eContent = await EContent.findOne({
@@ -543,29 +422,7 @@ exports.deleteModule = catchAsyncErrors(async (req, res, next) => {
 
     console.log(`Deleting module ${moduleId} for course: ${courseId}`);
 
-    // Check course access
-    const teacher = await Teacher.findOne({
-      where: { userId: req.user.id },
-      transaction,
-    });
-
-    if (!teacher) {
-      await transaction.rollback();
-      return next(new ErrorHandler("Teacher not found", 404));
-    }
-
-    const course = await Course.findOne({
-      where: {
-        id: courseId,
-        teacherId: teacher.id,
-      },
-      transaction,
-    });
-
-    if (!course) {
-      await transaction.rollback();
-      return next(new ErrorHandler("Course not found or unauthorized", 404));
-    }
+    // Course access was checked by authorizeCourse
 
     // Find EContent for this course
     const eContent = await EContent.findOne({
@@ -579,13 +436,12 @@ exports.deleteModule = catchAsyncErrors(async (req, res, next) => {
       return next(new ErrorHandler("No EContent found for this course", 404));
     }
 
-    // Find specific module with its files
+    // Find specific module
     const module = await EContentModule.findOne({
       where: {
         id: moduleId,
         eContentId: eContent.id,
       },
-      include: [EContentFile],
       transaction,
     });
 
@@ -595,40 +451,20 @@ exports.deleteModule = catchAsyncErrors(async (req, res, next) => {
       return next(new ErrorHandler("Module not found", 404));
     }
 
-    // Delete all module files from Azure Blob Storage if there are any
-    if (module.EContentFiles && module.EContentFiles.length > 0) {
-      console.log(
-        `Deleting ${module.EContentFiles.length} files from Azure Blob Storage`
-      );
-
-      try {
-        const deletePromises = module.EContentFiles.map((file) =>
-          deleteFileFromAzure(file.fileKey)
-        );
-
-        await Promise.all(deletePromises);
-        console.log("All files deleted from Azure Blob Storage");
-      } catch (azureError) {
-        console.error(
-          "Error deleting files from Azure Blob Storage:",
-          azureError
-        );
-        // Continue with the database deletion even if Azure deletion fails
-      }
-    }
-
-    // Delete the module (will cascade delete files due to foreign key constraints)
-    await module.destroy({ transaction });
-    console.log("Module removed");
+    // Files and their blobs are kept until the module is purged from the
+    // trash
+    await moveToTrash(module, req.user.id, transaction);
+    console.log("Module moved to trash");
 
     await transaction.commit();
     console.log("Transaction committed");
 
     res.status(200).json({
       success: true,
-      message: "Module deleted successfully",
+      message: "Module moved to the trash",
       courseId: courseId,
       moduleId: moduleId,
+      purgeAt: purgeDate(module),
     });
   } catch (error) {
     console.log(`Error in deleteModule: ${error.message}`);
@@ -653,29 +489,7 @@ exports.deleteFile = catchAsyncErrors(async (req, res, next) => {
       `Deleting file ${fileId} from module ${moduleId} for course: ${courseId}`
     );
 
-    // Check course access
-    const teacher = await Teacher.findOne({
-      where: { userId: req.user.id },
-      transaction,
-    });
-
-    if (!teacher) {
-      await transaction.rollback();
-      return next(new ErrorHandler("Teacher not found", 404));
-    }
-
-    const course = await Course.findOne({
-      where: {
-        id: courseId,
-        teacherId: teacher.id,
-      },
-      transaction,
-    });
-
-    if (!course) {
-      await transaction.rollback();
-      return next(new ErrorHandler("Course not found or unauthorized", 404));
-    }
+    // Course access was checked by authorizeCourse
 
     // Find EContent
     const eContent = await EContent.findOne({
@@ -719,15 +533,11 @@ exports.deleteFile = catchAsyncErrors(async (req, res, next) => {
       return next(new ErrorHandler("File not found", 404));
     }
 
-    // Delete from Azure Blob Storage
-    try {
-      console.log(`Deleting file from Azure Blob Storage: ${file.fileKey}`);
-      await deleteFileFromAzure(file.fileKey);
-      console.log("File deleted from Azure Blob Storage");
-    } catch (azureError) {
-      console.error("Error deleting file from Azure Blob Storage:", azureError);
-      // Continue with the database deletion even if Azure deletion fails
-    }
+    // Delete from Azure Blob Storage once the record is gone
+    await enqueueFileCleanup([file.fileKey], {
+      createdById: req.user.id,
+      transaction,
+    });
 
     // Delete file from database
     await file.destroy({ transaction });
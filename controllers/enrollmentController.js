@@ -0,0 +1,426 @@
+const { fn, col } = require("sequelize");
+const { validate: isUuid } = require("uuid");
+const { StudentCourse, Student, User, sequelize } = require("../models");
+const { ErrorHandler } = require("../middleware/errorHandler");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const {
+  lockCourse,
+  countOpenSeats,
+  seatOrWaitlist,
+  getWaitlistPosition,
+  promoteFromWaitlist,
+} = require("../utils/enrollment");
+const { normalizeRow } = require("../utils/excelParser");
+const { BULK_ACTIONS } = require("../utils/bulkEnrollment");
+const { enqueueJob } = require("../utils/jobQueue");
+const { refreshLateFlags } = require("../utils/latePolicy");
+
+const ENROLLMENT_STATUSES = StudentCourse.rawAttributes.status.values;
+
+// Shape an enrollment row for API responses
+const formatEnrollment = (enrollment, waitlistPosition = null) => ({
+  id: enrollment.id,
+  studentId: enrollment.studentId,
+  name: enrollment.Student.User ? enrollment.Student.User.name : "Unknown",
+  email: enrollment.Student.User ? enrollment.Student.User.email : "",
+  program: enrollment.Student.program,
+  status: enrollment.status,
+  waitlistPosition,
+  finalGrade: enrollment.finalGrade,
+  accommodationDays: enrollment.accommodationDays,
+  accommodationNote: enrollment.accommodationNote,
+  enrollmentDate: enrollment.enrollmentDate,
+  createdAt: enrollment.createdAt,
+});
+
+const studentInclude = () => ({
+  model: Student,
+  include: [{ model: User, attributes: ["name", "email"] }],
+});
+
+// List a course's enrollments, pending requests, invitations and waitlist
+const getCourseEnrollments = catchAsyncErrors(async (req, res, next) => {
+  const where = { courseId: req.course.id };
+  if (req.query.status) {
+    if (!ENROLLMENT_STATUSES.includes(req.query.status)) {
+      return next(
+        new ErrorHandler(
+          `status must be one of: ${ENROLLMENT_STATUSES.join(", ")}`,
+          400
+        )
+      );
+    }
+    where.status = req.query.status;
+  }
+
+  // Waitlisted rows come back in waitlist order
+  const enrollments = await StudentCourse.findAll({
+    where,
+    include: [studentInclude()],
+    order: [
+      ["waitlistedAt", "ASC NULLS FIRST"],
+      ["createdAt", "ASC"],
+    ],
+  });
+
+  let position = 0;
+  const openSeats = await countOpenSeats(req.course);
+
+  res.json({
+    success: true,
+    courseId: req.course.id,
+    enrollmentPolicy: req.course.enrollmentPolicy,
+    capacity: req.course.capacity,
+    seatsAvailable: Number.isFinite(openSeats) ? openSeats : null,
+    enrollments: enrollments.map((enrollment) =>
+      formatEnrollment(
+        enrollment,
+        enrollment.status === "waitlisted" ? ++position : null
+      )
+    ),
+  });
+});
+
+// Invite a student to a course, by student ID or email. The student joins
+// once they accept, whatever the course's enrollment policy
+const inviteStudent = catchAsyncErrors(async (req, res, next) => {
+  const { studentId, email } = req.body;
+  if (!studentId && !email) {
+    return next(new ErrorHandler("studentId or email is required", 400));
+  }
+  if (studentId && !isUuid(String(studentId))) {
+    return next(new ErrorHandler("studentId must be a UUID", 400));
+  }
+
+  // Exact match whatever the case; the email is not a LIKE pattern
+  const userInclude = { model: User, attributes: ["name", "email"] };
+  if (!studentId) {
+    userInclude.where = sequelize.where(
+      fn("lower", col("User.email")),
+      String(email).trim().toLowerCase()
+    );
+  }
+  const student = await Student.findOne({
+    where: studentId ? { id: studentId } : {},
+    include: [userInclude],
+  });
+  if (!student) {
+    return next(new ErrorHandler("Student not found", 404));
+  }
+
+  const transaction = await sequelize.transaction();
+  try {
+    const course = await lockCourse(req.course.id, transaction);
+
+    const [enrollment, created] = await StudentCourse.findOrCreate({
+      where: { studentId: student.id, courseId: course.id },
+      defaults: { status: "invited", enrollmentDate: null },
+      transaction,
+    });
+
+    if (!created && enrollment.status !== "requested") {
+      await transaction.rollback();
+      return next(
+        new ErrorHandler(
+          `Student is already ${enrollment.status} in this course`,
+          400
+        )
+      );
+    }
+
+    // Inviting a student who asked to join simply approves the request
+    if (!created) {
+      await enrollment.update(await seatOrWaitlist(course, transaction), {
+        transaction,
+      });
+    }
+
+    const waitlistPosition = await getWaitlistPosition(enrollment, transaction);
+    await transaction.commit();
+
+    enrollment.Student = student;
+    console.log(
+      `Student ${student.id} ${enrollment.status} in course ${course.id}`
+    );
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created
+        ? "Student invited successfully"
+        : "Pending request approved",
+      enrollment: formatEnrollment(enrollment, waitlistPosition),
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error("Error in inviteStudent:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Approve a student's pending enrollment request; full courses waitlist them
+const approveEnrollment = catchAsyncErrors(async (req, res, next) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const course = await lockCourse(req.course.id, transaction);
+
+    const enrollment = await StudentCourse.findOne({
+      where: { courseId: course.id, studentId: req.params.studentId },
+      include: [studentInclude()],
+      transaction,
+    });
+
+    if (!enrollment || enrollment.status !== "requested") {
+      await transaction.rollback();
+      return next(new ErrorHandler("Enrollment request not found", 404));
+    }
+
+    await enrollment.update(await seatOrWaitlist(course, transaction), {
+      transaction,
+    });
+    const waitlistPosition = await getWaitlistPosition(enrollment, transaction);
+    await transaction.commit();
+
+    console.log(
+      `Approved enrollment of student ${enrollment.studentId} in course ${course.id} (${enrollment.status})`
+    );
+    res.json({
+      success: true,
+      message: waitlistPosition
+        ? `Enrollment request approved, course is full so the student is waitlisted at position ${waitlistPosition}`
+        : "Enrollment request approved",
+      enrollment: formatEnrollment(enrollment, waitlistPosition),
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error("Error in approveEnrollment:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Confirmation for each kind of removed enrollment row
+const REMOVAL_MESSAGES = {
+  enrolled: "Student removed from the course",
+  requested: "Enrollment request rejected",
+  invited: "Invitation revoked",
+  waitlisted: "Student removed from the waitlist",
+};
+
+// Remove a student from a course, reject their request, revoke their
+// invitation or take them off the waitlist. Staff are not bound by the
+// semester's drop deadline
+const removeEnrollment = catchAsyncErrors(async (req, res, next) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const course = await lockCourse(req.course.id, transaction);
+
+    const enrollment = await StudentCourse.findOne({
+      where: { courseId: course.id, studentId: req.params.studentId },
+      transaction,
+    });
+
+    if (!enrollment) {
+      await transaction.rollback();
+      return next(new ErrorHandler("Enrollment not found", 404));
+    }
+
+    await enrollment.destroy({ transaction });
+
+    if (enrollment.status === "enrolled") {
+      await promoteFromWaitlist(course, transaction);
+    }
+
+    await transaction.commit();
+
+    console.log(
+      `Removed ${enrollment.status} student ${enrollment.studentId} from course ${course.id}`
+    );
+    res.json({
+      success: true,
+      message: REMOVAL_MESSAGES[enrollment.status],
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error("Error in removeEnrollment:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Record or clear an enrolled student's final course grade (percentage)
+const setFinalGrade = catchAsyncErrors(async (req, res, next) => {
+  const { finalGrade } = req.body;
+  if (
+    finalGrade === undefined ||
+    (finalGrade !== null &&
+      !(typeof finalGrade === "number" && finalGrade >= 0 && finalGrade <= 100))
+  ) {
+    return next(
+      new ErrorHandler("finalGrade must be a number between 0 and 100", 400)
+    );
+  }
+
+  const enrollment = await StudentCourse.findOne({
+    where: {
+      courseId: req.course.id,
+      studentId: req.params.studentId,
+      status: "enrolled",
+    },
+    include: [studentInclude()],
+  });
+
+  if (!enrollment) {
+    return next(new ErrorHandler("Enrollment not found", 404));
+  }
+
+  await enrollment.update({ finalGrade });
+
+  console.log(
+    `Final grade of student ${enrollment.studentId} in course ${req.course.id} set to ${finalGrade}`
+  );
+  res.json({
+    success: true,
+    message: "Final grade saved",
+    enrollment: formatEnrollment(enrollment),
+  });
+});
+
+// Give an enrolled student extra days on every due date in the course, or
+// remove them with accommodationDays: 0. An assignment extension only
+// applies where it is later than the accommodated due date
+const setAccommodation = catchAsyncErrors(async (req, res, next) => {
+  const { accommodationDays } = req.body;
+  const note = req.body.note ? String(req.body.note).trim() : null;
+  if (!Number.isInteger(accommodationDays) || accommodationDays < 0) {
+    return next(
+      new ErrorHandler("accommodationDays must be a whole number of days", 400)
+    );
+  }
+
+  const transaction = await sequelize.transaction();
+  let enrollment;
+  let lateFlagsChanged;
+  try {
+    enrollment = await StudentCourse.findOne({
+      where: {
+        courseId: req.course.id,
+        studentId: req.params.studentId,
+        status: "enrolled",
+      },
+      include: [studentInclude()],
+      transaction,
+    });
+    if (!enrollment) {
+      await transaction.rollback();
+      return next(new ErrorHandler("Enrollment not found", 404));
+    }
+
+    await enrollment.update(
+      {
+        accommodationDays,
+        accommodationNote: accommodationDays > 0 ? note : null,
+      },
+      { transaction }
+    );
+    // Work already handed in may no longer be late, or be late again
+    lateFlagsChanged = await refreshLateFlags(
+      req.course.id,
+      enrollment.studentId,
+      {
+        transaction,
+      }
+    );
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    return next(new ErrorHandler(error.message, 500));
+  }
+
+  console.log(
+    `Accommodation of student ${enrollment.studentId} in course ${req.course.id} set to ${accommodationDays} day(s)`
+  );
+  res.json({
+    success: true,
+    message: "Accommodation saved",
+    enrollment: formatEnrollment(enrollment),
+    lateFlagsChanged,
+  });
+});
+
+// Pull student identifiers out of a roster row, whatever its headers
+const readRosterRow = (row) => {
+  const values = normalizeRow(row);
+  const email = values.email ? String(values.email).trim().toLowerCase() : "";
+  const studentId = values.studentId ? String(values.studentId).trim() : "";
+  return { email: email || null, studentId: studentId || null };
+};
+
+// Students to process, from an uploaded roster (req.importRows) or a JSON
+// body listing student IDs or emails. Uploaded rows keep their sheet row
+// numbers
+const getRosterRows = (req) => {
+  if (req.importRows) {
+    return req.importRows.map(({ row, values }) => ({
+      row,
+      ...readRosterRow(values),
+    }));
+  }
+
+  const students = Array.isArray(req.body.students) ? req.body.students : [];
+  return students.map((entry, index) => ({
+    row: index + 1,
+    ...(typeof entry === "string"
+      ? readRosterRow(
+          entry.includes("@") ? { email: entry } : { studentId: entry }
+        )
+      : readRosterRow(entry || {})),
+  }));
+};
+
+// Queue enrolling or dropping a list of students, from a JSON list or an
+// uploaded XLSX/CSV roster. The job result reports every row as enrolled,
+// already-enrolled, dropped, not-enrolled, unknown-student or rejected
+const bulkUpdateEnrollments = catchAsyncErrors(async (req, res, next) => {
+  const action = (
+    req.body.action ||
+    req.query.action ||
+    "enroll"
+  ).toLowerCase();
+  if (!BULK_ACTIONS.includes(action)) {
+    return next(new ErrorHandler("action must be enroll or drop", 400));
+  }
+
+  const rows = getRosterRows(req);
+  if (rows.length === 0) {
+    return next(
+      new ErrorHandler("Provide a students list or a roster file", 400)
+    );
+  }
+
+  const job = await enqueueJob(
+    "bulk-enrollment",
+    { courseId: req.course.id, action, rows },
+    { createdById: req.user.id }
+  );
+
+  console.log(
+    `Bulk ${action} job ${job.id} on course ${req.course.id} queued by ${req.user.email} (${rows.length} rows)`
+  );
+  res.status(202).json({
+    success: true,
+    message: `Bulk ${action} queued`,
+    courseId: req.course.id,
+    jobId: job.id,
+    statusUrl: `/api/admin/jobs/${job.id}`,
+  });
+});
+
+module.exports = {
+  bulkUpdateEnrollments,
+  getCourseEnrollments,
+  inviteStudent,
+  approveEnrollment,
+  removeEnrollment,
+  setFinalGrade,
+  setAccommodation,
+};
@@ -0,0 +1,155 @@
+const {
+  AssignmentExtension,
+  Student,
+  StudentCourse,
+  User,
+  sequelize,
+} = require("../models");
+const { ErrorHandler } = require("../middleware/errorHandler");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const { getStudentDueDate, refreshLateFlags } = require("../utils/latePolicy");
+
+const EXTENSION_INCLUDE = [
+  {
+    model: Student,
+    attributes: ["id"],
+    include: [{ model: User, attributes: ["name", "email"] }],
+  },
+  { model: User, as: "GrantedBy", attributes: ["id", "name"] },
+];
+
+// Shape an extension for API responses
+const formatExtension = (extension) => ({
+  id: extension.id,
+  assignmentId: extension.assignmentId,
+  studentId: extension.studentId,
+  name:
+    extension.Student && extension.Student.User
+      ? extension.Student.User.name
+      : "Unknown",
+  dueDate: extension.dueDate,
+  reason: extension.reason,
+  grantedBy: extension.GrantedBy
+    ? { id: extension.GrantedBy.id, name: extension.GrantedBy.name }
+    : null,
+  updatedAt: extension.updatedAt,
+});
+
+// List the extensions granted on an assignment
+const getExtensions = catchAsyncErrors(async (req, res, next) => {
+  const extensions = await AssignmentExtension.findAll({
+    where: { assignmentId: req.assignment.id },
+    include: EXTENSION_INCLUDE,
+    order: [["dueDate", "ASC"]],
+  });
+
+  res.json({
+    success: true,
+    assignmentId: req.assignment.id,
+    dueDate: req.assignment.dueDate,
+    count: extensions.length,
+    extensions: extensions.map(formatExtension),
+  });
+});
+
+// Give an enrolled student their own due date for the assignment, or move
+// the one they have. It must be later than the assignment's; an earlier one
+// than the student's accommodated due date has no effect, so the response
+// gives the due date that applies
+const grantExtension = catchAsyncErrors(async (req, res, next) => {
+  const { assignment } = req;
+  const { studentId } = req.params;
+  const dueDate = new Date(req.body.dueDate);
+  const reason = req.body.reason ? String(req.body.reason).trim() : null;
+
+  if (!req.body.dueDate || Number.isNaN(dueDate.getTime())) {
+    return next(new ErrorHandler("dueDate must be a valid date", 400));
+  }
+  if (dueDate <= new Date(assignment.dueDate)) {
+    return next(
+      new ErrorHandler("dueDate must be after the assignment's due date", 400)
+    );
+  }
+
+  const transaction = await sequelize.transaction();
+  let extension;
+  try {
+    const enrollment = await StudentCourse.findOne({
+      where: { courseId: assignment.courseId, studentId, status: "enrolled" },
+      attributes: ["id"],
+      transaction,
+    });
+    if (!enrollment) {
+      await transaction.rollback();
+      return next(new ErrorHandler("Enrollment not found", 404));
+    }
+
+    const values = { dueDate, reason, grantedById: req.user.id };
+    const [record, created] = await AssignmentExtension.findOrCreate({
+      where: { assignmentId: assignment.id, studentId },
+      defaults: values,
+      transaction,
+    });
+    if (!created) {
+      await record.update(values, { transaction });
+    }
+    // A submission already handed in may no longer be late
+    await refreshLateFlags(assignment.courseId, studentId, {
+      assignmentId: assignment.id,
+      transaction,
+    });
+    await transaction.commit();
+    extension = record;
+  } catch (error) {
+    await transaction.rollback();
+    return next(new ErrorHandler(error.message, 500));
+  }
+
+  await extension.reload({ include: EXTENSION_INCLUDE });
+  const { dueDate: effectiveDueDate } = await getStudentDueDate(
+    assignment,
+    studentId
+  );
+  console.log(
+    `Extension on ${
+      assignment.id
+    } for student ${studentId} until ${dueDate.toISOString()}`
+  );
+  res.json({
+    success: true,
+    message: "Extension granted",
+    extension: formatExtension(extension),
+    effectiveDueDate,
+  });
+});
+
+// Take an extension back; the assignment's due date applies again
+const revokeExtension = catchAsyncErrors(async (req, res, next) => {
+  const { assignment } = req;
+  const { studentId } = req.params;
+
+  const transaction = await sequelize.transaction();
+  try {
+    const removed = await AssignmentExtension.destroy({
+      where: { assignmentId: assignment.id, studentId },
+      transaction,
+    });
+    if (removed === 0) {
+      await transaction.rollback();
+      return next(new ErrorHandler("Extension not found", 404));
+    }
+    await refreshLateFlags(assignment.courseId, studentId, {
+      assignmentId: assignment.id,
+      transaction,
+    });
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    return next(new ErrorHandler(error.message, 500));
+  }
+
+  console.log(`Extension on ${assignment.id} for student ${studentId} revoked`);
+  res.json({ success: true, message: "Extension revoked" });
+});
+
+module.exports = { getExtensions, grantExtension, revokeExtension };
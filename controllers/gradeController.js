@@ -0,0 +1,325 @@
+const {
+  Assignment,
+  Student,
+  Submission,
+  SubmissionGrade,
+  RegradeRequest,
+  User,
+  sequelize,
+} = require("../models");
+const { ErrorHandler } = require("../middleware/errorHandler");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const { canAccessCourse } = require("../utils/policies");
+const { gradeFromRequest, recordGrade } = require("../utils/grading");
+const { applyLatePenalty } = require("../utils/latePolicy");
+
+const REGRADE_STATUSES = RegradeRequest.rawAttributes.status.values;
+const REGRADE_DECISIONS = ["accept", "decline"];
+
+const userSummary = (user) =>
+  user ? { id: user.id, name: user.name, email: user.email } : null;
+
+// Shape a grade version for API responses
+const formatGrade = (version) => ({
+  id: version.id,
+  grade: version.grade,
+  latePenalty: version.latePenalty,
+  rubricScores: version.rubricScores,
+  feedback: version.feedback,
+  reason: version.reason,
+  regradeRequestId: version.regradeRequestId,
+  gradedBy: userSummary(version.GradedBy),
+  createdAt: version.createdAt,
+});
+
+// Shape a regrade request for API responses
+const formatRegradeRequest = (request) => ({
+  id: request.id,
+  submissionId: request.submissionId,
+  status: request.status,
+  justification: request.justification,
+  response: request.response,
+  requestedBy: userSummary(request.RequestedBy),
+  resolvedBy: userSummary(request.ResolvedBy),
+  resolvedAt: request.resolvedAt,
+  createdAt: request.createdAt,
+});
+
+const REQUEST_USERS = [
+  { model: User, as: "RequestedBy", attributes: ["id", "name", "email"] },
+  { model: User, as: "ResolvedBy", attributes: ["id", "name", "email"] },
+];
+
+// Whether the signed-in user is the student who made the submission
+const isSubmitter = async (user, submission) => {
+  const student = await Student.findOne({
+    where: { userId: user.id },
+    attributes: ["id"],
+  });
+  return Boolean(student && student.id === submission.studentId);
+};
+
+// Grade history and regrade requests of a submission, for its graders and
+// the student who made it
+const getSubmissionGrades = catchAsyncErrors(async (req, res, next) => {
+  const { submission } = req;
+
+  if (
+    !(await canAccessCourse(req.user, "submission:grade", req.course)) &&
+    !(await isSubmitter(req.user, submission))
+  ) {
+    return res.status(403).json({ error: "Access denied" });
+  }
+
+  const [history, regradeRequests] = await Promise.all([
+    SubmissionGrade.findAll({
+      where: { submissionId: submission.id },
+      include: [
+        { model: User, as: "GradedBy", attributes: ["id", "name", "email"] },
+      ],
+      order: [["createdAt", "ASC"]],
+    }),
+    RegradeRequest.findAll({
+      where: { submissionId: submission.id },
+      include: REQUEST_USERS,
+      order: [["createdAt", "ASC"]],
+    }),
+  ]);
+
+  res.json({
+    success: true,
+    submissionId: submission.id,
+    status: submission.status,
+    grade: submission.grade,
+    rubricScores: submission.rubricScores,
+    feedback: submission.feedback,
+    history: history.map(formatGrade),
+    regradeRequests: regradeRequests.map(formatRegradeRequest),
+  });
+});
+
+// Ask for a graded submission to be reviewed (the student who made it)
+const createRegradeRequest = catchAsyncErrors(async (req, res, next) => {
+  const { submission } = req;
+  const justification = (req.body.justification || "").trim();
+
+  if (!(await isSubmitter(req.user, submission))) {
+    return res.status(403).json({ error: "Access denied" });
+  }
+  if (!justification) {
+    return next(new ErrorHandler("justification is required", 400));
+  }
+  if (submission.status === "submitted") {
+    return next(new ErrorHandler("This submission has not been graded", 400));
+  }
+  // Each grade can be disputed once; a grader changing it allows another
+  if (submission.status === "returned") {
+    return next(
+      new ErrorHandler("This grade has already been reviewed on request", 400)
+    );
+  }
+
+  const existing = await RegradeRequest.findOne({
+    where: { submissionId: submission.id, status: "open" },
+  });
+  if (existing) {
+    return next(
+      new ErrorHandler(
+        "A regrade request is already open for this submission",
+        400
+      )
+    );
+  }
+
+  let request;
+  try {
+    request = await RegradeRequest.create({
+      submissionId: submission.id,
+      requestedById: req.user.id,
+      justification,
+    });
+  } catch (error) {
+    // A concurrent request won the partial unique index
+    if (error.name === "SequelizeUniqueConstraintError") {
+      return next(
+        new ErrorHandler(
+          "A regrade request is already open for this submission",
+          400
+        )
+      );
+    }
+    throw error;
+  }
+  request.RequestedBy = req.user;
+
+  console.log(
+    `User ${req.user.id} requested a regrade of submission ${submission.id}`
+  );
+  res.status(201).json({
+    success: true,
+    message: "Regrade request submitted",
+    regradeRequest: formatRegradeRequest(request),
+  });
+});
+
+// List a course's regrade requests for its graders; ?status=open|accepted|declined
+const getCourseRegradeRequests = catchAsyncErrors(async (req, res, next) => {
+  const { status } = req.query;
+  if (status && !REGRADE_STATUSES.includes(status)) {
+    return next(
+      new ErrorHandler(
+        `status must be one of: ${REGRADE_STATUSES.join(", ")}`,
+        400
+      )
+    );
+  }
+
+  const requests = await RegradeRequest.findAll({
+    where: status ? { status } : {},
+    include: [
+      ...REQUEST_USERS,
+      {
+        model: Submission,
+        attributes: ["id", "assignmentId", "studentId", "grade", "status"],
+        required: true,
+        include: [
+          {
+            model: Assignment,
+            attributes: ["id", "title", "totalPoints"],
+            where: { courseId: req.course.id },
+          },
+        ],
+      },
+    ],
+    order: [["createdAt", "ASC"]],
+  });
+
+  res.json({
+    success: true,
+    courseId: req.course.id,
+    count: requests.length,
+    regradeRequests: requests.map((request) => ({
+      ...formatRegradeRequest(request),
+      assignment: {
+        id: request.Submission.Assignment.id,
+        title: request.Submission.Assignment.title,
+        totalPoints: request.Submission.Assignment.totalPoints,
+      },
+      currentGrade: request.Submission.grade,
+    })),
+  });
+});
+
+// Accept a regrade request with a new grade, or decline it. Either way the
+// submission is returned to the student
+const resolveRegradeRequest = catchAsyncErrors(async (req, res, next) => {
+  const { assignment, submission } = req;
+  const { decision, feedback } = req.body;
+  const response = (req.body.response || "").trim();
+
+  if (!REGRADE_DECISIONS.includes(decision)) {
+    return next(
+      new ErrorHandler(
+        `decision must be one of: ${REGRADE_DECISIONS.join(", ")}`,
+        400
+      )
+    );
+  }
+
+  if (decision === "decline" && !response) {
+    return next(
+      new ErrorHandler("A response is required to decline a request", 400)
+    );
+  }
+
+  const transaction = await sequelize.transaction();
+  try {
+    const request = await RegradeRequest.findOne({
+      where: { id: req.params.requestId, submissionId: submission.id },
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+    if (!request) {
+      await transaction.rollback();
+      return next(new ErrorHandler("Regrade request not found", 404));
+    }
+    if (request.status !== "open") {
+      await transaction.rollback();
+      return next(
+        new ErrorHandler(`This request was already ${request.status}`, 400)
+      );
+    }
+
+    // Accepting regrades the submission, with the rubric if it has one
+    let scored = null;
+    if (decision === "accept") {
+      scored = await gradeFromRequest(assignment, req.body, transaction);
+      if (scored.error) {
+        await transaction.rollback();
+        return next(new ErrorHandler(scored.error, 400));
+      }
+    }
+
+    request.status = decision === "accept" ? "accepted" : "declined";
+    request.response = response || null;
+    request.resolvedById = req.user.id;
+    request.resolvedAt = new Date();
+    await request.save({ transaction });
+
+    if (decision === "accept") {
+      const penalized = await applyLatePenalty(
+        assignment,
+        submission,
+        scored.grade,
+        transaction
+      );
+      await recordGrade(
+        submission,
+        {
+          grade: penalized.grade,
+          rubricScores: scored.rubricScores,
+          feedback: feedback === undefined ? submission.feedback : feedback,
+          gradedById: req.user.id,
+          reason: response || "Regrade request accepted",
+          regradeRequestId: request.id,
+          latePenalty: penalized.latePenalty,
+        },
+        "returned",
+        transaction
+      );
+    } else {
+      submission.status = "returned";
+      await submission.save({ transaction });
+    }
+
+    await transaction.commit();
+    await request.reload({ include: REQUEST_USERS });
+
+    console.log(
+      `Regrade request ${request.id} ${request.status} by user ${req.user.id}`
+    );
+    res.json({
+      success: true,
+      message: `Regrade request ${request.status}`,
+      regradeRequest: formatRegradeRequest(request),
+      submission: {
+        id: submission.id,
+        grade: submission.grade,
+        latePenalty: submission.latePenalty,
+        rubricScores: submission.rubricScores,
+        feedback: submission.feedback,
+        status: submission.status,
+      },
+    });
+  } catch (error) {
+    await transaction.rollback();
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+module.exports = {
+  getSubmissionGrades,
+  createRegradeRequest,
+  getCourseRegradeRequests,
+  resolveRegradeRequest,
+};
@@ -0,0 +1,115 @@
+const { Course, GradeScale, User } = require("../models");
+const { ErrorHandler } = require("../middleware/errorHandler");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const { validateGradeScaleData } = require("../utils/validation");
+const { getPermissionScope } = require("../utils/policies");
+const { DEFAULT_GRADE_SCALE } = require("../utils/gradebook");
+
+// Shape a grade scale for API responses
+const formatScale = (scale) => ({
+  id: scale.id,
+  name: scale.name,
+  entries: scale.entries,
+  owner: scale.Owner ? { id: scale.Owner.id, name: scale.Owner.name } : null,
+  createdAt: scale.createdAt,
+  updatedAt: scale.updatedAt,
+});
+
+// Find a scale the signed-in user may edit: their own, or any for admins
+const findEditableScale = async (req) => {
+  const scale = await GradeScale.findByPk(req.params.scaleId);
+  if (!scale) {
+    return null;
+  }
+  const scope = getPermissionScope(req.user.role, "gradescale:manage");
+  return scope === "any" || scale.ownerId === req.user.id ? scale : null;
+};
+
+// List every grade scale; any course can use any of them. The default scale
+// applies to courses that have not chosen one
+const getGradeScales = catchAsyncErrors(async (req, res, next) => {
+  const scales = await GradeScale.findAll({
+    include: [{ model: User, as: "Owner", attributes: ["id", "name"] }],
+    order: [["name", "ASC"]],
+  });
+
+  res.json({
+    success: true,
+    defaultScale: DEFAULT_GRADE_SCALE,
+    count: scales.length,
+    scales: scales.map(formatScale),
+  });
+});
+
+// Create a grade scale
+const createGradeScale = catchAsyncErrors(async (req, res, next) => {
+  const { error, value } = validateGradeScaleData(req.body, {
+    creating: true,
+  });
+  if (error) {
+    return next(new ErrorHandler(error, 400));
+  }
+
+  const scale = await GradeScale.create({ ...value, ownerId: req.user.id });
+  scale.Owner = req.user;
+  console.log(`User ${req.user.id} created grade scale ${scale.id}`);
+
+  res.status(201).json({
+    success: true,
+    message: "Grade scale created successfully",
+    scale: formatScale(scale),
+  });
+});
+
+// Rename a grade scale or change its letters; courses using it pick up the
+// change right away
+const updateGradeScale = catchAsyncErrors(async (req, res, next) => {
+  const { error, value } = validateGradeScaleData(req.body);
+  if (error) {
+    return next(new ErrorHandler(error, 400));
+  }
+
+  const scale = await findEditableScale(req);
+  if (!scale) {
+    return next(new ErrorHandler("Grade scale not found", 404));
+  }
+
+  await scale.update(value);
+  console.log(`User ${req.user.id} updated grade scale ${scale.id}`);
+
+  res.json({
+    success: true,
+    message: "Grade scale updated successfully",
+    scale: formatScale(scale),
+  });
+});
+
+// Delete a grade scale no course uses
+const deleteGradeScale = catchAsyncErrors(async (req, res, next) => {
+  const scale = await findEditableScale(req);
+  if (!scale) {
+    return next(new ErrorHandler("Grade scale not found", 404));
+  }
+
+  const inUse = await Course.count({
+    where: { gradeScaleId: scale.id },
+    paranoid: false,
+  });
+  if (inUse > 0) {
+    return next(
+      new ErrorHandler(`The grade scale is used by ${inUse} course(s)`, 400)
+    );
+  }
+
+  await scale.destroy();
+  console.log(`User ${req.user.id} deleted grade scale ${scale.id}`);
+
+  res.json({ success: true, message: "Grade scale deleted successfully" });
+});
+
+module.exports = {
+  getGradeScales,
+  createGradeScale,
+  updateGradeScale,
+  deleteGradeScale,
+};
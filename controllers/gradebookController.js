@@ -0,0 +1,460 @@
+const {
+  Assignment,
+  GradeCategory,
+  GradeMark,
+  GradeScale,
+  Student,
+  StudentCourse,
+  sequelize,
+} = require("../models");
+const { ErrorHandler } = require("../middleware/errorHandler");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const { validateGradeCategoryData } = require("../utils/validation");
+const { buildGradebook } = require("../utils/gradebook");
+const {
+  EXPORT_FORMATS,
+  writeGradebookSheet,
+} = require("../utils/gradebookSheet");
+const { IMPORT_MODES } = require("../utils/userImport");
+const { enqueueJob } = require("../utils/jobQueue");
+
+const MARKS = GradeMark.rawAttributes.mark.values;
+
+const CONTENT_TYPES = {
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  csv: "text/csv",
+};
+
+// Query and form fields arrive as strings
+const isFlagSet = (value) => value === true || value === "true";
+
+// Shape a category for API responses
+const formatCategory = (category) => ({
+  id: category.id,
+  name: category.name,
+  weight: category.weight,
+  dropLowest: category.dropLowest,
+  position: category.position,
+});
+
+// Shape a grade scale for API responses
+const formatScale = (scale) => ({
+  id: scale.id,
+  name: scale.name,
+  entries: scale.entries,
+});
+
+// Shape an assignment column for API responses
+const formatColumn = (assignment) => ({
+  id: assignment.id,
+  title: assignment.title,
+  dueDate: assignment.dueDate,
+  totalPoints: assignment.totalPoints,
+  categoryId: assignment.categoryId,
+});
+
+// One student's grade, assignment by assignment within each category
+const formatBreakdown = (gradebook, student) => {
+  const { categories, assignments } = gradebook;
+  const assignmentRow = (assignment) => ({
+    ...formatColumn(assignment),
+    ...student.cells[assignment.id],
+    dropped: student.dropped.includes(assignment.id),
+  });
+  const categoryIds = categories.map((category) => category.id);
+
+  return {
+    studentId: student.studentId,
+    name: student.name,
+    email: student.email,
+    percent: student.percent,
+    letter: student.letter,
+    scale: formatScale(gradebook.scale),
+    categories: student.categories.map((category) => ({
+      ...category,
+      assignments: assignments
+        .filter((assignment) => assignment.categoryId === category.id)
+        .map(assignmentRow),
+    })),
+    // Counted towards the grade only when the course has no categories
+    uncategorized: assignments
+      .filter((assignment) => !categoryIds.includes(assignment.categoryId))
+      .map(assignmentRow),
+  };
+};
+
+// Grid of every enrolled student's assignment scores and course grade
+const getGradebook = catchAsyncErrors(async (req, res, next) => {
+  const gradebook = await buildGradebook(req.course);
+
+  res.json({
+    success: true,
+    courseId: req.course.id,
+    scale: formatScale(gradebook.scale),
+    categories: gradebook.categories.map(formatCategory),
+    assignments: gradebook.assignments.map(formatColumn),
+    students: gradebook.students.map((student) => ({
+      studentId: student.studentId,
+      name: student.name,
+      email: student.email,
+      cells: student.cells,
+      dropped: student.dropped,
+      categories: student.categories.map(({ id, percent }) => ({
+        id,
+        percent,
+      })),
+      percent: student.percent,
+      letter: student.letter,
+    })),
+  });
+});
+
+// The signed-in student's own grade breakdown
+const getMyGrades = catchAsyncErrors(async (req, res, next) => {
+  const student = await Student.findOne({
+    where: { userId: req.user.id },
+    attributes: ["id"],
+  });
+  if (!student) {
+    return next(new ErrorHandler("Only students have a grade breakdown", 403));
+  }
+
+  const gradebook = await buildGradebook(req.course, {
+    studentIds: [student.id],
+  });
+  if (gradebook.students.length === 0) {
+    return next(new ErrorHandler("You are not enrolled in this course", 404));
+  }
+
+  res.json({
+    success: true,
+    courseId: req.course.id,
+    grades: formatBreakdown(gradebook, gradebook.students[0]),
+  });
+});
+
+// One enrolled student's grade breakdown, for graders
+const getStudentGrades = catchAsyncErrors(async (req, res, next) => {
+  const gradebook = await buildGradebook(req.course, {
+    studentIds: [req.params.studentId],
+  });
+  if (gradebook.students.length === 0) {
+    return next(new ErrorHandler("Enrollment not found", 404));
+  }
+
+  res.json({
+    success: true,
+    courseId: req.course.id,
+    grades: formatBreakdown(gradebook, gradebook.students[0]),
+  });
+});
+
+// Mark a student's assignment excused or missing; mark: null clears it
+const setGradeMark = catchAsyncErrors(async (req, res, next) => {
+  const { assignmentId, studentId, mark } = req.body;
+  const note = req.body.note ? String(req.body.note).trim() : null;
+
+  if (!assignmentId || !studentId) {
+    return next(
+      new ErrorHandler("assignmentId and studentId are required", 400)
+    );
+  }
+  if (mark !== null && !MARKS.includes(mark)) {
+    return next(
+      new ErrorHandler(`mark must be one of: ${MARKS.join(", ")}, or null`, 400)
+    );
+  }
+
+  const [assignment, enrollment] = await Promise.all([
+    Assignment.findOne({
+      where: { id: assignmentId, courseId: req.course.id },
+      attributes: ["id"],
+    }),
+    StudentCourse.findOne({
+      where: { courseId: req.course.id, studentId, status: "enrolled" },
+      attributes: ["id"],
+    }),
+  ]);
+  if (!assignment) {
+    return next(new ErrorHandler("Assignment not found", 404));
+  }
+  if (!enrollment) {
+    return next(new ErrorHandler("Enrollment not found", 404));
+  }
+
+  const where = { assignmentId, studentId };
+  if (mark === null) {
+    await GradeMark.destroy({ where });
+    console.log(`Cleared grade mark of ${studentId} on ${assignmentId}`);
+    return res.json({ success: true, message: "Mark cleared", mark: null });
+  }
+
+  const [record, created] = await GradeMark.findOrCreate({
+    where,
+    defaults: { mark, note, markedById: req.user.id },
+  });
+  if (!created) {
+    await record.update({ mark, note, markedById: req.user.id });
+  }
+
+  console.log(`Marked ${studentId} ${mark} on assignment ${assignmentId}`);
+  res.json({
+    success: true,
+    message: `Assignment marked ${mark}`,
+    mark: {
+      assignmentId,
+      studentId,
+      mark: record.mark,
+      note: record.note,
+    },
+  });
+});
+
+// Choose the course's grade scale; gradeScaleId: null goes back to the
+// default scale
+const updateGradebookSettings = catchAsyncErrors(async (req, res, next) => {
+  const { gradeScaleId } = req.body;
+  if (gradeScaleId === undefined) {
+    return next(new ErrorHandler("gradeScaleId is required", 400));
+  }
+
+  if (gradeScaleId !== null) {
+    const scale = await GradeScale.findByPk(gradeScaleId, {
+      attributes: ["id"],
+    });
+    if (!scale) {
+      return next(new ErrorHandler("Grade scale not found", 404));
+    }
+  }
+
+  await req.course.update({ gradeScaleId });
+  console.log(`Course ${req.course.id} grade scale set to ${gradeScaleId}`);
+
+  res.json({
+    success: true,
+    message: "Gradebook settings saved",
+    courseId: req.course.id,
+    gradeScaleId,
+  });
+});
+
+// Save every enrolled student's computed percentage as their final grade.
+// Students without any counted grade are left unchanged
+const finalizeGrades = catchAsyncErrors(async (req, res, next) => {
+  const gradebook = await buildGradebook(req.course);
+  const graded = gradebook.students.filter(
+    (student) => student.percent !== null
+  );
+
+  const transaction = await sequelize.transaction();
+  try {
+    for (const student of graded) {
+      await StudentCourse.update(
+        { finalGrade: student.percent },
+        {
+          where: { courseId: req.course.id, studentId: student.studentId },
+          transaction,
+        }
+      );
+    }
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    return next(new ErrorHandler(error.message, 500));
+  }
+
+  console.log(
+    `Final grades of ${graded.length} students saved for course ${req.course.id}`
+  );
+  res.json({
+    success: true,
+    message: "Final grades saved",
+    updated: graded.length,
+    skipped: gradebook.students.length - graded.length,
+  });
+});
+
+// Download the gradebook as ?format=xlsx (default) or csv. ?feedback=true
+// adds a feedback column per assignment, ready to edit and import back
+const exportGradebook = catchAsyncErrors(async (req, res, next) => {
+  const format = (req.query.format || "xlsx").toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    return next(
+      new ErrorHandler(
+        `format must be one of: ${EXPORT_FORMATS.join(", ")}`,
+        400
+      )
+    );
+  }
+
+  const file = await writeGradebookSheet(req.course, {
+    format,
+    feedback: isFlagSet(req.query.feedback),
+  });
+  const name = req.course.title.replace(/[^\w.-]+/g, "_") || "course";
+
+  console.log(`Gradebook of ${req.course.id} exported as ${format}`);
+  res.setHeader("Content-Type", CONTENT_TYPES[format]);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${name}-gradebook.${format}"`
+  );
+  res.send(file);
+});
+
+// Queue an import of grades and feedback from an uploaded gradebook sheet.
+// ?dryRun=true previews the changes without saving them, ?mode=skipInvalid
+// saves the valid rows and a reason is stored with every changed grade; the
+// job result lists each row's changes from and to
+const importGradebook = catchAsyncErrors(async (req, res, next) => {
+  if (!req.importRows || req.importRows.length === 0) {
+    return next(new ErrorHandler("No rows found in the uploaded file", 400));
+  }
+
+  const options = { ...req.body, ...req.query };
+  const dryRun = isFlagSet(options.dryRun);
+  const mode = options.mode || "atomic";
+  const reason = options.reason ? String(options.reason).trim() : null;
+
+  if (!IMPORT_MODES.includes(mode)) {
+    return next(
+      new ErrorHandler(`mode must be one of: ${IMPORT_MODES.join(", ")}`, 400)
+    );
+  }
+
+  const job = await enqueueJob(
+    "gradebook-import",
+    {
+      courseId: req.course.id,
+      rows: req.importRows,
+      gradedById: req.user.id,
+      dryRun,
+      mode,
+      reason,
+    },
+    { createdById: req.user.id }
+  );
+
+  console.log(
+    `Gradebook import job ${job.id} on course ${req.course.id} queued by ${
+      req.user.email
+    } (${mode}${dryRun ? ", dry run" : ""}, ${req.importRows.length} rows)`
+  );
+  res.status(202).json({
+    success: true,
+    message: dryRun ? "Gradebook preview queued" : "Gradebook import queued",
+    courseId: req.course.id,
+    jobId: job.id,
+    statusUrl: `/api/admin/jobs/${job.id}`,
+  });
+});
+
+// List a course's gradebook categories
+const getGradeCategories = catchAsyncErrors(async (req, res, next) => {
+  const categories = await GradeCategory.findAll({
+    where: { courseId: req.course.id },
+    order: [
+      ["position", "ASC"],
+      ["name", "ASC"],
+    ],
+  });
+
+  res.json({
+    success: true,
+    courseId: req.course.id,
+    totalWeight: categories.reduce((sum, c) => sum + c.weight, 0),
+    categories: categories.map(formatCategory),
+  });
+});
+
+// Add a weighted category
+const createGradeCategory = catchAsyncErrors(async (req, res, next) => {
+  const { error, value } = validateGradeCategoryData(req.body, {
+    creating: true,
+  });
+  if (error) {
+    return next(new ErrorHandler(error, 400));
+  }
+
+  // New categories go last unless a position is given
+  if (value.position === undefined) {
+    value.position = await GradeCategory.count({
+      where: { courseId: req.course.id },
+    });
+  }
+
+  const [category, created] = await GradeCategory.findOrCreate({
+    where: { courseId: req.course.id, name: value.name },
+    defaults: value,
+  });
+  if (!created) {
+    return next(new ErrorHandler("A category with this name exists", 400));
+  }
+
+  console.log(`Grade category ${category.id} added to ${req.course.id}`);
+  res.status(201).json({
+    success: true,
+    message: "Category created successfully",
+    category: formatCategory(category),
+  });
+});
+
+// Rename or reweight a category, or change its drop-lowest rule
+const updateGradeCategory = catchAsyncErrors(async (req, res, next) => {
+  const { error, value } = validateGradeCategoryData(req.body);
+  if (error) {
+    return next(new ErrorHandler(error, 400));
+  }
+
+  const category = await GradeCategory.findOne({
+    where: { id: req.params.categoryId, courseId: req.course.id },
+  });
+  if (!category) {
+    return next(new ErrorHandler("Category not found", 404));
+  }
+
+  try {
+    await category.update(value);
+  } catch (err) {
+    if (err.name === "SequelizeUniqueConstraintError") {
+      return next(new ErrorHandler("A category with this name exists", 400));
+    }
+    throw err;
+  }
+
+  res.json({
+    success: true,
+    message: "Category updated successfully",
+    category: formatCategory(category),
+  });
+});
+
+// Remove a category; its assignments become uncategorized
+const deleteGradeCategory = catchAsyncErrors(async (req, res, next) => {
+  const category = await GradeCategory.findOne({
+    where: { id: req.params.categoryId, courseId: req.course.id },
+  });
+  if (!category) {
+    return next(new ErrorHandler("Category not found", 404));
+  }
+
+  await category.destroy();
+  console.log(`Grade category ${category.id} removed from ${req.course.id}`);
+
+  res.json({ success: true, message: "Category deleted successfully" });
+});
+
+module.exports = {
+  getGradebook,
+  getMyGrades,
+  getStudentGrades,
+  setGradeMark,
+  updateGradebookSettings,
+  finalizeGrades,
+  exportGradebook,
+  importGradebook,
+  getGradeCategories,
+  createGradeCategory,
+  updateGradeCategory,
+  deleteGradeCategory,
+};
@@ -1,17 +1,10 @@
-const {
-  Course,
-  Teacher,
-  Student,
-  Lecture,
-  User,
-  sequelize,
-} = require("../models");
+const { Course, Lecture, sequelize } = require("../models");
 const { ErrorHandler } = require("../middleware/errorHandler");
 const catchAsyncErrors = require("../middleware/catchAsyncErrors");
-const {
-  uploadFileToAzure,
-  deleteFileFromAzure,
-} = require("../utils/azureUtils");
+const { canAccessCourse } = require("../utils/policies");
+const { uploadFileToAzure } = require("../utils/azureUtils");
+const { enqueueFileCleanup } = require("../utils/jobQueue");
+const { moveToTrash, purgeDate } = require("../utils/trash");
 
 // Create a new lecture
 const createLecture = catchAsyncErrors(async (req, res, next) => {
@@ -24,39 +17,8 @@ const createLecture = catchAsyncErrors(async (req, res, next) => {
       }`
     );
 
-    // Get course ID
-    const courseId = req.params.courseId || req.body.courseId;
-    if (!courseId) {
-      await transaction.rollback();
-      return next(new ErrorHandler("Course ID is required", 400));
-    }
-
-    // Verify teacher permissions
-    const teacher = await Teacher.findOne({
-      where: { userId: req.user.id },
-      transaction,
-    });
-
-    if (!teacher) {
-      console.log(`Teacher not found for user ID: ${req.user.id}`);
-      await transaction.rollback();
-      return next(new ErrorHandler("Teacher not found", 404));
-    }
-
-    // Get the course and verify ownership
-    const course = await Course.findOne({
-      where: {
-        id: courseId,
-        teacherId: teacher.id,
-      },
-      transaction,
-    });
-
-    if (!course) {
-      console.log(`Course not found with ID: ${courseId}`);
-      await transaction.rollback();
-      return next(new ErrorHandler("Course not found or unauthorized", 404));
-    }
+    // Course access was checked by authorizeCourse
+    const course = req.course;
 
     // Create lecture data object
     let lectureData = {
@@ -121,50 +83,9 @@ const updateLecture = catchAsyncErrors(async (req, res, next) => {
   const transaction = await sequelize.transaction();
 
   try {
-    const lectureId = req.params.lectureId || req.params.id;
-    console.log(`Updating lecture ID: ${lectureId}`);
-
-    // Verify teacher permissions
-    const teacher = await Teacher.findOne({
-      where: { userId: req.user.id },
-      transaction,
-    });
-
-    if (!teacher) {
-      console.log(`Teacher not found for user ID: ${req.user.id}`);
-      await transaction.rollback();
-      return next(new ErrorHandler("Teacher not found", 404));
-    }
-
-    // Find lecture
-    const lecture = await Lecture.findByPk(lectureId, { transaction });
-    if (!lecture) {
-      console.log(`Lecture not found with ID: ${lectureId}`);
-      await transaction.rollback();
-      return next(new ErrorHandler("Lecture not found", 404));
-    }
-
-    // Verify course belongs to teacher
-    const course = await Course.findOne({
-      where: {
-        id: lecture.courseId,
-        teacherId: teacher.id,
-      },
-      transaction,
-    });
-
-    if (!course) {
-      console.log(
-        `Teacher does not have access to course for lecture: ${lectureId}`
-      );
-      await transaction.rollback();
-      return next(
-        new ErrorHandler(
-          "You don't have permission to update this lecture",
-          403
-        )
-      );
-    }
+    // Lecture and course access were checked by authorizeCourse
+    const { lecture, course } = req;
+    console.log(`Updating lecture ID: ${lecture.id}`);
 
     // Create update data object
     const updateData = {};
@@ -186,10 +107,11 @@ const updateLecture = catchAsyncErrors(async (req, res, next) => {
       }
 
       try {
-        // Delete old video from Azure if it exists
-        if (lecture.videoKey) {
-          await deleteFileFromAzure(lecture.videoKey);
-        }
+        // Delete the old video from Azure once the update is saved
+        await enqueueFileCleanup([lecture.videoKey], {
+          createdById: req.user.id,
+          transaction,
+        });
 
         // Upload new video to Azure
         const uploadPath = `courses/${course.id}/lectures`;
@@ -234,28 +156,8 @@ const getCourseLectures = catchAsyncErrors(async (req, res, next) => {
   try {
     console.log(`Fetching lectures for course ID: ${req.params.courseId}`);
 
-    // Verify teacher permissions
-    const teacher = await Teacher.findOne({
-      where: { userId: req.user.id },
-    });
-
-    if (!teacher) {
-      console.log(`Teacher not found for user ID: ${req.user.id}`);
-      return next(new ErrorHandler("Teacher not found", 404));
-    }
-
-    // Verify course belongs to teacher
-    const course = await Course.findOne({
-      where: {
-        id: req.params.courseId,
-        teacherId: teacher.id,
-      },
-    });
-
-    if (!course) {
-      console.log(`Course not found with ID: ${req.params.courseId}`);
-      return next(new ErrorHandler("Course not found or unauthorized", 404));
-    }
+    // Course access was checked by authorizeCourse
+    const course = req.course;
 
     // Get lectures for this course
     const lectures = await Lecture.findAll({
@@ -295,31 +197,6 @@ const getCourseLecturesByStudents = catchAsyncErrors(async (req, res, next) => {
       `Student fetching lectures for course ID: ${req.params.courseId}`
     );
 
-    // Verify student permissions
-    const student = await Student.findOne({
-      where: { userId: req.user.id },
-    });
-
-    if (!student) {
-      console.log(`Student not found for user ID: ${req.user.id}`);
-      return next(new ErrorHandler("Student not found", 404));
-    }
-
-    // Verify student is enrolled in the course
-    const enrollment = await sequelize.models.StudentCourse.findOne({
-      where: {
-        studentId: student.id,
-        courseId: req.params.courseId,
-      },
-    });
-
-    if (!enrollment) {
-      console.log(
-        `Student is not enrolled in course with ID: ${req.params.courseId}`
-      );
-      return next(new ErrorHandler("You are not enrolled in this course", 403));
-    }
-
     // Get lectures that are reviewed (students can only see reviewed lectures)
     const lectures = await Lecture.findAll({
       where: {
@@ -370,59 +247,17 @@ const getLectureById = catchAsyncErrors(async (req, res, next) => {
       return next(new ErrorHandler("Lecture not found", 404));
     }
 
-    // Verify permissions based on role
-    if (req.user.role === "teacher") {
-      const teacher = await Teacher.findOne({
-        where: { userId: req.user.id },
-      });
-
-      if (!teacher || lecture.Course.teacherId !== teacher.id) {
-        console.log(`Teacher does not have access to lecture: ${lectureId}`);
-        return next(
-          new ErrorHandler(
-            "You don't have permission to view this lecture",
-            403
-          )
-        );
-      }
-    } else if (req.user.role === "student") {
-      const student = await Student.findOne({
-        where: { userId: req.user.id },
-      });
-
-      if (!student) {
-        return next(new ErrorHandler("Student not found", 404));
-      }
-
-      // Verify student is enrolled in the course
-      const enrollment = await sequelize.models.StudentCourse.findOne({
-        where: {
-          studentId: student.id,
-          courseId: lecture.courseId,
-        },
-      });
-
-      if (!enrollment) {
-        console.log(
-          `Student is not enrolled in course for lecture: ${lectureId}`
-        );
-        return next(
-          new ErrorHandler(
-            "You don't have permission to view this lecture",
-            403
-          )
-        );
-      }
-
-      // Students can only see reviewed lectures
-      if (!lecture.isReviewed) {
-        console.log(
-          `Lecture ${lectureId} is not yet reviewed and cannot be viewed by students`
-        );
-        return next(
-          new ErrorHandler("This lecture is not yet available for viewing", 403)
-        );
-      }
+    // Only those who manage the course's lectures see unreviewed ones
+    if (
+      !lecture.isReviewed &&
+      !(await canAccessCourse(req.user, "lecture:manage", req.course))
+    ) {
+      console.log(
+        `Lecture ${lectureId} is not yet reviewed and cannot be viewed by this user`
+      );
+      return next(
+        new ErrorHandler("This lecture is not yet available for viewing", 403)
+      );
     }
 
     // Check if review deadline has passed
@@ -452,70 +287,19 @@ const deleteLecture = catchAsyncErrors(async (req, res, next) => {
   try {
     console.log(`Deleting lecture ID: ${req.params.lectureId}`);
 
-    // Verify teacher permissions
-    const teacher = await Teacher.findOne({
-      where: { userId: req.user.id },
-      transaction,
-    });
+    // Lecture and course access were checked by authorizeCourse
+    const lecture = req.lecture;
 
-    if (!teacher) {
-      console.log(`Teacher not found for user ID: ${req.user.id}`);
-      await transaction.rollback();
-      return next(new ErrorHandler("Teacher not found", 404));
-    }
-
-    // Find lecture
-    const lecture = await Lecture.findByPk(req.params.lectureId, {
-      transaction,
-    });
-    if (!lecture) {
-      console.log(`Lecture not found with ID: ${req.params.lectureId}`);
-      await transaction.rollback();
-      return next(new ErrorHandler("Lecture not found", 404));
-    }
-
-    // Verify course belongs to teacher
-    const course = await Course.findOne({
-      where: {
-        id: lecture.courseId,
-        teacherId: teacher.id,
-      },
-      transaction,
-    });
-
-    if (!course) {
-      console.log(
-        `Teacher does not have access to course for lecture: ${req.params.lectureId}`
-      );
-      await transaction.rollback();
-      return next(
-        new ErrorHandler(
-          "You don't have permission to delete this lecture",
-          403
-        )
-      );
-    }
-
-    // Delete video from Azure if it exists
-    if (lecture.videoKey) {
-      try {
-        await deleteFileFromAzure(lecture.videoKey);
-        console.log(`Deleted video from Azure: ${lecture.videoKey}`);
-      } catch (deleteError) {
-        console.error("Error deleting video file:", deleteError);
-        // Continue with lecture deletion even if Azure delete fails
-      }
-    }
-
-    // Delete the lecture
-    await lecture.destroy({ transaction });
+    // The video is kept until the lecture is purged from the trash
+    await moveToTrash(lecture, req.user.id, transaction);
 
     await transaction.commit();
 
-    console.log(`Deleted lecture ID: ${req.params.lectureId}`);
+    console.log(`Moved lecture ID: ${req.params.lectureId} to trash`);
     res.json({
       success: true,
-      message: "Lecture deleted successfully",
+      message: "Lecture moved to the trash",
+      purgeAt: purgeDate(lecture),
     });
   } catch (error) {
     await transaction.rollback();
@@ -532,28 +316,8 @@ const updateAllLectureReviewStatuses = catchAsyncErrors(
         `Updating review status for all lectures in course ID: ${req.params.courseId}`
       );
 
-      // Verify teacher permissions
-      const teacher = await Teacher.findOne({
-        where: { userId: req.user.id },
-      });
-
-      if (!teacher) {
-        console.log(`Teacher not found for user ID: ${req.user.id}`);
-        return next(new ErrorHandler("Teacher not found", 404));
-      }
-
-      // Verify course belongs to teacher
-      const course = await Course.findOne({
-        where: {
-          id: req.params.courseId,
-          teacherId: teacher.id,
-        },
-      });
-
-      if (!course) {
-        console.log(`Course not found with ID: ${req.params.courseId}`);
-        return next(new ErrorHandler("Course not found or unauthorized", 404));
-      }
+      // Course access was checked by authorizeCourse
+      const course = req.course;
 
       // Update all lectures with passed review deadlines
       const now = new Date();
@@ -590,49 +354,8 @@ const updateLectureReviewStatus = catchAsyncErrors(async (req, res, next) => {
       `Updating review status for lecture ID: ${req.params.lectureId}`
     );
 
-    // Verify teacher permissions
-    const teacher = await Teacher.findOne({
-      where: { userId: req.user.id },
-      transaction,
-    });
-
-    if (!teacher) {
-      console.log(`Teacher not found for user ID: ${req.user.id}`);
-      await transaction.rollback();
-      return next(new ErrorHandler("Teacher not found", 404));
-    }
-
-    // Find lecture
-    const lecture = await Lecture.findByPk(req.params.lectureId, {
-      transaction,
-    });
-    if (!lecture) {
-      console.log(`Lecture not found with ID: ${req.params.lectureId}`);
-      await transaction.rollback();
-      return next(new ErrorHandler("Lecture not found", 404));
-    }
-
-    // Verify course belongs to teacher
-    const course = await Course.findOne({
-      where: {
-        id: lecture.courseId,
-        teacherId: teacher.id,
-      },
-      transaction,
-    });
-
-    if (!course) {
-      console.log(
-        `Teacher does not have access to course for lecture: ${req.params.lectureId}`
-      );
-      await transaction.rollback();
-      return next(
-        new ErrorHandler(
-          "You don't have permission to update this lecture",
-          403
-        )
-      );
-    }
+    // Lecture and course access were checked by authorizeCourse
+    const lecture = req.lecture;
 
     // Update review status
     const updateData = {
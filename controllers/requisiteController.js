@@ -0,0 +1,145 @@
+const { Course, CourseRequisite } = require("../models");
+const { ErrorHandler } = require("../middleware/errorHandler");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const { findRequisiteCycle } = require("../utils/requisites");
+
+const REQUISITE_TYPES = CourseRequisite.rawAttributes.type.values;
+
+// Shape a requisite for API responses
+const formatRequisite = (requisite) => ({
+  id: requisite.id,
+  type: requisite.type,
+  minGrade: requisite.minGrade,
+  requiredCourse: requisite.RequiredCourse
+    ? {
+        id: requisite.RequiredCourse.id,
+        title: requisite.RequiredCourse.title,
+      }
+    : { id: requisite.requiredCourseId },
+});
+
+// List a course's prerequisites and co-requisites
+const getCourseRequisites = catchAsyncErrors(async (req, res, next) => {
+  const requisites = await CourseRequisite.findAll({
+    where: { courseId: req.course.id },
+    include: [
+      {
+        model: Course,
+        as: "RequiredCourse",
+        attributes: ["id", "title"],
+        paranoid: false,
+      },
+    ],
+    order: [
+      ["type", "ASC"],
+      ["createdAt", "ASC"],
+    ],
+  });
+
+  res.json({
+    success: true,
+    courseId: req.course.id,
+    requisites: requisites.map(formatRequisite),
+  });
+});
+
+// Require another course before (prerequisite) or alongside (corequisite)
+// this one
+const addCourseRequisite = catchAsyncErrors(async (req, res, next) => {
+  const { requiredCourseId } = req.body;
+  const type = req.body.type || "prerequisite";
+  const minGrade =
+    req.body.minGrade === undefined || req.body.minGrade === null
+      ? null
+      : Number(req.body.minGrade);
+
+  if (!requiredCourseId) {
+    return next(new ErrorHandler("requiredCourseId is required", 400));
+  }
+  if (!REQUISITE_TYPES.includes(type)) {
+    return next(
+      new ErrorHandler(
+        `type must be one of: ${REQUISITE_TYPES.join(", ")}`,
+        400
+      )
+    );
+  }
+  if (minGrade !== null && !(minGrade >= 0 && minGrade <= 100)) {
+    return next(
+      new ErrorHandler("minGrade must be a number between 0 and 100", 400)
+    );
+  }
+  if (requiredCourseId === req.course.id) {
+    return next(new ErrorHandler("A course cannot require itself", 400));
+  }
+
+  const requiredCourse = await Course.findByPk(requiredCourseId, {
+    attributes: ["id", "title"],
+  });
+  if (!requiredCourse) {
+    return next(new ErrorHandler("Required course not found", 404));
+  }
+
+  // A course cannot end up requiring itself through other courses
+  const cycle = await findRequisiteCycle(req.course.id, requiredCourseId, type);
+  if (cycle) {
+    const courses = await Course.findAll({
+      where: { id: cycle },
+      attributes: ["id", "title"],
+      paranoid: false,
+    });
+    const titles = {};
+    courses.forEach((course) => {
+      titles[course.id] = course.title;
+    });
+    return next(
+      new ErrorHandler(
+        `This would make a circular requirement: ${cycle
+          .map((id) => titles[id])
+          .join(" -> ")}`,
+        400
+      )
+    );
+  }
+
+  const [requisite, created] = await CourseRequisite.findOrCreate({
+    where: { courseId: req.course.id, requiredCourseId },
+    defaults: { type, minGrade },
+  });
+  if (!created) {
+    return next(new ErrorHandler("This course is already a requirement", 400));
+  }
+
+  requisite.RequiredCourse = requiredCourse;
+  console.log(`Course ${req.course.id} now has ${type} ${requiredCourse.id}`);
+
+  res.status(201).json({
+    success: true,
+    message: "Requirement added successfully",
+    requisite: formatRequisite(requisite),
+  });
+});
+
+// Remove a prerequisite or co-requisite
+const removeCourseRequisite = catchAsyncErrors(async (req, res, next) => {
+  const requisite = await CourseRequisite.findOne({
+    where: { id: req.params.requisiteId, courseId: req.course.id },
+  });
+
+  if (!requisite) {
+    return next(new ErrorHandler("Requirement not found", 404));
+  }
+
+  await requisite.destroy();
+
+  console.log(
+    `Removed ${requisite.type} ${requisite.requiredCourseId} from course ${req.course.id}`
+  );
+  res.json({ success: true, message: "Requirement removed successfully" });
+});
+
+module.exports = {
+  getCourseRequisites,
+  addCourseRequisite,
+  removeCourseRequisite,
+};
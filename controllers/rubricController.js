@@ -0,0 +1,215 @@
+const {
+  Assignment,
+  Rubric,
+  RubricCriterion,
+  RubricLevel,
+  sequelize,
+} = require("../models");
+const { ErrorHandler } = require("../middleware/errorHandler");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const { validateRubricData } = require("../utils/validation");
+const {
+  RUBRIC_INCLUDE,
+  RUBRIC_ORDER,
+  loadRubric,
+  formatRubric,
+} = require("../utils/grading");
+
+// Create a rubric's criteria and levels in the order given
+const createCriteria = async (rubricId, criteria, transaction) => {
+  for (const [position, criterion] of criteria.entries()) {
+    const created = await RubricCriterion.create(
+      {
+        rubricId,
+        title: criterion.title,
+        description: criterion.description || null,
+        position,
+      },
+      { transaction }
+    );
+    await RubricLevel.bulkCreate(
+      criterion.levels.map((level, levelPosition) => ({
+        criterionId: created.id,
+        title: level.title,
+        description: level.description || null,
+        points: level.points,
+        position: levelPosition,
+      })),
+      { transaction }
+    );
+  }
+};
+
+// Best total criteria can give, before they are saved
+const criteriaMaxPoints = (criteria) =>
+  criteria.reduce(
+    (sum, criterion) =>
+      sum + Math.max(...criterion.levels.map((level) => level.points)),
+    0
+  );
+
+// Find one of the signed-in user's rubrics
+const findOwnRubric = async (req, options = {}) => {
+  const rubric = await loadRubric(req.params.rubricId, options);
+  return rubric && rubric.ownerId === req.user.id ? rubric : null;
+};
+
+// List the signed-in user's rubrics
+const getRubrics = catchAsyncErrors(async (req, res, next) => {
+  const rubrics = await Rubric.findAll({
+    where: { ownerId: req.user.id },
+    include: RUBRIC_INCLUDE,
+    order: [["title", "ASC"], ...RUBRIC_ORDER],
+  });
+
+  res.json({
+    success: true,
+    count: rubrics.length,
+    rubrics: rubrics.map(formatRubric),
+  });
+});
+
+// Get one of the signed-in user's rubrics
+const getRubric = catchAsyncErrors(async (req, res, next) => {
+  const rubric = await findOwnRubric(req);
+  if (!rubric) {
+    return next(new ErrorHandler("Rubric not found", 404));
+  }
+
+  res.json({ success: true, rubric: formatRubric(rubric) });
+});
+
+// Create a rubric with its criteria and performance levels
+const createRubric = catchAsyncErrors(async (req, res, next) => {
+  const { error, value } = validateRubricData(req.body, { creating: true });
+  if (error) {
+    return next(new ErrorHandler(error, 400));
+  }
+
+  const transaction = await sequelize.transaction();
+  let rubricId;
+  try {
+    const rubric = await Rubric.create(
+      {
+        title: value.title,
+        description: value.description || null,
+        ownerId: req.user.id,
+      },
+      { transaction }
+    );
+    await createCriteria(rubric.id, value.criteria, transaction);
+    await transaction.commit();
+    rubricId = rubric.id;
+  } catch (err) {
+    await transaction.rollback();
+    return next(new ErrorHandler(err.message, 500));
+  }
+
+  console.log(`User ${req.user.id} created rubric ${rubricId}`);
+  res.status(201).json({
+    success: true,
+    message: "Rubric created successfully",
+    rubric: formatRubric(await loadRubric(rubricId)),
+  });
+});
+
+// Edit a rubric. Sending criteria replaces all of them; grades already given
+// keep the scores they were given with
+const updateRubric = catchAsyncErrors(async (req, res, next) => {
+  const { error, value } = validateRubricData(req.body);
+  if (error) {
+    return next(new ErrorHandler(error, 400));
+  }
+
+  const transaction = await sequelize.transaction();
+  try {
+    const rubric = await findOwnRubric(req, { transaction });
+    if (!rubric) {
+      await transaction.rollback();
+      return next(new ErrorHandler("Rubric not found", 404));
+    }
+
+    if (value.criteria) {
+      // Assignments using the rubric, trashed ones included, must still be
+      // able to hold its best total
+      const maxPoints = criteriaMaxPoints(value.criteria);
+      const tooSmall = await Assignment.findOne({
+        where: { rubricId: rubric.id },
+        attributes: ["id", "title", "totalPoints"],
+        paranoid: false,
+        order: [["totalPoints", "ASC"]],
+        transaction,
+      });
+      if (tooSmall && tooSmall.totalPoints < maxPoints) {
+        await transaction.rollback();
+        return next(
+          new ErrorHandler(
+            `The rubric would be worth up to ${maxPoints} points but assignment "${tooSmall.title}" only ${tooSmall.totalPoints}`,
+            400
+          )
+        );
+      }
+
+      await RubricCriterion.destroy({
+        where: { rubricId: rubric.id },
+        transaction,
+      });
+      await createCriteria(rubric.id, value.criteria, transaction);
+    }
+
+    const updates = {};
+    if (value.title !== undefined) updates.title = value.title;
+    if (value.description !== undefined) {
+      updates.description = value.description || null;
+    }
+    // Touch updatedAt when only the criteria changed
+    rubric.changed("updatedAt", true);
+    await rubric.update(updates, { transaction });
+
+    await transaction.commit();
+  } catch (err) {
+    await transaction.rollback();
+    return next(new ErrorHandler(err.message, 500));
+  }
+
+  console.log(`User ${req.user.id} updated rubric ${req.params.rubricId}`);
+  res.json({
+    success: true,
+    message: "Rubric updated successfully",
+    rubric: formatRubric(await loadRubric(req.params.rubricId)),
+  });
+});
+
+// Delete a rubric no assignment uses
+const deleteRubric = catchAsyncErrors(async (req, res, next) => {
+  const rubric = await findOwnRubric(req);
+  if (!rubric) {
+    return next(new ErrorHandler("Rubric not found", 404));
+  }
+
+  const inUse = await Assignment.count({
+    where: { rubricId: rubric.id },
+    paranoid: false,
+  });
+  if (inUse > 0) {
+    return next(
+      new ErrorHandler(
+        `The rubric is used by ${inUse} assignment(s); detach it first`,
+        400
+      )
+    );
+  }
+
+  await rubric.destroy();
+  console.log(`User ${req.user.id} deleted rubric ${rubric.id}`);
+
+  res.json({ success: true, message: "Rubric deleted successfully" });
+});
+
+module.exports = {
+  getRubrics,
+  getRubric,
+  createRubric,
+  updateRubric,
+  deleteRubric,
+};
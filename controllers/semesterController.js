@@ -1,6 +1,14 @@
-const { Semester, Course } = require("../models");
+const { Semester, Course, sequelize } = require("../models");
 const { ErrorHandler } = require("../middleware/errorHandler");
 const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const { purgeCourse } = require("../utils/trash");
+const { validateEnrollmentWindowData } = require("../utils/validation");
+
+const formatWindow = (semester) => ({
+  enrollmentOpensAt: semester.enrollmentOpensAt,
+  enrollmentClosesAt: semester.enrollmentClosesAt,
+  dropDeadline: semester.dropDeadline,
+});
 
 // Create a new semester
 const createSemester = catchAsyncErrors(async (req, res, next) => {
@@ -24,11 +32,18 @@ const createSemester = catchAsyncErrors(async (req, res, next) => {
       return next(new ErrorHandler("End date must be after start date", 400));
     }
 
+    // Optional enrollment window dates, in order
+    const window = validateEnrollmentWindowData(req.body);
+    if (window.error) {
+      return next(new ErrorHandler(window.error, 400));
+    }
+
     // Create the semester
     const semester = await Semester.create({
       name,
       startDate,
       endDate,
+      ...window.value,
     });
 
     res.status(201).json(semester);
@@ -63,6 +78,7 @@ const getAllSemesters = catchAsyncErrors(async (req, res, next) => {
       name: semester.name,
       startDate: semester.startDate,
       endDate: semester.endDate,
+      ...formatWindow(semester),
       courseCount: semester.Courses ? semester.Courses.length : 0,
       courses: semester.Courses
         ? semester.Courses.map((course) => ({
@@ -102,6 +118,7 @@ const getSemesterById = catchAsyncErrors(async (req, res, next) => {
       name: semester.name,
       startDate: semester.startDate,
       endDate: semester.endDate,
+      ...formatWindow(semester),
       courseCount: semester.Courses ? semester.Courses.length : 0,
       courses: semester.Courses
         ? semester.Courses.map((course) => ({
@@ -151,8 +168,14 @@ const updateSemester = catchAsyncErrors(async (req, res, next) => {
       );
     }
 
+    // Window dates stay in order with the ones already set
+    const window = validateEnrollmentWindowData(req.body, semester.get());
+    if (window.error) {
+      return next(new ErrorHandler(window.error, 400));
+    }
+
     // Update semester
-    const updateData = {};
+    const updateData = { ...window.value };
     if (name) updateData.name = name;
     if (startDate) updateData.startDate = startDate;
     if (endDate) updateData.endDate = endDate;
@@ -164,6 +187,7 @@ const updateSemester = catchAsyncErrors(async (req, res, next) => {
       name: semester.name,
       startDate: semester.startDate,
       endDate: semester.endDate,
+      ...formatWindow(semester),
     });
   } catch (error) {
     if (error.name === "SequelizeUniqueConstraintError") {
@@ -205,8 +229,26 @@ const deleteSemester = catchAsyncErrors(async (req, res, next) => {
       );
     }
 
-    // Delete the semester
-    await semester.destroy();
+    // Courses in the trash would be deleted with the semester, so they are
+    // purged first to clean up their blobs too
+    const transaction = await sequelize.transaction();
+    try {
+      const trashed = await Course.findAll({
+        where: { semesterId: semester.id },
+        paranoid: false,
+        transaction,
+      });
+      for (const course of trashed) {
+        await purgeCourse(course, transaction);
+      }
+
+      // Delete the semester
+      await semester.destroy({ transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
 
     res.json({
       success: true,
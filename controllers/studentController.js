@@ -3,27 +3,157 @@ const {
   Student,
   Teacher,
   User,
+  Semester,
   StudentCourse,
   sequelize,
 } = require("../models");
 const { ErrorHandler } = require("../middleware/errorHandler");
 const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const {
+  lockCourse,
+  checkEnrollmentWindow,
+  seatOrWaitlist,
+  getWaitlistPosition,
+  promoteFromWaitlist,
+} = require("../utils/enrollment");
+const { findUnmetRequisites } = require("../utils/requisites");
+
+// Join one course inside the caller's transaction: enroll, request to join
+// it or accept an invitation, depending on the course's enrollment policy.
+// Full courses put the student on the waitlist. Courses in alongside are
+// being joined in the same request and count as co-requisites taken at the
+// same time. Resolves to { error, statusCode } when the student cannot join
+const joinCourse = async (student, courseId, alongside, transaction) => {
+  // Lock the course so concurrent requests cannot overfill it
+  const course = await lockCourse(courseId, transaction);
+  if (!course) {
+    return { error: "Course not found", statusCode: 404 };
+  }
+
+  const semester = await Semester.findByPk(course.semesterId, {
+    transaction,
+  });
+  const windowError = checkEnrollmentWindow(semester, "enroll");
+  if (windowError) {
+    return { error: windowError, statusCode: 400, course };
+  }
+
+  // Existing enrollment, request or invitation for this course
+  const existingEnrollment = await StudentCourse.findOne({
+    where: {
+      studentId: student.id,
+      courseId,
+    },
+    transaction,
+  });
+
+  if (existingEnrollment && existingEnrollment.status === "enrolled") {
+    return {
+      error: "Already enrolled in this course",
+      statusCode: 400,
+      course,
+    };
+  }
+  if (existingEnrollment && existingEnrollment.status === "requested") {
+    return {
+      error: "Enrollment request is already pending approval",
+      statusCode: 400,
+      course,
+    };
+  }
+  if (existingEnrollment && existingEnrollment.status === "waitlisted") {
+    const position = await getWaitlistPosition(existingEnrollment, transaction);
+    return {
+      error: `Already on the waitlist for this course (position ${position})`,
+      statusCode: 400,
+      course,
+    };
+  }
+
+  if (!existingEnrollment && course.enrollmentPolicy === "invite") {
+    return {
+      error: "This course can only be joined by invitation",
+      statusCode: 403,
+      course,
+    };
+  }
 
-// Enroll a student in a course
+  const unmet = await findUnmetRequisites(student, course, transaction, {
+    alongside,
+  });
+  if (unmet.length > 0) {
+    return {
+      error: `You do not meet the requirements for ${
+        course.title
+      }: ${unmet.join("; ")}`,
+      statusCode: 403,
+      course,
+    };
+  }
+
+  let enrollment;
+  let message;
+  if (existingEnrollment) {
+    // Accepting an invitation enrolls regardless of the course policy
+    enrollment = await existingEnrollment.update(
+      await seatOrWaitlist(course, transaction),
+      { transaction }
+    );
+    message = "Invitation accepted";
+  } else if (course.enrollmentPolicy === "approval") {
+    enrollment = await StudentCourse.create(
+      {
+        studentId: student.id,
+        courseId,
+        status: "requested",
+        enrollmentDate: null,
+      },
+      { transaction }
+    );
+    message = "Enrollment requested, awaiting approval";
+  } else {
+    enrollment = await StudentCourse.create(
+      {
+        studentId: student.id,
+        courseId,
+        ...(await seatOrWaitlist(course, transaction)),
+      },
+      { transaction }
+    );
+    message = "Successfully enrolled in the course";
+  }
+
+  const waitlistPosition = await getWaitlistPosition(enrollment, transaction);
+  if (waitlistPosition) {
+    message = `Course is full, added to the waitlist at position ${waitlistPosition}`;
+  }
+
+  return { course, enrollment, message, waitlistPosition };
+};
+
+// Enroll in a course, request to join it, or accept an invitation,
+// depending on the course's enrollment policy. Full courses put the student
+// on the waitlist. withCourseIds joins other courses in the same request,
+// which is how courses that are co-requisites of each other are taken; each
+// co-requisite has to end up enrolled, not just requested or waitlisted
 const enrollCourse = catchAsyncErrors(async (req, res, next) => {
+  const { courseId } = req.params;
+  const withCourseIds = (req.body && req.body.withCourseIds) || [];
+  if (
+    !Array.isArray(withCourseIds) ||
+    withCourseIds.some((id) => typeof id !== "string")
+  ) {
+    return next(
+      new ErrorHandler("withCourseIds must be a list of course IDs", 400)
+    );
+  }
+  const courseIds = [...new Set([courseId, ...withCourseIds])];
+
   const transaction = await sequelize.transaction();
 
   try {
-    const { courseId } = req.params;
     const userId = req.user.id;
 
-    // Find the course
-    const course = await Course.findByPk(courseId, { transaction });
-    if (!course) {
-      await transaction.rollback();
-      return next(new ErrorHandler("Course not found", 404));
-    }
-
     // Find the student
     const student = await Student.findOne({
       where: { userId },
@@ -35,40 +165,52 @@ const enrollCourse = catchAsyncErrors(async (req, res, next) => {
       return next(new ErrorHandler("Student not found", 404));
     }
 
-    // Check if student's teacher matches course's teacher
-    if (course.teacherId !== student.teacherId) {
-      await transaction.rollback();
-      return next(
-        new ErrorHandler(
-          "You can only enroll in courses taught by your assigned teacher",
-          403
-        )
+    const joined = [];
+    for (const id of courseIds) {
+      const result = await joinCourse(
+        student,
+        id,
+        courseIds.filter((other) => other !== id),
+        transaction
       );
+      if (result.error) {
+        await transaction.rollback();
+        return next(
+          new ErrorHandler(
+            id === courseId
+              ? result.error
+              : `Cannot join ${result.course ? result.course.title : id}: ${
+                  result.error
+                }`,
+            result.statusCode
+          )
+        );
+      }
+      joined.push(result);
     }
 
-    // Check if student is already enrolled
-    const existingEnrollment = await StudentCourse.findOne({
-      where: {
-        studentId: student.id,
-        courseId,
-      },
-      transaction,
-    });
-
-    if (existingEnrollment) {
-      await transaction.rollback();
-      return next(new ErrorHandler("Already enrolled in this course", 400));
+    // Courses joined together only stand in for each other once actually
+    // enrolled: a seat must not depend on a co-requisite that is still
+    // awaiting approval or on the waitlist
+    for (const result of joined) {
+      if (result.enrollment.status !== "enrolled") continue;
+      const unmet = await findUnmetRequisites(
+        student,
+        result.course,
+        transaction
+      );
+      if (unmet.length > 0) {
+        await transaction.rollback();
+        const reasons = unmet.join("; ");
+        return next(
+          new ErrorHandler(
+            `You do not meet the requirements for ${result.course.title}: ${reasons}. Co-requisites awaiting approval or on the waitlist do not count`,
+            403
+          )
+        );
+      }
     }
-
-    // Create enrollment
-    await StudentCourse.create(
-      {
-        studentId: student.id,
-        courseId,
-        enrollmentDate: new Date(),
-      },
-      { transaction }
-    );
+    const { enrollment, message, waitlistPosition } = joined[0];
 
     await transaction.commit();
 
@@ -84,18 +226,14 @@ const enrollCourse = catchAsyncErrors(async (req, res, next) => {
             },
           ],
         },
-        {
-          model: Student,
-          where: { id: student.id },
-          required: false,
-          through: { attributes: ["enrollmentDate"] },
-        },
       ],
     });
 
     return res.status(200).json({
       success: true,
-      message: "Successfully enrolled in the course",
+      message,
+      status: enrollment.status,
+      waitlistPosition,
       course: {
         id: enrolledCourse.id,
         title: enrolledCourse.title,
@@ -109,11 +247,16 @@ const enrollCourse = catchAsyncErrors(async (req, res, next) => {
               email: enrolledCourse.Teacher.email,
             }
           : null,
-        enrollmentDate:
-          enrolledCourse.Students && enrolledCourse.Students[0]
-            ? enrolledCourse.Students[0].StudentCourse.enrollmentDate
-            : new Date(),
+        enrollmentPolicy: enrolledCourse.enrollmentPolicy,
+        enrollmentDate: enrollment.enrollmentDate,
       },
+      alsoJoined: joined.slice(1).map((result) => ({
+        courseId: result.course.id,
+        title: result.course.title,
+        status: result.enrollment.status,
+        waitlistPosition: result.waitlistPosition,
+        message: result.message,
+      })),
     });
   } catch (error) {
     await transaction.rollback();
@@ -152,6 +295,8 @@ const getEnrollmentDetails = catchAsyncErrors(async (req, res, next) => {
       include: [
         {
           model: Course,
+          // Enrollments in trashed courses are not shown
+          required: true,
           include: [
             {
               model: Teacher,
@@ -178,6 +323,9 @@ const getEnrollmentDetails = catchAsyncErrors(async (req, res, next) => {
       studentEmail: student.User.email,
       courseId: enrollment.Course.id,
       courseTitle: enrollment.Course.title,
+      status: enrollment.status,
+      waitlistPosition: await getWaitlistPosition(enrollment),
+      finalGrade: enrollment.finalGrade,
       enrollmentDate: enrollment.enrollmentDate,
       teacher: enrollment.Course.Teacher
         ? {
@@ -200,7 +348,16 @@ const getEnrollmentDetails = catchAsyncErrors(async (req, res, next) => {
   }
 });
 
-// Unenroll from a course
+// Confirmation for each kind of removed enrollment row
+const UNENROLL_MESSAGES = {
+  enrolled: "Successfully unenrolled from the course",
+  requested: "Enrollment request withdrawn",
+  invited: "Invitation declined",
+  waitlisted: "Removed from the waitlist",
+};
+
+// Unenroll from a course, withdraw a request, decline an invitation or leave
+// the waitlist. A freed seat goes to the first waitlisted student
 const unenrollCourse = catchAsyncErrors(async (req, res, next) => {
   const transaction = await sequelize.transaction();
 
@@ -208,6 +365,13 @@ const unenrollCourse = catchAsyncErrors(async (req, res, next) => {
     const { courseId } = req.params;
     const userId = req.user.id;
 
+    // Lock the course so the freed seat is handed out exactly once
+    const course = await lockCourse(courseId, transaction);
+    if (!course) {
+      await transaction.rollback();
+      return next(new ErrorHandler("Course not found", 404));
+    }
+
     // Find the student
     const student = await Student.findOne({
       where: { userId },
@@ -233,14 +397,30 @@ const unenrollCourse = catchAsyncErrors(async (req, res, next) => {
       return next(new ErrorHandler("Not enrolled in this course", 404));
     }
 
+    // Only dropping an actual seat is bound by the drop deadline
+    if (enrollment.status === "enrolled") {
+      const semester = await Semester.findByPk(course.semesterId, {
+        transaction,
+      });
+      const windowError = checkEnrollmentWindow(semester, "drop");
+      if (windowError) {
+        await transaction.rollback();
+        return next(new ErrorHandler(windowError, 400));
+      }
+    }
+
     // Delete the enrollment
     await enrollment.destroy({ transaction });
 
+    if (enrollment.status === "enrolled") {
+      await promoteFromWaitlist(course, transaction);
+    }
+
     await transaction.commit();
 
     res.json({
       success: true,
-      message: "Successfully unenrolled from the course",
+      message: UNENROLL_MESSAGES[enrollment.status],
     });
   } catch (error) {
     await transaction.rollback();
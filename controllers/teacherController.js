@@ -1,7 +1,8 @@
-const { User, Student, Teacher, Course, sequelize } = require("../models");
+const { User, Student, Teacher, CourseStaff, sequelize } = require("../models");
 const { ErrorHandler } = require("../middleware/errorHandler");
 const catchAsyncErrors = require("../middleware/catchAsyncErrors");
 
+const { getPermissionScope } = require("../utils/policies");
 // Get all students assigned to the logged-in teacher
 const getStudents = catchAsyncErrors(async (req, res, next) => {
   try {
@@ -39,17 +40,19 @@ const getStudents = catchAsyncErrors(async (req, res, next) => {
   }
 });
 
-// Assign a student to a teacher (admin function)
+// Assign a student to an advisor (teacher or admin function)
 const assignStudent = catchAsyncErrors(async (req, res, next) => {
   const transaction = await sequelize.transaction();
 
   try {
     const { studentId } = req.params;
-    const teacherId = req.user.role === "admin" ? req.body.teacherId : null;
+    const canAssignAny =
+      getPermissionScope(req.user.role, "student:assign") === "any";
+    const teacherId = canAssignAny ? req.body.teacherId : null;
 
-    // If not admin, user must be a teacher assigning to themselves
+    // Without the "any" scope, a teacher can only assign to themselves
     let teacher;
-    if (req.user.role === "admin" && teacherId) {
+    if (canAssignAny && teacherId) {
       teacher = await Teacher.findByPk(teacherId, {
         include: [{ model: User, attributes: ["name", "email"] }],
         transaction,
@@ -69,7 +72,7 @@ const assignStudent = catchAsyncErrors(async (req, res, next) => {
 
     // Find student
     let student;
-    if (req.user.role === "admin") {
+    if (canAssignAny) {
       // Admin can provide any student ID
       student = await Student.findByPk(studentId, {
         include: [{ model: User, attributes: ["name", "email"] }],
@@ -94,7 +97,8 @@ const assignStudent = catchAsyncErrors(async (req, res, next) => {
       );
     }
 
-    // Update student with teacher association
+    // Advising is separate from enrollment: the student picks their own
+    // courses
     await student.update(
       {
         teacherId: teacher.id,
@@ -103,28 +107,6 @@ const assignStudent = catchAsyncErrors(async (req, res, next) => {
       { transaction }
     );
 
-    // Find all courses by this teacher
-    const teacherCourses = await Course.findAll({
-      where: { teacherId: teacher.id },
-      transaction,
-    });
-
-    // Enroll student in all courses of this teacher
-    const enrollmentPromises = teacherCourses.map((course) => {
-      return sequelize.models.StudentCourse.create(
-        {
-          studentId: student.id,
-          courseId: course.id,
-          enrollmentDate: new Date(),
-        },
-        { transaction }
-      );
-    });
-
-    if (enrollmentPromises.length > 0) {
-      await Promise.all(enrollmentPromises);
-    }
-
     await transaction.commit();
 
     res.json({
@@ -139,7 +121,6 @@ const assignStudent = catchAsyncErrors(async (req, res, next) => {
           name: teacher.User ? teacher.User.name : "Unknown",
           email: teacher.email,
         },
-        coursesEnrolled: teacherCourses.length,
       },
     });
   } catch (error) {
@@ -166,8 +147,9 @@ const getProfile = catchAsyncErrors(async (req, res, next) => {
       where: { teacherId: teacher.id },
     });
 
-    const courseCount = await Course.count({
-      where: { teacherId: teacher.id },
+    // Courses taught as primary or co-instructor
+    const courseCount = await CourseStaff.count({
+      where: { userId: req.user.id },
     });
 
     res.json({
@@ -0,0 +1,159 @@
+const { Op } = require("sequelize");
+const { Course, CourseStaff, User, sequelize } = require("../models");
+const { ErrorHandler } = require("../middleware/errorHandler");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const { getPermissionScope, canAccessCourse } = require("../utils/policies");
+const { SCOPES } = require("../config/permissions");
+const {
+  TRASH_TYPES,
+  restoreFromTrash,
+  purgeDate,
+  findTrashedItems,
+} = require("../utils/trash");
+
+// Shape a trashed record for API responses
+const formatTrashed = (record, title) => ({
+  id: record.id,
+  title,
+  deletedAt: record.deletedAt,
+  deletedBy: record.DeletedBy
+    ? {
+        id: record.DeletedBy.id,
+        name: record.DeletedBy.name,
+        email: record.DeletedBy.email,
+      }
+    : null,
+  purgeAt: purgeDate(record),
+});
+
+// List trashed courses the user may manage
+const getTrashedCourses = catchAsyncErrors(async (req, res, next) => {
+  const where = { deletedAt: { [Op.ne]: null } };
+
+  if (getPermissionScope(req.user.role, "course:manage") !== SCOPES.ANY) {
+    const memberships = await CourseStaff.findAll({
+      where: { userId: req.user.id },
+      attributes: ["courseId"],
+    });
+    where.id = memberships.map((membership) => membership.courseId);
+  }
+
+  const courses = await Course.findAll({
+    where,
+    include: [
+      { model: User, as: "DeletedBy", attributes: ["id", "name", "email"] },
+    ],
+    order: [["deletedAt", "DESC"]],
+    paranoid: false,
+  });
+
+  res.json({
+    success: true,
+    count: courses.length,
+    courses: courses.map((course) => formatTrashed(course, course.title)),
+  });
+});
+
+// Take a course out of the trash, with everything it had
+const restoreCourse = catchAsyncErrors(async (req, res, next) => {
+  // Course access was checked by authorizeCourse
+  const course = req.course;
+  if (!course.deletedAt) {
+    return next(new ErrorHandler("Course is not in the trash", 400));
+  }
+
+  const transaction = await sequelize.transaction();
+  try {
+    await restoreFromTrash(course, transaction);
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    return next(new ErrorHandler(error.message, 500));
+  }
+
+  console.log(`Course ${course.id} restored by ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: "Course restored",
+    courseId: course.id,
+  });
+});
+
+// List a course's trashed lectures, assignments and e-content modules, each
+// type only if the user may manage it
+const getCourseTrash = catchAsyncErrors(async (req, res, next) => {
+  const trash = {};
+
+  for (const [type, { permission, titleField }] of Object.entries(
+    TRASH_TYPES
+  )) {
+    if (!(await canAccessCourse(req.user, permission, req.course))) {
+      continue;
+    }
+    const records = await findTrashedItems(type, req.course.id);
+    trash[type] = records.map((record) =>
+      formatTrashed(record, record[titleField])
+    );
+  }
+
+  if (Object.keys(trash).length === 0) {
+    return res.status(403).json({ error: "Access denied" });
+  }
+
+  res.json({ success: true, courseId: req.course.id, trash });
+});
+
+// Take a lecture, assignment or e-content module out of the trash
+const restoreTrashedItem = catchAsyncErrors(async (req, res, next) => {
+  const { itemType, itemId } = req.params;
+  const trashType = TRASH_TYPES[itemType];
+  if (!trashType) {
+    return next(
+      new ErrorHandler(
+        `Item type must be one of: ${Object.keys(TRASH_TYPES).join(", ")}`,
+        400
+      )
+    );
+  }
+
+  if (!(await canAccessCourse(req.user, trashType.permission, req.course))) {
+    return res.status(403).json({ error: "Access denied" });
+  }
+
+  const transaction = await sequelize.transaction();
+  try {
+    const [record] = await findTrashedItems(itemType, req.course.id, {
+      id: itemId,
+      transaction,
+    });
+    if (!record) {
+      await transaction.rollback();
+      return next(new ErrorHandler("Item not found in the trash", 404));
+    }
+
+    await restoreFromTrash(record, transaction);
+    await transaction.commit();
+
+    console.log(
+      `Restored ${itemType} ${record.id} of course ${req.course.id} by ${req.user.email}`
+    );
+    res.json({
+      success: true,
+      message: "Item restored",
+      itemType,
+      itemId: record.id,
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error("Error in restoreTrashedItem:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+module.exports = {
+  getTrashedCourses,
+  restoreCourse,
+  getCourseTrash,
+  restoreTrashedItem,
+};
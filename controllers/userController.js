@@ -0,0 +1,451 @@
+const crypto = require("crypto");
+const { Op } = require("sequelize");
+const { User, Teacher, Student, sequelize } = require("../models");
+const { ErrorHandler } = require("../middleware/errorHandler");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const { validateAdminUserData } = require("../utils/validation");
+const { issueUserToken, revokeAllSessions } = require("../utils/authTokens");
+const {
+  USER_ROLES,
+  hasOtherActiveAdmin,
+  changeUserRole,
+} = require("../utils/userRoles");
+const { getMailer } = require("../utils/mailer");
+const { passwordSetupEmail } = require("../utils/emailTemplates");
+
+const PASSWORD_SETUP_TTL_HOURS = 72;
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+const USER_ATTRIBUTES = [
+  "id",
+  "name",
+  "email",
+  "role",
+  "isActive",
+  "deactivatedAt",
+  "isApproved",
+  "emailVerified",
+  "lockedUntil",
+  "createdAt",
+  "updatedAt",
+];
+
+// Shape a user for API responses, with their teacher or student profile
+const formatUser = (user) => ({
+  id: user.id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  isActive: user.isActive,
+  deactivatedAt: user.deactivatedAt,
+  isApproved: user.isApproved,
+  emailVerified: user.emailVerified,
+  lockedUntil: user.lockedUntil,
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt,
+  teacher: user.Teacher ? { id: user.Teacher.id } : undefined,
+  student: user.Student
+    ? {
+        id: user.Student.id,
+        teacherEmail: user.Student.teacherEmail,
+        program: user.Student.program,
+        semester: user.Student.semester,
+      }
+    : undefined,
+});
+
+const profileIncludes = [
+  { model: Teacher, attributes: ["id"] },
+  {
+    model: Student,
+    attributes: ["id", "teacherEmail", "program", "semester"],
+  },
+];
+
+// Replace the user's password with a random one and email them a link to
+// choose their own, through the regular reset-password flow
+const sendPasswordSetup = async (user, { newAccount, transaction }) => {
+  if (!newAccount) {
+    await user.update(
+      { password: crypto.randomBytes(24).toString("hex") },
+      { transaction }
+    );
+    await revokeAllSessions(user.id, { transaction });
+  }
+
+  const token = await issueUserToken(
+    user.id,
+    "password_reset",
+    PASSWORD_SETUP_TTL_HOURS * 60,
+    { transaction }
+  );
+
+  await getMailer().sendMail({
+    to: user.email,
+    ...passwordSetupEmail({
+      name: user.name,
+      token,
+      expiresInHours: PASSWORD_SETUP_TTL_HOURS,
+      newAccount,
+    }),
+  });
+};
+
+// Find the advisor named by teacherEmail, if any
+const findAdvisor = async (teacherEmail, transaction) => {
+  if (!teacherEmail) {
+    return null;
+  }
+  const teacher = await Teacher.findOne({
+    where: { email: teacherEmail },
+    transaction,
+  });
+  if (!teacher) {
+    throw new ErrorHandler(`Teacher with email ${teacherEmail} not found`, 404);
+  }
+  return teacher;
+};
+
+// List users; ?search matches name or email, ?role and ?status
+// (active/inactive) filter, ?page and ?limit paginate
+const getUsers = catchAsyncErrors(async (req, res, next) => {
+  const where = {};
+
+  if (req.query.role) {
+    if (!USER_ROLES.includes(req.query.role)) {
+      return next(
+        new ErrorHandler(`role must be one of: ${USER_ROLES.join(", ")}`, 400)
+      );
+    }
+    where.role = req.query.role;
+  }
+
+  if (req.query.status === "active") {
+    where.isActive = true;
+  } else if (req.query.status === "inactive") {
+    where.isActive = false;
+  } else if (req.query.status) {
+    return next(new ErrorHandler("status must be active or inactive", 400));
+  }
+
+  if (req.query.search) {
+    const pattern = `%${String(req.query.search)
+      .trim()
+      .replace(/[\\%_]/g, "\\$&")}%`;
+    where[Op.or] = [
+      { name: { [Op.iLike]: pattern } },
+      { email: { [Op.iLike]: pattern } },
+    ];
+  }
+
+  const limit = Math.min(
+    Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE
+  );
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+  const { count, rows } = await User.findAndCountAll({
+    where,
+    attributes: USER_ATTRIBUTES,
+    include: profileIncludes,
+    order: [
+      ["name", "ASC"],
+      ["email", "ASC"],
+    ],
+    limit,
+    offset: (page - 1) * limit,
+    distinct: true,
+  });
+
+  res.status(200).json({
+    success: true,
+    count,
+    page,
+    totalPages: Math.ceil(count / limit),
+    users: rows.map(formatUser),
+  });
+});
+
+// Get one user with their profile
+const getUser = catchAsyncErrors(async (req, res, next) => {
+  const user = await User.findByPk(req.params.userId, {
+    attributes: USER_ATTRIBUTES,
+    include: profileIncludes,
+  });
+  if (!user) {
+    return next(new ErrorHandler("User not found", 404));
+  }
+
+  res.status(200).json({ success: true, user: formatUser(user) });
+});
+
+// Create a single user with the teacher or student profile their role
+// needs. Without a password the user is emailed a link to choose one
+const createUser = catchAsyncErrors(async (req, res, next) => {
+  const { error, value } = validateAdminUserData(req.body, { creating: true });
+  if (error) {
+    return next(new ErrorHandler(error, 400));
+  }
+
+  const transaction = await sequelize.transaction();
+  try {
+    const existing = await User.findOne({
+      where: { email: value.email },
+      transaction,
+    });
+    if (existing) {
+      await transaction.rollback();
+      return next(new ErrorHandler("Email is already in use", 409));
+    }
+
+    const advisor =
+      value.role === "student"
+        ? await findAdvisor(value.teacherEmail, transaction)
+        : null;
+
+    const user = await User.create(
+      {
+        name: value.name,
+        email: value.email,
+        role: value.role,
+        password: value.password || crypto.randomBytes(24).toString("hex"),
+      },
+      { transaction }
+    );
+
+    if (value.role === "teacher") {
+      await Teacher.create(
+        { userId: user.id, email: user.email },
+        { transaction }
+      );
+    } else if (value.role === "student") {
+      await Student.create(
+        {
+          userId: user.id,
+          teacherId: advisor ? advisor.id : null,
+          teacherEmail: advisor ? advisor.email : null,
+          program: value.program || null,
+          semester: value.semester || null,
+        },
+        { transaction }
+      );
+    }
+
+    if (!value.password) {
+      await sendPasswordSetup(user, { newAccount: true, transaction });
+    }
+
+    await transaction.commit();
+    console.log(
+      `User ${user.email} (${user.role}) created by ${req.user.email}`
+    );
+
+    await user.reload({
+      attributes: USER_ATTRIBUTES,
+      include: profileIncludes,
+    });
+    res.status(201).json({
+      success: true,
+      message: value.password
+        ? "User created successfully"
+        : "User created; a link to choose a password was emailed",
+      user: formatUser(user),
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error("Error in createUser:", error);
+    return next(
+      error.statusCode ? error : new ErrorHandler(error.message, 500)
+    );
+  }
+});
+
+// Edit a user's name, email and role. A role change moves their teacher or
+// student profile (see changeUserRole) and ends their sessions
+const updateUser = catchAsyncErrors(async (req, res, next) => {
+  const { error, value } = validateAdminUserData(req.body);
+  if (error) {
+    return next(new ErrorHandler(error, 400));
+  }
+
+  const transaction = await sequelize.transaction();
+  try {
+    const user = await User.findByPk(req.params.userId, { transaction });
+    if (!user) {
+      await transaction.rollback();
+      return next(new ErrorHandler("User not found", 404));
+    }
+
+    const roleChanged = value.role && value.role !== user.role;
+    if (roleChanged && user.id === req.user.id) {
+      await transaction.rollback();
+      return next(new ErrorHandler("You cannot change your own role", 400));
+    }
+
+    if (value.name) {
+      await user.update({ name: value.name }, { transaction });
+    }
+
+    if (value.email && value.email !== user.email) {
+      const taken = await User.findOne({
+        where: { email: value.email },
+        transaction,
+      });
+      if (taken) {
+        await transaction.rollback();
+        return next(new ErrorHandler("Email is already in use", 409));
+      }
+
+      // The new address has not been verified yet
+      await user.update(
+        { email: value.email, emailVerified: false },
+        { transaction }
+      );
+
+      // Teacher emails are copied onto the profile and the advisees
+      const teacher = await Teacher.findOne({
+        where: { userId: user.id },
+        transaction,
+      });
+      if (teacher) {
+        await teacher.update({ email: value.email }, { transaction });
+        await Student.update(
+          { teacherEmail: value.email },
+          { where: { teacherId: teacher.id }, transaction }
+        );
+      }
+    }
+
+    let moved = null;
+    if (roleChanged) {
+      const advisor =
+        value.role === "student"
+          ? await findAdvisor(value.teacherEmail, transaction)
+          : null;
+      moved = await changeUserRole(user, value.role, { advisor, transaction });
+      await revokeAllSessions(user.id, { transaction });
+    }
+
+    await transaction.commit();
+    console.log(
+      `User ${user.email} updated by ${req.user.email}${
+        moved ? `; role now ${user.role} (${JSON.stringify(moved)})` : ""
+      }`
+    );
+
+    await user.reload({
+      attributes: USER_ATTRIBUTES,
+      include: profileIncludes,
+    });
+    res.status(200).json({
+      success: true,
+      message: "User updated successfully",
+      user: formatUser(user),
+      ...(moved ? { roleChange: moved } : {}),
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error("Error in updateUser:", error);
+    return next(
+      error.statusCode ? error : new ErrorHandler(error.message, 500)
+    );
+  }
+});
+
+// Block a user from signing in and end their sessions; their data is kept
+const deactivateUser = catchAsyncErrors(async (req, res, next) => {
+  const transaction = await sequelize.transaction();
+  let user;
+  try {
+    user = await User.findByPk(req.params.userId, { transaction });
+    if (!user) {
+      await transaction.rollback();
+      return next(new ErrorHandler("User not found", 404));
+    }
+    if (user.id === req.user.id) {
+      await transaction.rollback();
+      return next(
+        new ErrorHandler("You cannot deactivate your own account", 400)
+      );
+    }
+    if (!user.isActive) {
+      await transaction.rollback();
+      return next(new ErrorHandler("User is already deactivated", 400));
+    }
+    // Checked under lock so another admin's deactivation cannot race it
+    if (
+      user.role === "admin" &&
+      !(await hasOtherActiveAdmin(user, transaction))
+    ) {
+      await transaction.rollback();
+      return next(
+        new ErrorHandler("At least one active admin must remain", 409)
+      );
+    }
+
+    await user.update(
+      { isActive: false, deactivatedAt: new Date() },
+      { transaction }
+    );
+    await revokeAllSessions(user.id, { transaction });
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    return next(new ErrorHandler(error.message, 500));
+  }
+
+  console.log(`User ${user.email} deactivated by ${req.user.email}`);
+  res.status(200).json({ success: true, message: "User deactivated" });
+});
+
+// Let a deactivated user sign in again
+const reactivateUser = catchAsyncErrors(async (req, res, next) => {
+  const user = await User.findByPk(req.params.userId);
+  if (!user) {
+    return next(new ErrorHandler("User not found", 404));
+  }
+  if (user.isActive) {
+    return next(new ErrorHandler("User is already active", 400));
+  }
+
+  await user.update({ isActive: true, deactivatedAt: null });
+
+  console.log(`User ${user.email} reactivated by ${req.user.email}`);
+  res.status(200).json({ success: true, message: "User reactivated" });
+});
+
+// Invalidate a user's password and sessions and email them a link to choose
+// a new password
+const forcePasswordReset = catchAsyncErrors(async (req, res, next) => {
+  const user = await User.findByPk(req.params.userId);
+  if (!user) {
+    return next(new ErrorHandler("User not found", 404));
+  }
+
+  const transaction = await sequelize.transaction();
+  try {
+    await sendPasswordSetup(user, { newAccount: false, transaction });
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    console.error("Error in forcePasswordReset:", error);
+    return next(new ErrorHandler("Could not reset the password", 500));
+  }
+
+  console.log(`Password of ${user.email} reset by ${req.user.email}`);
+  res.status(200).json({
+    success: true,
+    message: "Password reset; the user was emailed a link to choose a new one",
+  });
+});
+
+module.exports = {
+  getUsers,
+  getUser,
+  createUser,
+  updateUser,
+  deactivateUser,
+  reactivateUser,
+  forcePasswordReset,
+};
@@ -6,6 +6,9 @@ require("dotenv").config();
 const path = require("path");
 const fileUpload = require("express-fileupload");
 const { errorMiddleware } = require("./middleware/errorHandler");
+const auditContext = require("./middleware/auditContext");
+const { createMigrator } = require("./utils/migrator");
+const { startJobWorker } = require("./utils/jobQueue");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -30,6 +33,9 @@ app.use(
   })
 );
 
+// Attribute changes made while handling a request to its user and IP
+app.use(auditContext);
+
 // Database Connection
 connectDB();
 
@@ -49,6 +55,8 @@ app.use("/api/teachers", require("./routes/teachers"));
 app.use("/api/events", require("./routes/event"));
 app.use("/api/assignment", require("./routes/assignment"));
 app.use("/api/econtent", require("./routes/econtent"));
+app.use("/api/rubrics", require("./routes/rubrics"));
+app.use("/api/grade-scales", require("./routes/gradeScales"));
 app.use("/api/students", require("./routes/getStudents"));
 
 // Error handling middleware
@@ -62,18 +70,34 @@ app.use((req, res) => {
 // Sync database and start server
 const startServer = async () => {
   try {
-    // Sync all models with database
-    // Note: In production, you would typically use migrations instead
-    if (process.env.NODE_ENV === "development") {
-      console.log("Syncing database models...");
-      await sequelize.sync({ alter: true });
-      console.log("Database synced!");
+    // Apply pending migrations automatically in development; other
+    // environments run `npm run migrate` as a deploy step instead
+    if (
+      process.env.NODE_ENV === "development" ||
+      process.env.DB_AUTO_MIGRATE === "true"
+    ) {
+      console.log("Applying database migrations...");
+      const applied = await createMigrator({
+        sequelize,
+        directory: path.join(__dirname, "migrations"),
+      }).up();
+      console.log(`Database migrated (${applied.length} applied)`);
     }
 
     // Start server
     app.listen(PORT, () => {
       console.log(`Server is running on port ${PORT}`);
     });
+
+    // Jobs are processed by dedicated workers (npm run worker), which is
+    // how production runs them: a serverless deployment such as vercel.json
+    // keeps no poller alive between requests. JOB_WORKER=true also runs a
+    // worker in this process, for local development or a single server
+    if (process.env.JOB_WORKER === "true") {
+      startJobWorker({
+        pollInterval: Number(process.env.JOB_POLL_INTERVAL_MS) || undefined,
+      });
+    }
   } catch (error) {
     console.error("Failed to start server:", error);
     process.exit(1);
@@ -0,0 +1,7 @@
+const { runWithAuditContext } = require("../utils/audit");
+
+// Start an audit context for the request; auth adds the user once known
+const auditContext = (req, res, next) =>
+  runWithAuditContext({ ip: req.ip }, next);
+
+module.exports = auditContext;
@@ -1,5 +1,6 @@
 const jwt = require("jsonwebtoken");
 const { User } = require("../models");
+const { setAuditActor } = require("../utils/audit");
 
 const auth = async (req, res, next) => {
   try {
@@ -16,8 +17,22 @@ const auth = async (req, res, next) => {
       throw new Error("User not found");
     }
 
+    if (!user.isApproved) {
+      throw new Error("User is awaiting approval");
+    }
+
+    if (!user.isActive) {
+      throw new Error("User is deactivated");
+    }
+
+    // Tokens issued before the user's sessions were revoked are rejected
+    if ((decoded.tv || 0) !== user.tokenVersion) {
+      throw new Error("Token has been revoked");
+    }
+
     req.user = user;
     req.token = token;
+    setAuditActor(user.id);
     next();
   } catch (error) {
     console.error("Authentication error:", error.message);
@@ -0,0 +1,105 @@
+const { Course, Lecture, Assignment, Submission } = require("../models");
+const catchAsyncErrors = require("./catchAsyncErrors");
+const { hasPermission, canAccessCourse } = require("../utils/policies");
+
+// Require the user's role to hold at least one of the permissions.
+// Scope is not checked here; list endpoints narrow results themselves
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+
+    if (!permissions.some((p) => hasPermission(req.user.role, p))) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+    next();
+  };
+};
+
+// Find the course a request targets. Records loaded on the way are kept on
+// req (req.lecture, req.assignment, req.submission) for the controller.
+// Trashed courses are only found when options.paranoid is false
+const COURSE_RESOLVERS = {
+  course: async (req, { paranoid }) => {
+    const courseId = req.params.courseId || req.body.courseId;
+    return courseId ? Course.findByPk(courseId, { paranoid }) : null;
+  },
+  lecture: async (req) => {
+    const lecture = await Lecture.findByPk(req.params.lectureId);
+    if (!lecture) {
+      return null;
+    }
+    if (req.params.courseId && lecture.courseId !== req.params.courseId) {
+      return null;
+    }
+    req.lecture = lecture;
+    return Course.findByPk(lecture.courseId);
+  },
+  assignment: async (req) => {
+    const assignment = await Assignment.findByPk(req.params.assignmentId);
+    if (!assignment) {
+      return null;
+    }
+    req.assignment = assignment;
+    return Course.findByPk(assignment.courseId);
+  },
+  submission: async (req) => {
+    const submission = await Submission.findByPk(req.params.submissionId, {
+      include: [{ model: Assignment }],
+    });
+    if (
+      !submission ||
+      (req.params.assignmentId &&
+        submission.assignmentId !== req.params.assignmentId)
+    ) {
+      return null;
+    }
+    req.submission = submission;
+    req.assignment = submission.Assignment;
+    return Course.findByPk(submission.Assignment.courseId);
+  },
+};
+
+// Require a course-scoped permission on the course the request targets.
+// `from` names the route parameter the course is reached through:
+// course, lecture, assignment or submission. `includeDeleted` also finds
+// courses in the trash (from "course" only). Sets req.course
+const authorizeCourse = (
+  permission,
+  { from = "course", includeDeleted = false } = {}
+) => {
+  const resolveCourse = COURSE_RESOLVERS[from];
+  if (!resolveCourse) {
+    throw new Error(`Unknown course resource: ${from}`);
+  }
+
+  return catchAsyncErrors(async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+
+    // Refuse early so roles without the permission learn nothing about ids
+    if (!hasPermission(req.user.role, permission)) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    const course = await resolveCourse(req, { paranoid: !includeDeleted });
+    if (!course) {
+      const resource = from.charAt(0).toUpperCase() + from.slice(1);
+      return res.status(404).json({ error: `${resource} not found` });
+    }
+
+    if (!(await canAccessCourse(req.user, permission, course))) {
+      console.log(
+        `User ${req.user.id} denied ${permission} on course ${course.id}`
+      );
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    req.course = course;
+    next();
+  });
+};
+
+module.exports = { requirePermission, authorizeCourse };
@@ -1,6 +1,6 @@
-const XLSX = require("xlsx");
+const { parseSpreadsheet } = require("../utils/excelParser");
 
-// This middleware processes the Excel file directly from memory
+// This middleware processes the Excel or CSV file directly from memory
 module.exports = (req, res, next) => {
   console.log("Processing uploaded file...");
 
@@ -27,23 +27,26 @@ module.exports = (req, res, next) => {
       mimetype: uploadedFile.mimetype,
     });
 
-    // Check for valid Excel file based on mimetype
+    // Check for valid Excel or CSV file based on mimetype
     const validMimetypes = [
       "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
       "application/vnd.ms-excel",
       "application/excel",
       "application/x-excel",
+      "text/csv",
     ];
 
     // Check file extension too
     const fileExtension = uploadedFile.name.split(".").pop().toLowerCase();
-    const isValidExtension = ["xlsx", "xls", "lsx"].includes(fileExtension);
+    const isValidExtension = ["xlsx", "xls", "lsx", "csv"].includes(
+      fileExtension
+    );
     const isValidMimetype = validMimetypes.includes(uploadedFile.mimetype);
 
     // Accept file if EITHER extension OR mimetype is valid Excel
     if (!isValidExtension && !isValidMimetype) {
       return res.status(400).json({
-        error: "Invalid file type. Only Excel files are allowed",
+        error: "Invalid file type. Only Excel and CSV files are allowed",
         details: {
           extension: fileExtension,
           mimetype: uploadedFile.mimetype,
@@ -51,22 +54,14 @@ module.exports = (req, res, next) => {
       });
     }
 
-    // Process the Excel data directly from memory
+    // Parse the file directly from memory
     try {
-      // Create a workbook from the data buffer
-      const workbook = XLSX.read(uploadedFile.data, { type: "buffer" });
+      const importRows = parseSpreadsheet(uploadedFile.data);
 
-      // Get the first sheet name
-      const firstSheetName = workbook.SheetNames[0];
-
-      // Get the worksheet
-      const worksheet = workbook.Sheets[firstSheetName];
-
-      // Convert the worksheet to JSON
-      const excelData = XLSX.utils.sheet_to_json(worksheet);
-
-      // Create a req.excelData property with the parsed data
-      req.excelData = excelData;
+      // Rows with their sheet name and row number, for per-row reports
+      req.importRows = importRows;
+      // Plain rows keyed by field name
+      req.excelData = importRows.map((entry) => entry.values);
 
       // Create a mock file object for compatibility with existing code
       req.file = {
@@ -77,12 +72,12 @@ module.exports = (req, res, next) => {
         size: uploadedFile.size,
         // Instead of a physical path, provide the data in memory
         inMemory: true,
-        excelData: excelData,
+        excelData: req.excelData,
       };
 
       console.log(
-        "Excel data extracted successfully:",
-        excelData.length,
+        "Spreadsheet data extracted successfully:",
+        importRows.length,
         "rows"
       );
       next();
@@ -0,0 +1,52 @@
+module.exports = {
+  up: async (queryInterface, Sequelize, { transaction }) => {
+    await queryInterface.sequelize.query(
+      'CREATE EXTENSION IF NOT EXISTS "uuid-ossp"',
+      { transaction }
+    );
+
+    await queryInterface.createTable(
+      "Users",
+      {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.literal("uuid_generate_v4()"),
+          primaryKey: true,
+        },
+        name: {
+          type: Sequelize.STRING,
+          allowNull: false,
+        },
+        email: {
+          type: Sequelize.STRING,
+          allowNull: false,
+          unique: true,
+        },
+        password: {
+          type: Sequelize.STRING,
+          allowNull: false,
+        },
+        role: {
+          type: Sequelize.ENUM("admin", "teacher", "student"),
+          allowNull: false,
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+      },
+      { transaction }
+    );
+  },
+
+  down: async (queryInterface, Sequelize, { transaction }) => {
+    await queryInterface.dropTable("Users", { transaction });
+    await queryInterface.dropEnum("enum_Users_role", { transaction });
+  },
+};
@@ -0,0 +1,42 @@
+module.exports = {
+  up: async (queryInterface, Sequelize, { transaction }) => {
+    await queryInterface.createTable(
+      "Teachers",
+      {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.literal("uuid_generate_v4()"),
+          primaryKey: true,
+        },
+        userId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          unique: true,
+          references: { model: "Users", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "CASCADE",
+        },
+        email: {
+          type: Sequelize.STRING,
+          allowNull: false,
+          unique: true,
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+      },
+      { transaction }
+    );
+  },
+
+  down: async (queryInterface, Sequelize, { transaction }) => {
+    await queryInterface.dropTable("Teachers", { transaction });
+  },
+};
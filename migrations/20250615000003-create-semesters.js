@@ -0,0 +1,41 @@
+module.exports = {
+  up: async (queryInterface, Sequelize, { transaction }) => {
+    await queryInterface.createTable(
+      "Semesters",
+      {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.literal("uuid_generate_v4()"),
+          primaryKey: true,
+        },
+        name: {
+          type: Sequelize.STRING,
+          allowNull: false,
+        },
+        startDate: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        endDate: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+      },
+      { transaction }
+    );
+  },
+
+  down: async (queryInterface, Sequelize, { transaction }) => {
+    await queryInterface.dropTable("Semesters", { transaction });
+  },
+};
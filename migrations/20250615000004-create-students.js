@@ -0,0 +1,61 @@
+module.exports = {
+  up: async (queryInterface, Sequelize, { transaction }) => {
+    await queryInterface.createTable(
+      "Students",
+      {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.literal("uuid_generate_v4()"),
+          primaryKey: true,
+        },
+        userId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          unique: true,
+          references: { model: "Users", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "CASCADE",
+        },
+        teacherId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: "Teachers", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "CASCADE",
+        },
+        teacherEmail: {
+          type: Sequelize.STRING,
+          allowNull: false,
+        },
+        program: {
+          type: Sequelize.STRING,
+          allowNull: true,
+        },
+        semester: {
+          type: Sequelize.STRING,
+          allowNull: true,
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+      },
+      { transaction }
+    );
+
+    await queryInterface.addIndex("Students", ["teacherId"], {
+      name: "idx_students_teacherId",
+      transaction,
+    });
+  },
+
+  down: async (queryInterface, Sequelize, { transaction }) => {
+    await queryInterface.dropTable("Students", { transaction });
+  },
+};
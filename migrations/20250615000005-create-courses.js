@@ -0,0 +1,60 @@
+module.exports = {
+  up: async (queryInterface, Sequelize, { transaction }) => {
+    await queryInterface.createTable(
+      "Courses",
+      {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.literal("uuid_generate_v4()"),
+          primaryKey: true,
+        },
+        title: {
+          type: Sequelize.STRING,
+          allowNull: false,
+        },
+        aboutCourse: {
+          type: Sequelize.TEXT,
+          allowNull: false,
+        },
+        semesterId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: "Semesters", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "CASCADE",
+        },
+        teacherId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: "Teachers", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "CASCADE",
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+      },
+      { transaction }
+    );
+
+    await queryInterface.addIndex("Courses", ["teacherId"], {
+      name: "idx_courses_teacherId",
+      transaction,
+    });
+    await queryInterface.addIndex("Courses", ["semesterId"], {
+      name: "idx_courses_semesterId",
+      transaction,
+    });
+  },
+
+  down: async (queryInterface, Sequelize, { transaction }) => {
+    await queryInterface.dropTable("Courses", { transaction });
+  },
+};
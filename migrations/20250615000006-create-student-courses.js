@@ -0,0 +1,59 @@
+module.exports = {
+  up: async (queryInterface, Sequelize, { transaction }) => {
+    await queryInterface.createTable(
+      "StudentCourses",
+      {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.literal("uuid_generate_v4()"),
+          primaryKey: true,
+        },
+        studentId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: "Students", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "CASCADE",
+        },
+        courseId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: "Courses", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "CASCADE",
+        },
+        enrollmentDate: {
+          type: Sequelize.DATE,
+          allowNull: true,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+      },
+      { transaction }
+    );
+
+    // The unique index also serves lookups by studentId
+    await queryInterface.addIndex("StudentCourses", ["studentId", "courseId"], {
+      name: "uq_studentcourses_studentId_courseId",
+      unique: true,
+      transaction,
+    });
+    await queryInterface.addIndex("StudentCourses", ["courseId"], {
+      name: "idx_studentcourses_courseId",
+      transaction,
+    });
+  },
+
+  down: async (queryInterface, Sequelize, { transaction }) => {
+    await queryInterface.dropTable("StudentCourses", { transaction });
+  },
+};
@@ -0,0 +1,106 @@
+// One row of each detail table per course, keyed by a unique courseId
+const DETAIL_TABLES = [
+  "CourseOutcomes",
+  "CourseSchedules",
+  "CourseSyllabuses",
+  "WeeklyPlans",
+  "CreditPoints",
+  "CourseAttendances",
+];
+
+const baseColumns = (Sequelize) => ({
+  id: {
+    type: Sequelize.UUID,
+    defaultValue: Sequelize.literal("uuid_generate_v4()"),
+    primaryKey: true,
+  },
+  courseId: {
+    type: Sequelize.UUID,
+    allowNull: false,
+    unique: true,
+    references: { model: "Courses", key: "id" },
+    onUpdate: "CASCADE",
+    onDelete: "CASCADE",
+  },
+});
+
+const timestampColumns = (Sequelize) => ({
+  createdAt: {
+    type: Sequelize.DATE,
+    allowNull: false,
+    defaultValue: Sequelize.fn("NOW"),
+  },
+  updatedAt: {
+    type: Sequelize.DATE,
+    allowNull: false,
+    defaultValue: Sequelize.fn("NOW"),
+  },
+});
+
+const jsonColumn = (Sequelize, defaultValue) => ({
+  type: Sequelize.JSONB,
+  allowNull: false,
+  defaultValue,
+});
+
+const hoursColumn = (Sequelize) => ({
+  type: Sequelize.INTEGER,
+  allowNull: false,
+  defaultValue: 0,
+});
+
+module.exports = {
+  up: async (queryInterface, Sequelize, { transaction }) => {
+    const columnsByTable = {
+      CourseOutcomes: {
+        outcomes: jsonColumn(Sequelize, []),
+      },
+      CourseSchedules: {
+        classStartDate: { type: Sequelize.DATE, allowNull: false },
+        classEndDate: { type: Sequelize.DATE, allowNull: false },
+        midSemesterExamDate: { type: Sequelize.DATE, allowNull: false },
+        endSemesterExamDate: { type: Sequelize.DATE, allowNull: false },
+        classDaysAndTimes: jsonColumn(Sequelize, []),
+      },
+      CourseSyllabuses: {
+        modules: jsonColumn(Sequelize, []),
+      },
+      WeeklyPlans: {
+        weeks: jsonColumn(Sequelize, []),
+      },
+      CreditPoints: {
+        lecture: hoursColumn(Sequelize),
+        tutorial: hoursColumn(Sequelize),
+        practical: hoursColumn(Sequelize),
+        project: hoursColumn(Sequelize),
+      },
+      CourseAttendances: {
+        sessions: jsonColumn(Sequelize, {}),
+      },
+    };
+
+    for (const table of DETAIL_TABLES) {
+      await queryInterface.createTable(
+        table,
+        {
+          ...baseColumns(Sequelize),
+          ...columnsByTable[table],
+          ...timestampColumns(Sequelize),
+        },
+        { transaction }
+      );
+    }
+
+    await queryInterface.sequelize.query(
+      `ALTER TABLE "CreditPoints" ADD CONSTRAINT "chk_creditpoints_non_negative"
+       CHECK ("lecture" >= 0 AND "tutorial" >= 0 AND "practical" >= 0 AND "project" >= 0)`,
+      { transaction }
+    );
+  },
+
+  down: async (queryInterface, Sequelize, { transaction }) => {
+    for (const table of [...DETAIL_TABLES].reverse()) {
+      await queryInterface.dropTable(table, { transaction });
+    }
+  },
+};
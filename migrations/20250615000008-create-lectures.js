@@ -0,0 +1,66 @@
+module.exports = {
+  up: async (queryInterface, Sequelize, { transaction }) => {
+    await queryInterface.createTable(
+      "Lectures",
+      {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.literal("uuid_generate_v4()"),
+          primaryKey: true,
+        },
+        title: {
+          type: Sequelize.STRING,
+          allowNull: false,
+        },
+        content: {
+          type: Sequelize.TEXT,
+          allowNull: true,
+        },
+        videoUrl: {
+          type: Sequelize.STRING(1024),
+          allowNull: true,
+        },
+        videoKey: {
+          type: Sequelize.STRING(1024),
+          allowNull: true,
+        },
+        courseId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: "Courses", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "CASCADE",
+        },
+        isReviewed: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false,
+        },
+        reviewDeadline: {
+          type: Sequelize.DATE,
+          allowNull: true,
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+      },
+      { transaction }
+    );
+
+    await queryInterface.addIndex("Lectures", ["courseId"], {
+      name: "idx_lectures_courseId",
+      transaction,
+    });
+  },
+
+  down: async (queryInterface, Sequelize, { transaction }) => {
+    await queryInterface.dropTable("Lectures", { transaction });
+  },
+};
@@ -0,0 +1,185 @@
+module.exports = {
+  up: async (queryInterface, Sequelize, { transaction }) => {
+    await queryInterface.createTable(
+      "Assignments",
+      {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.literal("uuid_generate_v4()"),
+          primaryKey: true,
+        },
+        title: {
+          type: Sequelize.STRING,
+          allowNull: false,
+        },
+        description: {
+          type: Sequelize.TEXT,
+          allowNull: false,
+        },
+        courseId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: "Courses", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "CASCADE",
+        },
+        dueDate: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        totalPoints: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+        },
+        isActive: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: true,
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+      },
+      { transaction }
+    );
+
+    await queryInterface.addIndex("Assignments", ["courseId"], {
+      name: "idx_assignments_courseId",
+      transaction,
+    });
+
+    await queryInterface.createTable(
+      "AssignmentAttachments",
+      {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.literal("uuid_generate_v4()"),
+          primaryKey: true,
+        },
+        assignmentId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: "Assignments", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "CASCADE",
+        },
+        name: {
+          type: Sequelize.STRING,
+          allowNull: false,
+        },
+        url: {
+          type: Sequelize.STRING(1024),
+          allowNull: false,
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+      },
+      { transaction }
+    );
+
+    await queryInterface.addIndex("AssignmentAttachments", ["assignmentId"], {
+      name: "idx_assignmentattachments_assignmentId",
+      transaction,
+    });
+
+    await queryInterface.createTable(
+      "Submissions",
+      {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.literal("uuid_generate_v4()"),
+          primaryKey: true,
+        },
+        assignmentId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: "Assignments", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "CASCADE",
+        },
+        studentId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: "Students", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "CASCADE",
+        },
+        submissionDate: {
+          type: Sequelize.DATE,
+          allowNull: true,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+        submissionFile: {
+          type: Sequelize.STRING(1024),
+          allowNull: false,
+        },
+        grade: {
+          type: Sequelize.FLOAT,
+          allowNull: true,
+        },
+        feedback: {
+          type: Sequelize.TEXT,
+          allowNull: true,
+        },
+        status: {
+          type: Sequelize.ENUM("submitted", "graded", "returned"),
+          allowNull: true,
+          defaultValue: "submitted",
+        },
+        isLate: {
+          type: Sequelize.BOOLEAN,
+          allowNull: true,
+          defaultValue: false,
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+      },
+      { transaction }
+    );
+
+    // The unique index also serves lookups by assignmentId
+    await queryInterface.addIndex(
+      "Submissions",
+      ["assignmentId", "studentId"],
+      {
+        name: "uq_submissions_assignmentId_studentId",
+        unique: true,
+        transaction,
+      }
+    );
+    await queryInterface.addIndex("Submissions", ["studentId"], {
+      name: "idx_submissions_studentId",
+      transaction,
+    });
+  },
+
+  down: async (queryInterface, Sequelize, { transaction }) => {
+    await queryInterface.dropTable("Submissions", { transaction });
+    await queryInterface.dropEnum("enum_Submissions_status", { transaction });
+    await queryInterface.dropTable("AssignmentAttachments", { transaction });
+    await queryInterface.dropTable("Assignments", { transaction });
+  },
+};
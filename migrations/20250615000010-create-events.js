@@ -0,0 +1,62 @@
+module.exports = {
+  up: async (queryInterface, Sequelize, { transaction }) => {
+    await queryInterface.createTable(
+      "Events",
+      {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.literal("uuid_generate_v4()"),
+          primaryKey: true,
+        },
+        name: {
+          type: Sequelize.STRING,
+          allowNull: false,
+        },
+        description: {
+          type: Sequelize.TEXT,
+          allowNull: true,
+        },
+        date: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        time: {
+          type: Sequelize.STRING,
+          allowNull: false,
+        },
+        image: {
+          type: Sequelize.STRING(1024),
+          allowNull: false,
+        },
+        location: {
+          type: Sequelize.STRING,
+          allowNull: false,
+        },
+        link: {
+          type: Sequelize.STRING(1024),
+          allowNull: false,
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+      },
+      { transaction }
+    );
+
+    await queryInterface.addIndex("Events", ["date"], {
+      name: "idx_events_date",
+      transaction,
+    });
+  },
+
+  down: async (queryInterface, Sequelize, { transaction }) => {
+    await queryInterface.dropTable("Events", { transaction });
+  },
+};
@@ -0,0 +1,143 @@
+module.exports = {
+  up: async (queryInterface, Sequelize, { transaction }) => {
+    await queryInterface.createTable(
+      "EContents",
+      {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.literal("uuid_generate_v4()"),
+          primaryKey: true,
+        },
+        courseId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          unique: true,
+          references: { model: "Courses", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "CASCADE",
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+      },
+      { transaction }
+    );
+
+    await queryInterface.createTable(
+      "EContentModules",
+      {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.literal("uuid_generate_v4()"),
+          primaryKey: true,
+        },
+        eContentId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: "EContents", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "CASCADE",
+        },
+        moduleNumber: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+        },
+        moduleTitle: {
+          type: Sequelize.STRING,
+          allowNull: false,
+        },
+        link: {
+          type: Sequelize.STRING(1024),
+          allowNull: true,
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+      },
+      { transaction }
+    );
+
+    await queryInterface.addIndex("EContentModules", ["eContentId"], {
+      name: "idx_econtentmodules_eContentId",
+      transaction,
+    });
+
+    await queryInterface.createTable(
+      "EContentFiles",
+      {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.literal("uuid_generate_v4()"),
+          primaryKey: true,
+        },
+        moduleId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: "EContentModules", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "CASCADE",
+        },
+        fileType: {
+          type: Sequelize.ENUM("pdf", "ppt", "pptx", "other"),
+          allowNull: false,
+        },
+        fileUrl: {
+          type: Sequelize.STRING(1024),
+          allowNull: false,
+        },
+        fileKey: {
+          type: Sequelize.STRING(1024),
+          allowNull: false,
+        },
+        fileName: {
+          type: Sequelize.STRING,
+          allowNull: false,
+        },
+        uploadDate: {
+          type: Sequelize.DATE,
+          allowNull: true,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+      },
+      { transaction }
+    );
+
+    await queryInterface.addIndex("EContentFiles", ["moduleId"], {
+      name: "idx_econtentfiles_moduleId",
+      transaction,
+    });
+  },
+
+  down: async (queryInterface, Sequelize, { transaction }) => {
+    await queryInterface.dropTable("EContentFiles", { transaction });
+    await queryInterface.dropEnum("enum_EContentFiles_fileType", {
+      transaction,
+    });
+    await queryInterface.dropTable("EContentModules", { transaction });
+    await queryInterface.dropTable("EContents", { transaction });
+  },
+};
@@ -0,0 +1,89 @@
+module.exports = {
+  up: async (queryInterface, Sequelize, { transaction }) => {
+    // Bumped to invalidate every access token a user holds
+    await queryInterface.addColumn(
+      "Users",
+      "tokenVersion",
+      {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      { transaction }
+    );
+
+    await queryInterface.createTable(
+      "RefreshTokens",
+      {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.literal("uuid_generate_v4()"),
+          primaryKey: true,
+        },
+        userId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: "Users", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "CASCADE",
+        },
+        tokenHash: {
+          type: Sequelize.STRING(64),
+          allowNull: false,
+          unique: true,
+        },
+        familyId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+        },
+        expiresAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        revokedAt: {
+          type: Sequelize.DATE,
+          allowNull: true,
+        },
+        replacedById: {
+          type: Sequelize.UUID,
+          allowNull: true,
+        },
+        createdByIp: {
+          type: Sequelize.STRING,
+          allowNull: true,
+        },
+        userAgent: {
+          type: Sequelize.STRING(512),
+          allowNull: true,
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+      },
+      { transaction }
+    );
+
+    await queryInterface.addIndex("RefreshTokens", ["userId"], {
+      name: "idx_refreshtokens_userId",
+      transaction,
+    });
+    await queryInterface.addIndex("RefreshTokens", ["familyId"], {
+      name: "idx_refreshtokens_familyId",
+      transaction,
+    });
+  },
+
+  down: async (queryInterface, Sequelize, { transaction }) => {
+    await queryInterface.dropTable("RefreshTokens", { transaction });
+    await queryInterface.removeColumn("Users", "tokenVersion", {
+      transaction,
+    });
+  },
+};
@@ -0,0 +1,87 @@
+module.exports = {
+  up: async (queryInterface, Sequelize, { transaction }) => {
+    // Self-registered students have no advisor until one is assigned
+    await queryInterface.sequelize.query(
+      `ALTER TABLE "Students" ALTER COLUMN "teacherId" DROP NOT NULL,
+        ALTER COLUMN "teacherEmail" DROP NOT NULL`,
+      { transaction }
+    );
+
+    // Teachers who sign up without an invite wait for admin approval
+    await queryInterface.addColumn(
+      "Users",
+      "isApproved",
+      {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      { transaction }
+    );
+
+    await queryInterface.createTable(
+      "TeacherInvites",
+      {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.literal("uuid_generate_v4()"),
+          primaryKey: true,
+        },
+        codeHash: {
+          type: Sequelize.STRING(64),
+          allowNull: false,
+          unique: true,
+        },
+        email: {
+          type: Sequelize.STRING,
+          allowNull: true,
+        },
+        expiresAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        usedAt: {
+          type: Sequelize.DATE,
+          allowNull: true,
+        },
+        usedByUserId: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: "Users", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "SET NULL",
+        },
+        createdById: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: "Users", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "SET NULL",
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+      },
+      { transaction }
+    );
+  },
+
+  down: async (queryInterface, Sequelize, { transaction }) => {
+    await queryInterface.dropTable("TeacherInvites", { transaction });
+    await queryInterface.removeColumn("Users", "isApproved", { transaction });
+
+    // Fails if unassigned students exist; assign or remove them first
+    await queryInterface.sequelize.query(
+      `ALTER TABLE "Students" ALTER COLUMN "teacherId" SET NOT NULL,
+        ALTER COLUMN "teacherEmail" SET NOT NULL`,
+      { transaction }
+    );
+  },
+};
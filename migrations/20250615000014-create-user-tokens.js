@@ -0,0 +1,73 @@
+module.exports = {
+  up: async (queryInterface, Sequelize, { transaction }) => {
+    await queryInterface.addColumn(
+      "Users",
+      "emailVerified",
+      {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      { transaction }
+    );
+
+    await queryInterface.createTable(
+      "UserTokens",
+      {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.literal("uuid_generate_v4()"),
+          primaryKey: true,
+        },
+        userId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: "Users", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "CASCADE",
+        },
+        type: {
+          type: Sequelize.ENUM("password_reset", "email_verification"),
+          allowNull: false,
+        },
+        tokenHash: {
+          type: Sequelize.STRING(64),
+          allowNull: false,
+          unique: true,
+        },
+        expiresAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        usedAt: {
+          type: Sequelize.DATE,
+          allowNull: true,
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+      },
+      { transaction }
+    );
+
+    await queryInterface.addIndex("UserTokens", ["userId", "type"], {
+      name: "idx_usertokens_userId_type",
+      transaction,
+    });
+  },
+
+  down: async (queryInterface, Sequelize, { transaction }) => {
+    await queryInterface.dropTable("UserTokens", { transaction });
+    await queryInterface.dropEnum("enum_UserTokens_type", { transaction });
+    await queryInterface.removeColumn("Users", "emailVerified", {
+      transaction,
+    });
+  },
+};
@@ -0,0 +1,83 @@
+module.exports = {
+  up: async (queryInterface, Sequelize, { transaction }) => {
+    await queryInterface.addColumn(
+      "Users",
+      "failedLoginAttempts",
+      {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      { transaction }
+    );
+    await queryInterface.addColumn(
+      "Users",
+      "lastFailedLoginAt",
+      {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      { transaction }
+    );
+    await queryInterface.addColumn(
+      "Users",
+      "lockedUntil",
+      {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      { transaction }
+    );
+
+    await queryInterface.createTable(
+      "LoginThrottles",
+      {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.literal("uuid_generate_v4()"),
+          primaryKey: true,
+        },
+        ip: {
+          type: Sequelize.STRING(64),
+          allowNull: false,
+          unique: true,
+        },
+        failedAttempts: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+        },
+        lastFailedAt: {
+          type: Sequelize.DATE,
+          allowNull: true,
+        },
+        lockedUntil: {
+          type: Sequelize.DATE,
+          allowNull: true,
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+      },
+      { transaction }
+    );
+  },
+
+  down: async (queryInterface, Sequelize, { transaction }) => {
+    await queryInterface.dropTable("LoginThrottles", { transaction });
+    await queryInterface.removeColumn("Users", "lockedUntil", { transaction });
+    await queryInterface.removeColumn("Users", "lastFailedLoginAt", {
+      transaction,
+    });
+    await queryInterface.removeColumn("Users", "failedLoginAttempts", {
+      transaction,
+    });
+  },
+};
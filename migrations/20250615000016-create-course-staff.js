@@ -0,0 +1,84 @@
+module.exports = {
+  up: async (queryInterface, Sequelize, { transaction }) => {
+    // Teaching assistants work on the courses they are added to as staff
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_Users_role" ADD VALUE IF NOT EXISTS 'ta'`,
+      { transaction }
+    );
+
+    await queryInterface.createTable(
+      "CourseStaff",
+      {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.literal("uuid_generate_v4()"),
+          primaryKey: true,
+        },
+        courseId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: "Courses", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "CASCADE",
+        },
+        userId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: "Users", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "CASCADE",
+        },
+        role: {
+          type: Sequelize.ENUM("ta"),
+          allowNull: false,
+          defaultValue: "ta",
+        },
+        addedById: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: "Users", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "SET NULL",
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+      },
+      { transaction }
+    );
+
+    // The unique index also serves lookups by courseId
+    await queryInterface.addIndex("CourseStaff", ["courseId", "userId"], {
+      name: "uq_coursestaff_courseId_userId",
+      unique: true,
+      transaction,
+    });
+    await queryInterface.addIndex("CourseStaff", ["userId"], {
+      name: "idx_coursestaff_userId",
+      transaction,
+    });
+  },
+
+  down: async (queryInterface, Sequelize, { transaction }) => {
+    await queryInterface.dropTable("CourseStaff", { transaction });
+    await queryInterface.dropEnum("enum_CourseStaff_role", { transaction });
+
+    // Postgres cannot drop an enum value, so the type is rebuilt. Fails if
+    // TA accounts exist; change their role or remove them first
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_Users_role" RENAME TO "enum_Users_role_old";
+      CREATE TYPE "enum_Users_role" AS ENUM ('admin', 'teacher', 'student');
+      ALTER TABLE "Users" ALTER COLUMN "role" TYPE "enum_Users_role"
+        USING "role"::text::"enum_Users_role";
+      DROP TYPE "enum_Users_role_old";`,
+      { transaction }
+    );
+  },
+};
@@ -0,0 +1,54 @@
+module.exports = {
+  up: async (queryInterface, Sequelize, { transaction }) => {
+    // Values added with ADD VALUE cannot be used in the same transaction, so
+    // the role type is rebuilt instead to allow the backfill below
+    await queryInterface.sequelize.query(
+      `ALTER TABLE "CourseStaff" ALTER COLUMN "role" DROP DEFAULT;
+      ALTER TYPE "enum_CourseStaff_role" RENAME TO "enum_CourseStaff_role_old";
+      CREATE TYPE "enum_CourseStaff_role" AS ENUM ('primary', 'co_instructor', 'ta');
+      ALTER TABLE "CourseStaff" ALTER COLUMN "role" TYPE "enum_CourseStaff_role"
+        USING "role"::text::"enum_CourseStaff_role";
+      ALTER TABLE "CourseStaff" ALTER COLUMN "role" SET DEFAULT 'ta';
+      DROP TYPE "enum_CourseStaff_role_old";`,
+      { transaction }
+    );
+
+    // Every course's current teacher becomes its primary instructor
+    await queryInterface.sequelize.query(
+      `INSERT INTO "CourseStaff" ("courseId", "userId", "role")
+      SELECT c."id", t."userId", 'primary'
+      FROM "Courses" c
+      JOIN "Teachers" t ON t."id" = c."teacherId"
+      ON CONFLICT ("courseId", "userId") DO NOTHING`,
+      { transaction }
+    );
+
+    await queryInterface.addIndex("CourseStaff", ["courseId"], {
+      name: "uq_coursestaff_courseId_primary",
+      unique: true,
+      where: { role: "primary" },
+      transaction,
+    });
+  },
+
+  down: async (queryInterface, Sequelize, { transaction }) => {
+    await queryInterface.removeIndex(
+      "CourseStaff",
+      "uq_coursestaff_courseId_primary",
+      { transaction }
+    );
+
+    // Instructors are only tracked through Courses.teacherId again
+    await queryInterface.sequelize.query(
+      `DELETE FROM "CourseStaff" WHERE "role" <> 'ta';
+      ALTER TABLE "CourseStaff" ALTER COLUMN "role" DROP DEFAULT;
+      ALTER TYPE "enum_CourseStaff_role" RENAME TO "enum_CourseStaff_role_old";
+      CREATE TYPE "enum_CourseStaff_role" AS ENUM ('ta');
+      ALTER TABLE "CourseStaff" ALTER COLUMN "role" TYPE "enum_CourseStaff_role"
+        USING "role"::text::"enum_CourseStaff_role";
+      ALTER TABLE "CourseStaff" ALTER COLUMN "role" SET DEFAULT 'ta';
+      DROP TYPE "enum_CourseStaff_role_old";`,
+      { transaction }
+    );
+  },
+};
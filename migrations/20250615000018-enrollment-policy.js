@@ -0,0 +1,57 @@
+module.exports = {
+  up: async (queryInterface, Sequelize, { transaction }) => {
+    // How students get into a course: join freely, ask for approval, or
+    // only by invitation from course staff
+    await queryInterface.addColumn(
+      "Courses",
+      "enrollmentPolicy",
+      {
+        type: Sequelize.ENUM("open", "approval", "invite"),
+        allowNull: false,
+        defaultValue: "open",
+      },
+      { transaction }
+    );
+
+    // Pending requests and invitations live next to enrollments; existing
+    // rows are enrollments
+    await queryInterface.addColumn(
+      "StudentCourses",
+      "status",
+      {
+        type: Sequelize.ENUM("enrolled", "requested", "invited"),
+        allowNull: false,
+        defaultValue: "enrolled",
+      },
+      { transaction }
+    );
+    await queryInterface.addIndex("StudentCourses", ["courseId", "status"], {
+      name: "idx_studentcourses_courseId_status",
+      transaction,
+    });
+  },
+
+  down: async (queryInterface, Sequelize, { transaction }) => {
+    await queryInterface.sequelize.query(
+      `DELETE FROM "StudentCourses" WHERE "status" <> 'enrolled'`,
+      { transaction }
+    );
+    await queryInterface.removeIndex(
+      "StudentCourses",
+      "idx_studentcourses_courseId_status",
+      { transaction }
+    );
+    await queryInterface.removeColumn("StudentCourses", "status", {
+      transaction,
+    });
+    await queryInterface.dropEnum("enum_StudentCourses_status", {
+      transaction,
+    });
+    await queryInterface.removeColumn("Courses", "enrollmentPolicy", {
+      transaction,
+    });
+    await queryInterface.dropEnum("enum_Courses_enrollmentPolicy", {
+      transaction,
+    });
+  },
+};
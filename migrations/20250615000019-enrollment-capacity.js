@@ -0,0 +1,98 @@
+module.exports = {
+  up: async (queryInterface, Sequelize, { transaction }) => {
+    // Seat cap per course; null means unlimited
+    await queryInterface.addColumn(
+      "Courses",
+      "capacity",
+      {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      { transaction }
+    );
+
+    // Enrollment and drop windows; unset dates fall back to the semester's
+    // end date
+    await queryInterface.addColumn(
+      "Semesters",
+      "enrollmentOpensAt",
+      {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      { transaction }
+    );
+    await queryInterface.addColumn(
+      "Semesters",
+      "enrollmentClosesAt",
+      {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      { transaction }
+    );
+    await queryInterface.addColumn(
+      "Semesters",
+      "dropDeadline",
+      {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      { transaction }
+    );
+
+    // Students waiting for a seat, promoted in waitlistedAt order. ADD VALUE
+    // fails inside a transaction before Postgres 12 and the value cannot be
+    // used in the same transaction after, so the type is rebuilt instead
+    await queryInterface.sequelize.query(
+      `ALTER TABLE "StudentCourses" ALTER COLUMN "status" DROP DEFAULT;
+      ALTER TYPE "enum_StudentCourses_status" RENAME TO "enum_StudentCourses_status_old";
+      CREATE TYPE "enum_StudentCourses_status" AS ENUM ('enrolled', 'requested', 'invited', 'waitlisted');
+      ALTER TABLE "StudentCourses" ALTER COLUMN "status" TYPE "enum_StudentCourses_status"
+        USING "status"::text::"enum_StudentCourses_status";
+      ALTER TABLE "StudentCourses" ALTER COLUMN "status" SET DEFAULT 'enrolled';
+      DROP TYPE "enum_StudentCourses_status_old";`,
+      { transaction }
+    );
+    await queryInterface.addColumn(
+      "StudentCourses",
+      "waitlistedAt",
+      {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      { transaction }
+    );
+  },
+
+  down: async (queryInterface, Sequelize, { transaction }) => {
+    await queryInterface.removeColumn("StudentCourses", "waitlistedAt", {
+      transaction,
+    });
+
+    // Postgres cannot drop an enum value, so the type is rebuilt without
+    // the waitlist
+    await queryInterface.sequelize.query(
+      `DELETE FROM "StudentCourses" WHERE "status" = 'waitlisted';
+      ALTER TABLE "StudentCourses" ALTER COLUMN "status" DROP DEFAULT;
+      ALTER TYPE "enum_StudentCourses_status" RENAME TO "enum_StudentCourses_status_old";
+      CREATE TYPE "enum_StudentCourses_status" AS ENUM ('enrolled', 'requested', 'invited');
+      ALTER TABLE "StudentCourses" ALTER COLUMN "status" TYPE "enum_StudentCourses_status"
+        USING "status"::text::"enum_StudentCourses_status";
+      ALTER TABLE "StudentCourses" ALTER COLUMN "status" SET DEFAULT 'enrolled';
+      DROP TYPE "enum_StudentCourses_status_old";`,
+      { transaction }
+    );
+
+    await queryInterface.removeColumn("Semesters", "dropDeadline", {
+      transaction,
+    });
+    await queryInterface.removeColumn("Semesters", "enrollmentClosesAt", {
+      transaction,
+    });
+    await queryInterface.removeColumn("Semesters", "enrollmentOpensAt", {
+      transaction,
+    });
+    await queryInterface.removeColumn("Courses", "capacity", { transaction });
+  },
+};
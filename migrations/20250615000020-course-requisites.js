@@ -0,0 +1,135 @@
+module.exports = {
+  up: async (queryInterface, Sequelize, { transaction }) => {
+    // Final course grade (percentage), checked against requisite minimums
+    await queryInterface.addColumn(
+      "StudentCourses",
+      "finalGrade",
+      {
+        type: Sequelize.FLOAT,
+        allowNull: true,
+      },
+      { transaction }
+    );
+
+    await queryInterface.createTable(
+      "CourseRequisites",
+      {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.literal("uuid_generate_v4()"),
+          primaryKey: true,
+        },
+        courseId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: "Courses", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "CASCADE",
+        },
+        requiredCourseId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: "Courses", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "CASCADE",
+        },
+        type: {
+          type: Sequelize.ENUM("prerequisite", "corequisite"),
+          allowNull: false,
+          defaultValue: "prerequisite",
+        },
+        minGrade: {
+          type: Sequelize.FLOAT,
+          allowNull: true,
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+      },
+      { transaction }
+    );
+    await queryInterface.addIndex(
+      "CourseRequisites",
+      ["courseId", "requiredCourseId"],
+      {
+        name: "uq_courserequisites_courseId_requiredCourseId",
+        unique: true,
+        transaction,
+      }
+    );
+
+    await queryInterface.createTable(
+      "RequisiteOverrides",
+      {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.literal("uuid_generate_v4()"),
+          primaryKey: true,
+        },
+        studentId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: "Students", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "CASCADE",
+        },
+        courseId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: "Courses", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "CASCADE",
+        },
+        reason: {
+          type: Sequelize.TEXT,
+          allowNull: true,
+        },
+        grantedById: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: "Users", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "SET NULL",
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+      },
+      { transaction }
+    );
+    await queryInterface.addIndex(
+      "RequisiteOverrides",
+      ["studentId", "courseId"],
+      {
+        name: "uq_requisiteoverrides_studentId_courseId",
+        unique: true,
+        transaction,
+      }
+    );
+  },
+
+  down: async (queryInterface, Sequelize, { transaction }) => {
+    await queryInterface.dropTable("RequisiteOverrides", { transaction });
+    await queryInterface.dropTable("CourseRequisites", { transaction });
+    await queryInterface.dropEnum("enum_CourseRequisites_type", {
+      transaction,
+    });
+    await queryInterface.removeColumn("StudentCourses", "finalGrade", {
+      transaction,
+    });
+  },
+};
@@ -0,0 +1,100 @@
+module.exports = {
+  up: async (queryInterface, Sequelize, { transaction }) => {
+    // Background work picked up by job workers (see utils/jobQueue.js)
+    await queryInterface.createTable(
+      "Jobs",
+      {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.literal("uuid_generate_v4()"),
+          primaryKey: true,
+        },
+        type: {
+          type: Sequelize.STRING,
+          allowNull: false,
+        },
+        status: {
+          type: Sequelize.ENUM("queued", "running", "completed", "failed"),
+          allowNull: false,
+          defaultValue: "queued",
+        },
+        payload: {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: {},
+        },
+        result: {
+          type: Sequelize.JSONB,
+          allowNull: true,
+        },
+        error: {
+          type: Sequelize.TEXT,
+          allowNull: true,
+        },
+        progress: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+        },
+        attempts: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+        },
+        maxAttempts: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 3,
+        },
+        runAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+        lockedAt: {
+          type: Sequelize.DATE,
+          allowNull: true,
+        },
+        lockedBy: {
+          type: Sequelize.STRING,
+          allowNull: true,
+        },
+        finishedAt: {
+          type: Sequelize.DATE,
+          allowNull: true,
+        },
+        createdById: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: "Users", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "SET NULL",
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+      },
+      { transaction }
+    );
+    await queryInterface.addIndex("Jobs", ["status", "runAt"], {
+      name: "idx_jobs_status_runAt",
+      transaction,
+    });
+    await queryInterface.addIndex("Jobs", ["createdById"], {
+      name: "idx_jobs_createdById",
+      transaction,
+    });
+  },
+
+  down: async (queryInterface, Sequelize, { transaction }) => {
+    await queryInterface.dropTable("Jobs", { transaction });
+    await queryInterface.dropEnum("enum_Jobs_status", { transaction });
+  },
+};
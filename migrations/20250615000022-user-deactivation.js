@@ -0,0 +1,38 @@
+module.exports = {
+  up: async (queryInterface, Sequelize, { transaction }) => {
+    // Deactivated users keep their data but cannot sign in
+    await queryInterface.addColumn(
+      "Users",
+      "isActive",
+      {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      { transaction }
+    );
+    await queryInterface.addColumn(
+      "Users",
+      "deactivatedAt",
+      {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      { transaction }
+    );
+    await queryInterface.addIndex("Users", ["role"], {
+      name: "idx_users_role",
+      transaction,
+    });
+  },
+
+  down: async (queryInterface, Sequelize, { transaction }) => {
+    await queryInterface.removeIndex("Users", "idx_users_role", {
+      transaction,
+    });
+    await queryInterface.removeColumn("Users", "deactivatedAt", {
+      transaction,
+    });
+    await queryInterface.removeColumn("Users", "isActive", { transaction });
+  },
+};
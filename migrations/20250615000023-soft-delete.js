@@ -0,0 +1,55 @@
+// Tables whose rows go to the trash instead of being deleted right away
+const TABLES = ["Courses", "Lectures", "Assignments", "EContentModules"];
+
+module.exports = {
+  up: async (queryInterface, Sequelize, { transaction }) => {
+    for (const table of TABLES) {
+      await queryInterface.addColumn(
+        table,
+        "deletedAt",
+        {
+          type: Sequelize.DATE,
+          allowNull: true,
+        },
+        { transaction }
+      );
+      await queryInterface.addColumn(
+        table,
+        "deletedById",
+        {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: {
+            model: "Users",
+            key: "id",
+          },
+          onUpdate: "CASCADE",
+          onDelete: "SET NULL",
+        },
+        { transaction }
+      );
+      await queryInterface.addIndex(table, ["deletedAt"], {
+        name: `idx_${table.toLowerCase()}_deletedAt`,
+        transaction,
+      });
+    }
+  },
+
+  down: async (queryInterface, Sequelize, { transaction }) => {
+    for (const table of [...TABLES].reverse()) {
+      // Without the columns trashed rows would come back, so they are
+      // deleted for good (their blobs are left behind)
+      await queryInterface.sequelize.query(
+        `DELETE FROM "${table}" WHERE "deletedAt" IS NOT NULL`,
+        { transaction }
+      );
+      await queryInterface.removeIndex(
+        table,
+        `idx_${table.toLowerCase()}_deletedAt`,
+        { transaction }
+      );
+      await queryInterface.removeColumn(table, "deletedById", { transaction });
+      await queryInterface.removeColumn(table, "deletedAt", { transaction });
+    }
+  },
+};
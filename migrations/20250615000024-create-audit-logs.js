@@ -0,0 +1,76 @@
+module.exports = {
+  up: async (queryInterface, Sequelize, { transaction }) => {
+    // One row per created, changed or deleted record (see utils/audit.js)
+    await queryInterface.createTable(
+      "AuditLogs",
+      {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.literal("uuid_generate_v4()"),
+          primaryKey: true,
+        },
+        actorId: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: "Users", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "SET NULL",
+        },
+        action: {
+          type: Sequelize.ENUM(
+            "create",
+            "update",
+            "delete",
+            "restore",
+            "bulk_update",
+            "bulk_delete"
+          ),
+          allowNull: false,
+        },
+        entityType: {
+          type: Sequelize.STRING,
+          allowNull: false,
+        },
+        entityId: {
+          type: Sequelize.STRING,
+          allowNull: true,
+        },
+        before: {
+          type: Sequelize.JSONB,
+          allowNull: true,
+        },
+        after: {
+          type: Sequelize.JSONB,
+          allowNull: true,
+        },
+        ip: {
+          type: Sequelize.STRING(64),
+          allowNull: true,
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+      },
+      { transaction }
+    );
+    await queryInterface.addIndex("AuditLogs", ["entityType", "entityId"], {
+      name: "idx_auditlogs_entityType_entityId",
+      transaction,
+    });
+    await queryInterface.addIndex("AuditLogs", ["actorId"], {
+      name: "idx_auditlogs_actorId",
+      transaction,
+    });
+    await queryInterface.addIndex("AuditLogs", ["createdAt"], {
+      name: "idx_auditlogs_createdAt",
+      transaction,
+    });
+  },
+
+  down: async (queryInterface, Sequelize, { transaction }) => {
+    await queryInterface.dropTable("AuditLogs", { transaction });
+    await queryInterface.dropEnum("enum_AuditLogs_action", { transaction });
+  },
+};
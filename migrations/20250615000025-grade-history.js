@@ -0,0 +1,148 @@
+module.exports = {
+  up: async (queryInterface, Sequelize, { transaction }) => {
+    // Students asking for a submission's grade to be reviewed
+    await queryInterface.createTable(
+      "RegradeRequests",
+      {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.literal("uuid_generate_v4()"),
+          primaryKey: true,
+        },
+        submissionId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: "Submissions", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "CASCADE",
+        },
+        requestedById: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: "Users", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "SET NULL",
+        },
+        justification: {
+          type: Sequelize.TEXT,
+          allowNull: false,
+        },
+        status: {
+          type: Sequelize.ENUM("open", "accepted", "declined"),
+          allowNull: false,
+          defaultValue: "open",
+        },
+        response: {
+          type: Sequelize.TEXT,
+          allowNull: true,
+        },
+        resolvedById: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: "Users", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "SET NULL",
+        },
+        resolvedAt: {
+          type: Sequelize.DATE,
+          allowNull: true,
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+      },
+      { transaction }
+    );
+    await queryInterface.addIndex("RegradeRequests", ["submissionId"], {
+      name: "idx_regraderequests_submissionId",
+      transaction,
+    });
+    // At most one open request per submission
+    await queryInterface.addIndex("RegradeRequests", ["submissionId"], {
+      name: "uq_regraderequests_submissionId_open",
+      unique: true,
+      where: { status: "open" },
+      transaction,
+    });
+
+    // Every grade given to a submission, newest last
+    await queryInterface.createTable(
+      "SubmissionGrades",
+      {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.literal("uuid_generate_v4()"),
+          primaryKey: true,
+        },
+        submissionId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: "Submissions", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "CASCADE",
+        },
+        grade: {
+          type: Sequelize.FLOAT,
+          allowNull: false,
+        },
+        feedback: {
+          type: Sequelize.TEXT,
+          allowNull: true,
+        },
+        reason: {
+          type: Sequelize.TEXT,
+          allowNull: true,
+        },
+        gradedById: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: "Users", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "SET NULL",
+        },
+        regradeRequestId: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: "RegradeRequests", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "SET NULL",
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+      },
+      { transaction }
+    );
+    await queryInterface.addIndex(
+      "SubmissionGrades",
+      ["submissionId", "createdAt"],
+      { name: "idx_submissiongrades_submissionId_createdAt", transaction }
+    );
+
+    // Existing grades become the first version; who gave them is unknown
+    await queryInterface.sequelize.query(
+      `INSERT INTO "SubmissionGrades" ("submissionId", "grade", "feedback", "createdAt")
+       SELECT "id", "grade", "feedback", "updatedAt"
+       FROM "Submissions"
+       WHERE "grade" IS NOT NULL`,
+      { transaction }
+    );
+  },
+
+  down: async (queryInterface, Sequelize, { transaction }) => {
+    await queryInterface.dropTable("SubmissionGrades", { transaction });
+    await queryInterface.dropTable("RegradeRequests", { transaction });
+    await queryInterface.dropEnum("enum_RegradeRequests_status", {
+      transaction,
+    });
+  },
+};
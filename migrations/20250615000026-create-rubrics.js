@@ -0,0 +1,188 @@
+module.exports = {
+  up: async (queryInterface, Sequelize, { transaction }) => {
+    // Reusable rubrics owned by the teacher who wrote them
+    await queryInterface.createTable(
+      "Rubrics",
+      {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.literal("uuid_generate_v4()"),
+          primaryKey: true,
+        },
+        title: {
+          type: Sequelize.STRING,
+          allowNull: false,
+        },
+        description: {
+          type: Sequelize.TEXT,
+          allowNull: true,
+        },
+        ownerId: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: "Users", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "SET NULL",
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+      },
+      { transaction }
+    );
+    await queryInterface.addIndex("Rubrics", ["ownerId"], {
+      name: "idx_rubrics_ownerId",
+      transaction,
+    });
+
+    await queryInterface.createTable(
+      "RubricCriteria",
+      {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.literal("uuid_generate_v4()"),
+          primaryKey: true,
+        },
+        rubricId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: "Rubrics", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "CASCADE",
+        },
+        title: {
+          type: Sequelize.STRING,
+          allowNull: false,
+        },
+        description: {
+          type: Sequelize.TEXT,
+          allowNull: true,
+        },
+        position: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+      },
+      { transaction }
+    );
+    await queryInterface.addIndex("RubricCriteria", ["rubricId"], {
+      name: "idx_rubriccriteria_rubricId",
+      transaction,
+    });
+
+    await queryInterface.createTable(
+      "RubricLevels",
+      {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.literal("uuid_generate_v4()"),
+          primaryKey: true,
+        },
+        criterionId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: "RubricCriteria", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "CASCADE",
+        },
+        title: {
+          type: Sequelize.STRING,
+          allowNull: false,
+        },
+        description: {
+          type: Sequelize.TEXT,
+          allowNull: true,
+        },
+        points: {
+          type: Sequelize.FLOAT,
+          allowNull: false,
+        },
+        position: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+      },
+      { transaction }
+    );
+    await queryInterface.addIndex("RubricLevels", ["criterionId"], {
+      name: "idx_rubriclevels_criterionId",
+      transaction,
+    });
+
+    await queryInterface.addColumn(
+      "Assignments",
+      "rubricId",
+      {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: "Rubrics", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+      },
+      { transaction }
+    );
+    await queryInterface.addIndex("Assignments", ["rubricId"], {
+      name: "idx_assignments_rubricId",
+      transaction,
+    });
+
+    // Levels chosen per criterion, copied so later rubric edits do not
+    // change grades already given
+    await queryInterface.addColumn(
+      "Submissions",
+      "rubricScores",
+      { type: Sequelize.JSONB, allowNull: true },
+      { transaction }
+    );
+    await queryInterface.addColumn(
+      "SubmissionGrades",
+      "rubricScores",
+      { type: Sequelize.JSONB, allowNull: true },
+      { transaction }
+    );
+  },
+
+  down: async (queryInterface, Sequelize, { transaction }) => {
+    await queryInterface.removeColumn("SubmissionGrades", "rubricScores", {
+      transaction,
+    });
+    await queryInterface.removeColumn("Submissions", "rubricScores", {
+      transaction,
+    });
+    await queryInterface.removeColumn("Assignments", "rubricId", {
+      transaction,
+    });
+    await queryInterface.dropTable("RubricLevels", { transaction });
+    await queryInterface.dropTable("RubricCriteria", { transaction });
+    await queryInterface.dropTable("Rubrics", { transaction });
+  },
+};
@@ -0,0 +1,199 @@
+module.exports = {
+  up: async (queryInterface, Sequelize, { transaction }) => {
+    // Letter grade scales shared between courses (see utils/gradebook.js)
+    await queryInterface.createTable(
+      "GradeScales",
+      {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.literal("uuid_generate_v4()"),
+          primaryKey: true,
+        },
+        name: {
+          type: Sequelize.STRING,
+          allowNull: false,
+        },
+        // [{ letter, minPercent }], highest first
+        entries: {
+          type: Sequelize.JSONB,
+          allowNull: false,
+        },
+        ownerId: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: "Users", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "SET NULL",
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+      },
+      { transaction }
+    );
+
+    await queryInterface.addColumn(
+      "Courses",
+      "gradeScaleId",
+      {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: "GradeScales", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+      },
+      { transaction }
+    );
+
+    // Weighted assignment categories of a course
+    await queryInterface.createTable(
+      "GradeCategories",
+      {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.literal("uuid_generate_v4()"),
+          primaryKey: true,
+        },
+        courseId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: "Courses", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "CASCADE",
+        },
+        name: {
+          type: Sequelize.STRING,
+          allowNull: false,
+        },
+        weight: {
+          type: Sequelize.FLOAT,
+          allowNull: false,
+        },
+        dropLowest: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+        },
+        position: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+      },
+      { transaction }
+    );
+    await queryInterface.addIndex("GradeCategories", ["courseId", "name"], {
+      name: "uq_gradecategories_courseId_name",
+      unique: true,
+      transaction,
+    });
+
+    await queryInterface.addColumn(
+      "Assignments",
+      "categoryId",
+      {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: "GradeCategories", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+      },
+      { transaction }
+    );
+    await queryInterface.addIndex("Assignments", ["categoryId"], {
+      name: "idx_assignments_categoryId",
+      transaction,
+    });
+
+    // Excused and missing marks; a student need not have submitted
+    await queryInterface.createTable(
+      "GradeMarks",
+      {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.literal("uuid_generate_v4()"),
+          primaryKey: true,
+        },
+        assignmentId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: "Assignments", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "CASCADE",
+        },
+        studentId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: "Students", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "CASCADE",
+        },
+        mark: {
+          type: Sequelize.ENUM("excused", "missing"),
+          allowNull: false,
+        },
+        note: {
+          type: Sequelize.TEXT,
+          allowNull: true,
+        },
+        markedById: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: "Users", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "SET NULL",
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+      },
+      { transaction }
+    );
+    await queryInterface.addIndex("GradeMarks", ["assignmentId", "studentId"], {
+      name: "uq_grademarks_assignmentId_studentId",
+      unique: true,
+      transaction,
+    });
+    await queryInterface.addIndex("GradeMarks", ["studentId"], {
+      name: "idx_grademarks_studentId",
+      transaction,
+    });
+  },
+
+  down: async (queryInterface, Sequelize, { transaction }) => {
+    await queryInterface.dropTable("GradeMarks", { transaction });
+    await queryInterface.dropEnum("enum_GradeMarks_mark", { transaction });
+    await queryInterface.removeColumn("Assignments", "categoryId", {
+      transaction,
+    });
+    await queryInterface.dropTable("GradeCategories", { transaction });
+    await queryInterface.removeColumn("Courses", "gradeScaleId", {
+      transaction,
+    });
+    await queryInterface.dropTable("GradeScales", { transaction });
+  },
+};
@@ -0,0 +1,178 @@
+module.exports = {
+  up: async (queryInterface, Sequelize, { transaction }) => {
+    // Late policy of each assignment (see utils/latePolicy.js)
+    await queryInterface.addColumn(
+      "Assignments",
+      "latePolicy",
+      {
+        type: Sequelize.ENUM("accept", "cutoff", "penalty"),
+        allowNull: false,
+        defaultValue: "accept",
+      },
+      { transaction }
+    );
+    await queryInterface.addColumn(
+      "Assignments",
+      "gracePeriodMinutes",
+      {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      { transaction }
+    );
+    await queryInterface.addColumn(
+      "Assignments",
+      "latePenaltyPercent",
+      {
+        type: Sequelize.FLOAT,
+        allowNull: true,
+      },
+      { transaction }
+    );
+    await queryInterface.addColumn(
+      "Assignments",
+      "maxLateDays",
+      {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      { transaction }
+    );
+
+    // Points taken off a grade for lateness
+    await queryInterface.addColumn(
+      "Submissions",
+      "latePenalty",
+      {
+        type: Sequelize.FLOAT,
+        allowNull: true,
+      },
+      { transaction }
+    );
+    await queryInterface.addColumn(
+      "SubmissionGrades",
+      "latePenalty",
+      {
+        type: Sequelize.FLOAT,
+        allowNull: true,
+      },
+      { transaction }
+    );
+
+    // Standing extra days on every due date of a course
+    await queryInterface.addColumn(
+      "StudentCourses",
+      "accommodationDays",
+      {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      { transaction }
+    );
+    await queryInterface.addColumn(
+      "StudentCourses",
+      "accommodationNote",
+      {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      { transaction }
+    );
+
+    // One student's own due date for one assignment
+    await queryInterface.createTable(
+      "AssignmentExtensions",
+      {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.literal("uuid_generate_v4()"),
+          primaryKey: true,
+        },
+        assignmentId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: "Assignments", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "CASCADE",
+        },
+        studentId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: "Students", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "CASCADE",
+        },
+        dueDate: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        reason: {
+          type: Sequelize.TEXT,
+          allowNull: true,
+        },
+        grantedById: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: "Users", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "SET NULL",
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn("NOW"),
+        },
+      },
+      { transaction }
+    );
+    await queryInterface.addIndex(
+      "AssignmentExtensions",
+      ["assignmentId", "studentId"],
+      {
+        name: "uq_assignmentextensions_assignmentId_studentId",
+        unique: true,
+        transaction,
+      }
+    );
+    await queryInterface.addIndex("AssignmentExtensions", ["studentId"], {
+      name: "idx_assignmentextensions_studentId",
+      transaction,
+    });
+  },
+
+  down: async (queryInterface, Sequelize, { transaction }) => {
+    await queryInterface.dropTable("AssignmentExtensions", { transaction });
+    await queryInterface.removeColumn("StudentCourses", "accommodationNote", {
+      transaction,
+    });
+    await queryInterface.removeColumn("StudentCourses", "accommodationDays", {
+      transaction,
+    });
+    await queryInterface.removeColumn("SubmissionGrades", "latePenalty", {
+      transaction,
+    });
+    await queryInterface.removeColumn("Submissions", "latePenalty", {
+      transaction,
+    });
+    for (const column of [
+      "maxLateDays",
+      "latePenaltyPercent",
+      "gracePeriodMinutes",
+      "latePolicy",
+    ]) {
+      await queryInterface.removeColumn("Assignments", column, {
+        transaction,
+      });
+    }
+    await queryInterface.dropEnum("enum_Assignments_latePolicy", {
+      transaction,
+    });
+  },
+};
@@ -0,0 +1,33 @@
+module.exports = {
+  up: async (queryInterface, Sequelize, { transaction }) => {
+    // Blob keys next to the URLs, so the file-cleanup job can delete
+    // attachments and submissions. Rows uploaded before have none
+    await queryInterface.addColumn(
+      "AssignmentAttachments",
+      "fileKey",
+      {
+        type: Sequelize.STRING(1024),
+        allowNull: true,
+      },
+      { transaction }
+    );
+    await queryInterface.addColumn(
+      "Submissions",
+      "submissionFileKey",
+      {
+        type: Sequelize.STRING(1024),
+        allowNull: true,
+      },
+      { transaction }
+    );
+  },
+
+  down: async (queryInterface, Sequelize, { transaction }) => {
+    await queryInterface.removeColumn("Submissions", "submissionFileKey", {
+      transaction,
+    });
+    await queryInterface.removeColumn("AssignmentAttachments", "fileKey", {
+      transaction,
+    });
+  },
+};
@@ -1,84 +1,128 @@
 require("dotenv").config();
-const { Sequelize } = require("sequelize");
-const { exec } = require("child_process");
-const path = require("path");
-const fs = require("fs");
-
-// Get the Sequelize CLI command
-const sequelizePath = path.resolve("node_modules", ".bin", "sequelize");
-
-// Run migration command based on arguments
-const runMigrations = () => {
-  // Check if there are migrations in the migrations folder
-  const migrationsFolder = path.join(__dirname);
-  const migrationFiles = fs
-    .readdirSync(migrationsFolder)
-    .filter((file) => file.endsWith(".js") && file !== "run.js");
-
-  if (migrationFiles.length === 0) {
-    console.log("No migration files found. Creating initial migration...");
-
-    // Create initial migration
-    exec(
-      `${sequelizePath} migration:generate --name init`,
-      (error, stdout, stderr) => {
-        if (error) {
-          console.error(`Error creating migration: ${error.message}`);
-          return;
-        }
+const { sequelize } = require("../config/database");
+const { createMigrator } = require("../utils/migrator");
+
+const USAGE = `Usage: node migrations/run.js <command> [options]
+
+Commands:
+  up [--to <version>]                  Apply pending migrations
+  down [--step <n> | --to <version> | --all]
+                                       Revert applied migrations (default: 1)
+  status                               List migrations and whether they are applied
+  create <name>                        Create a new empty migration file
+
+Aliases: migrate = up, undo = down, undo:all = down --all`;
 
-        console.log(stdout);
-        console.log("Initial migration created. Running migrations...");
+// Parse "--flag value" and bare "--flag" options after the command
+const parseOptions = (args) => {
+  const options = { _: [] };
 
-        // Run migrations
-        runSequelizeCommand();
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg.startsWith("--")) {
+      const key = arg.slice(2);
+      const value = args[i + 1];
+      if (value === undefined || value.startsWith("--")) {
+        options[key] = true;
+      } else {
+        options[key] = value;
+        i++;
       }
-    );
-  } else {
-    // Run migrations directly
-    runSequelizeCommand();
+    } else {
+      options._.push(arg);
+    }
   }
+
+  return options;
 };
 
-const runSequelizeCommand = () => {
-  const command = process.argv[2] || "migrate";
+const formatDate = (date) => (date ? new Date(date).toISOString() : "");
+
+const run = async () => {
+  const [rawCommand = "up", ...rest] = process.argv.slice(2);
+  const options = parseOptions(rest);
+  const aliases = { migrate: "up", undo: "down", "undo:all": "down" };
+  const command = aliases[rawCommand] || rawCommand;
+
+  if (rawCommand === "undo:all") {
+    options.all = true;
+  }
+
+  const migrator = createMigrator({ sequelize, directory: __dirname });
 
-  let sequelizeCommand;
   switch (command) {
-    case "migrate":
-      sequelizeCommand = "db:migrate";
-      break;
-    case "undo":
-      sequelizeCommand = "db:migrate:undo";
-      break;
-    case "undo:all":
-      sequelizeCommand = "db:migrate:undo:all";
+    case "up": {
+      const applied = await migrator.up({ to: options.to });
+      console.log(
+        applied.length
+          ? `Applied ${applied.length} migration(s).`
+          : "Database is up to date."
+      );
       break;
-    case "status":
-      sequelizeCommand = "db:migrate:status";
+    }
+
+    case "down": {
+      let downOptions;
+      if (options.all) {
+        downOptions = { to: "0" };
+      } else if (options.to) {
+        downOptions = { to: options.to };
+      } else {
+        const step = options.step === undefined ? 1 : Number(options.step);
+        if (!Number.isInteger(step) || step < 1) {
+          throw new Error("--step must be a positive integer");
+        }
+        downOptions = { step };
+      }
+
+      const reverted = await migrator.down(downOptions);
+      console.log(
+        reverted.length
+          ? `Reverted ${reverted.length} migration(s).`
+          : "Nothing to revert."
+      );
       break;
-    case "create":
-      const name = process.argv[3];
-      if (!name) {
-        console.error("Migration name is required for create command");
-        process.exit(1);
+    }
+
+    case "status": {
+      const rows = await migrator.status();
+      if (rows.length === 0) {
+        console.log("No migrations found.");
+        break;
       }
-      sequelizeCommand = `migration:generate --name ${name}`;
+
+      for (const row of rows) {
+        const state = row.missing ? "missing" : row.applied ? "up" : "down";
+        console.log(
+          `${state.padEnd(8)} ${row.version}  ${row.name.padEnd(
+            40
+          )} ${formatDate(row.appliedAt)}`
+        );
+      }
+
+      const pendingCount = rows.filter((row) => !row.applied).length;
+      console.log(`\n${pendingCount} pending migration(s).`);
       break;
-    default:
-      console.error(`Unknown command: ${command}`);
-      process.exit(1);
-  }
+    }
 
-  exec(`${sequelizePath} ${sequelizeCommand}`, (error, stdout, stderr) => {
-    if (error) {
-      console.error(`Error: ${error.message}`);
-      return;
+    case "create": {
+      const filePath = migrator.create(options._[0]);
+      console.log(`Created ${filePath}`);
+      break;
     }
 
-    console.log(stdout);
-    console.log("Migration command completed successfully.");
-  });
+    default:
+      console.error(`Unknown command: ${rawCommand}\n\n${USAGE}`);
+      process.exitCode = 1;
+  }
 };
 
-runMigrations();
+run()
+  .catch((error) => {
+    console.error("Migration failed:", error.message);
+    if (process.env.NODE_ENV === "development") {
+      console.error(error.stack);
+    }
+    process.exitCode = 1;
+  })
+  .finally(() => sequelize.close());
@@ -28,14 +28,55 @@ const Assignment = sequelize.define(
     totalPoints: {
       type: DataTypes.INTEGER,
       allowNull: false,
+      validate: { min: 1 },
     },
     isActive: {
       type: DataTypes.BOOLEAN,
+      allowNull: false,
       defaultValue: true,
     },
+    // Grading with a rubric computes the grade from the levels chosen
+    rubricId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+    // Gradebook category the assignment counts towards
+    categoryId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+    // accept: late work is only flagged; cutoff: nothing is accepted after
+    // the due date and grace period; penalty: latePenaltyPercent of the
+    // points is taken off per day late, and maxLateDays (if set) closes
+    // submissions. See utils/latePolicy
+    latePolicy: {
+      type: DataTypes.ENUM("accept", "cutoff", "penalty"),
+      allowNull: false,
+      defaultValue: "accept",
+    },
+    // Submissions this long after the due date still count as on time
+    gracePeriodMinutes: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    latePenaltyPercent: {
+      type: DataTypes.FLOAT,
+      allowNull: true,
+    },
+    maxLateDays: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    deletedById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
   },
   {
     timestamps: true,
+    // Deleting moves the row to the trash (see utils/trash)
+    paranoid: true,
   }
 );
 
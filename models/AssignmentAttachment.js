@@ -18,9 +18,15 @@ const AssignmentAttachment = sequelize.define(
       allowNull: false,
     },
     url: {
-      type: DataTypes.STRING,
+      type: DataTypes.STRING(1024),
       allowNull: false,
     },
+    // Blob key for the file-cleanup job; null on attachments uploaded
+    // before keys were kept
+    fileKey: {
+      type: DataTypes.STRING(1024),
+      allowNull: true,
+    },
   },
   {
     timestamps: true,
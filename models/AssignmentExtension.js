@@ -0,0 +1,49 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+// A student's own due date for one assignment, granted by course staff. It
+// applies when it is later than the assignment's due date plus the student's
+// accommodation days
+const AssignmentExtension = sequelize.define(
+  "AssignmentExtension",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    assignmentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    studentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    dueDate: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    grantedById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+  },
+  {
+    timestamps: true,
+    indexes: [
+      {
+        name: "uq_assignmentextensions_assignmentId_studentId",
+        unique: true,
+        fields: ["assignmentId", "studentId"],
+      },
+      { name: "idx_assignmentextensions_studentId", fields: ["studentId"] },
+    ],
+  }
+);
+
+module.exports = AssignmentExtension;
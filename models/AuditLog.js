@@ -0,0 +1,69 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+// Who created, changed or deleted a record; written by the hooks in
+// utils/audit.js and never updated
+const AuditLog = sequelize.define(
+  "AuditLog",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    // Null for changes made outside a signed-in request
+    actorId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+    action: {
+      type: DataTypes.ENUM(
+        "create",
+        "update",
+        "delete",
+        "restore",
+        "bulk_update",
+        "bulk_delete"
+      ),
+      allowNull: false,
+    },
+    // Model name, e.g. "Submission"
+    entityType: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    // Null for bulk changes, which record their filter in `before`
+    entityId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    // Changed fields only for updates; the whole record for creates and
+    // deletes
+    before: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+    },
+    after: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+    },
+    ip: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+    },
+  },
+  {
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      {
+        name: "idx_auditlogs_entityType_entityId",
+        fields: ["entityType", "entityId"],
+      },
+      { name: "idx_auditlogs_actorId", fields: ["actorId"] },
+      { name: "idx_auditlogs_createdAt", fields: ["createdAt"] },
+    ],
+  }
+);
+
+module.exports = AuditLog;
@@ -25,9 +25,34 @@ const Course = sequelize.define(
       type: DataTypes.UUID,
       allowNull: false,
     },
+    // open: students enroll themselves; approval: staff approve requests;
+    // invite: only students invited by staff can join
+    enrollmentPolicy: {
+      type: DataTypes.ENUM("open", "approval", "invite"),
+      allowNull: false,
+      defaultValue: "open",
+    },
+    // Seat cap; null means unlimited. Students beyond it are waitlisted
+    capacity: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: { min: 0 },
+    },
+    // Letter grade scale of the gradebook; null uses the default scale
+    gradeScaleId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+    // Who moved the course to the trash; paranoid sets deletedAt
+    deletedById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
   },
   {
     timestamps: true,
+    // Deleting moves the row to the trash (see utils/trash)
+    paranoid: true,
   }
 );
 
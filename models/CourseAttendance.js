@@ -1,20 +1,44 @@
-const mongoose = require("mongoose");
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
 
-const courseAttendanceSchema = new mongoose.Schema(
+const CourseAttendance = sequelize.define(
+  "CourseAttendance",
   {
-    // Using Map to store session date/time as key and array of student IDs as value
-    sessions: {
-      type: Map,
-      of: [String], // Array of student IDs
-      default: new Map(),
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
     },
-    course: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: "Course",
-      required: true,
+    courseId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      unique: true,
+    },
+    // Session date/time as key and array of present student IDs as value
+    sessions: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      validate: {
+        isSessionMap(value) {
+          if (!value || typeof value !== "object" || Array.isArray(value)) {
+            throw new Error("Attendance sessions must be an object");
+          }
+
+          for (const [session, studentIds] of Object.entries(value)) {
+            if (!Array.isArray(studentIds)) {
+              throw new Error(
+                `Attendance for session ${session} must be a list of student IDs`
+              );
+            }
+          }
+        },
+      },
     },
   },
-  { timestamps: true }
+  {
+    timestamps: true,
+  }
 );
 
-module.exports = mongoose.model("CourseAttendance", courseAttendanceSchema);
+module.exports = CourseAttendance;
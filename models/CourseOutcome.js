@@ -1,20 +1,39 @@
-const mongoose = require("mongoose");
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
 
-const courseOutcomeSchema = new mongoose.Schema(
+const CourseOutcome = sequelize.define(
+  "CourseOutcome",
   {
-    outcomes: [
-      {
-        type: String,
-        required: true,
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    courseId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      unique: true,
+    },
+    // Ordered list of learning outcome statements
+    outcomes: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      validate: {
+        isStringArray(value) {
+          if (
+            !Array.isArray(value) ||
+            value.some((outcome) => typeof outcome !== "string" || !outcome)
+          ) {
+            throw new Error("Outcomes must be a list of non-empty strings");
+          }
+        },
       },
-    ],
-    course: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: "Course",
-      required: true,
     },
   },
-  { timestamps: true }
+  {
+    timestamps: true,
+  }
 );
 
-module.exports = mongoose.model("CourseOutcome", courseOutcomeSchema);
+module.exports = CourseOutcome;
@@ -0,0 +1,47 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+// A course that must be completed before enrolling (prerequisite), or
+// completed or taken in the same term (corequisite), optionally with a
+// minimum final grade
+const CourseRequisite = sequelize.define(
+  "CourseRequisite",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    courseId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    requiredCourseId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    type: {
+      type: DataTypes.ENUM("prerequisite", "corequisite"),
+      allowNull: false,
+      defaultValue: "prerequisite",
+    },
+    // Percentage the student's final grade in the required course must reach
+    minGrade: {
+      type: DataTypes.FLOAT,
+      allowNull: true,
+      validate: { min: 0, max: 100 },
+    },
+  },
+  {
+    timestamps: true,
+    indexes: [
+      {
+        name: "uq_courserequisites_courseId_requiredCourseId",
+        unique: true,
+        fields: ["courseId", "requiredCourseId"],
+      },
+    ],
+  }
+);
+
+module.exports = CourseRequisite;
@@ -1,51 +1,75 @@
-const mongoose = require("mongoose");
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
 
-const classScheduleSchema = new mongoose.Schema({
-  day: {
-    type: String,
-    required: true,
-    enum: [
-      "Monday",
-      "Tuesday",
-      "Wednesday",
-      "Thursday",
-      "Friday",
-      "Saturday",
-      "Sunday",
-    ],
-  },
-  time: {
-    type: String,
-    required: true,
-  },
-});
+const CLASS_DAYS = [
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+  "Sunday",
+];
 
-const courseScheduleSchema = new mongoose.Schema(
+const CourseSchedule = sequelize.define(
+  "CourseSchedule",
   {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    courseId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      unique: true,
+    },
     classStartDate: {
-      type: Date,
-      required: true,
+      type: DataTypes.DATE,
+      allowNull: false,
     },
     classEndDate: {
-      type: Date,
-      required: true,
+      type: DataTypes.DATE,
+      allowNull: false,
     },
     midSemesterExamDate: {
-      type: Date,
-      required: true,
+      type: DataTypes.DATE,
+      allowNull: false,
     },
     endSemesterExamDate: {
-      type: Date,
-      required: true,
+      type: DataTypes.DATE,
+      allowNull: false,
     },
-    classDaysAndTimes: [classScheduleSchema],
-    course: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: "Course",
-      required: true,
+    // Array of { day, time } entries, e.g. { day: "Monday", time: "10:00" }
+    classDaysAndTimes: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      validate: {
+        isValidSlots(value) {
+          if (!Array.isArray(value)) {
+            throw new Error("Class days and times must be a list");
+          }
+
+          for (const slot of value) {
+            if (!slot || !CLASS_DAYS.includes(slot.day)) {
+              throw new Error(
+                `Class day must be one of: ${CLASS_DAYS.join(", ")}`
+              );
+            }
+            if (!slot.time || typeof slot.time !== "string") {
+              throw new Error("Each class day requires a time");
+            }
+          }
+        },
+      },
     },
   },
-  { timestamps: true }
+  {
+    timestamps: true,
+  }
 );
 
-module.exports = mongoose.model("CourseSchedule", courseScheduleSchema);
+CourseSchedule.CLASS_DAYS = CLASS_DAYS;
+
+module.exports = CourseSchedule;
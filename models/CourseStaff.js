@@ -0,0 +1,52 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+// Users who run a course: its primary instructor (mirrors Course.teacherId),
+// co-instructors with the same rights, and teaching assistants
+const CourseStaff = sequelize.define(
+  "CourseStaff",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    courseId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    role: {
+      type: DataTypes.ENUM("primary", "co_instructor", "ta"),
+      allowNull: false,
+      defaultValue: "ta",
+    },
+    addedById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+  },
+  {
+    tableName: "CourseStaff",
+    timestamps: true,
+    indexes: [
+      {
+        name: "uq_coursestaff_courseId_userId",
+        unique: true,
+        fields: ["courseId", "userId"],
+      },
+      { name: "idx_coursestaff_userId", fields: ["userId"] },
+      {
+        name: "uq_coursestaff_courseId_primary",
+        unique: true,
+        fields: ["courseId"],
+        where: { role: "primary" },
+      },
+    ],
+  }
+);
+
+module.exports = CourseStaff;
@@ -1,32 +1,51 @@
-const mongoose = require("mongoose");
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
 
-const moduleSchema = new mongoose.Schema({
-  moduleNumber: {
-    type: Number,
-    required: true,
-  },
-  moduleTitle: {
-    type: String,
-    required: true,
-  },
-  topics: [
-    {
-      type: String,
-      required: true,
+const CourseSyllabus = sequelize.define(
+  "CourseSyllabus",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
     },
-  ],
-});
+    courseId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      unique: true,
+    },
+    // Array of { moduleNumber, moduleTitle, topics: [String] }
+    modules: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      validate: {
+        isValidModules(value) {
+          if (!Array.isArray(value)) {
+            throw new Error("Syllabus modules must be a list");
+          }
 
-const courseSyllabusSchema = new mongoose.Schema(
-  {
-    modules: [moduleSchema],
-    course: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: "Course",
-      required: true,
+          for (const module of value) {
+            if (
+              !module ||
+              !Number.isInteger(Number(module.moduleNumber)) ||
+              !module.moduleTitle
+            ) {
+              throw new Error(
+                "Each syllabus module requires a moduleNumber and moduleTitle"
+              );
+            }
+            if (module.topics !== undefined && !Array.isArray(module.topics)) {
+              throw new Error("Syllabus module topics must be a list");
+            }
+          }
+        },
+      },
     },
   },
-  { timestamps: true }
+  {
+    timestamps: true,
+  }
 );
 
-module.exports = mongoose.model("CourseSyllabus", courseSyllabusSchema);
+module.exports = CourseSyllabus;
@@ -12,6 +12,7 @@ const EContent = sequelize.define(
     courseId: {
       type: DataTypes.UUID,
       allowNull: false,
+      unique: true,
     },
   },
   {
@@ -18,11 +18,11 @@ const EContentFile = sequelize.define(
       allowNull: false,
     },
     fileUrl: {
-      type: DataTypes.STRING,
+      type: DataTypes.STRING(1024),
       allowNull: false,
     },
     fileKey: {
-      type: DataTypes.STRING,
+      type: DataTypes.STRING(1024),
       allowNull: false,
     },
     fileName: {
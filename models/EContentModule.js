@@ -22,12 +22,18 @@ const EContentModule = sequelize.define(
       allowNull: false,
     },
     link: {
-      type: DataTypes.STRING,
+      type: DataTypes.STRING(1024),
+      allowNull: true,
+    },
+    deletedById: {
+      type: DataTypes.UUID,
       allowNull: true,
     },
   },
   {
     timestamps: true,
+    // Deleting moves the row to the trash (see utils/trash)
+    paranoid: true,
   }
 );
 
@@ -26,7 +26,7 @@ const Event = sequelize.define(
       allowNull: false,
     },
     image: {
-      type: DataTypes.STRING,
+      type: DataTypes.STRING(1024),
       allowNull: false,
     },
     location: {
@@ -34,7 +34,7 @@ const Event = sequelize.define(
       allowNull: false,
     },
     link: {
-      type: DataTypes.STRING,
+      type: DataTypes.STRING(1024),
       allowNull: false,
       validate: {
         isUrl: true,
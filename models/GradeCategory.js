@@ -0,0 +1,54 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+// Group of assignments (homework, exams, projects) counting towards the
+// final grade with a weight
+const GradeCategory = sequelize.define(
+  "GradeCategory",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    courseId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    // Share of the final grade, in percent; weights of categories without
+    // grades yet are spread over the others
+    weight: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      validate: { min: 0, max: 100 },
+    },
+    // Number of lowest scores left out of each student's category average
+    dropLowest: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      validate: { min: 0 },
+    },
+    position: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+  },
+  {
+    timestamps: true,
+    indexes: [
+      {
+        name: "uq_gradecategories_courseId_name",
+        unique: true,
+        fields: ["courseId", "name"],
+      },
+    ],
+  }
+);
+
+module.exports = GradeCategory;
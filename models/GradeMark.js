@@ -0,0 +1,49 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+// A grader's excused or missing mark for one student on one assignment.
+// Excused assignments are left out of the student's grade; missing ones
+// count as zero
+const GradeMark = sequelize.define(
+  "GradeMark",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    assignmentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    studentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    mark: {
+      type: DataTypes.ENUM("excused", "missing"),
+      allowNull: false,
+    },
+    note: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    markedById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+  },
+  {
+    timestamps: true,
+    indexes: [
+      {
+        name: "uq_grademarks_assignmentId_studentId",
+        unique: true,
+        fields: ["assignmentId", "studentId"],
+      },
+      { name: "idx_grademarks_studentId", fields: ["studentId"] },
+    ],
+  }
+);
+
+module.exports = GradeMark;
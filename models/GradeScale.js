@@ -0,0 +1,33 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+// Letter grade scale any course can use; edited by its owner or an admin
+const GradeScale = sequelize.define(
+  "GradeScale",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    // [{ letter, minPercent }], highest first; the last entry should start
+    // at 0 so every percentage gets a letter
+    entries: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+    },
+    ownerId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = GradeScale;
@@ -0,0 +1,85 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+// Background job; see utils/jobQueue.js for how workers claim and retry them
+const Job = sequelize.define(
+  "Job",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    type: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    status: {
+      type: DataTypes.ENUM("queued", "running", "completed", "failed"),
+      allowNull: false,
+      defaultValue: "queued",
+    },
+    payload: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+    },
+    // Handler return value, e.g. an import's per-row report
+    result: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+    },
+    // Message of the last failed attempt
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    // Percentage reported by the handler
+    progress: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    maxAttempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 3,
+    },
+    // Not picked up before this time; pushed back between retries
+    runAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    lockedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    lockedBy: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    finishedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    createdById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+  },
+  {
+    timestamps: true,
+    indexes: [
+      { name: "idx_jobs_status_runAt", fields: ["status", "runAt"] },
+      { name: "idx_jobs_createdById", fields: ["createdById"] },
+    ],
+  }
+);
+
+module.exports = Job;
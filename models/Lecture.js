@@ -18,11 +18,11 @@ const Lecture = sequelize.define(
       allowNull: true,
     },
     videoUrl: {
-      type: DataTypes.STRING,
+      type: DataTypes.STRING(1024),
       allowNull: true,
     },
     videoKey: {
-      type: DataTypes.STRING,
+      type: DataTypes.STRING(1024),
       allowNull: true,
     },
     courseId: {
@@ -31,6 +31,7 @@ const Lecture = sequelize.define(
     },
     isReviewed: {
       type: DataTypes.BOOLEAN,
+      allowNull: false,
       defaultValue: false,
     },
     reviewDeadline: {
@@ -43,9 +44,15 @@ const Lecture = sequelize.define(
         return deadline;
       },
     },
+    deletedById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
   },
   {
     timestamps: true,
+    // Deleting moves the row to the trash (see utils/trash)
+    paranoid: true,
     hooks: {
       beforeSave: (lecture) => {
         // Auto-mark as reviewed if deadline has passed
@@ -0,0 +1,37 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+// Failed login attempts per client IP address
+const LoginThrottle = sequelize.define(
+  "LoginThrottle",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    ip: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+    },
+    failedAttempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    lastFailedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    lockedUntil: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = LoginThrottle;
@@ -0,0 +1,57 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+// Server-side record of an issued refresh token. Only a SHA-256 hash of the
+// token is stored; tokens issued by rotating one another share a familyId
+const RefreshToken = sequelize.define(
+  "RefreshToken",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+    },
+    familyId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    replacedById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+    createdByIp: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    userAgent: {
+      type: DataTypes.STRING(512),
+      allowNull: true,
+    },
+  },
+  {
+    timestamps: true,
+    indexes: [
+      { name: "idx_refreshtokens_userId", fields: ["userId"] },
+      { name: "idx_refreshtokens_familyId", fields: ["familyId"] },
+    ],
+  }
+);
+
+module.exports = RefreshToken;
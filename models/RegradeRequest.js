@@ -0,0 +1,62 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+// A student's request to have a graded submission reviewed. Resolving it,
+// either way, returns the submission to the student (status "returned")
+const RegradeRequest = sequelize.define(
+  "RegradeRequest",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    submissionId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    requestedById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+    justification: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+    },
+    status: {
+      type: DataTypes.ENUM("open", "accepted", "declined"),
+      allowNull: false,
+      defaultValue: "open",
+    },
+    // Grader's answer to the student
+    response: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    resolvedById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+    resolvedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    timestamps: true,
+    indexes: [
+      {
+        name: "idx_regraderequests_submissionId",
+        fields: ["submissionId"],
+      },
+      {
+        name: "uq_regraderequests_submissionId_open",
+        unique: true,
+        fields: ["submissionId"],
+        where: { status: "open" },
+      },
+    ],
+  }
+);
+
+module.exports = RegradeRequest;
@@ -0,0 +1,43 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+// Admin waiver letting one student enroll in a course without meeting its
+// prerequisites and co-requisites
+const RequisiteOverride = sequelize.define(
+  "RequisiteOverride",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    studentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    courseId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    grantedById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+  },
+  {
+    timestamps: true,
+    indexes: [
+      {
+        name: "uq_requisiteoverrides_studentId_courseId",
+        unique: true,
+        fields: ["studentId", "courseId"],
+      },
+    ],
+  }
+);
+
+module.exports = RequisiteOverride;
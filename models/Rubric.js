@@ -0,0 +1,33 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+// Reusable grading rubric; its owner can attach it to any assignment they
+// manage
+const Rubric = sequelize.define(
+  "Rubric",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    title: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    ownerId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+  },
+  {
+    timestamps: true,
+    indexes: [{ name: "idx_rubrics_ownerId", fields: ["ownerId"] }],
+  }
+);
+
+module.exports = Rubric;
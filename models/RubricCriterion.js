@@ -0,0 +1,38 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+// One thing a rubric assesses, scored by choosing one of its levels
+const RubricCriterion = sequelize.define(
+  "RubricCriterion",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    rubricId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    title: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    position: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+  },
+  {
+    tableName: "RubricCriteria",
+    timestamps: true,
+    indexes: [{ name: "idx_rubriccriteria_rubricId", fields: ["rubricId"] }],
+  }
+);
+
+module.exports = RubricCriterion;
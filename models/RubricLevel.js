@@ -0,0 +1,43 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+// A performance level of a criterion and the points it is worth
+const RubricLevel = sequelize.define(
+  "RubricLevel",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    criterionId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    title: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    points: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+    },
+    position: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+  },
+  {
+    timestamps: true,
+    indexes: [
+      { name: "idx_rubriclevels_criterionId", fields: ["criterionId"] },
+    ],
+  }
+);
+
+module.exports = RubricLevel;
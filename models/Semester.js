@@ -21,6 +21,20 @@ const Semester = sequelize.define(
       type: DataTypes.DATE,
       allowNull: false,
     },
+    // Students can enroll from enrollmentOpensAt (any time when unset) until
+    // enrollmentClosesAt, and drop until dropDeadline; both default to endDate
+    enrollmentOpensAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    enrollmentClosesAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    dropDeadline: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
   },
   {
     timestamps: true,
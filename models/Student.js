@@ -14,13 +14,14 @@ const Student = sequelize.define(
       allowNull: false,
       unique: true,
     },
+    // Advisor; null until a teacher or admin assigns one
     teacherId: {
       type: DataTypes.UUID,
-      allowNull: false,
+      allowNull: true,
     },
     teacherEmail: {
       type: DataTypes.STRING,
-      allowNull: false,
+      allowNull: true,
       validate: {
         isEmail: true,
       },
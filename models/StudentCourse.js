@@ -18,13 +18,55 @@ const StudentCourse = sequelize.define(
       type: DataTypes.UUID,
       allowNull: false,
     },
+    // Set when the student actually joins the course
     enrollmentDate: {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW,
     },
+    // requested: awaiting staff approval; invited: awaiting the student;
+    // waitlisted: waiting for a seat to free up
+    status: {
+      type: DataTypes.ENUM("enrolled", "requested", "invited", "waitlisted"),
+      allowNull: false,
+      defaultValue: "enrolled",
+    },
+    // Final course grade as a percentage, set by the instructor
+    finalGrade: {
+      type: DataTypes.FLOAT,
+      allowNull: true,
+      validate: { min: 0, max: 100 },
+    },
+    // Accommodation: extra days on every due date in the course; a later
+    // assignment extension wins
+    accommodationDays: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    accommodationNote: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    // Waitlist order (first in, first promoted)
+    waitlistedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
   },
   {
     timestamps: true,
+    indexes: [
+      {
+        name: "uq_studentcourses_studentId_courseId",
+        unique: true,
+        fields: ["studentId", "courseId"],
+      },
+      { name: "idx_studentcourses_courseId", fields: ["courseId"] },
+      {
+        name: "idx_studentcourses_courseId_status",
+        fields: ["courseId", "status"],
+      },
+    ],
   }
 );
 
@@ -22,9 +22,15 @@ const Submission = sequelize.define(
       defaultValue: DataTypes.NOW,
     },
     submissionFile: {
-      type: DataTypes.STRING,
+      type: DataTypes.STRING(1024),
       allowNull: false,
     },
+    // Blob key of submissionFile; null on submissions made before keys were
+    // kept
+    submissionFileKey: {
+      type: DataTypes.STRING(1024),
+      allowNull: true,
+    },
     grade: {
       type: DataTypes.FLOAT,
       allowNull: true,
@@ -33,6 +39,14 @@ const Submission = sequelize.define(
       type: DataTypes.TEXT,
       allowNull: true,
     },
+    // Scored rubric: [{ criterionId, criterion, levelId, level, points,
+    // maxPoints, comment }], copied from the rubric at grading time
+    rubricScores: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+    },
+    // submitted -> graded -> returned once a regrade request is resolved;
+    // resubmitting starts over at submitted
     status: {
       type: DataTypes.ENUM("submitted", "graded", "returned"),
       defaultValue: "submitted",
@@ -41,9 +55,23 @@ const Submission = sequelize.define(
       type: DataTypes.BOOLEAN,
       defaultValue: false,
     },
+    // Points the late policy took off the grade, which is stored after the
+    // deduction
+    latePenalty: {
+      type: DataTypes.FLOAT,
+      allowNull: true,
+    },
   },
   {
     timestamps: true,
+    indexes: [
+      {
+        name: "uq_submissions_assignmentId_studentId",
+        unique: true,
+        fields: ["assignmentId", "studentId"],
+      },
+      { name: "idx_submissions_studentId", fields: ["studentId"] },
+    ],
   }
 );
 
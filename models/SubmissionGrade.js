@@ -0,0 +1,61 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+// One version of a submission's grade. Submission.grade and feedback hold the
+// latest version; rows here are never changed
+const SubmissionGrade = sequelize.define(
+  "SubmissionGrade",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    submissionId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    grade: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+    },
+    feedback: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    rubricScores: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+    },
+    latePenalty: {
+      type: DataTypes.FLOAT,
+      allowNull: true,
+    },
+    // Why the grade changed; required for every version after the first
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    gradedById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+    // Set when the version resolves a regrade request
+    regradeRequestId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+  },
+  {
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      {
+        name: "idx_submissiongrades_submissionId_createdAt",
+        fields: ["submissionId", "createdAt"],
+      },
+    ],
+  }
+);
+
+module.exports = SubmissionGrade;
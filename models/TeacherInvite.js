@@ -0,0 +1,49 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+// Single-use invite code that lets a teacher register without approval.
+// Only a SHA-256 hash of the code is stored
+const TeacherInvite = sequelize.define(
+  "TeacherInvite",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    codeHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+    },
+    // When set, only this email address can redeem the invite
+    email: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      validate: {
+        isEmail: true,
+      },
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    usedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    usedByUserId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+    createdById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = TeacherInvite;
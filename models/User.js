@@ -26,13 +26,57 @@ const User = sequelize.define(
       type: DataTypes.STRING,
       allowNull: false,
     },
+    // "ta" users only act on courses they are staff of (see CourseStaff)
     role: {
-      type: DataTypes.ENUM("admin", "teacher", "student"),
+      type: DataTypes.ENUM("admin", "teacher", "student", "ta"),
       allowNull: false,
     },
+    emailVerified: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+    // False for teachers who registered without an invite and still need
+    // admin approval before they can log in
+    isApproved: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+    },
+    // Deactivated users are rejected at login and by the auth middleware
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+    },
+    deactivatedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    // Failed login tracking for progressive lockout
+    failedLoginAttempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    lastFailedLoginAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    lockedUntil: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    // Incremented to revoke every access token issued to this user
+    tokenVersion: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
   },
   {
     timestamps: true,
+    indexes: [{ name: "idx_users_role", fields: ["role"] }],
     hooks: {
       beforeCreate: async (user) => {
         if (user.password) {
@@ -0,0 +1,44 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+// Single-use token sent by email (password reset, email verification).
+// Only a SHA-256 hash of the token is stored
+const UserToken = sequelize.define(
+  "UserToken",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    type: {
+      type: DataTypes.ENUM("password_reset", "email_verification"),
+      allowNull: false,
+    },
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    usedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    timestamps: true,
+    indexes: [
+      { name: "idx_usertokens_userId_type", fields: ["userId", "type"] },
+    ],
+  }
+);
+
+module.exports = UserToken;
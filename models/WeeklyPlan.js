@@ -1,28 +1,45 @@
-const mongoose = require("mongoose");
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
 
-const weeklyTopicSchema = new mongoose.Schema({
-  weekNumber: {
-    type: Number,
-    required: true,
-  },
-  topics: [
-    {
-      type: String,
-      required: true,
+const WeeklyPlan = sequelize.define(
+  "WeeklyPlan",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    courseId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      unique: true,
     },
-  ],
-});
+    // Array of { weekNumber, topics: [String] }
+    weeks: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      validate: {
+        isValidWeeks(value) {
+          if (!Array.isArray(value)) {
+            throw new Error("Weekly plan must be a list of weeks");
+          }
 
-const weeklyPlanSchema = new mongoose.Schema(
-  {
-    weeks: [weeklyTopicSchema],
-    course: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: "Course",
-      required: true,
+          for (const week of value) {
+            if (!week || !Number.isInteger(Number(week.weekNumber))) {
+              throw new Error("Each week in the plan requires a weekNumber");
+            }
+            if (week.topics !== undefined && !Array.isArray(week.topics)) {
+              throw new Error("Weekly plan topics must be a list");
+            }
+          }
+        },
+      },
     },
   },
-  { timestamps: true }
+  {
+    timestamps: true,
+  }
 );
 
-module.exports = mongoose.model("WeeklyPlan", weeklyPlanSchema);
+module.exports = WeeklyPlan;
@@ -12,6 +12,32 @@ const EContent = require("./EContent");
 const EContentModule = require("./EContentModule");
 const EContentFile = require("./EContentFile");
 const StudentCourse = require("./StudentCourse");
+const CourseOutcome = require("./CourseOutcome");
+const CourseSchedule = require("./CourseSchedule");
+const CourseSyllabus = require("./CourseSyllabus");
+const WeeklyPlan = require("./WeeklyPlan");
+const CreditPoints = require("./CreditPoints");
+const CourseAttendance = require("./CourseAttendance");
+const RefreshToken = require("./RefreshToken");
+const TeacherInvite = require("./TeacherInvite");
+const UserToken = require("./UserToken");
+const LoginThrottle = require("./LoginThrottle");
+const CourseStaff = require("./CourseStaff");
+const CourseRequisite = require("./CourseRequisite");
+const RequisiteOverride = require("./RequisiteOverride");
+const Job = require("./Job");
+const AuditLog = require("./AuditLog");
+const SubmissionGrade = require("./SubmissionGrade");
+const RegradeRequest = require("./RegradeRequest");
+const Rubric = require("./Rubric");
+const RubricCriterion = require("./RubricCriterion");
+const RubricLevel = require("./RubricLevel");
+const GradeCategory = require("./GradeCategory");
+const GradeMark = require("./GradeMark");
+const GradeScale = require("./GradeScale");
+const AssignmentExtension = require("./AssignmentExtension");
+const { sequelize } = require("../config/database");
+const { registerAuditHooks } = require("../utils/audit");
 
 // User associations
 User.hasOne(Teacher, { foreignKey: "userId", onDelete: "CASCADE" });
@@ -20,6 +46,16 @@ Teacher.belongsTo(User, { foreignKey: "userId" });
 User.hasOne(Student, { foreignKey: "userId", onDelete: "CASCADE" });
 Student.belongsTo(User, { foreignKey: "userId" });
 
+User.hasMany(RefreshToken, { foreignKey: "userId", onDelete: "CASCADE" });
+RefreshToken.belongsTo(User, { foreignKey: "userId" });
+
+User.hasMany(UserToken, { foreignKey: "userId", onDelete: "CASCADE" });
+UserToken.belongsTo(User, { foreignKey: "userId" });
+
+User.hasMany(TeacherInvite, { foreignKey: "createdById", as: "SentInvites" });
+TeacherInvite.belongsTo(User, { foreignKey: "createdById", as: "CreatedBy" });
+TeacherInvite.belongsTo(User, { foreignKey: "usedByUserId", as: "UsedBy" });
+
 // Teacher associations
 Teacher.hasMany(Student, { foreignKey: "teacherId" });
 Student.belongsTo(Teacher, { foreignKey: "teacherId" });
@@ -27,6 +63,18 @@ Student.belongsTo(Teacher, { foreignKey: "teacherId" });
 Teacher.hasMany(Course, { foreignKey: "teacherId" });
 Course.belongsTo(Teacher, { foreignKey: "teacherId" });
 
+// Course staff (instructors and teaching assistants) associations
+Course.hasMany(CourseStaff, {
+  foreignKey: "courseId",
+  as: "Staff",
+  onDelete: "CASCADE",
+});
+CourseStaff.belongsTo(Course, { foreignKey: "courseId" });
+
+User.hasMany(CourseStaff, { foreignKey: "userId", onDelete: "CASCADE" });
+CourseStaff.belongsTo(User, { foreignKey: "userId" });
+CourseStaff.belongsTo(User, { foreignKey: "addedById", as: "AddedBy" });
+
 // Semester associations
 Semester.hasMany(Course, { foreignKey: "semesterId" });
 Course.belongsTo(Semester, { foreignKey: "semesterId" });
@@ -38,6 +86,49 @@ Lecture.belongsTo(Course, { foreignKey: "courseId" });
 Course.hasMany(Assignment, { foreignKey: "courseId", onDelete: "CASCADE" });
 Assignment.belongsTo(Course, { foreignKey: "courseId" });
 
+// Course detail associations (one row of each per course)
+Course.hasOne(CourseOutcome, {
+  foreignKey: "courseId",
+  as: "Outcomes",
+  onDelete: "CASCADE",
+});
+CourseOutcome.belongsTo(Course, { foreignKey: "courseId" });
+
+Course.hasOne(CourseSchedule, {
+  foreignKey: "courseId",
+  as: "Schedule",
+  onDelete: "CASCADE",
+});
+CourseSchedule.belongsTo(Course, { foreignKey: "courseId" });
+
+Course.hasOne(CourseSyllabus, {
+  foreignKey: "courseId",
+  as: "Syllabus",
+  onDelete: "CASCADE",
+});
+CourseSyllabus.belongsTo(Course, { foreignKey: "courseId" });
+
+Course.hasOne(WeeklyPlan, {
+  foreignKey: "courseId",
+  as: "WeeklyPlan",
+  onDelete: "CASCADE",
+});
+WeeklyPlan.belongsTo(Course, { foreignKey: "courseId" });
+
+Course.hasOne(CreditPoints, {
+  foreignKey: "courseId",
+  as: "CreditPoints",
+  onDelete: "CASCADE",
+});
+CreditPoints.belongsTo(Course, { foreignKey: "courseId" });
+
+Course.hasOne(CourseAttendance, {
+  foreignKey: "courseId",
+  as: "Attendance",
+  onDelete: "CASCADE",
+});
+CourseAttendance.belongsTo(Course, { foreignKey: "courseId" });
+
 // Student-Course many-to-many relationship
 Student.belongsToMany(Course, {
   through: StudentCourse,
@@ -47,6 +138,40 @@ Course.belongsToMany(Student, {
   through: StudentCourse,
   foreignKey: "courseId",
 });
+StudentCourse.belongsTo(Student, { foreignKey: "studentId" });
+StudentCourse.belongsTo(Course, { foreignKey: "courseId" });
+
+// Prerequisites, co-requisites and per-student overrides
+Course.hasMany(CourseRequisite, {
+  foreignKey: "courseId",
+  as: "Requisites",
+  onDelete: "CASCADE",
+});
+CourseRequisite.belongsTo(Course, { foreignKey: "courseId" });
+CourseRequisite.belongsTo(Course, {
+  foreignKey: "requiredCourseId",
+  as: "RequiredCourse",
+  onDelete: "CASCADE",
+});
+
+Student.hasMany(RequisiteOverride, {
+  foreignKey: "studentId",
+  onDelete: "CASCADE",
+});
+RequisiteOverride.belongsTo(Student, { foreignKey: "studentId" });
+Course.hasMany(RequisiteOverride, {
+  foreignKey: "courseId",
+  onDelete: "CASCADE",
+});
+RequisiteOverride.belongsTo(Course, { foreignKey: "courseId" });
+RequisiteOverride.belongsTo(User, {
+  foreignKey: "grantedById",
+  as: "GrantedBy",
+});
+
+Job.belongsTo(User, { foreignKey: "createdById", as: "CreatedBy" });
+
+AuditLog.belongsTo(User, { foreignKey: "actorId", as: "Actor" });
 
 // Assignment associations
 Assignment.hasMany(AssignmentAttachment, {
@@ -65,6 +190,93 @@ Submission.belongsTo(Assignment, { foreignKey: "assignmentId" });
 Student.hasMany(Submission, { foreignKey: "studentId" });
 Submission.belongsTo(Student, { foreignKey: "studentId" });
 
+// Rubrics: criteria with performance levels, attached to assignments
+User.hasMany(Rubric, { foreignKey: "ownerId" });
+Rubric.belongsTo(User, { foreignKey: "ownerId", as: "Owner" });
+
+Rubric.hasMany(RubricCriterion, {
+  foreignKey: "rubricId",
+  as: "Criteria",
+  onDelete: "CASCADE",
+});
+RubricCriterion.belongsTo(Rubric, { foreignKey: "rubricId" });
+
+RubricCriterion.hasMany(RubricLevel, {
+  foreignKey: "criterionId",
+  as: "Levels",
+  onDelete: "CASCADE",
+});
+RubricLevel.belongsTo(RubricCriterion, { foreignKey: "criterionId" });
+
+Rubric.hasMany(Assignment, { foreignKey: "rubricId" });
+Assignment.belongsTo(Rubric, { foreignKey: "rubricId" });
+
+// Gradebook: weighted categories, excused/missing marks and grade scales
+Course.hasMany(GradeCategory, {
+  foreignKey: "courseId",
+  as: "GradeCategories",
+  onDelete: "CASCADE",
+});
+GradeCategory.belongsTo(Course, { foreignKey: "courseId" });
+
+GradeCategory.hasMany(Assignment, { foreignKey: "categoryId" });
+Assignment.belongsTo(GradeCategory, {
+  foreignKey: "categoryId",
+  as: "Category",
+});
+
+Assignment.hasMany(GradeMark, {
+  foreignKey: "assignmentId",
+  onDelete: "CASCADE",
+});
+GradeMark.belongsTo(Assignment, { foreignKey: "assignmentId" });
+Student.hasMany(GradeMark, { foreignKey: "studentId", onDelete: "CASCADE" });
+GradeMark.belongsTo(Student, { foreignKey: "studentId" });
+GradeMark.belongsTo(User, { foreignKey: "markedById", as: "MarkedBy" });
+
+Assignment.hasMany(AssignmentExtension, {
+  foreignKey: "assignmentId",
+  onDelete: "CASCADE",
+});
+AssignmentExtension.belongsTo(Assignment, { foreignKey: "assignmentId" });
+Student.hasMany(AssignmentExtension, {
+  foreignKey: "studentId",
+  onDelete: "CASCADE",
+});
+AssignmentExtension.belongsTo(Student, { foreignKey: "studentId" });
+AssignmentExtension.belongsTo(User, {
+  foreignKey: "grantedById",
+  as: "GrantedBy",
+});
+
+GradeScale.hasMany(Course, { foreignKey: "gradeScaleId" });
+Course.belongsTo(GradeScale, { foreignKey: "gradeScaleId" });
+GradeScale.belongsTo(User, { foreignKey: "ownerId", as: "Owner" });
+
+// Grade history and regrade requests
+Submission.hasMany(SubmissionGrade, {
+  foreignKey: "submissionId",
+  as: "GradeHistory",
+  onDelete: "CASCADE",
+});
+SubmissionGrade.belongsTo(Submission, { foreignKey: "submissionId" });
+SubmissionGrade.belongsTo(User, { foreignKey: "gradedById", as: "GradedBy" });
+SubmissionGrade.belongsTo(RegradeRequest, { foreignKey: "regradeRequestId" });
+
+Submission.hasMany(RegradeRequest, {
+  foreignKey: "submissionId",
+  onDelete: "CASCADE",
+});
+RegradeRequest.belongsTo(Submission, { foreignKey: "submissionId" });
+RegradeRequest.belongsTo(User, {
+  foreignKey: "requestedById",
+  as: "RequestedBy",
+});
+RegradeRequest.belongsTo(User, {
+  foreignKey: "resolvedById",
+  as: "ResolvedBy",
+});
+
 // EContent associations
 Course.hasOne(EContent, { foreignKey: "courseId", onDelete: "CASCADE" });
 EContent.belongsTo(Course, { foreignKey: "courseId" });
@@ -81,6 +293,14 @@ EContentModule.hasMany(EContentFile, {
 });
 EContentFile.belongsTo(EContentModule, { foreignKey: "moduleId" });
 
+// Who moved trashed records to the trash
+[Course, Lecture, Assignment, EContentModule].forEach((model) => {
+  model.belongsTo(User, { foreignKey: "deletedById", as: "DeletedBy" });
+});
+
+// Record every change to the models above in AuditLog
+registerAuditHooks(sequelize, AuditLog);
+
 module.exports = {
   User,
   Teacher,
@@ -96,4 +316,29 @@ module.exports = {
   EContentModule,
   EContentFile,
   StudentCourse,
+  CourseOutcome,
+  CourseSchedule,
+  CourseSyllabus,
+  WeeklyPlan,
+  CreditPoints,
+  CourseAttendance,
+  RefreshToken,
+  TeacherInvite,
+  UserToken,
+  LoginThrottle,
+  CourseStaff,
+  CourseRequisite,
+  RequisiteOverride,
+  Job,
+  AuditLog,
+  SubmissionGrade,
+  RegradeRequest,
+  Rubric,
+  RubricCriterion,
+  RubricLevel,
+  GradeCategory,
+  GradeMark,
+  GradeScale,
+  AssignmentExtension,
+  sequelize,
 };
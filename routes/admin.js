@@ -1,8 +1,9 @@
 const express = require("express");
 const router = express.Router();
 const adminController = require("../controllers/adminController");
+const userController = require("../controllers/userController");
 const auth = require("../middleware/auth");
-const { checkRole } = require("../middleware/roleCheck");
+const { requirePermission } = require("../middleware/authorize");
 const uploadMiddleware = require("../middleware/upload");
 
 // Test route to verify router is working
@@ -10,20 +11,43 @@ router.get("/test", (req, res) => {
   res.json({ message: "Admin routes working" });
 });
 
-// Upload users from Excel file
+// Upload users from Excel file; supports ?dryRun=true, ?mode=skipInvalid and
+// ?upsert=true
 router.post(
   "/upload-users",
   auth,
-  checkRole(["admin"]),
+  requirePermission("user:import"),
   uploadMiddleware,
   adminController.uploadUsers
 );
 
+// Background jobs (imports, bulk enrollment, file cleanup)
+router.get(
+  "/jobs",
+  auth,
+  requirePermission("job:view"),
+  adminController.getJobs
+);
+router.get(
+  "/jobs/:jobId",
+  auth,
+  requirePermission("job:view"),
+  adminController.getJob
+);
+
+// Audit log of created, changed and deleted records
+router.get(
+  "/audit",
+  auth,
+  requirePermission("audit:view"),
+  adminController.getAuditLogs
+);
+
 // Get my students (for teacher)
 router.get(
   "/my-students",
   auth,
-  checkRole(["teacher"]),
+  requirePermission("students:view"),
   adminController.getMyStudents
 );
 
@@ -31,8 +55,135 @@ router.get(
 router.get(
   "/teacher/:teacherId/students",
   auth,
-  checkRole(["admin", "teacher"]),
+  requirePermission("students:view"),
   adminController.getStudentsByTeacherId
 );
 
+// Teacher invite codes
+router.post(
+  "/teacher-invites",
+  auth,
+  requirePermission("user:manage"),
+  adminController.createTeacherInvite
+);
+router.get(
+  "/teacher-invites",
+  auth,
+  requirePermission("user:manage"),
+  adminController.getTeacherInvites
+);
+router.delete(
+  "/teacher-invites/:inviteId",
+  auth,
+  requirePermission("user:manage"),
+  adminController.revokeTeacherInvite
+);
+
+// Teacher registrations awaiting approval
+router.get(
+  "/pending-teachers",
+  auth,
+  requirePermission("user:manage"),
+  adminController.getPendingTeachers
+);
+router.post(
+  "/teachers/:userId/approve",
+  auth,
+  requirePermission("user:manage"),
+  adminController.approveTeacher
+);
+router.post(
+  "/teachers/:userId/reject",
+  auth,
+  requirePermission("user:manage"),
+  adminController.rejectTeacher
+);
+
+// User management; GET /users supports ?search, ?role, ?status=active|inactive,
+// ?page and ?limit
+router.get(
+  "/users",
+  auth,
+  requirePermission("user:manage"),
+  userController.getUsers
+);
+router.post(
+  "/users",
+  auth,
+  requirePermission("user:manage"),
+  userController.createUser
+);
+router.get(
+  "/users/:userId",
+  auth,
+  requirePermission("user:manage"),
+  userController.getUser
+);
+router.patch(
+  "/users/:userId",
+  auth,
+  requirePermission("user:manage"),
+  userController.updateUser
+);
+router.post(
+  "/users/:userId/deactivate",
+  auth,
+  requirePermission("user:manage"),
+  userController.deactivateUser
+);
+router.post(
+  "/users/:userId/reactivate",
+  auth,
+  requirePermission("user:manage"),
+  userController.reactivateUser
+);
+router.post(
+  "/users/:userId/force-password-reset",
+  auth,
+  requirePermission("user:manage"),
+  userController.forcePasswordReset
+);
+
+// Revoke all sessions (refresh and access tokens) of a user
+router.post(
+  "/users/:userId/revoke-sessions",
+  auth,
+  requirePermission("user:manage"),
+  adminController.revokeUserSessions
+);
+
+// Lift login lockouts
+router.post(
+  "/users/:userId/unlock",
+  auth,
+  requirePermission("user:manage"),
+  adminController.unlockUserAccount
+);
+router.post(
+  "/login-blocks/unlock-ip",
+  auth,
+  requirePermission("user:manage"),
+  adminController.unlockIpAddress
+);
+
+// Per-student waivers of course prerequisites and co-requisites
+router.post(
+  "/requisite-overrides",
+  auth,
+  requirePermission("requisite:override"),
+  adminController.grantRequisiteOverride
+);
+router.get(
+  "/requisite-overrides",
+  auth,
+  requirePermission("requisite:override"),
+  adminController.getRequisiteOverrides
+);
+router.delete(
+  "/requisite-overrides/:overrideId",
+  auth,
+  requirePermission("requisite:override"),
+  adminController.revokeRequisiteOverride
+);
+
 module.exports = router;
@@ -1,14 +1,16 @@
 const express = require("express");
 const router = express.Router();
 const assignmentController = require("../controllers/assignmentController");
+const gradeController = require("../controllers/gradeController");
+const extensionController = require("../controllers/extensionController");
 const auth = require("../middleware/auth");
-const { checkRole } = require("../middleware/roleCheck");
+const { authorizeCourse } = require("../middleware/authorize");
 
 // Create a new assignment for a course (teacher only)
 router.post(
   "/courses/:courseId/assignments",
   auth,
-  checkRole(["teacher"]),
+  authorizeCourse("assignment:manage"),
   assignmentController.createAssignment
 );
 
@@ -16,23 +18,77 @@ router.post(
 router.post(
   "/assignments/:assignmentId/submit",
   auth,
-  checkRole(["student"]),
+  authorizeCourse("submission:create", { from: "assignment" }),
   assignmentController.submitAssignment
 );
 
-// Grade a submission (teacher only)
+// Grade a submission (teacher only); assignments with a rubric take
+// rubricScores: [{ criterionId, levelId, comment }] instead of a grade
 router.post(
   "/assignments/:assignmentId/submissions/:submissionId/grade",
   auth,
-  checkRole(["teacher"]),
+  authorizeCourse("submission:grade", { from: "submission" }),
   assignmentController.gradeSubmission
 );
 
+// Grade history and regrade requests of a submission (graders and the
+// submitting student)
+router.get(
+  "/assignments/:assignmentId/submissions/:submissionId/grades",
+  auth,
+  authorizeCourse("course:view", { from: "submission" }),
+  gradeController.getSubmissionGrades
+);
+
+// Ask for a graded submission to be reviewed (student only)
+router.post(
+  "/assignments/:assignmentId/submissions/:submissionId/regrade-requests",
+  auth,
+  authorizeCourse("regrade:request", { from: "submission" }),
+  gradeController.createRegradeRequest
+);
+
+// Accept or decline a regrade request (graders)
+router.post(
+  "/assignments/:assignmentId/submissions/:submissionId/regrade-requests/:requestId/resolve",
+  auth,
+  authorizeCourse("submission:grade", { from: "submission" }),
+  gradeController.resolveRegradeRequest
+);
+
+// Regrade requests across a course; supports ?status=open|accepted|declined
+router.get(
+  "/courses/:courseId/regrade-requests",
+  auth,
+  authorizeCourse("submission:grade"),
+  gradeController.getCourseRegradeRequests
+);
+
+// Per-student due date extensions
+router.get(
+  "/assignments/:assignmentId/extensions",
+  auth,
+  authorizeCourse("submission:grade", { from: "assignment" }),
+  extensionController.getExtensions
+);
+router.put(
+  "/assignments/:assignmentId/extensions/:studentId",
+  auth,
+  authorizeCourse("assignment:manage", { from: "assignment" }),
+  extensionController.grantExtension
+);
+router.delete(
+  "/assignments/:assignmentId/extensions/:studentId",
+  auth,
+  authorizeCourse("assignment:manage", { from: "assignment" }),
+  extensionController.revokeExtension
+);
+
 // Get all assignments for a course
 router.get(
   "/courses/:courseId/assignments",
   auth,
-  checkRole(["teacher", "student"]),
+  authorizeCourse("course:view"),
   assignmentController.getCourseAssignments
 );
 
@@ -40,7 +96,7 @@ router.get(
 router.get(
   "/assignments/:assignmentId",
   auth,
-  checkRole(["teacher", "student"]),
+  authorizeCourse("course:view", { from: "assignment" }),
   assignmentController.getAssignmentById
 );
 
@@ -48,15 +104,29 @@ router.get(
 router.put(
   "/assignments/:assignmentId",
   auth,
-  checkRole(["teacher"]),
+  authorizeCourse("assignment:manage", { from: "assignment" }),
   assignmentController.updateAssignment
 );
 
+// Attach one of the teacher's rubrics to an assignment, or detach it
+router.put(
+  "/assignments/:assignmentId/rubric",
+  auth,
+  authorizeCourse("assignment:manage", { from: "assignment" }),
+  assignmentController.attachRubric
+);
+router.delete(
+  "/assignments/:assignmentId/rubric",
+  auth,
+  authorizeCourse("assignment:manage", { from: "assignment" }),
+  assignmentController.detachRubric
+);
+
 // Delete an assignment (teacher only)
 router.delete(
   "/assignments/:assignmentId",
   auth,
-  checkRole(["teacher"]),
+  authorizeCourse("assignment:manage", { from: "assignment" }),
   assignmentController.deleteAssignment
 );
 
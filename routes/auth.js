@@ -1,6 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const authController = require("../controllers/authController");
+const auth = require("../middleware/auth");
 
 // Register a new user
 router.post("/register", authController.register);
@@ -8,4 +9,28 @@ router.post("/register", authController.register);
 // Login user
 router.post("/login", authController.login);
 
+// Rotate a refresh token into a new token pair
+router.post("/refresh", authController.refresh);
+
+// Log out the current session (revokes its refresh token)
+router.post("/logout", authController.logout);
+
+// Log out every session of the current user
+router.post("/logout-all", auth, authController.logoutAll);
+
+// Request a password reset email
+router.post("/forgot-password", authController.forgotPassword);
+
+// Set a new password with a reset token
+router.post("/reset-password", authController.resetPassword);
+
+// Change the current user's password
+router.post("/change-password", auth, authController.changePassword);
+
+// Confirm an email address with a verification token
+router.post("/verify-email", authController.verifyEmail);
+
+// Send a new verification email to the current user
+router.post("/resend-verification", auth, authController.resendVerification);
+
 module.exports = router;
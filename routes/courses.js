@@ -1,14 +1,23 @@
 const express = require("express");
 const router = express.Router();
 const courseController = require("../controllers/courseController");
+const courseStaffController = require("../controllers/courseStaffController");
+const enrollmentController = require("../controllers/enrollmentController");
+const requisiteController = require("../controllers/requisiteController");
+const trashController = require("../controllers/trashController");
+const gradebookController = require("../controllers/gradebookController");
 const auth = require("../middleware/auth");
-const { checkRole } = require("../middleware/roleCheck");
+const uploadMiddleware = require("../middleware/upload");
+const {
+  requirePermission,
+  authorizeCourse,
+} = require("../middleware/authorize");
 
 // Get all courses for the logged-in user (teacher or student)
 router.get(
   "/",
   auth,
-  checkRole(["teacher", "student"]),
+  requirePermission("course:view"),
   courseController.getUserCourses
 );
 
@@ -16,26 +25,47 @@ router.get(
 router.get(
   "/student",
   auth,
-  checkRole(["student"]),
+  requirePermission("enrollment:self"),
   courseController.getEnrolledCourses
 );
 
+// Browse course offerings open to the student, with their enrollment status
+router.get(
+  "/catalog",
+  auth,
+  requirePermission("enrollment:self"),
+  courseController.getCourseCatalog
+);
+
+// Trashed courses the user manages
+router.get(
+  "/trash",
+  auth,
+  requirePermission("course:manage"),
+  trashController.getTrashedCourses
+);
+
 // Get specific course by ID
 router.get(
   "/:courseId",
   auth,
-  checkRole(["teacher", "student"]),
+  authorizeCourse("course:view"),
   courseController.getCourseById
 );
 
 // Create new course (teacher only)
-router.post("/", auth, checkRole(["teacher"]), courseController.createCourse);
+router.post(
+  "/",
+  auth,
+  requirePermission("course:create"),
+  courseController.createCourse
+);
 
 // Update course (teacher only)
 router.put(
   "/:courseId",
   auth,
-  checkRole(["teacher"]),
+  authorizeCourse("course:manage"),
   courseController.updateCourse
 );
 
@@ -43,15 +73,36 @@ router.put(
 router.delete(
   "/:courseId",
   auth,
-  checkRole(["teacher"]),
+  authorizeCourse("course:manage"),
   courseController.deleteCourse
 );
 
+// Trash: deleted courses, lectures, assignments and e-content modules stay
+// restorable until the retention period ends (TRASH_RETENTION_DAYS)
+router.post(
+  "/:courseId/restore",
+  auth,
+  authorizeCourse("course:manage", { includeDeleted: true }),
+  trashController.restoreCourse
+);
+router.get(
+  "/:courseId/trash",
+  auth,
+  authorizeCourse("course:view"),
+  trashController.getCourseTrash
+);
+router.post(
+  "/:courseId/trash/:itemType/:itemId/restore",
+  auth,
+  authorizeCourse("course:view"),
+  trashController.restoreTrashedItem
+);
+
 // Update course attendance (teacher only)
 router.put(
   "/:courseId/attendance",
   auth,
-  checkRole(["teacher"]),
+  authorizeCourse("attendance:manage"),
   courseController.updateCourseAttendance
 );
 
@@ -60,7 +111,7 @@ router.put(
 router.get(
   "/:courseId/lectures",
   auth,
-  checkRole(["teacher", "student"]),
+  authorizeCourse("course:view"),
   courseController.getCourseLectures
 );
 
@@ -68,7 +119,7 @@ router.get(
 router.post(
   "/:courseId/lectures",
   auth,
-  checkRole(["teacher"]),
+  authorizeCourse("lecture:manage"),
   courseController.addLecture
 );
 
@@ -76,7 +127,7 @@ router.post(
 router.put(
   "/:courseId/lectures/:lectureId",
   auth,
-  checkRole(["teacher"]),
+  authorizeCourse("lecture:manage"),
   courseController.updateCourseLecture
 );
 
@@ -84,8 +135,183 @@ router.put(
 router.delete(
   "/:courseId/lectures/:lectureId",
   auth,
-  checkRole(["teacher"]),
+  authorizeCourse("lecture:manage"),
   courseController.deleteCourseLecture
 );
 
+// Course staff (co-instructors and teaching assistants)
+router.get(
+  "/:courseId/staff",
+  auth,
+  authorizeCourse("course:view"),
+  courseStaffController.getCourseStaff
+);
+router.post(
+  "/:courseId/staff",
+  auth,
+  authorizeCourse("staff:manage"),
+  courseStaffController.addCourseStaff
+);
+router.delete(
+  "/:courseId/staff/:userId",
+  auth,
+  authorizeCourse("staff:manage"),
+  courseStaffController.removeCourseStaff
+);
+
+// Enrollments, pending requests and invitations
+router.get(
+  "/:courseId/enrollments",
+  auth,
+  authorizeCourse("roster:view"),
+  enrollmentController.getCourseEnrollments
+);
+// Enroll or drop many students at once, from a JSON list or a roster file
+router.post(
+  "/:courseId/enrollments/bulk",
+  auth,
+  authorizeCourse("enrollment:manage"),
+  enrollmentController.bulkUpdateEnrollments
+);
+router.post(
+  "/:courseId/enrollments/import",
+  auth,
+  authorizeCourse("enrollment:manage"),
+  uploadMiddleware,
+  enrollmentController.bulkUpdateEnrollments
+);
+router.post(
+  "/:courseId/enrollments/invite",
+  auth,
+  authorizeCourse("enrollment:manage"),
+  enrollmentController.inviteStudent
+);
+router.post(
+  "/:courseId/enrollments/:studentId/approve",
+  auth,
+  authorizeCourse("enrollment:manage"),
+  enrollmentController.approveEnrollment
+);
+router.delete(
+  "/:courseId/enrollments/:studentId",
+  auth,
+  authorizeCourse("enrollment:manage"),
+  enrollmentController.removeEnrollment
+);
+router.put(
+  "/:courseId/enrollments/:studentId/final-grade",
+  auth,
+  authorizeCourse("course:manage"),
+  enrollmentController.setFinalGrade
+);
+// Extra days on every due date for one student
+router.put(
+  "/:courseId/enrollments/:studentId/accommodation",
+  auth,
+  authorizeCourse("enrollment:manage"),
+  enrollmentController.setAccommodation
+);
+
+// Gradebook: grid of every student's scores for graders, and each
+// student's own breakdown
+router.get(
+  "/:courseId/gradebook",
+  auth,
+  authorizeCourse("submission:grade"),
+  gradebookController.getGradebook
+);
+router.get(
+  "/:courseId/gradebook/me",
+  auth,
+  authorizeCourse("course:view"),
+  gradebookController.getMyGrades
+);
+router.get(
+  "/:courseId/gradebook/students/:studentId",
+  auth,
+  authorizeCourse("submission:grade"),
+  gradebookController.getStudentGrades
+);
+// Download the gradebook, or upload an edited one to update grades
+router.get(
+  "/:courseId/gradebook/export",
+  auth,
+  authorizeCourse("submission:grade"),
+  gradebookController.exportGradebook
+);
+router.post(
+  "/:courseId/gradebook/import",
+  auth,
+  authorizeCourse("submission:grade"),
+  uploadMiddleware,
+  gradebookController.importGradebook
+);
+// Excused and missing marks
+router.put(
+  "/:courseId/gradebook/marks",
+  auth,
+  authorizeCourse("submission:grade"),
+  gradebookController.setGradeMark
+);
+// Grade scale of the course
+router.put(
+  "/:courseId/gradebook/settings",
+  auth,
+  authorizeCourse("course:manage"),
+  gradebookController.updateGradebookSettings
+);
+// Copy computed percentages into the students' final grades
+router.post(
+  "/:courseId/gradebook/finalize",
+  auth,
+  authorizeCourse("course:manage"),
+  gradebookController.finalizeGrades
+);
+
+// Weighted assignment categories with drop-lowest rules
+router.get(
+  "/:courseId/grade-categories",
+  auth,
+  authorizeCourse("course:view"),
+  gradebookController.getGradeCategories
+);
+router.post(
+  "/:courseId/grade-categories",
+  auth,
+  authorizeCourse("course:manage"),
+  gradebookController.createGradeCategory
+);
+router.put(
+  "/:courseId/grade-categories/:categoryId",
+  auth,
+  authorizeCourse("course:manage"),
+  gradebookController.updateGradeCategory
+);
+router.delete(
+  "/:courseId/grade-categories/:categoryId",
+  auth,
+  authorizeCourse("course:manage"),
+  gradebookController.deleteGradeCategory
+);
+
+// Prerequisites and co-requisites
+router.get(
+  "/:courseId/requisites",
+  auth,
+  authorizeCourse("course:view"),
+  requisiteController.getCourseRequisites
+);
+router.post(
+  "/:courseId/requisites",
+  auth,
+  authorizeCourse("course:manage"),
+  requisiteController.addCourseRequisite
+);
+router.delete(
+  "/:courseId/requisites/:requisiteId",
+  auth,
+  authorizeCourse("course:manage"),
+  requisiteController.removeCourseRequisite
+);
+
 module.exports = router;
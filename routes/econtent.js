@@ -2,13 +2,13 @@ const express = require("express");
 const router = express.Router();
 const econtentController = require("../controllers/econtentController");
 const auth = require("../middleware/auth");
-const { checkRole } = require("../middleware/roleCheck");
+const { authorizeCourse } = require("../middleware/authorize");
 
 // Create a new module for a course's EContent (teacher only)
 router.post(
   "/course/:courseId/econtent",
   auth,
-  checkRole(["teacher"]),
+  authorizeCourse("econtent:manage"),
   econtentController.createEContent
 );
 
@@ -16,7 +16,7 @@ router.post(
 router.get(
   "/course/:courseId/econtent",
   auth,
-  checkRole(["teacher", "student"]),
+  authorizeCourse("course:view"),
   econtentController.getEContentByCourse
 );
 
@@ -24,7 +24,7 @@ router.get(
 router.get(
   "/course/:courseId/econtent/module/:moduleId",
   auth,
-  checkRole(["teacher", "student"]),
+  authorizeCourse("course:view"),
   econtentController.getModuleById
 );
 
@@ -32,7 +32,7 @@ router.get(
 router.put(
   "/course/:courseId/econtent/module/:moduleId",
   auth,
-  checkRole(["teacher"]),
+  authorizeCourse("econtent:manage"),
   econtentController.updateModule
 );
 
@@ -40,7 +40,7 @@ router.put(
 router.delete(
   "/course/:courseId/econtent/module/:moduleId",
   auth,
-  checkRole(["teacher"]),
+  authorizeCourse("econtent:manage"),
   econtentController.deleteModule
 );
 
@@ -48,7 +48,7 @@ router.delete(
 router.delete(
   "/course/:courseId/econtent/module/:moduleId/file/:fileId",
   auth,
-  checkRole(["teacher"]),
+  authorizeCourse("econtent:manage"),
   econtentController.deleteFile
 );
 
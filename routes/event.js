@@ -2,16 +2,21 @@ const express = require("express");
 const router = express.Router();
 const eventController = require("../controllers/eventController");
 const auth = require("../middleware/auth");
-const { checkRole } = require("../middleware/roleCheck");
+const { requirePermission } = require("../middleware/authorize");
 
 // Create a new event (admin only)
-router.post("/", auth, checkRole(["admin"]), eventController.createEvent);
+router.post(
+  "/",
+  auth,
+  requirePermission("event:manage"),
+  eventController.createEvent
+);
 
 // Get all events
 router.get(
   "/",
   auth,
-  checkRole(["admin", "teacher", "student"]),
+  requirePermission("event:view"),
   eventController.getAllEvents
 );
 
@@ -19,14 +24,24 @@ router.get(
 router.get(
   "/:id",
   auth,
-  checkRole(["admin", "teacher", "student"]),
+  requirePermission("event:view"),
   eventController.getEventById
 );
 
 // Update an event (admin only)
-router.put("/:id", auth, checkRole(["admin"]), eventController.updateEvent);
+router.put(
+  "/:id",
+  auth,
+  requirePermission("event:manage"),
+  eventController.updateEvent
+);
 
 // Delete an event (admin only)
-router.delete("/:id", auth, checkRole(["admin"]), eventController.deleteEvent);
+router.delete(
+  "/:id",
+  auth,
+  requirePermission("event:manage"),
+  eventController.deleteEvent
+);
 
 module.exports = router;
@@ -2,7 +2,7 @@ const express = require("express");
 const router = express.Router();
 const adminController = require("../controllers/adminController");
 const auth = require("../middleware/auth");
-const { checkRole } = require("../middleware/roleCheck");
+const { requirePermission } = require("../middleware/authorize");
 
 // Test route to verify router is working
 router.get("/test", (req, res) => {
@@ -13,7 +13,7 @@ router.get("/test", (req, res) => {
 router.get(
   "/my-students",
   auth,
-  checkRole(["teacher"]),
+  requirePermission("students:view"),
   adminController.getMyStudents
 );
 
@@ -21,7 +21,7 @@ router.get(
 router.get(
   "/teacher/:teacherId/students",
   auth,
-  checkRole(["admin", "teacher"]),
+  requirePermission("students:view"),
   adminController.getStudentsByTeacherId
 );
 
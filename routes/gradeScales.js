@@ -0,0 +1,33 @@
+const express = require("express");
+const router = express.Router();
+const gradeScaleController = require("../controllers/gradeScaleController");
+const auth = require("../middleware/auth");
+const { requirePermission } = require("../middleware/authorize");
+
+// Letter grade scales courses choose from; owners (admins: any) edit them
+router.get(
+  "/",
+  auth,
+  requirePermission("gradescale:manage"),
+  gradeScaleController.getGradeScales
+);
+router.post(
+  "/",
+  auth,
+  requirePermission("gradescale:manage"),
+  gradeScaleController.createGradeScale
+);
+router.put(
+  "/:scaleId",
+  auth,
+  requirePermission("gradescale:manage"),
+  gradeScaleController.updateGradeScale
+);
+router.delete(
+  "/:scaleId",
+  auth,
+  requirePermission("gradescale:manage"),
+  gradeScaleController.deleteGradeScale
+);
+
+module.exports = router;
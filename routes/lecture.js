@@ -2,13 +2,13 @@ const express = require("express");
 const router = express.Router();
 const lectureController = require("../controllers/lectureController");
 const auth = require("../middleware/auth");
-const { checkRole } = require("../middleware/roleCheck");
+const { authorizeCourse } = require("../middleware/authorize");
 
 // Create a new lecture for a course (teacher only)
 router.post(
   "/:courseId",
   auth,
-  checkRole(["teacher"]),
+  authorizeCourse("lecture:manage"),
   lectureController.createLecture
 );
 
@@ -16,7 +16,7 @@ router.post(
 router.put(
   "/:lectureId",
   auth,
-  checkRole(["teacher"]),
+  authorizeCourse("lecture:manage", { from: "lecture" }),
   lectureController.updateLecture
 );
 
@@ -24,7 +24,7 @@ router.put(
 router.get(
   "/:lectureId",
   auth,
-  checkRole(["teacher", "student"]),
+  authorizeCourse("course:view", { from: "lecture" }),
   lectureController.getLectureById
 );
 
@@ -32,7 +32,7 @@ router.get(
 router.get(
   "/:courseId/lectures",
   auth,
-  checkRole(["teacher"]),
+  authorizeCourse("lecture:manage"),
   lectureController.getCourseLectures
 );
 
@@ -40,7 +40,7 @@ router.get(
 router.get(
   "/student/:courseId/lectures",
   auth,
-  checkRole(["student"]),
+  authorizeCourse("course:view"),
   lectureController.getCourseLecturesByStudents
 );
 
@@ -48,7 +48,7 @@ router.get(
 router.get(
   "/:courseId/lectures/:lectureId",
   auth,
-  checkRole(["teacher", "student"]),
+  authorizeCourse("course:view", { from: "lecture" }),
   lectureController.getLectureById
 );
 
@@ -56,7 +56,7 @@ router.get(
 router.post(
   "/:courseId/lectures",
   auth,
-  checkRole(["teacher"]),
+  authorizeCourse("lecture:manage"),
   lectureController.createLecture
 );
 
@@ -64,7 +64,7 @@ router.post(
 router.put(
   "/:courseId/lectures/:lectureId",
   auth,
-  checkRole(["teacher"]),
+  authorizeCourse("lecture:manage", { from: "lecture" }),
   lectureController.updateLecture
 );
 
@@ -72,7 +72,7 @@ router.put(
 router.delete(
   "/:courseId/lectures/:lectureId",
   auth,
-  checkRole(["teacher"]),
+  authorizeCourse("lecture:manage", { from: "lecture" }),
   lectureController.deleteLecture
 );
 
@@ -80,7 +80,7 @@ router.delete(
 router.put(
   "/:courseId/lectures/:lectureId/review",
   auth,
-  checkRole(["teacher"]),
+  authorizeCourse("lecture:manage", { from: "lecture" }),
   lectureController.updateLectureReviewStatus
 );
 
@@ -88,7 +88,7 @@ router.put(
 router.put(
   "/:courseId/lectures/review-all",
   auth,
-  checkRole(["teacher"]),
+  authorizeCourse("lecture:manage"),
   lectureController.updateAllLectureReviewStatuses
 );
 
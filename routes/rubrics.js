@@ -0,0 +1,40 @@
+const express = require("express");
+const router = express.Router();
+const rubricController = require("../controllers/rubricController");
+const auth = require("../middleware/auth");
+const { requirePermission } = require("../middleware/authorize");
+
+// The signed-in teacher's rubrics; attach them to assignments with
+// PUT /api/assignment/assignments/:assignmentId/rubric
+router.get(
+  "/",
+  auth,
+  requirePermission("rubric:manage"),
+  rubricController.getRubrics
+);
+router.post(
+  "/",
+  auth,
+  requirePermission("rubric:manage"),
+  rubricController.createRubric
+);
+router.get(
+  "/:rubricId",
+  auth,
+  requirePermission("rubric:manage"),
+  rubricController.getRubric
+);
+router.put(
+  "/:rubricId",
+  auth,
+  requirePermission("rubric:manage"),
+  rubricController.updateRubric
+);
+router.delete(
+  "/:rubricId",
+  auth,
+  requirePermission("rubric:manage"),
+  rubricController.deleteRubric
+);
+
+module.exports = router;
@@ -2,16 +2,21 @@ const express = require("express");
 const router = express.Router();
 const semesterController = require("../controllers/semesterController");
 const auth = require("../middleware/auth");
-const { checkRole } = require("../middleware/roleCheck");
+const { requirePermission } = require("../middleware/authorize");
 
 // Create a new semester (admin only)
-router.post("/", auth, checkRole(["admin"]), semesterController.createSemester);
+router.post(
+  "/",
+  auth,
+  requirePermission("semester:manage"),
+  semesterController.createSemester
+);
 
 // Get all semesters
 router.get(
   "/",
   auth,
-  checkRole(["admin", "teacher", "student"]),
+  requirePermission("semester:view"),
   semesterController.getAllSemesters
 );
 
@@ -19,7 +24,7 @@ router.get(
 router.get(
   "/:id",
   auth,
-  checkRole(["admin", "teacher", "student"]),
+  requirePermission("semester:view"),
   semesterController.getSemesterById
 );
 
@@ -27,7 +32,7 @@ router.get(
 router.put(
   "/:id",
   auth,
-  checkRole(["admin"]),
+  requirePermission("semester:manage"),
   semesterController.updateSemester
 );
 
@@ -35,7 +40,7 @@ router.put(
 router.delete(
   "/:id",
   auth,
-  checkRole(["admin"]),
+  requirePermission("semester:manage"),
   semesterController.deleteSemester
 );
 
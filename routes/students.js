@@ -2,13 +2,13 @@ const express = require("express");
 const router = express.Router();
 const studentController = require("../controllers/studentController");
 const auth = require("../middleware/auth");
-const { checkRole } = require("../middleware/roleCheck");
+const { requirePermission } = require("../middleware/authorize");
 
 // Enroll in a course
 router.post(
   "/courses/:courseId/enroll",
   auth,
-  checkRole(["student"]),
+  requirePermission("enrollment:self"),
   studentController.enrollCourse
 );
 
@@ -16,7 +16,7 @@ router.post(
 router.get(
   "/courses/:courseId/enrollment",
   auth,
-  checkRole(["student"]),
+  requirePermission("enrollment:self"),
   studentController.getEnrollmentDetails
 );
 
@@ -24,7 +24,7 @@ router.get(
 router.delete(
   "/courses/:courseId/enroll",
   auth,
-  checkRole(["student"]),
+  requirePermission("enrollment:self"),
   studentController.unenrollCourse
 );
 
@@ -32,7 +32,7 @@ router.delete(
 router.put(
   "/profile",
   auth,
-  checkRole(["student"]),
+  requirePermission("profile:student"),
   studentController.updateProfile
 );
 
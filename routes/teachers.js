@@ -2,13 +2,13 @@ const express = require("express");
 const router = express.Router();
 const teacherController = require("../controllers/teacherController");
 const auth = require("../middleware/auth");
-const { checkRole } = require("../middleware/roleCheck");
+const { requirePermission } = require("../middleware/authorize");
 
 // Get students for the authenticated teacher
 router.get(
   "/students",
   auth,
-  checkRole(["teacher"]),
+  requirePermission("students:view"),
   teacherController.getStudents
 );
 
@@ -16,7 +16,7 @@ router.get(
 router.post(
   "/students/:studentId/assign",
   auth,
-  checkRole(["admin", "teacher"]),
+  requirePermission("student:assign"),
   teacherController.assignStudent
 );
 
@@ -24,7 +24,7 @@ router.post(
 router.get(
   "/profile",
   auth,
-  checkRole(["teacher"]),
+  requirePermission("profile:teacher"),
   teacherController.getProfile
 );
 
@@ -32,7 +32,7 @@ router.get(
 router.put(
   "/profile",
   auth,
-  checkRole(["teacher"]),
+  requirePermission("profile:teacher"),
   teacherController.updateProfile
 );
 
@@ -0,0 +1,267 @@
+// Static catalogues and size presets used by the demo seeder
+
+// All demo accounts live under this domain so they are easy to spot
+const DEMO_EMAIL_DOMAIN = "demo.lms.local";
+
+const SIZE_PRESETS = {
+  small: {
+    teachers: 2,
+    studentsPerTeacher: 5,
+    coursesPerTeacher: 2,
+    lecturesPerCourse: 3,
+    assignmentsPerCourse: 2,
+    modulesPerCourse: 2,
+    events: 3,
+  },
+  medium: {
+    teachers: 4,
+    studentsPerTeacher: 10,
+    coursesPerTeacher: 3,
+    lecturesPerCourse: 6,
+    assignmentsPerCourse: 4,
+    modulesPerCourse: 4,
+    events: 6,
+  },
+  large: {
+    teachers: 8,
+    studentsPerTeacher: 25,
+    coursesPerTeacher: 4,
+    lecturesPerCourse: 10,
+    assignmentsPerCourse: 6,
+    modulesPerCourse: 6,
+    events: 12,
+  },
+};
+
+const FIRST_NAMES = [
+  "Aarav",
+  "Priya",
+  "Rohan",
+  "Ananya",
+  "Vikram",
+  "Meera",
+  "Arjun",
+  "Kavya",
+  "Nikhil",
+  "Sneha",
+  "Rahul",
+  "Isha",
+  "Karan",
+  "Divya",
+  "Aditya",
+  "Pooja",
+  "Siddharth",
+  "Neha",
+  "Manish",
+  "Riya",
+];
+
+const LAST_NAMES = [
+  "Sharma",
+  "Verma",
+  "Iyer",
+  "Reddy",
+  "Patel",
+  "Nair",
+  "Gupta",
+  "Mehta",
+  "Rao",
+  "Kulkarni",
+  "Singh",
+  "Das",
+  "Joshi",
+  "Menon",
+  "Chopra",
+];
+
+const PROGRAMS = ["B.Tech CSE", "B.Tech ECE", "BCA", "B.Sc Mathematics"];
+
+// Each course carries its own syllabus topics so the generated data reads
+// like a real catalogue rather than "Course 1", "Course 2"
+const COURSE_CATALOGUE = [
+  {
+    title: "Data Structures and Algorithms",
+    about:
+      "Core data structures, algorithm design techniques and complexity analysis.",
+    topics: [
+      "Arrays and Linked Lists",
+      "Stacks and Queues",
+      "Trees and Binary Search Trees",
+      "Heaps and Priority Queues",
+      "Graphs and Traversals",
+      "Sorting and Searching",
+      "Dynamic Programming",
+      "Greedy Algorithms",
+    ],
+  },
+  {
+    title: "Database Management Systems",
+    about:
+      "Relational modelling, SQL, normalisation, transactions and indexing.",
+    topics: [
+      "Entity-Relationship Modelling",
+      "Relational Algebra",
+      "SQL Queries",
+      "Normalisation",
+      "Indexing and Hashing",
+      "Transactions and Concurrency",
+      "Recovery",
+      "NoSQL Overview",
+    ],
+  },
+  {
+    title: "Operating Systems",
+    about:
+      "Processes, scheduling, memory management, file systems and synchronisation.",
+    topics: [
+      "Processes and Threads",
+      "CPU Scheduling",
+      "Synchronisation",
+      "Deadlocks",
+      "Memory Management",
+      "Virtual Memory",
+      "File Systems",
+      "I/O Systems",
+    ],
+  },
+  {
+    title: "Computer Networks",
+    about:
+      "Layered network architecture from the physical link up to application protocols.",
+    topics: [
+      "Network Models",
+      "Physical and Data Link Layers",
+      "IP Addressing and Routing",
+      "Transport Layer: TCP and UDP",
+      "Congestion Control",
+      "DNS and HTTP",
+      "Network Security Basics",
+      "Wireless Networks",
+    ],
+  },
+  {
+    title: "Discrete Mathematics",
+    about:
+      "Logic, sets, relations, combinatorics and graph theory for computer science.",
+    topics: [
+      "Propositional Logic",
+      "Predicate Logic",
+      "Sets and Functions",
+      "Relations",
+      "Counting Principles",
+      "Recurrence Relations",
+      "Graph Theory",
+      "Trees",
+    ],
+  },
+  {
+    title: "Web Technologies",
+    about:
+      "Building modern web applications with HTML, CSS, JavaScript and REST APIs.",
+    topics: [
+      "HTML and Semantic Markup",
+      "CSS Layout",
+      "JavaScript Fundamentals",
+      "DOM and Events",
+      "Asynchronous JavaScript",
+      "REST API Design",
+      "Authentication",
+      "Deployment",
+    ],
+  },
+  {
+    title: "Software Engineering",
+    about:
+      "Requirements, design, testing and maintenance of large software systems.",
+    topics: [
+      "Software Process Models",
+      "Requirements Engineering",
+      "UML and Design",
+      "Design Patterns",
+      "Testing Strategies",
+      "Version Control",
+      "Project Estimation",
+      "Maintenance",
+    ],
+  },
+  {
+    title: "Machine Learning",
+    about:
+      "Supervised and unsupervised learning with an emphasis on practical evaluation.",
+    topics: [
+      "Linear Regression",
+      "Logistic Regression",
+      "Decision Trees",
+      "Support Vector Machines",
+      "Clustering",
+      "Dimensionality Reduction",
+      "Neural Networks",
+      "Model Evaluation",
+    ],
+  },
+];
+
+const ASSIGNMENT_KINDS = [
+  "Problem Set",
+  "Lab Report",
+  "Mini Project",
+  "Case Study",
+  "Quiz",
+  "Research Summary",
+];
+
+// Gradebook categories of every demo course and the assignment kinds they
+// hold (weights add up to 100)
+const GRADE_CATEGORIES = [
+  {
+    name: "Coursework",
+    weight: 50,
+    dropLowest: 1,
+    kinds: ["Problem Set", "Lab Report", "Case Study", "Research Summary"],
+  },
+  { name: "Quizzes", weight: 20, dropLowest: 0, kinds: ["Quiz"] },
+  { name: "Projects", weight: 30, dropLowest: 0, kinds: ["Mini Project"] },
+];
+
+// Late policy of each assignment kind; the others accept late work
+const LATE_POLICIES = {
+  Quiz: { latePolicy: "cutoff", gracePeriodMinutes: 15 },
+  "Mini Project": {
+    latePolicy: "penalty",
+    latePenaltyPercent: 10,
+    maxLateDays: 5,
+  },
+};
+
+const EVENT_CATALOGUE = [
+  { name: "Orientation Day", location: "Main Auditorium" },
+  { name: "Hackathon", location: "Innovation Lab" },
+  { name: "Guest Lecture Series", location: "Seminar Hall A" },
+  { name: "Career Fair", location: "Convention Centre" },
+  { name: "Research Symposium", location: "Seminar Hall B" },
+  { name: "Coding Contest", location: "Computer Centre" },
+  { name: "Alumni Meet", location: "Open Air Theatre" },
+  { name: "Cultural Fest", location: "Campus Grounds" },
+];
+
+const FEEDBACK_SNIPPETS = [
+  "Well structured and clearly explained.",
+  "Good effort; review the edge cases we discussed in class.",
+  "Solid work. The analysis section could go deeper.",
+  "Correct approach, but please document your assumptions.",
+  "Excellent submission.",
+];
+
+module.exports = {
+  DEMO_EMAIL_DOMAIN,
+  SIZE_PRESETS,
+  FIRST_NAMES,
+  LAST_NAMES,
+  PROGRAMS,
+  COURSE_CATALOGUE,
+  ASSIGNMENT_KINDS,
+  GRADE_CATEGORIES,
+  LATE_POLICIES,
+  EVENT_CATALOGUE,
+  FEEDBACK_SNIPPETS,
+};
@@ -1,84 +1,731 @@
 require("dotenv").config();
-const { Sequelize } = require("sequelize");
-const { exec } = require("child_process");
 const path = require("path");
-const fs = require("fs");
-
-// Get the Sequelize CLI command
-const sequelizePath = path.resolve("node_modules", ".bin", "sequelize");
-
-// Run migration command based on arguments
-const runMigrations = () => {
-  // Check if there are migrations in the migrations folder
-  const migrationsFolder = path.join(__dirname);
-  const migrationFiles = fs
-    .readdirSync(migrationsFolder)
-    .filter((file) => file.endsWith(".js") && file !== "run.js");
-
-  if (migrationFiles.length === 0) {
-    console.log("No migration files found. Creating initial migration...");
-
-    // Create initial migration
-    exec(
-      `${sequelizePath} migration:generate --name init`,
-      (error, stdout, stderr) => {
-        if (error) {
-          console.error(`Error creating migration: ${error.message}`);
-          return;
+const { sequelize } = require("../config/database");
+const { createMigrator } = require("../utils/migrator");
+const { runWithAuditContext } = require("../utils/audit");
+const { lateStatus } = require("../utils/latePolicy");
+const { ensureAdminUser, getAdminSettings } = require("../config/init");
+const {
+  User,
+  Teacher,
+  Student,
+  Semester,
+  Course,
+  StudentCourse,
+  CourseOutcome,
+  CourseSchedule,
+  CourseSyllabus,
+  WeeklyPlan,
+  CreditPoints,
+  CourseAttendance,
+  CourseStaff,
+  Lecture,
+  Assignment,
+  AssignmentAttachment,
+  Submission,
+  SubmissionGrade,
+  GradeCategory,
+  EContent,
+  EContentModule,
+  EContentFile,
+  Event,
+} = require("../models");
+const {
+  DEMO_EMAIL_DOMAIN,
+  SIZE_PRESETS,
+  FIRST_NAMES,
+  LAST_NAMES,
+  PROGRAMS,
+  COURSE_CATALOGUE,
+  ASSIGNMENT_KINDS,
+  GRADE_CATEGORIES,
+  LATE_POLICIES,
+  EVENT_CATALOGUE,
+  FEEDBACK_SNIPPETS,
+} = require("./demoData");
+
+const PRESET_NAMES = Object.keys(SIZE_PRESETS).join(", ");
+
+const USAGE = `Usage: node seeders/run.js [small|medium|large] [options]
+
+Options:
+  --size <preset>   Size preset: ${PRESET_NAMES} (default: small)
+  --reset           Drop and re-create the whole schema before seeding
+
+Demo accounts use DEMO_PASSWORD (default: password123); the admin account
+uses ADMIN_EMAIL / ADMIN_PASSWORD like config/init.js.`;
+
+// Placeholder host for demo files; nothing is uploaded to Azure
+const DEMO_FILE_BASE_URL = "https://example.com/lms-demo";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Parse "--flag value" and bare "--flag" options
+const parseOptions = (args) => {
+  const options = { _: [] };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg.startsWith("--")) {
+      const key = arg.slice(2);
+      const value = args[i + 1];
+      if (value === undefined || value.startsWith("--")) {
+        options[key] = true;
+      } else {
+        options[key] = value;
+        i++;
+      }
+    } else {
+      options._.push(arg);
+    }
+  }
+
+  return options;
+};
+
+// Small deterministic PRNG so repeated runs produce the same data
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: (list) => list[Math.floor(next() * list.length)],
+  };
+};
+
+const slugify = (value) =>
+  value
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+const pad = (value, length = 2) => String(value).padStart(length, "0");
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// Semesters are derived from today's date (previous, current, next term) so
+// the demo always has past, running and upcoming courses
+const buildSemesterPlan = (today = new Date()) => {
+  const termFor = (year, half) =>
+    half === 0
+      ? {
+          name: `Spring ${year}`,
+          startDate: new Date(Date.UTC(year, 0, 15)),
+          endDate: new Date(Date.UTC(year, 4, 31)),
         }
+      : {
+          name: `Fall ${year}`,
+          startDate: new Date(Date.UTC(year, 6, 15)),
+          endDate: new Date(Date.UTC(year, 11, 15)),
+        };
+
+  const year = today.getUTCFullYear();
+  const half = today.getUTCMonth() < 6 ? 0 : 1;
 
-        console.log(stdout);
-        console.log("Initial migration created. Running migrations...");
+  return [
+    half === 0 ? termFor(year - 1, 1) : termFor(year, 0),
+    termFor(year, half),
+    half === 0 ? termFor(year, 1) : termFor(year + 1, 0),
+  ];
+};
+
+const run = async () => {
+  const options = parseOptions(process.argv.slice(2));
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
 
-        // Run migrations
-        runSequelizeCommand();
+  const size = options.size || options._[0] || process.env.SEED_SIZE || "small";
+  const preset = SIZE_PRESETS[size];
+  if (!preset) {
+    console.error(`Unknown size preset: ${size}\n\n${USAGE}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (options.reset && process.env.NODE_ENV === "production") {
+    throw new Error("Refusing to reset the database in production");
+  }
+
+  const migrator = createMigrator({
+    sequelize,
+    directory: path.join(__dirname, "..", "migrations"),
+  });
+
+  if (options.reset) {
+    // Drop the schema outright: some down migrations refuse to run while
+    // rows depend on what they remove (e.g. TA accounts)
+    console.log("Resetting database schema...");
+    await sequelize.query("DROP SCHEMA public CASCADE; CREATE SCHEMA public;");
+  }
+  await migrator.up();
+
+  const demoPassword = process.env.DEMO_PASSWORD || "password123";
+  const random = createRandom(20250615);
+  const created = {};
+
+  // Look a row up by its natural key and create it only when missing, so the
+  // seeder can be re-run safely against an already seeded database
+  const findOrCreate = async (Model, where, values, transaction) => {
+    const existing = await Model.findOne({ where, transaction });
+    if (existing) {
+      return existing;
+    }
+
+    const instance = await Model.create(
+      { ...where, ...values },
+      { transaction }
+    );
+    created[Model.name] = (created[Model.name] || 0) + 1;
+    return instance;
+  };
+
+  console.log(`Seeding demo data (${size})...`);
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    const { created: adminCreated } = await ensureAdminUser({ transaction });
+    if (adminCreated) {
+      created.User = (created.User || 0) + 1;
+    }
+
+    // Semesters
+    const semesters = [];
+    for (const plan of buildSemesterPlan()) {
+      semesters.push(
+        await findOrCreate(
+          Semester,
+          { name: plan.name },
+          { startDate: plan.startDate, endDate: plan.endDate },
+          transaction
+        )
+      );
+    }
+    console.log(`Semesters ready: ${semesters.map((s) => s.name).join(", ")}`);
+
+    const personName = (index) =>
+      `${FIRST_NAMES[index % FIRST_NAMES.length]} ${
+        LAST_NAMES[(index * 7) % LAST_NAMES.length]
+      }`;
+
+    // Teachers, each with their own group of students
+    const teachers = [];
+    for (let t = 0; t < preset.teachers; t++) {
+      const email = `teacher${t + 1}@${DEMO_EMAIL_DOMAIN}`;
+      const user = await findOrCreate(
+        User,
+        { email },
+        {
+          name: `Prof. ${personName(t * 3 + 1)}`,
+          password: demoPassword,
+          role: "teacher",
+          emailVerified: true,
+        },
+        transaction
+      );
+      const teacher = await findOrCreate(
+        Teacher,
+        { userId: user.id },
+        { email },
+        transaction
+      );
+
+      const students = [];
+      for (let n = 0; n < preset.studentsPerTeacher; n++) {
+        const studentEmail = `student${t + 1}-${pad(
+          n + 1
+        )}@${DEMO_EMAIL_DOMAIN}`;
+        const studentUser = await findOrCreate(
+          User,
+          { email: studentEmail },
+          {
+            name: personName(t * preset.studentsPerTeacher + n + 5),
+            password: demoPassword,
+            role: "student",
+            emailVerified: true,
+          },
+          transaction
+        );
+        students.push(
+          await findOrCreate(
+            Student,
+            { userId: studentUser.id },
+            {
+              teacherId: teacher.id,
+              teacherEmail: teacher.email,
+              program: PROGRAMS[(t + n) % PROGRAMS.length],
+              semester: String(((t + n) % 8) + 1),
+            },
+            transaction
+          )
+        );
       }
+
+      // One teaching assistant helps with each teacher's courses
+      const taUser = await findOrCreate(
+        User,
+        { email: `ta${t + 1}@${DEMO_EMAIL_DOMAIN}` },
+        {
+          name: personName(t * 3 + 2),
+          password: demoPassword,
+          role: "ta",
+          emailVerified: true,
+        },
+        transaction
+      );
+
+      teachers.push({ teacher, students, taUser });
+    }
+    console.log(
+      `Teachers ready: ${teachers.length}, students ready: ${teachers.reduce(
+        (sum, entry) => sum + entry.students.length,
+        0
+      )}`
     );
-  } else {
-    // Run migrations directly
-    runSequelizeCommand();
+
+    // Courses with their details, lectures, assignments and e-content
+    let courseCount = 0;
+    for (let t = 0; t < teachers.length; t++) {
+      const { teacher, students, taUser } = teachers[t];
+
+      for (let c = 0; c < preset.coursesPerTeacher; c++) {
+        const catalogueEntry =
+          COURSE_CATALOGUE[
+            (t * preset.coursesPerTeacher + c) % COURSE_CATALOGUE.length
+          ];
+        const semester = semesters[c % semesters.length];
+
+        const course = await findOrCreate(
+          Course,
+          {
+            title: catalogueEntry.title,
+            teacherId: teacher.id,
+            semesterId: semester.id,
+          },
+          { aboutCourse: catalogueEntry.about },
+          transaction
+        );
+        courseCount++;
+
+        await findOrCreate(
+          CourseStaff,
+          { courseId: course.id, userId: teacher.userId },
+          { role: "primary" },
+          transaction
+        );
+        await findOrCreate(
+          CourseStaff,
+          { courseId: course.id, userId: taUser.id },
+          { role: "ta" },
+          transaction
+        );
+
+        // The next teacher co-teaches each teacher's first course
+        if (c === 0 && teachers.length > 1) {
+          const coTeacher = teachers[(t + 1) % teachers.length].teacher;
+          await findOrCreate(
+            CourseStaff,
+            { courseId: course.id, userId: coTeacher.userId },
+            { role: "co_instructor" },
+            transaction
+          );
+        }
+
+        for (const student of students) {
+          await findOrCreate(
+            StudentCourse,
+            { studentId: student.id, courseId: course.id },
+            { enrollmentDate: semester.startDate },
+            transaction
+          );
+        }
+
+        await seedCourseDetails({
+          course,
+          catalogueEntry,
+          semester,
+          students,
+          findOrCreate,
+          random,
+          transaction,
+        });
+
+        await seedLectures({
+          course,
+          catalogueEntry,
+          semester,
+          count: preset.lecturesPerCourse,
+          findOrCreate,
+          transaction,
+        });
+
+        await seedAssignments({
+          course,
+          catalogueEntry,
+          semester,
+          students,
+          graderId: teacher.userId,
+          count: preset.assignmentsPerCourse,
+          findOrCreate,
+          random,
+          transaction,
+        });
+
+        await seedEContent({
+          course,
+          catalogueEntry,
+          count: preset.modulesPerCourse,
+          findOrCreate,
+          transaction,
+        });
+      }
+    }
+    console.log(`Courses ready: ${courseCount}`);
+
+    // Campus events around the current semester
+    const currentSemester = semesters[1];
+    for (let e = 0; e < preset.events; e++) {
+      const template = EVENT_CATALOGUE[e % EVENT_CATALOGUE.length];
+      const round = Math.floor(e / EVENT_CATALOGUE.length);
+      const name = round ? `${template.name} ${round + 1}` : template.name;
+      const slug = slugify(name);
+
+      await findOrCreate(
+        Event,
+        { name },
+        {
+          description: `${name} for students and faculty.`,
+          date: addDays(currentSemester.startDate, 10 + e * 9),
+          time: `${pad(10 + (e % 6))}:00`,
+          image: `${DEMO_FILE_BASE_URL}/events/${slug}.jpg`,
+          location: template.location,
+          link: `${DEMO_FILE_BASE_URL}/events/${slug}`,
+        },
+        transaction
+      );
+    }
+    console.log(`Events ready: ${preset.events}`);
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
   }
+
+  const summary = Object.entries(created)
+    .map(([model, count]) => `  ${model}: ${count}`)
+    .join("\n");
+  console.log(
+    summary
+      ? `Created:\n${summary}`
+      : "Nothing to create, demo data is already present."
+  );
+  console.log(
+    `\nAdmin login: ${
+      getAdminSettings().email
+    }\nDemo logins: teacher1@${DEMO_EMAIL_DOMAIN}, ta1@${DEMO_EMAIL_DOMAIN}, student1-01@${DEMO_EMAIL_DOMAIN} (password: DEMO_PASSWORD)`
+  );
 };
 
-const runSequelizeCommand = () => {
-  const command = process.argv[2] || "migrate";
-
-  let sequelizeCommand;
-  switch (command) {
-    case "migrate":
-      sequelizeCommand = "db:migrate";
-      break;
-    case "undo":
-      sequelizeCommand = "db:migrate:undo";
-      break;
-    case "undo:all":
-      sequelizeCommand = "db:migrate:undo:all";
-      break;
-    case "status":
-      sequelizeCommand = "db:migrate:status";
-      break;
-    case "create":
-      const name = process.argv[3];
-      if (!name) {
-        console.error("Migration name is required for create command");
-        process.exit(1);
-      }
-      sequelizeCommand = `migration:generate --name ${name}`;
-      break;
-    default:
-      console.error(`Unknown command: ${command}`);
-      process.exit(1);
+const seedCourseDetails = async ({
+  course,
+  catalogueEntry,
+  semester,
+  students,
+  findOrCreate,
+  random,
+  transaction,
+}) => {
+  const where = { courseId: course.id };
+  const { topics } = catalogueEntry;
+  const semesterLength = semester.endDate - semester.startDate;
+
+  await findOrCreate(
+    CourseOutcome,
+    where,
+    {
+      outcomes: topics
+        .slice(0, 4)
+        .map((topic) => `Apply the concepts of ${topic.toLowerCase()}`),
+    },
+    transaction
+  );
+
+  await findOrCreate(
+    CourseSchedule,
+    where,
+    {
+      classStartDate: semester.startDate,
+      classEndDate: addDays(semester.endDate, -14),
+      midSemesterExamDate: new Date(
+        semester.startDate.getTime() + semesterLength / 2
+      ),
+      endSemesterExamDate: addDays(semester.endDate, -7),
+      classDaysAndTimes: [
+        { day: "Monday", time: "10:00" },
+        { day: "Wednesday", time: "10:00" },
+        { day: "Friday", time: "14:00" },
+      ],
+    },
+    transaction
+  );
+
+  await findOrCreate(
+    CourseSyllabus,
+    where,
+    {
+      modules: [0, 1, 2, 3].map((m) => ({
+        moduleNumber: m + 1,
+        moduleTitle: topics[m * 2],
+        topics: [topics[m * 2], topics[m * 2 + 1]],
+      })),
+    },
+    transaction
+  );
+
+  await findOrCreate(
+    WeeklyPlan,
+    where,
+    {
+      weeks: topics.map((topic, index) => ({
+        weekNumber: index + 1,
+        topics: [topic],
+      })),
+    },
+    transaction
+  );
+
+  await findOrCreate(
+    CreditPoints,
+    where,
+    { lecture: 3, tutorial: 1, practical: 1, project: 0 },
+    transaction
+  );
+
+  // Attendance for sessions that have already happened
+  const sessions = {};
+  for (let week = 0; week < 4; week++) {
+    const sessionDate = addDays(semester.startDate, week * 7);
+    if (sessionDate > new Date()) break;
+
+    sessions[sessionDate.toISOString().slice(0, 10)] = students
+      .filter(() => random.next() < 0.85)
+      .map((student) => student.id);
+  }
+
+  await findOrCreate(CourseAttendance, where, { sessions }, transaction);
+};
+
+const seedLectures = async ({
+  course,
+  catalogueEntry,
+  semester,
+  count,
+  findOrCreate,
+  transaction,
+}) => {
+  for (let l = 0; l < count; l++) {
+    const topic = catalogueEntry.topics[l % catalogueEntry.topics.length];
+    const title = `Lecture ${l + 1}: ${topic}`;
+    const deliveredOn = addDays(semester.startDate, l * 7);
+
+    await findOrCreate(
+      Lecture,
+      { courseId: course.id, title },
+      {
+        content: `Notes and reading list for ${topic.toLowerCase()}.`,
+        videoUrl: `${DEMO_FILE_BASE_URL}/lectures/${slugify(
+          course.title
+        )}/${pad(l + 1)}.mp4`,
+        reviewDeadline: addDays(deliveredOn, 7),
+      },
+      transaction
+    );
   }
+};
+
+const seedAssignments = async ({
+  course,
+  catalogueEntry,
+  semester,
+  students,
+  graderId,
+  count,
+  findOrCreate,
+  random,
+  transaction,
+}) => {
+  const now = new Date();
+  const span = semester.endDate - semester.startDate;
+
+  const categoryIds = {};
+  for (const [position, entry] of GRADE_CATEGORIES.entries()) {
+    const category = await findOrCreate(
+      GradeCategory,
+      { courseId: course.id, name: entry.name },
+      { weight: entry.weight, dropLowest: entry.dropLowest, position },
+      transaction
+    );
+    entry.kinds.forEach((kind) => {
+      categoryIds[kind] = category.id;
+    });
+  }
+
+  for (let a = 0; a < count; a++) {
+    const kind = ASSIGNMENT_KINDS[a % ASSIGNMENT_KINDS.length];
+    const topic = catalogueEntry.topics[a % catalogueEntry.topics.length];
+    const title = `${kind} ${a + 1}: ${topic}`;
+    const dueDate = new Date(
+      semester.startDate.getTime() + ((a + 1) * span) / (count + 1)
+    );
+    const totalPoints = kind === "Quiz" ? 20 : 100;
 
-  exec(`${sequelizePath} ${sequelizeCommand}`, (error, stdout, stderr) => {
-    if (error) {
-      console.error(`Error: ${error.message}`);
-      return;
+    const assignment = await findOrCreate(
+      Assignment,
+      { courseId: course.id, title },
+      {
+        description: `Complete the ${kind.toLowerCase()} on ${topic.toLowerCase()}. Submit a single PDF.`,
+        dueDate,
+        totalPoints,
+        categoryId: categoryIds[kind] || null,
+        ...LATE_POLICIES[kind],
+      },
+      transaction
+    );
+
+    await findOrCreate(
+      AssignmentAttachment,
+      { assignmentId: assignment.id, name: `${slugify(title)}-brief.pdf` },
+      {
+        url: `${DEMO_FILE_BASE_URL}/assignments/${assignment.id}/brief.pdf`,
+        fileKey: `demo/assignments/${assignment.id}/brief.pdf`,
+      },
+      transaction
+    );
+
+    // Past assignments are mostly submitted and graded; open ones have a
+    // handful of early submissions waiting for grading
+    const isPastDue = dueDate < now;
+    for (const student of students) {
+      const submitChance = isPastDue ? 0.9 : 0.3;
+      if (random.next() >= submitChance) continue;
+
+      // Nothing is handed in late past a cutoff
+      const isLate =
+        isPastDue && assignment.latePolicy !== "cutoff" && random.next() < 0.1;
+      const submissionDate = isLate
+        ? addDays(dueDate, random.int(1, 3))
+        : addDays(dueDate, -random.int(1, 5));
+      const graded = isPastDue && random.next() < 0.8;
+
+      // Late work loses the assignment's penalty
+      let grade = null;
+      let latePenalty = null;
+      if (graded) {
+        grade = random.int(Math.round(totalPoints * 0.5), totalPoints);
+        const { penaltyPercent } = lateStatus(
+          assignment,
+          dueDate,
+          submissionDate
+        );
+        if (penaltyPercent > 0) {
+          latePenalty = Math.min(grade, (totalPoints * penaltyPercent) / 100);
+          grade -= latePenalty;
+        }
+      }
+
+      const submission = await findOrCreate(
+        Submission,
+        { assignmentId: assignment.id, studentId: student.id },
+        {
+          submissionDate,
+          submissionFile: `${DEMO_FILE_BASE_URL}/submissions/${assignment.id}/${student.id}.pdf`,
+          submissionFileKey: `demo/submissions/${assignment.id}/${student.id}.pdf`,
+          isLate,
+          status: graded ? "graded" : "submitted",
+          grade,
+          latePenalty,
+          feedback: graded ? random.pick(FEEDBACK_SNIPPETS) : null,
+        },
+        transaction
+      );
+
+      // The grade's first (and only) version
+      if (submission.grade !== null) {
+        await findOrCreate(
+          SubmissionGrade,
+          { submissionId: submission.id },
+          {
+            grade: submission.grade,
+            latePenalty: submission.latePenalty,
+            feedback: submission.feedback,
+            gradedById: graderId,
+          },
+          transaction
+        );
+      }
     }
+  }
+};
 
-    console.log(stdout);
-    console.log("Migration command completed successfully.");
-  });
+const seedEContent = async ({
+  course,
+  catalogueEntry,
+  count,
+  findOrCreate,
+  transaction,
+}) => {
+  const eContent = await findOrCreate(
+    EContent,
+    { courseId: course.id },
+    {},
+    transaction
+  );
+
+  for (let m = 0; m < count; m++) {
+    const topic = catalogueEntry.topics[m % catalogueEntry.topics.length];
+    const module = await findOrCreate(
+      EContentModule,
+      { eContentId: eContent.id, moduleNumber: m + 1 },
+      {
+        moduleTitle: topic,
+        link: `${DEMO_FILE_BASE_URL}/econtent/${slugify(topic)}`,
+      },
+      transaction
+    );
+
+    const fileName = `${slugify(topic)}-slides.pdf`;
+    await findOrCreate(
+      EContentFile,
+      { moduleId: module.id, fileName },
+      {
+        fileType: "pdf",
+        fileKey: `demo/econtent/${module.id}/${fileName}`,
+        fileUrl: `${DEMO_FILE_BASE_URL}/econtent/${module.id}/${fileName}`,
+      },
+      transaction
+    );
+  }
 };
 
-runMigrations();
+// Demo data is not recorded in the audit log
+runWithAuditContext({ skip: true }, run)
+  .catch((error) => {
+    console.error("Seeding failed:", error.message);
+    if (process.env.NODE_ENV === "development") {
+      console.error(error.stack);
+    }
+    process.exitCode = 1;
+  })
+  .finally(() => sequelize.close());
@@ -0,0 +1,242 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+// Who is making changes in the current request or job, so model hooks can
+// attribute them: { actorId, ip, skip }
+const auditContext = new AsyncLocalStorage();
+
+// Bookkeeping tables whose rows change on every sign-in or job poll
+const UNAUDITED_MODELS = [
+  "AuditLog",
+  "RefreshToken",
+  "UserToken",
+  "LoginThrottle",
+  "Job",
+];
+
+// Recorded as changed, but never with their values
+const REDACTED_FIELDS = ["password", "tokenHash"];
+
+// Not worth an entry when nothing else changed
+const IGNORED_FIELDS = ["updatedAt"];
+
+/**
+ * Run a function with an audit context; changes made inside it, including
+ * in later callbacks, are attributed to the context's actor
+ * @param {Object} context - { actorId, ip }, or { skip: true } to record
+ * nothing (e.g. seeding)
+ * @param {Function} fn - Function to run
+ * @returns {*} - fn's return value
+ */
+const runWithAuditContext = (context, fn) =>
+  auditContext.run({ ...context }, fn);
+
+/**
+ * Attribute the current context's remaining changes to a user, once they
+ * have been authenticated
+ * @param {String} actorId - User ID
+ */
+const setAuditActor = (actorId) => {
+  const context = auditContext.getStore();
+  if (context) {
+    context.actorId = actorId;
+  }
+};
+
+/**
+ * Make a value JSON-safe. Sequelize operators in bulk filters become
+ * "$in", "$ne", ...
+ * @param {*} value
+ * @returns {*}
+ */
+const toPlain = (value) => {
+  if (value === undefined) {
+    return null;
+  }
+  if (value === null || typeof value !== "object" || value instanceof Date) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPlain);
+  }
+  const plain = {};
+  Reflect.ownKeys(value).forEach((key) => {
+    const name = typeof key === "symbol" ? `$${key.description}` : key;
+    plain[name] = toPlain(value[key]);
+  });
+  return plain;
+};
+
+/**
+ * Copy attribute values for the log, redacting secrets
+ * @param {Object} model - Sequelize model
+ * @param {Object} values - Values by attribute name
+ * @param {Array<String>} [fields] - Attributes to copy; all by default
+ * @returns {Object}
+ */
+const pickValues = (
+  model,
+  values,
+  fields = Object.keys(model.rawAttributes)
+) => {
+  const picked = {};
+  fields.forEach((field) => {
+    if (!model.rawAttributes[field] || values[field] === undefined) {
+      return;
+    }
+    picked[field] = REDACTED_FIELDS.includes(field)
+      ? "[redacted]"
+      : toPlain(values[field]);
+  });
+  return picked;
+};
+
+/**
+ * Register hooks on every audited model that record creates, updates,
+ * deletes and restores in AuditLog, inside the caller's transaction so
+ * rolled-back changes leave no entry
+ * @param {Object} sequelize - Sequelize instance with all models defined
+ * @param {Object} AuditLog - AuditLog model
+ */
+const registerAuditHooks = (sequelize, AuditLog) => {
+  const write = (model, entries, options) => {
+    const context = auditContext.getStore() || {};
+    if (context.skip || entries.length === 0) {
+      return null;
+    }
+    return AuditLog.bulkCreate(
+      entries.map((entry) => ({
+        actorId: context.actorId || null,
+        ip: context.ip || null,
+        entityType: model.name,
+        before: null,
+        after: null,
+        ...entry,
+      })),
+      { transaction: options.transaction }
+    );
+  };
+
+  // Soft deletes (paranoid models) keep the row, so only deletedAt changes
+  const deletedValues = (model, options) =>
+    model.options.paranoid && !options.force ? { deletedAt: new Date() } : null;
+
+  Object.values(sequelize.models)
+    .filter((model) => !UNAUDITED_MODELS.includes(model.name))
+    .forEach((model) => {
+      const createEntry = (instance) => ({
+        action: "create",
+        entityId: String(instance.id),
+        after: pickValues(model, instance.get()),
+      });
+
+      model.addHook("afterCreate", (instance, options) =>
+        write(model, [createEntry(instance)], options)
+      );
+
+      model.addHook("afterBulkCreate", (instances, options) =>
+        write(model, instances.map(createEntry), options)
+      );
+
+      model.addHook("afterUpdate", (instance, options) => {
+        const fields = (instance.changed() || []).filter(
+          (field) => !IGNORED_FIELDS.includes(field)
+        );
+        if (fields.length === 0) {
+          return null;
+        }
+
+        const before = {};
+        fields.forEach((field) => {
+          before[field] = instance.previous(field);
+        });
+        return write(
+          model,
+          [
+            {
+              action: "update",
+              entityId: String(instance.id),
+              before: pickValues(model, before, fields),
+              after: pickValues(model, instance.get(), fields),
+            },
+          ],
+          options
+        );
+      });
+
+      model.addHook("afterDestroy", (instance, options) =>
+        write(
+          model,
+          [
+            {
+              action: "delete",
+              entityId: String(instance.id),
+              before: pickValues(model, instance.get()),
+              after: deletedValues(model, options),
+            },
+          ],
+          options
+        )
+      );
+
+      model.addHook("afterRestore", (instance, options) =>
+        write(
+          model,
+          [
+            {
+              action: "restore",
+              entityId: String(instance.id),
+              after: { deletedAt: null },
+            },
+          ],
+          options
+        )
+      );
+
+      // Bulk changes record their filter instead of each row; with
+      // individualHooks the per-row hooks above already ran
+      model.addHook("afterBulkUpdate", (options) =>
+        options.individualHooks
+          ? null
+          : write(
+              model,
+              [
+                {
+                  action: "bulk_update",
+                  before: { where: toPlain(options.where) },
+                  after: pickValues(
+                    model,
+                    options.attributes,
+                    Object.keys(options.attributes).filter(
+                      (field) => !IGNORED_FIELDS.includes(field)
+                    )
+                  ),
+                },
+              ],
+              options
+            )
+      );
+
+      model.addHook("afterBulkDestroy", (options) =>
+        options.individualHooks
+          ? null
+          : write(
+              model,
+              [
+                {
+                  action: "bulk_delete",
+                  before: { where: toPlain(options.where) },
+                  after: deletedValues(model, options),
+                },
+              ],
+              options
+            )
+      );
+    });
+};
+
+module.exports = {
+  UNAUDITED_MODELS,
+  runWithAuditContext,
+  setAuditActor,
+  registerAuditHooks,
+};
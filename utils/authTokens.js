@@ -0,0 +1,264 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { v4: uuidv4 } = require("uuid");
+const { Op } = require("sequelize");
+const { User, RefreshToken, UserToken, sequelize } = require("../models");
+const { ErrorHandler } = require("../middleware/errorHandler");
+
+// Access tokens are short-lived; sessions are kept alive by refresh tokens
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+/**
+ * Hash a token (refresh token, invite code, emailed token) for storage
+ * @param {String} token - Raw token
+ * @returns {String} - Hex encoded SHA-256 digest
+ */
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+/**
+ * Sign a short-lived access token for a user
+ * @param {Object} user - User instance
+ * @returns {String} - Signed JWT
+ */
+const signAccessToken = (user) =>
+  jwt.sign({ id: user.id, tv: user.tokenVersion }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+
+/**
+ * Issue an access token and a new refresh token for a user
+ * @param {Object} user - User instance
+ * @param {Object} [options]
+ * @param {Object} [options.req] - Express request, used to record IP and user agent
+ * @param {String} [options.familyId] - Session the token belongs to (new session if omitted)
+ * @param {Object} [options.transaction] - Sequelize transaction
+ * @returns {Promise<Object>} - { token, refreshToken, expiresIn, refreshTokenRecord }
+ */
+const issueTokens = async (user, { req, familyId, transaction } = {}) => {
+  const refreshToken = crypto.randomBytes(48).toString("base64url");
+
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + REFRESH_TOKEN_TTL_DAYS);
+
+  const refreshTokenRecord = await RefreshToken.create(
+    {
+      userId: user.id,
+      tokenHash: hashToken(refreshToken),
+      familyId: familyId || uuidv4(),
+      expiresAt,
+      createdByIp: req ? req.ip : null,
+      userAgent: req ? (req.get("User-Agent") || "").slice(0, 512) : null,
+    },
+    { transaction }
+  );
+
+  return {
+    token: signAccessToken(user),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    refreshTokenRecord,
+  };
+};
+
+/**
+ * Revoke every refresh token of a user and invalidate their access tokens
+ * @param {String} userId - User ID
+ * @param {Object} [options]
+ * @param {Object} [options.transaction] - Sequelize transaction
+ * @returns {Promise<Number>} - Number of refresh tokens revoked
+ */
+const revokeAllSessions = async (userId, { transaction } = {}) => {
+  const [revokedCount] = await RefreshToken.update(
+    { revokedAt: new Date() },
+    { where: { userId, revokedAt: null }, transaction }
+  );
+
+  await User.increment("tokenVersion", { where: { id: userId }, transaction });
+
+  return revokedCount;
+};
+
+/**
+ * Exchange a refresh token for a new token pair. The presented token is
+ * revoked and replaced; presenting an already rotated token is treated as
+ * theft and ends every session of its owner.
+ * @param {String} refreshToken - Raw refresh token
+ * @param {Object} [options]
+ * @param {Object} [options.req] - Express request
+ * @returns {Promise<Object>} - { user, token, refreshToken, expiresIn }
+ */
+const rotateRefreshToken = async (refreshToken, { req } = {}) => {
+  if (!refreshToken) {
+    throw new ErrorHandler("Refresh token is required", 400);
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    const record = await RefreshToken.findOne({
+      where: { tokenHash: hashToken(refreshToken) },
+      lock: transaction.LOCK.UPDATE,
+      transaction,
+    });
+
+    if (!record) {
+      throw new ErrorHandler("Invalid refresh token", 401);
+    }
+
+    if (record.revokedAt) {
+      if (record.replacedById) {
+        // Reuse of a rotated token: keep the revocation, then reject
+        console.warn(
+          `Refresh token reuse detected for user ${record.userId}, revoking all sessions`
+        );
+        await revokeAllSessions(record.userId, { transaction });
+        await transaction.commit();
+        throw new ErrorHandler("Refresh token reuse detected", 401);
+      }
+      throw new ErrorHandler("Refresh token has been revoked", 401);
+    }
+
+    if (record.expiresAt <= new Date()) {
+      throw new ErrorHandler("Refresh token has expired", 401);
+    }
+
+    const user = await User.findByPk(record.userId, { transaction });
+    if (!user) {
+      throw new ErrorHandler("User not found", 401);
+    }
+    if (!user.isActive) {
+      throw new ErrorHandler("User is deactivated", 401);
+    }
+
+    const tokens = await issueTokens(user, {
+      req,
+      familyId: record.familyId,
+      transaction,
+    });
+
+    await record.update(
+      { revokedAt: new Date(), replacedById: tokens.refreshTokenRecord.id },
+      { transaction }
+    );
+
+    await transaction.commit();
+
+    return { user, ...tokens };
+  } catch (error) {
+    if (!transaction.finished) {
+      await transaction.rollback();
+    }
+    throw error;
+  }
+};
+
+/**
+ * Revoke the session (token family) a refresh token belongs to
+ * @param {String} refreshToken - Raw refresh token
+ * @returns {Promise<Boolean>} - Whether a matching session was found
+ */
+const revokeRefreshToken = async (refreshToken) => {
+  const record = await RefreshToken.findOne({
+    where: { tokenHash: hashToken(refreshToken) },
+  });
+
+  if (!record) {
+    return false;
+  }
+
+  await RefreshToken.update(
+    { revokedAt: new Date() },
+    { where: { familyId: record.familyId, revokedAt: null } }
+  );
+
+  return true;
+};
+
+/**
+ * Delete refresh tokens of a user that expired more than a day ago
+ * @param {String} userId - User ID
+ * @returns {Promise<Number>} - Number of rows deleted
+ */
+const pruneExpiredRefreshTokens = async (userId) => {
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - 1);
+
+  return RefreshToken.destroy({
+    where: { userId, expiresAt: { [Op.lt]: cutoff } },
+  });
+};
+
+/**
+ * Create a single-use emailed token (password reset, email verification).
+ * Earlier unused tokens of the same type for the user are discarded.
+ * @param {String} userId - User ID
+ * @param {String} type - "password_reset" or "email_verification"
+ * @param {Number} ttlMinutes - Lifetime of the token
+ * @param {Object} [options]
+ * @param {Object} [options.transaction] - Sequelize transaction
+ * @returns {Promise<String>} - Raw token to send to the user
+ */
+const issueUserToken = async (
+  userId,
+  type,
+  ttlMinutes,
+  { transaction } = {}
+) => {
+  await UserToken.destroy({
+    where: { userId, type, usedAt: null },
+    transaction,
+  });
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  await UserToken.create(
+    {
+      userId,
+      type,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+    },
+    { transaction }
+  );
+
+  return token;
+};
+
+/**
+ * Redeem a single-use emailed token, marking it as used
+ * @param {String} token - Raw token
+ * @param {String} type - Expected token type
+ * @param {Object} options
+ * @param {Object} options.transaction - Sequelize transaction
+ * @returns {Promise<Object>} - The redeemed UserToken record
+ */
+const consumeUserToken = async (token, type, { transaction }) => {
+  const record = token
+    ? await UserToken.findOne({
+        where: { tokenHash: hashToken(token), type },
+        lock: transaction.LOCK.UPDATE,
+        transaction,
+      })
+    : null;
+
+  if (!record || record.usedAt || record.expiresAt <= new Date()) {
+    throw new ErrorHandler("Invalid or expired token", 400);
+  }
+
+  await record.update({ usedAt: new Date() }, { transaction });
+  return record;
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  hashToken,
+  signAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+  pruneExpiredRefreshTokens,
+  issueUserToken,
+  consumeUserToken,
+};
@@ -0,0 +1,181 @@
+const { fn, col, Op } = require("sequelize");
+const { StudentCourse, Student, User, sequelize } = require("../models");
+const {
+  lockCourse,
+  seatOrWaitlist,
+  promoteFromWaitlist,
+} = require("./enrollment");
+const { findUnmetRequisites } = require("./requisites");
+
+const BULK_ACTIONS = ["enroll", "drop"];
+
+/**
+ * Look up every listed student in two queries
+ * @param {Array<Object>} rows - Roster rows with email and/or studentId
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<Function>} - Finder from a row to its Student, or null
+ */
+const loadRosterStudents = async (rows, transaction) => {
+  const ids = rows.map((row) => row.studentId).filter(Boolean);
+  // Emails match whatever their case
+  const emails = rows
+    .map((row) => row.email)
+    .filter(Boolean)
+    .map((email) => email.toLowerCase());
+  const uuid =
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+  const [byId, byEmail] = await Promise.all([
+    Student.findAll({
+      where: { id: ids.filter((id) => uuid.test(id)) },
+      transaction,
+    }),
+    Student.findAll({
+      include: [
+        {
+          model: User,
+          attributes: ["email"],
+          where: sequelize.where(fn("lower", col("User.email")), {
+            [Op.in]: emails,
+          }),
+        },
+      ],
+      transaction,
+    }),
+  ]);
+
+  const students = {};
+  byId.forEach((student) => {
+    students[`id:${student.id}`] = student;
+  });
+  byEmail.forEach((student) => {
+    students[`email:${student.User.email.toLowerCase()}`] = student;
+  });
+  return (row) =>
+    (row.studentId && students[`id:${row.studentId}`]) ||
+    (row.email && students[`email:${row.email.toLowerCase()}`]) ||
+    null;
+};
+
+/**
+ * Enroll or drop a list of students in one transaction. Staff skip the
+ * enrollment policy and semester windows, but seat caps and requisites
+ * still apply
+ * @param {String} courseId - Course ID
+ * @param {String} action - One of BULK_ACTIONS
+ * @param {Array<Object>} rows - { row, email, studentId } per student
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with (done, total) as
+ * rows are processed
+ * @returns {Promise<Object>} - { courseId, action, summary,
+ * promotedFromWaitlist, rows }; each row has result enrolled,
+ * already-enrolled, dropped, not-enrolled, unknown-student or rejected
+ */
+const runBulkEnrollment = async (
+  courseId,
+  action,
+  rows,
+  { onProgress } = {}
+) => {
+  const transaction = await sequelize.transaction();
+  try {
+    const course = await lockCourse(courseId, transaction);
+    if (!course) {
+      throw new Error("Course not found");
+    }
+    const findStudent = await loadRosterStudents(rows, transaction);
+    const report = [];
+
+    for (const [index, row] of rows.entries()) {
+      const entry = {
+        row: row.row,
+        email: row.email,
+        studentId: row.studentId,
+      };
+      report.push(entry);
+      if (onProgress) {
+        await onProgress(index + 1, rows.length);
+      }
+
+      const student = findStudent(row);
+      if (!student) {
+        entry.result = "unknown-student";
+        entry.reason =
+          row.email || row.studentId
+            ? "No student matches this email or ID"
+            : "Row has no email or studentId";
+        continue;
+      }
+      entry.studentId = student.id;
+
+      const enrollment = await StudentCourse.findOne({
+        where: { studentId: student.id, courseId: course.id },
+        transaction,
+      });
+
+      if (action === "drop") {
+        if (!enrollment) {
+          entry.result = "not-enrolled";
+          continue;
+        }
+        await enrollment.destroy({ transaction });
+        entry.result = "dropped";
+        continue;
+      }
+
+      if (enrollment && enrollment.status === "enrolled") {
+        entry.result = "already-enrolled";
+        continue;
+      }
+
+      const unmet = await findUnmetRequisites(student, course, transaction);
+      if (unmet.length > 0) {
+        entry.result = "rejected";
+        entry.reason = `Missing requirements: ${unmet.join("; ")}`;
+        continue;
+      }
+
+      const seat = await seatOrWaitlist(course, transaction);
+      if (seat.status !== "enrolled") {
+        entry.result = "rejected";
+        entry.reason = `Course is full (capacity ${course.capacity})`;
+        continue;
+      }
+
+      // Pending requests, invitations and waitlist places become seats
+      if (enrollment) {
+        await enrollment.update(seat, { transaction });
+      } else {
+        await StudentCourse.create(
+          { studentId: student.id, courseId: course.id, ...seat },
+          { transaction }
+        );
+      }
+      entry.result = "enrolled";
+    }
+
+    // Seats freed by drops go to the waitlist
+    const promoted =
+      action === "drop" ? await promoteFromWaitlist(course, transaction) : [];
+
+    await transaction.commit();
+
+    const summary = {};
+    report.forEach((entry) => {
+      summary[entry.result] = (summary[entry.result] || 0) + 1;
+    });
+
+    return {
+      courseId: course.id,
+      action,
+      summary,
+      promotedFromWaitlist: promoted.length,
+      rows: report,
+    };
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+module.exports = { BULK_ACTIONS, loadRosterStudents, runBulkEnrollment };
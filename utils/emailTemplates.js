@@ -0,0 +1,78 @@
+// Base URL of the frontend that handles links sent by email
+const getAppUrl = () =>
+  (process.env.APP_URL || "http://localhost:3000").replace(/\/+$/, "");
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Password reset email
+ * @param {Object} options
+ * @param {String} options.name - Recipient name
+ * @param {String} options.token - Raw reset token
+ * @param {Number} options.expiresInMinutes - Token lifetime
+ * @returns {Object} - { subject, text, html }
+ */
+const passwordResetEmail = ({ name, token, expiresInMinutes }) => {
+  const link = `${getAppUrl()}/reset-password?token=${encodeURIComponent(
+    token
+  )}`;
+  const safeName = escapeHtml(name);
+
+  return {
+    subject: "Reset your password",
+    text: `Hi ${name},\n\nWe received a request to reset your password. Use the link below to choose a new one:\n\n${link}\n\nThe link expires in ${expiresInMinutes} minutes and can only be used once. If you did not request a reset, you can ignore this email.`,
+    html: `<p>Hi ${safeName},</p><p>We received a request to reset your password. Use the link below to choose a new one:</p><p><a href="${link}">Reset password</a></p><p>The link expires in ${expiresInMinutes} minutes and can only be used once. If you did not request a reset, you can ignore this email.</p>`,
+  };
+};
+
+/**
+ * Email address verification email
+ * @param {Object} options
+ * @param {String} options.name - Recipient name
+ * @param {String} options.token - Raw verification token
+ * @param {Number} options.expiresInHours - Token lifetime
+ * @returns {Object} - { subject, text, html }
+ */
+const verificationEmail = ({ name, token, expiresInHours }) => {
+  const link = `${getAppUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+  const safeName = escapeHtml(name);
+
+  return {
+    subject: "Verify your email address",
+    text: `Hi ${name},\n\nPlease confirm your email address by opening the link below:\n\n${link}\n\nThe link expires in ${expiresInHours} hours.`,
+    html: `<p>Hi ${safeName},</p><p>Please confirm your email address by opening the link below:</p><p><a href="${link}">Verify email</a></p><p>The link expires in ${expiresInHours} hours.</p>`,
+  };
+};
+
+/**
+ * Email asking a user to choose a password after an administrator created
+ * their account or reset its password
+ * @param {Object} options
+ * @param {String} options.name - Recipient name
+ * @param {String} options.token - Raw reset token
+ * @param {Number} options.expiresInHours - Token lifetime
+ * @param {Boolean} [options.newAccount] - Whether the account was just created
+ * @returns {Object} - { subject, text, html }
+ */
+const passwordSetupEmail = ({ name, token, expiresInHours, newAccount }) => {
+  const link = `${getAppUrl()}/reset-password?token=${encodeURIComponent(
+    token
+  )}`;
+  const safeName = escapeHtml(name);
+  const reason = newAccount
+    ? "An administrator has created an account for you."
+    : "An administrator has reset your password.";
+
+  return {
+    subject: newAccount ? "Set up your account" : "Choose a new password",
+    text: `Hi ${name},\n\n${reason} Use the link below to choose a password:\n\n${link}\n\nThe link expires in ${expiresInHours} hours and can only be used once.`,
+    html: `<p>Hi ${safeName},</p><p>${reason} Use the link below to choose a password:</p><p><a href="${link}">Choose password</a></p><p>The link expires in ${expiresInHours} hours and can only be used once.</p>`,
+  };
+};
+
+module.exports = { passwordResetEmail, verificationEmail, passwordSetupEmail };
@@ -0,0 +1,141 @@
+const { Op } = require("sequelize");
+const { Course, StudentCourse } = require("../models");
+
+/**
+ * Load a course and lock its row for the rest of the transaction, so seat
+ * counts cannot change under concurrent enroll and drop requests
+ * @param {String} courseId - Course ID
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Object|null>} - Course instance
+ */
+const lockCourse = (courseId, transaction) =>
+  Course.findByPk(courseId, { transaction, lock: transaction.LOCK.UPDATE });
+
+/**
+ * Why a semester's window does not allow a student action right now
+ * @param {Object} semester - Semester instance
+ * @param {String} action - "enroll" or "drop"
+ * @param {Date} [now] - Current time
+ * @returns {String|null} - Reason the window is closed, or null if open
+ */
+const checkEnrollmentWindow = (semester, action, now = new Date()) => {
+  if (action === "drop") {
+    const deadline = semester.dropDeadline || semester.endDate;
+    return now > deadline
+      ? `The drop deadline for ${semester.name} has passed`
+      : null;
+  }
+
+  if (semester.enrollmentOpensAt && now < semester.enrollmentOpensAt) {
+    return `Enrollment for ${
+      semester.name
+    } opens on ${semester.enrollmentOpensAt.toISOString()}`;
+  }
+  const closesAt = semester.enrollmentClosesAt || semester.endDate;
+  return now > closesAt ? `Enrollment for ${semester.name} has closed` : null;
+};
+
+/**
+ * Number of free seats in a course
+ * @param {Object} course - Course instance
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<Number>} - Free seats, Infinity when uncapped
+ */
+const countOpenSeats = async (course, transaction) => {
+  if (course.capacity === null || course.capacity === undefined) {
+    return Infinity;
+  }
+  const enrolled = await StudentCourse.count({
+    where: { courseId: course.id, status: "enrolled" },
+    transaction,
+  });
+  return Math.max(0, course.capacity - enrolled);
+};
+
+/**
+ * Status values for a student taking a seat: enrolled if one is free,
+ * otherwise placed at the back of the waitlist
+ * @param {Object} course - Course instance, locked with lockCourse
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Object>} - Attributes to create or update the row with
+ */
+const seatOrWaitlist = async (course, transaction) => {
+  const now = new Date();
+  if ((await countOpenSeats(course, transaction)) > 0) {
+    return { status: "enrolled", enrollmentDate: now, waitlistedAt: null };
+  }
+  return { status: "waitlisted", enrollmentDate: null, waitlistedAt: now };
+};
+
+/**
+ * 1-based position of a row on its course's waitlist
+ * @param {Object} enrollment - StudentCourse instance
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<Number|null>} - Position, or null if not waitlisted
+ */
+const getWaitlistPosition = async (enrollment, transaction) => {
+  if (enrollment.status !== "waitlisted") {
+    return null;
+  }
+  const ahead = await StudentCourse.count({
+    where: {
+      courseId: enrollment.courseId,
+      status: "waitlisted",
+      [Op.or]: [
+        { waitlistedAt: { [Op.lt]: enrollment.waitlistedAt } },
+        {
+          waitlistedAt: enrollment.waitlistedAt,
+          id: { [Op.lt]: enrollment.id },
+        },
+      ],
+    },
+    transaction,
+  });
+  return ahead + 1;
+};
+
+/**
+ * Fill free seats from the front of the waitlist
+ * @param {Object} course - Course instance, locked with lockCourse
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Array>} - Promoted StudentCourse instances
+ */
+const promoteFromWaitlist = async (course, transaction) => {
+  const openSeats = await countOpenSeats(course, transaction);
+  if (openSeats === 0) {
+    return [];
+  }
+
+  const waiting = await StudentCourse.findAll({
+    where: { courseId: course.id, status: "waitlisted" },
+    order: [
+      ["waitlistedAt", "ASC"],
+      ["id", "ASC"],
+    ],
+    limit: Number.isFinite(openSeats) ? openSeats : undefined,
+    transaction,
+  });
+
+  for (const enrollment of waiting) {
+    await enrollment.update(
+      { status: "enrolled", enrollmentDate: new Date(), waitlistedAt: null },
+      { transaction }
+    );
+  }
+
+  if (waiting.length > 0) {
+    console.log(
+      `Promoted ${waiting.length} waitlisted student(s) in course ${course.id}`
+    );
+  }
+  return waiting;
+};
+
+module.exports = {
+  lockCourse,
+  checkEnrollmentWindow,
+  countOpenSeats,
+  seatOrWaitlist,
+  getWaitlistPosition,
+  promoteFromWaitlist,
+};
@@ -1,143 +1,106 @@
 const XLSX = require("xlsx");
-const { validateUserData } = require("./validation");
 
-/**
- * Parse an Excel file from a buffer
- * @param {Buffer} buffer - Excel file buffer
- * @returns {Promise<Array>} - Array of validated data objects
- */
-const parseExcelBuffer = async (buffer) => {
-  try {
-    // Read workbook from buffer
-    const workbook = XLSX.read(buffer, {
-      type: "buffer",
-      cellDates: true,
-      cellNF: false,
-      cellText: false,
-    });
-
-    // Verify we have at least one sheet
-    if (!workbook.SheetNames.length) {
-      throw new Error("Excel file is empty or invalid");
-    }
-
-    // Get first sheet
-    const firstSheet = workbook.Sheets[workbook.SheetNames[0]];
-
-    // Convert to JSON
-    const data = XLSX.utils.sheet_to_json(firstSheet);
-
-    if (!data || !data.length) {
-      throw new Error("No data found in Excel file");
-    }
-
-    // Validate and transform each row
-    const validatedRows = [];
-    const errors = [];
-
-    for (const row of data) {
-      try {
-        // Basic validation
-        if (!row.name || !row.email || !row.password || !row.role) {
-          throw new Error(
-            `Missing required fields in row: ${JSON.stringify(row)}`
-          );
-        }
-
-        if (!["teacher", "student", "admin"].includes(row.role)) {
-          throw new Error(`Invalid role "${row.role}" for user ${row.email}`);
-        }
-
-        if (row.role === "student" && !row.teacherEmail) {
-          throw new Error(`Missing teacherEmail for student: ${row.email}`);
-        }
-
-        // Use Joi validation
-        const validatedData = await validateUserData(row);
-        if (validatedData) {
-          validatedRows.push({
-            name: validatedData.name,
-            email: validatedData.email.toLowerCase(),
-            password: validatedData.password,
-            role: validatedData.role,
-            teacherEmail: validatedData.teacherEmail
-              ? validatedData.teacherEmail.toLowerCase()
-              : undefined,
-          });
-        } else {
-          errors.push(`Validation failed for row: ${JSON.stringify(row)}`);
-        }
-      } catch (rowError) {
-        errors.push(rowError.message);
-      }
-    }
-
-    // If no valid rows were found, throw error with all validation messages
-    if (!validatedRows.length) {
-      throw new Error(
-        `No valid data found in Excel file. Errors:\n${errors.join("\n")}`
-      );
-    }
-
-    // If some rows failed but others succeeded, log warnings but continue
-    if (errors.length) {
-      console.warn("Some rows failed validation:", errors);
-    }
+// Accepted spellings of each import column, compared after normalizeHeader
+const HEADER_ALIASES = {
+  name: ["name", "fullname"],
+  email: ["email", "emailaddress", "mail"],
+  password: ["password", "initialpassword"],
+  role: ["role"],
+  teacherEmail: ["teacheremail", "teacher", "advisoremail", "advisor"],
+  program: ["program", "programme"],
+  semester: ["semester", "currentsemester"],
+  studentId: ["studentid"],
+};
 
-    return validatedRows;
-  } catch (error) {
-    // Add context to error
-    throw new Error(`Error parsing Excel file: ${error.message}`);
-  }
+const FIELD_BY_HEADER = {};
+Object.entries(HEADER_ALIASES).forEach(([field, aliases]) => {
+  aliases.forEach((alias) => {
+    FIELD_BY_HEADER[alias] = field;
+  });
+});
+
+// Workbooks with any of these sheets are read sheet by sheet, each row
+// taking the sheet's role unless it has its own
+const ROLE_SHEETS = {
+  teachers: "teacher",
+  students: "student",
 };
 
 /**
- * Parse an Excel file from a path
- * @param {String} filePath - Path to Excel file
- * @returns {Promise<Array>} - Array of validated data objects
+ * Normalize a header or sheet name for comparison: "E-mail" and "e mail"
+ * both become "email"
+ * @param {String} header - Header as written in the file
+ * @returns {String}
  */
-const parseExcelFile = async (filePath) => {
-  try {
-    // Use the fs module from Node.js
-    const fs = require("fs").promises;
-
-    // Read file using Node's fs.promises
-    const buffer = await fs.readFile(filePath);
+const normalizeHeader = (header) =>
+  String(header)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
 
-    return parseExcelBuffer(buffer);
-  } catch (error) {
-    // Handle specific file system errors
-    if (error.code === "ENOENT") {
-      throw new Error(`File not found: ${filePath}`);
-    }
-    if (error.code === "EACCES") {
-      throw new Error(`Permission denied accessing file: ${filePath}`);
-    }
-
-    // Re-throw parsed Excel errors with more context
-    throw new Error(`Error reading Excel file: ${error.message}`);
-  }
+/**
+ * Rename a row's keys to their import field names. Unknown columns keep
+ * their original header
+ * @param {Object} row - Row keyed by header
+ * @returns {Object} - Row keyed by field name
+ */
+const normalizeRow = (row) => {
+  const values = {};
+  Object.entries(row).forEach(([header, value]) => {
+    const field = FIELD_BY_HEADER[normalizeHeader(header)] || header;
+    values[field] = typeof value === "string" ? value.trim() : value;
+  });
+  return values;
 };
 
 /**
- * Parse an Excel file from express-fileupload object
- * @param {Object} fileObject - Express-fileupload object
- * @returns {Promise<Array>} - Array of validated data objects
+ * Parse an XLSX, XLS or CSV file into rows with their sheet row numbers.
+ * A workbook with "Teachers" and/or "Students" sheets is read from those
+ * sheets; any other workbook from its first sheet
+ * @param {Buffer} buffer - File contents
+ * @returns {Array<Object>} - { sheet, row, values } per data row
  */
-const parseExcelUpload = async (fileObject) => {
-  try {
-    if (!fileObject || !fileObject.data) {
-      throw new Error("Invalid file upload object");
-    }
+const parseSpreadsheet = (buffer) => {
+  const workbook = XLSX.read(buffer, { type: "buffer" });
 
-    return parseExcelBuffer(fileObject.data);
-  } catch (error) {
-    throw new Error(`Error processing uploaded Excel file: ${error.message}`);
+  if (!workbook.SheetNames.length) {
+    throw new Error("File is empty or invalid");
   }
+
+  const roleSheets = workbook.SheetNames.filter(
+    (sheetName) => ROLE_SHEETS[normalizeHeader(sheetName)]
+  );
+  const sheetNames = roleSheets.length ? roleSheets : [workbook.SheetNames[0]];
+
+  const rows = [];
+  sheetNames.forEach((sheetName) => {
+    const sheetRole = ROLE_SHEETS[normalizeHeader(sheetName)];
+    // Formatted text, so numeric-looking passwords and semesters stay
+    // strings
+    const data = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], {
+      raw: false,
+    });
+
+    data.forEach((row) => {
+      const values = normalizeRow(row);
+      if (sheetRole && !values.role) {
+        values.role = sheetRole;
+      }
+      rows.push({
+        sheet: sheetName,
+        // __rowNum__ is the 0-based worksheet row, so skipped blank rows
+        // do not shift the numbering
+        row: row.__rowNum__ + 1,
+        values,
+      });
+    });
+  });
+
+  return rows;
 };
 
 module.exports = {
-  parseExcelBuffer,
-  parseExcelFile,
-  parseExcelUpload,
+  HEADER_ALIASES,
+  normalizeHeader,
+  normalizeRow,
+  parseSpreadsheet,
 };
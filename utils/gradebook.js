@@ -0,0 +1,273 @@
+const {
+  Assignment,
+  GradeCategory,
+  GradeMark,
+  GradeScale,
+  Student,
+  StudentCourse,
+  Submission,
+  User,
+} = require("../models");
+
+// Used by courses without a grade scale of their own
+const DEFAULT_GRADE_SCALE = {
+  id: null,
+  name: "Standard letter grades",
+  entries: [
+    { letter: "A", minPercent: 90 },
+    { letter: "B", minPercent: 80 },
+    { letter: "C", minPercent: 70 },
+    { letter: "D", minPercent: 60 },
+    { letter: "F", minPercent: 0 },
+  ],
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Letter grade of a percentage
+ * @param {Object} scale - GradeScale instance or DEFAULT_GRADE_SCALE
+ * @param {Number|null} percent - Percentage
+ * @returns {String|null} - Letter of the highest entry reached
+ */
+const letterFor = (scale, percent) => {
+  if (percent === null) {
+    return null;
+  }
+  const entry = [...scale.entries]
+    .sort((a, b) => b.minPercent - a.minPercent)
+    .find((e) => percent >= e.minPercent);
+  return entry ? entry.letter : null;
+};
+
+/**
+ * Gradebook cell of one student and assignment. Excused cells and work not
+ * graded yet do not count; missing work counts as zero
+ * @param {Object} [submission] - The student's Submission
+ * @param {Object} [mark] - The student's GradeMark
+ * @returns {Object} - { status, score } where status is graded, submitted,
+ * not_submitted, excused or missing, and score is null when not counted
+ */
+const scoreCell = (submission, mark) => {
+  if (mark) {
+    return { status: mark.mark, score: mark.mark === "missing" ? 0 : null };
+  }
+  if (!submission) {
+    return { status: "not_submitted", score: null };
+  }
+  if (submission.grade === null) {
+    return { status: "submitted", score: null };
+  }
+  return { status: "graded", score: submission.grade };
+};
+
+// Percentage of the points possible, or null when nothing counts
+const percentOf = (items) => {
+  const possible = items.reduce((sum, item) => sum + item.possible, 0);
+  if (possible <= 0) {
+    return null;
+  }
+  const earned = items.reduce((sum, item) => sum + item.score, 0);
+  return round2((earned / possible) * 100);
+};
+
+/**
+ * Compute one student's course grade from their gradebook cells. Courses
+ * without categories add up points; otherwise each category's percentage
+ * (after dropping its lowest scores) is weighted, and the weights of
+ * categories without grades yet are spread over the others. Assignments
+ * outside every category do not count once a course has categories
+ * @param {Array<Object>} categories - GradeCategory instances
+ * @param {Array<Object>} assignments - Assignment instances
+ * @param {Object} cells - scoreCell results by assignment ID
+ * @param {Object} scale - Grade scale
+ * @returns {Object} - { percent, letter, categories, dropped } where
+ * dropped lists the assignment IDs left out by drop-lowest rules
+ */
+const computeCourseGrade = (categories, assignments, cells, scale) => {
+  const counted = assignments
+    .filter((assignment) => cells[assignment.id].score !== null)
+    .map((assignment) => ({
+      assignmentId: assignment.id,
+      categoryId: assignment.categoryId,
+      score: cells[assignment.id].score,
+      possible: assignment.totalPoints,
+    }));
+
+  if (categories.length === 0) {
+    const percent = percentOf(counted);
+    return {
+      percent,
+      letter: letterFor(scale, percent),
+      categories: [],
+      dropped: [],
+    };
+  }
+
+  // Items worth no points rank as full marks, so drop-lowest has an order
+  const ratio = (item) => (item.possible > 0 ? item.score / item.possible : 1);
+
+  const dropped = [];
+  const categoryGrades = categories.map((category) => {
+    // Lowest percentages go first; at least one score always counts
+    const items = counted
+      .filter((item) => item.categoryId === category.id)
+      .sort((a, b) => ratio(a) - ratio(b));
+    const dropCount = Math.min(
+      category.dropLowest,
+      Math.max(items.length - 1, 0)
+    );
+    dropped.push(...items.slice(0, dropCount).map((item) => item.assignmentId));
+    const kept = items.slice(dropCount);
+
+    return {
+      id: category.id,
+      name: category.name,
+      weight: category.weight,
+      percent: percentOf(kept),
+      earned: round2(kept.reduce((sum, item) => sum + item.score, 0)),
+      possible: kept.reduce((sum, item) => sum + item.possible, 0),
+    };
+  });
+
+  const graded = categoryGrades.filter(
+    (category) => category.percent !== null && category.weight > 0
+  );
+  const totalWeight = graded.reduce((sum, c) => sum + c.weight, 0);
+  const percent =
+    totalWeight > 0
+      ? round2(
+          graded.reduce((sum, c) => sum + c.percent * c.weight, 0) / totalWeight
+        )
+      : null;
+
+  return {
+    percent,
+    letter: letterFor(scale, percent),
+    categories: categoryGrades,
+    dropped,
+  };
+};
+
+/**
+ * Grade scale a course's gradebook uses
+ * @param {Object} course - Course instance
+ * @returns {Promise<Object>} - GradeScale instance or DEFAULT_GRADE_SCALE
+ */
+const getCourseGradeScale = async (course) => {
+  const scale = course.gradeScaleId
+    ? await GradeScale.findByPk(course.gradeScaleId)
+    : null;
+  return scale || DEFAULT_GRADE_SCALE;
+};
+
+/**
+ * Load and compute a course's gradebook for its enrolled students
+ * @param {Object} course - Course instance
+ * @param {Object} [options]
+ * @param {Array<String>} [options.studentIds] - Only these students
+ * @returns {Promise<Object>} - { scale, categories, assignments, students }
+ * where each student has { studentId, name, email, cells, percent, letter,
+ * categories, dropped }
+ */
+const buildGradebook = async (course, { studentIds } = {}) => {
+  const enrollmentWhere = { courseId: course.id, status: "enrolled" };
+  if (studentIds) {
+    enrollmentWhere.studentId = studentIds;
+  }
+
+  const [scale, categories, assignments, enrollments] = await Promise.all([
+    getCourseGradeScale(course),
+    GradeCategory.findAll({
+      where: { courseId: course.id },
+      order: [
+        ["position", "ASC"],
+        ["name", "ASC"],
+      ],
+    }),
+    Assignment.findAll({
+      where: { courseId: course.id },
+      attributes: [
+        "id",
+        "title",
+        "dueDate",
+        "totalPoints",
+        "categoryId",
+        "rubricId",
+      ],
+      order: [
+        ["dueDate", "ASC"],
+        ["title", "ASC"],
+      ],
+    }),
+    StudentCourse.findAll({
+      where: enrollmentWhere,
+      include: [
+        {
+          model: Student,
+          include: [{ model: User, attributes: ["name", "email"] }],
+        },
+      ],
+    }),
+  ]);
+
+  const assignmentIds = assignments.map((assignment) => assignment.id);
+  const enrolledIds = enrollments.map((enrollment) => enrollment.studentId);
+  const [submissions, marks] =
+    assignmentIds.length > 0 && enrolledIds.length > 0
+      ? await Promise.all([
+          Submission.findAll({
+            where: { assignmentId: assignmentIds, studentId: enrolledIds },
+            attributes: [
+              "id",
+              "assignmentId",
+              "studentId",
+              "grade",
+              "status",
+              "isLate",
+            ],
+          }),
+          GradeMark.findAll({
+            where: { assignmentId: assignmentIds, studentId: enrolledIds },
+          }),
+        ])
+      : [[], []];
+
+  const key = (record) => `${record.studentId}:${record.assignmentId}`;
+  const submissionsByKey = new Map(submissions.map((s) => [key(s), s]));
+  const marksByKey = new Map(marks.map((m) => [key(m), m]));
+
+  const students = enrollments
+    .map((enrollment) => {
+      const cells = {};
+      assignments.forEach((assignment) => {
+        const cellKey = `${enrollment.studentId}:${assignment.id}`;
+        const mark = marksByKey.get(cellKey);
+        cells[assignment.id] = {
+          ...scoreCell(submissionsByKey.get(cellKey), mark),
+          note: mark ? mark.note : null,
+        };
+      });
+
+      const user = enrollment.Student.User;
+      return {
+        studentId: enrollment.studentId,
+        name: user ? user.name : "Unknown",
+        email: user ? user.email : "",
+        cells,
+        ...computeCourseGrade(categories, assignments, cells, scale),
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return { scale, categories, assignments, students };
+};
+
+module.exports = {
+  DEFAULT_GRADE_SCALE,
+  letterFor,
+  scoreCell,
+  computeCourseGrade,
+  getCourseGradeScale,
+  buildGradebook,
+};
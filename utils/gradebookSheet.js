@@ -0,0 +1,455 @@
+const XLSX = require("xlsx");
+const {
+  Assignment,
+  Course,
+  RegradeRequest,
+  Submission,
+  sequelize,
+} = require("../models");
+const { HEADER_ALIASES, normalizeHeader } = require("./excelParser");
+const { buildGradebook } = require("./gradebook");
+const { parseGrade, recordGrade } = require("./grading");
+
+const EXPORT_FORMATS = ["xlsx", "csv"];
+
+// How excused and missing work is written; import leaves these cells alone
+const MARK_LABELS = { excused: "EX", missing: "MISSING" };
+
+const FEEDBACK_SUFFIX = " Feedback";
+
+// Reason stored in grade history when an import does not give one
+const DEFAULT_IMPORT_REASON = "Gradebook import";
+
+/**
+ * Spreadsheet column of every assignment, named after its title. Titles
+ * that would clash with another column (or with a header the parser renames,
+ * such as "Email") get a " (2)", " (3)", ... suffix
+ * @param {Array<Object>} assignments - Assignment instances, in gradebook
+ * order
+ * @param {Array<Object>} [categories] - GradeCategory instances, whose total
+ * columns are reserved too
+ * @returns {Array<Object>} - { assignment, label, feedbackLabel }
+ */
+const assignmentColumns = (assignments, categories = []) => {
+  const used = new Set(
+    [
+      ...Object.values(HEADER_ALIASES).flat(),
+      "percent",
+      "letter",
+      ...categories.map((category) => `${category.name} %`),
+    ].map(normalizeHeader)
+  );
+
+  return assignments.map((assignment) => {
+    let label = assignment.title;
+    for (let n = 2; ; n += 1) {
+      const taken =
+        used.has(normalizeHeader(label)) ||
+        used.has(normalizeHeader(label + FEEDBACK_SUFFIX));
+      if (!taken) break;
+      label = `${assignment.title} (${n})`;
+    }
+    used.add(normalizeHeader(label));
+    used.add(normalizeHeader(label + FEEDBACK_SUFFIX));
+    return { assignment, label, feedbackLabel: label + FEEDBACK_SUFFIX };
+  });
+};
+
+/**
+ * Write a course's gradebook as a spreadsheet: one row per enrolled student,
+ * one column per assignment, then each category's percentage and the course
+ * percentage and letter
+ * @param {Object} course - Course instance
+ * @param {Object} [options]
+ * @param {String} [options.format] - One of EXPORT_FORMATS, "xlsx" by default
+ * @param {Boolean} [options.feedback] - Add a feedback column after every
+ * assignment, for editing and importing back
+ * @returns {Promise<Buffer>} - File contents
+ */
+const writeGradebookSheet = async (
+  course,
+  { format = "xlsx", feedback = false } = {}
+) => {
+  const gradebook = await buildGradebook(course);
+  const columns = assignmentColumns(
+    gradebook.assignments,
+    gradebook.categories
+  );
+
+  const feedbackBySubmission = new Map();
+  if (feedback && columns.length > 0) {
+    const submissions = await Submission.findAll({
+      where: { assignmentId: gradebook.assignments.map((a) => a.id) },
+      attributes: ["assignmentId", "studentId", "feedback"],
+    });
+    submissions.forEach((s) => {
+      feedbackBySubmission.set(`${s.studentId}:${s.assignmentId}`, s.feedback);
+    });
+  }
+
+  const header = ["Student ID", "Name", "Email"];
+  columns.forEach((column) => {
+    header.push(column.label);
+    if (feedback) header.push(column.feedbackLabel);
+  });
+  gradebook.categories.forEach((category) => {
+    header.push(`${category.name} %`);
+  });
+  header.push("Percent", "Letter");
+
+  const rows = gradebook.students.map((student) => {
+    const row = [student.studentId, student.name, student.email];
+    columns.forEach(({ assignment }) => {
+      const cell = student.cells[assignment.id];
+      row.push(
+        cell.status === "graded" ? cell.score : MARK_LABELS[cell.status] || ""
+      );
+      if (feedback) {
+        row.push(
+          feedbackBySubmission.get(`${student.studentId}:${assignment.id}`) ||
+            ""
+        );
+      }
+    });
+    student.categories.forEach((category) => {
+      row.push(category.percent === null ? "" : category.percent);
+    });
+    row.push(
+      student.percent === null ? "" : student.percent,
+      student.letter || ""
+    );
+    return row;
+  });
+
+  const sheet = XLSX.utils.aoa_to_sheet([header, ...rows]);
+  if (format === "csv") {
+    return Buffer.from(XLSX.utils.sheet_to_csv(sheet));
+  }
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, "Gradebook");
+  return XLSX.write(workbook, { type: "buffer", bookType: "xlsx" });
+};
+
+// A cell the import leaves alone: blank, or an excused/missing label
+const isSkippedCell = (value) =>
+  value === undefined ||
+  value === null ||
+  String(value).trim() === "" ||
+  Object.values(MARK_LABELS).includes(String(value).trim().toUpperCase());
+
+/**
+ * Work out what importing gradebook rows would change, without writing
+ * anything. Students are matched by "Student ID" or "Email" and must be
+ * enrolled; assignment columns are matched by their export label. Blank
+ * cells, EX and MISSING leave grades unchanged, as do total columns
+ * @param {Object} course - Course instance
+ * @param {Array<Object>} rows - Rows from parseSpreadsheet
+ * @param {Object} [options]
+ * @param {String} [options.reason] - Why existing grades change; required
+ * for those changes
+ * @returns {Promise<Object>} - { entries, ignoredColumns }; each entry has
+ * its sheet and row number, student, planned changes and errors
+ */
+const planGradeImport = async (course, rows, { reason } = {}) => {
+  const gradebook = await buildGradebook(course);
+  const columns = assignmentColumns(
+    gradebook.assignments,
+    gradebook.categories
+  );
+
+  const columnByHeader = new Map();
+  columns.forEach((column) => {
+    columnByHeader.set(normalizeHeader(column.label), {
+      column,
+      field: "grade",
+    });
+    columnByHeader.set(normalizeHeader(column.feedbackLabel), {
+      column,
+      field: "feedback",
+    });
+  });
+  const knownHeaders = new Set(
+    ["studentId", "name", "email", "percent", "letter"]
+      .concat(gradebook.categories.map((category) => `${category.name} %`))
+      .map(normalizeHeader)
+  );
+
+  const ignoredColumns = new Set();
+  rows.forEach(({ values }) => {
+    Object.keys(values).forEach((header) => {
+      const key = normalizeHeader(header);
+      if (!columnByHeader.has(key) && !knownHeaders.has(key)) {
+        ignoredColumns.add(header);
+      }
+    });
+  });
+
+  const studentById = new Map();
+  const studentByEmail = new Map();
+  gradebook.students.forEach((student) => {
+    studentById.set(student.studentId, student);
+    studentByEmail.set(student.email.toLowerCase(), student);
+  });
+
+  const submissions = gradebook.assignments.length
+    ? await Submission.findAll({
+        where: {
+          assignmentId: gradebook.assignments.map((a) => a.id),
+          studentId: gradebook.students.map((s) => s.studentId),
+        },
+        attributes: ["id", "assignmentId", "studentId", "grade", "feedback"],
+      })
+    : [];
+  const submissionByKey = new Map(
+    submissions.map((s) => [`${s.studentId}:${s.assignmentId}`, s])
+  );
+  const openRequests = submissions.length
+    ? await RegradeRequest.findAll({
+        where: { submissionId: submissions.map((s) => s.id), status: "open" },
+        attributes: ["submissionId"],
+      })
+    : [];
+  const withOpenRequest = new Set(openRequests.map((r) => r.submissionId));
+
+  const seen = new Map();
+  const entries = rows.map(({ sheet, row, values }) => {
+    const studentId = values.studentId ? String(values.studentId).trim() : "";
+    const email = values.email ? String(values.email).trim().toLowerCase() : "";
+    const entry = {
+      sheet,
+      row,
+      studentId: studentId || null,
+      email: email || null,
+      changes: [],
+      errors: [],
+    };
+
+    const student =
+      (studentId && studentById.get(studentId)) ||
+      (email && studentByEmail.get(email));
+    if (!student) {
+      entry.errors.push(
+        studentId || email
+          ? "No enrolled student matches this email or ID"
+          : "Row has no Student ID or Email"
+      );
+      return entry;
+    }
+    entry.studentId = student.studentId;
+    entry.email = student.email;
+    entry.name = student.name;
+    if (seen.has(student.studentId)) {
+      entry.errors.push(`Duplicate of row ${seen.get(student.studentId)}`);
+      return entry;
+    }
+    seen.set(student.studentId, row);
+
+    // Grade and feedback cells of each assignment column in this row
+    const cells = new Map();
+    Object.entries(values).forEach(([header, value]) => {
+      const match = columnByHeader.get(normalizeHeader(header));
+      if (!match || isSkippedCell(value)) return;
+      const cell = cells.get(match.column) || {};
+      cell[match.field] = String(value).trim();
+      cells.set(match.column, cell);
+    });
+
+    cells.forEach((cell, { assignment, label }) => {
+      const submission = submissionByKey.get(
+        `${student.studentId}:${assignment.id}`
+      );
+      let grade = submission ? submission.grade : null;
+      if (cell.grade !== undefined) {
+        grade = parseGrade(cell.grade, assignment.totalPoints);
+        if (grade === null) {
+          entry.errors.push(
+            `"${label}" must be a number between 0 and ${assignment.totalPoints}`
+          );
+          return;
+        }
+      }
+      const feedback =
+        cell.feedback !== undefined
+          ? cell.feedback
+          : submission
+          ? submission.feedback
+          : null;
+
+      if (
+        submission &&
+        grade === submission.grade &&
+        feedback === submission.feedback
+      ) {
+        return;
+      }
+      if (!submission) {
+        entry.errors.push(`"${label}" has no submission to grade`);
+      } else if (grade === null) {
+        entry.errors.push(`"${label}" needs a grade to go with its feedback`);
+      } else if (assignment.rubricId && grade !== submission.grade) {
+        entry.errors.push(
+          `"${label}" is graded with a rubric; change its grade in the app`
+        );
+      } else if (withOpenRequest.has(submission.id)) {
+        entry.errors.push(`"${label}" has an open regrade request`);
+      } else if (submission.grade !== null && !reason) {
+        entry.errors.push(
+          `"${label}" is already graded; a reason is required to change it`
+        );
+      } else {
+        entry.changes.push({
+          assignmentId: assignment.id,
+          column: label,
+          submissionId: submission.id,
+          grade: { from: submission.grade, to: grade },
+          feedback: { from: submission.feedback, to: feedback },
+        });
+      }
+    });
+
+    return entry;
+  });
+
+  return { entries, ignoredColumns: [...ignoredColumns] };
+};
+
+/**
+ * Import grades and feedback from gradebook rows and report every row.
+ * Each change is recorded in the submission's grade history
+ * @param {String} courseId - Course ID
+ * @param {Array<Object>} rows - Rows from parseSpreadsheet
+ * @param {Object} options
+ * @param {String} options.gradedById - User importing the grades
+ * @param {Boolean} [options.dryRun] - Only preview the changes
+ * @param {String} [options.mode] - One of IMPORT_MODES, "atomic" by default
+ * @param {String} [options.reason] - Why existing grades change
+ * @param {Function} [options.onProgress] - Called with (done, total) as
+ * rows are written
+ * @returns {Promise<Object>} - { imported, message, summary, ignoredColumns,
+ * rows }; each row has result "updated", "unchanged", "valid" (not written)
+ * or "invalid"
+ */
+const importGrades = async (
+  courseId,
+  rows,
+  { gradedById, dryRun = false, mode = "atomic", reason, onProgress } = {}
+) => {
+  const course = await Course.findByPk(courseId);
+  if (!course) {
+    throw new Error("Course not found");
+  }
+
+  const { entries, ignoredColumns } = await planGradeImport(course, rows, {
+    reason,
+  });
+  const hasErrors = () => entries.some((entry) => entry.errors.length > 0);
+  let imported = false;
+
+  if (!dryRun && !(mode === "atomic" && hasErrors())) {
+    const pending = entries.filter(
+      (entry) => entry.errors.length === 0 && entry.changes.length > 0
+    );
+    const transaction = await sequelize.transaction();
+    try {
+      for (const [index, entry] of pending.entries()) {
+        // Savepoint per row, so a failed row does not abort the others
+        const savepoint = await sequelize.transaction({ transaction });
+        try {
+          for (const change of entry.changes) {
+            const submission = await Submission.findByPk(change.submissionId, {
+              include: [{ model: Assignment, attributes: ["rubricId"] }],
+              lock: { level: savepoint.LOCK.UPDATE, of: Submission },
+              transaction: savepoint,
+            });
+            // Sheet grades are final: late penalties are not applied again,
+            // and only kept when the grade itself does not change
+            const unchanged = change.grade.to === change.grade.from;
+            await recordGrade(
+              submission,
+              {
+                grade: change.grade.to,
+                // Rubric grades only reach here with unchanged points
+                rubricScores: submission.Assignment.rubricId
+                  ? submission.rubricScores
+                  : null,
+                feedback: change.feedback.to,
+                latePenalty: unchanged ? submission.latePenalty : null,
+                gradedById,
+                reason:
+                  change.grade.from === null
+                    ? null
+                    : reason || DEFAULT_IMPORT_REASON,
+              },
+              "graded",
+              savepoint
+            );
+          }
+          await savepoint.commit();
+        } catch (error) {
+          await savepoint.rollback();
+          entry.errors.push(error.message);
+          if (mode === "atomic") {
+            break;
+          }
+        }
+        if (onProgress) {
+          await onProgress(index + 1, pending.length);
+        }
+      }
+
+      if (mode === "atomic" && hasErrors()) {
+        await transaction.rollback();
+      } else {
+        await transaction.commit();
+        imported = true;
+      }
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  const report = entries.map(
+    ({ sheet, row, studentId, email, name, changes, errors }) => {
+      let result = "invalid";
+      if (errors.length === 0) {
+        result =
+          changes.length === 0 ? "unchanged" : imported ? "updated" : "valid";
+      }
+      return {
+        sheet,
+        row,
+        studentId,
+        email,
+        name: name || null,
+        result,
+        changes: errors.length === 0 ? changes : [],
+        errors,
+      };
+    }
+  );
+
+  const summary = {};
+  report.forEach((entry) => {
+    summary[entry.result] = (summary[entry.result] || 0) + 1;
+  });
+
+  let message = "Grades imported successfully";
+  if (dryRun) {
+    message = "Preview complete; no grades were changed";
+  } else if (!imported) {
+    message = "No grades were imported because some rows are invalid";
+  } else if (summary.invalid) {
+    message = "Valid rows imported; invalid rows were skipped";
+  }
+
+  return { imported, message, summary, ignoredColumns, rows: report };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  assignmentColumns,
+  writeGradebookSheet,
+  planGradeImport,
+  importGrades,
+};
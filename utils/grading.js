@@ -0,0 +1,229 @@
+const {
+  Rubric,
+  RubricCriterion,
+  RubricLevel,
+  SubmissionGrade,
+} = require("../models");
+
+// Load a rubric's criteria and levels in display order
+const RUBRIC_INCLUDE = [
+  {
+    model: RubricCriterion,
+    as: "Criteria",
+    include: [{ model: RubricLevel, as: "Levels" }],
+  },
+];
+const RUBRIC_ORDER = [
+  [{ model: RubricCriterion, as: "Criteria" }, "position", "ASC"],
+  [
+    { model: RubricCriterion, as: "Criteria" },
+    { model: RubricLevel, as: "Levels" },
+    "position",
+    "ASC",
+  ],
+];
+
+/**
+ * Load a rubric with its criteria and levels
+ * @param {String} rubricId - Rubric ID
+ * @param {Object} [options] - Extra findByPk options (e.g. transaction)
+ * @returns {Promise<Object|null>} - Rubric instance
+ */
+const loadRubric = (rubricId, options = {}) =>
+  Rubric.findByPk(rubricId, {
+    include: RUBRIC_INCLUDE,
+    order: RUBRIC_ORDER,
+    ...options,
+  });
+
+/**
+ * Highest total a rubric can give: the best level of every criterion
+ * @param {Object} rubric - Rubric instance with Criteria.Levels
+ * @returns {Number}
+ */
+const rubricMaxPoints = (rubric) =>
+  rubric.Criteria.reduce(
+    (sum, criterion) =>
+      sum + Math.max(0, ...criterion.Levels.map((level) => level.points)),
+    0
+  );
+
+/**
+ * Shape a rubric for API responses
+ * @param {Object} rubric - Rubric instance with Criteria.Levels
+ * @returns {Object}
+ */
+const formatRubric = (rubric) => ({
+  id: rubric.id,
+  title: rubric.title,
+  description: rubric.description,
+  maxPoints: rubricMaxPoints(rubric),
+  criteria: rubric.Criteria.map((criterion) => ({
+    id: criterion.id,
+    title: criterion.title,
+    description: criterion.description,
+    levels: criterion.Levels.map((level) => ({
+      id: level.id,
+      title: level.title,
+      description: level.description,
+      points: level.points,
+    })),
+  })),
+  createdAt: rubric.createdAt,
+  updatedAt: rubric.updatedAt,
+});
+
+/**
+ * Parse a grade from a request body
+ * @param {*} value - Raw grade
+ * @param {Number} totalPoints - Assignment's maximum
+ * @returns {Number|null} - The grade, or null when it is not a number
+ * between 0 and totalPoints
+ */
+const parseGrade = (value, totalPoints) => {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const grade = Number(value);
+  return Number.isFinite(grade) && grade >= 0 && grade <= totalPoints
+    ? grade
+    : null;
+};
+
+/**
+ * Score a submission with a rubric: one level must be chosen per criterion
+ * @param {Object} rubric - Rubric instance with Criteria.Levels
+ * @param {Array<Object>} entries - [{ criterionId, levelId, comment }]
+ * @returns {Object} - { grade, rubricScores }, or { error } explaining what
+ * is missing or unknown
+ */
+const scoreRubric = (rubric, entries) => {
+  if (!Array.isArray(entries)) {
+    return { error: "rubricScores must list a level for every criterion" };
+  }
+
+  const byCriterion = new Map();
+  for (const entry of entries) {
+    const criterionId = entry && entry.criterionId;
+    if (!rubric.Criteria.some((criterion) => criterion.id === criterionId)) {
+      return { error: `Unknown rubric criterion: ${criterionId}` };
+    }
+    if (byCriterion.has(criterionId)) {
+      return { error: `Criterion ${criterionId} is scored more than once` };
+    }
+    byCriterion.set(criterionId, entry);
+  }
+
+  const rubricScores = [];
+  for (const criterion of rubric.Criteria) {
+    const entry = byCriterion.get(criterion.id);
+    if (!entry) {
+      return { error: `No level chosen for "${criterion.title}"` };
+    }
+    const level = criterion.Levels.find((l) => l.id === entry.levelId);
+    if (!level) {
+      return { error: `Unknown level for "${criterion.title}"` };
+    }
+
+    rubricScores.push({
+      criterionId: criterion.id,
+      criterion: criterion.title,
+      levelId: level.id,
+      level: level.title,
+      points: level.points,
+      maxPoints: Math.max(...criterion.Levels.map((l) => l.points)),
+      comment: entry.comment ? String(entry.comment).trim() || null : null,
+    });
+  }
+
+  // Rounded so fractional level points do not leave float noise
+  const total = rubricScores.reduce((sum, score) => sum + score.points, 0);
+  return { grade: Math.round(total * 100) / 100, rubricScores };
+};
+
+/**
+ * Work out the grade a grader gave in a request body: from rubricScores when
+ * the assignment has a rubric, otherwise from grade
+ * @param {Object} assignment - Assignment instance
+ * @param {Object} body - Request body
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<Object>} - { grade, rubricScores }, or { error }
+ */
+const gradeFromRequest = async (assignment, body, transaction) => {
+  if (!assignment.rubricId) {
+    const grade = parseGrade(body.grade, assignment.totalPoints);
+    return grade === null
+      ? { error: `Grade must be between 0 and ${assignment.totalPoints}` }
+      : { grade, rubricScores: null };
+  }
+
+  const rubric = await loadRubric(assignment.rubricId, { transaction });
+  const scored = scoreRubric(rubric, body.rubricScores);
+  if (scored.error) {
+    return scored;
+  }
+  if (scored.grade > assignment.totalPoints) {
+    return {
+      error: `Rubric total ${scored.grade} exceeds the assignment's ${assignment.totalPoints} points`,
+    };
+  }
+  return scored;
+};
+
+/**
+ * Give a submission a new grade and keep the previous one in its history
+ * @param {Object} submission - Submission instance
+ * @param {Object} version - { grade, rubricScores, feedback, gradedById,
+ * reason, regradeRequestId, latePenalty }; grade is after any late penalty
+ * @param {String} status - Submission status afterwards ("graded" or
+ * "returned")
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Object>} - The new SubmissionGrade
+ */
+const recordGrade = async (
+  submission,
+  {
+    grade,
+    rubricScores = null,
+    feedback = null,
+    gradedById,
+    reason = null,
+    regradeRequestId = null,
+    latePenalty = null,
+  },
+  status,
+  transaction
+) => {
+  submission.grade = grade;
+  submission.rubricScores = rubricScores;
+  submission.feedback = feedback;
+  submission.latePenalty = latePenalty;
+  submission.status = status;
+  await submission.save({ transaction });
+
+  return SubmissionGrade.create(
+    {
+      submissionId: submission.id,
+      grade,
+      rubricScores,
+      feedback,
+      reason,
+      gradedById,
+      regradeRequestId,
+      latePenalty,
+    },
+    { transaction }
+  );
+};
+
+module.exports = {
+  RUBRIC_INCLUDE,
+  RUBRIC_ORDER,
+  loadRubric,
+  rubricMaxPoints,
+  formatRubric,
+  parseGrade,
+  scoreRubric,
+  gradeFromRequest,
+  recordGrade,
+};
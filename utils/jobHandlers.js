@@ -0,0 +1,69 @@
+const { importUsers } = require("./userImport");
+const { runBulkEnrollment } = require("./bulkEnrollment");
+const { importGrades } = require("./gradebookSheet");
+const { deleteFileFromAzure } = require("./azureUtils");
+
+/**
+ * Delete blobs that are no longer referenced. Keys already gone count as
+ * deleted, so a retry can safely start over
+ * @param {Object} payload - { keys }
+ * @param {Object} context - { reportProgress }
+ * @returns {Promise<Object>} - { deleted }
+ */
+const cleanupFiles = async ({ keys }, { reportProgress }) => {
+  const failed = [];
+  for (const [index, key] of keys.entries()) {
+    try {
+      await deleteFileFromAzure(key);
+    } catch (error) {
+      console.error(`Error deleting file ${key}:`, error);
+      failed.push(key);
+    }
+    await reportProgress(index + 1, keys.length);
+  }
+
+  if (failed.length > 0) {
+    throw new Error(`Could not delete ${failed.length} file(s): ${failed}`);
+  }
+  return { deleted: keys.length };
+};
+
+// Handler per job type: async (payload, { job, reportProgress }) => result.
+// Handlers may run more than once (see maxAttempts), so they must be safe to
+// retry; the ones below either run in a single transaction or are idempotent
+const JOB_HANDLERS = {
+  "user-import": ({ rows, dryRun, mode, upsert }, { reportProgress }) =>
+    importUsers(rows, { dryRun, mode, upsert, onProgress: reportProgress }),
+
+  "bulk-enrollment": ({ courseId, action, rows }, { reportProgress }) =>
+    runBulkEnrollment(courseId, action, rows, { onProgress: reportProgress }),
+
+  "gradebook-import": (
+    { courseId, rows, gradedById, dryRun, mode, reason },
+    { reportProgress }
+  ) =>
+    importGrades(courseId, rows, {
+      gradedById,
+      dryRun,
+      mode,
+      reason,
+      onProgress: reportProgress,
+    }),
+
+  "file-cleanup": cleanupFiles,
+
+  // Required here rather than at the top: utils/trash queues file cleanups
+  // through utils/jobQueue, which loads this module
+  "trash-purge": ({ retentionDays }, { reportProgress }) =>
+    require("./trash").purgeExpiredTrash({
+      retentionDays,
+      onProgress: reportProgress,
+    }),
+};
+
+// Jobs the workers queue themselves, with the interval between runs
+const RECURRING_JOBS = {
+  "trash-purge": 24 * 60 * 60 * 1000,
+};
+
+module.exports = { JOB_HANDLERS, RECURRING_JOBS };
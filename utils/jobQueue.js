@@ -0,0 +1,271 @@
+const os = require("os");
+const { Op } = require("sequelize");
+const { Job, sequelize } = require("../models");
+const { JOB_HANDLERS, RECURRING_JOBS } = require("./jobHandlers");
+const { runWithAuditContext } = require("./audit");
+
+const DEFAULT_POLL_INTERVAL_MS = 2000;
+
+// A running job whose worker has not reported progress for this long is
+// assumed to have died with its worker and is picked up again
+const STALE_LOCK_MS = 15 * 60 * 1000;
+
+// Retries wait 30s, 60s, 120s, ... after each failed attempt
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+
+// How often a worker checks whether recurring jobs are due
+const RECURRING_CHECK_MS = 60 * 1000;
+
+/**
+ * Queue a job. Pass the caller's transaction to only queue it if that
+ * transaction commits
+ * @param {String} type - Key of JOB_HANDLERS
+ * @param {Object} payload - JSON input for the handler
+ * @param {Object} [options]
+ * @param {String} [options.createdById] - User the job runs for
+ * @param {Number} [options.maxAttempts] - Attempts before the job fails
+ * @param {Object} [options.transaction] - Sequelize transaction
+ * @returns {Promise<Object>} - Job instance
+ */
+const enqueueJob = (
+  type,
+  payload,
+  { createdById = null, maxAttempts, transaction } = {}
+) => {
+  if (!JOB_HANDLERS[type]) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+  return Job.create(
+    { type, payload, createdById, ...(maxAttempts ? { maxAttempts } : {}) },
+    { transaction }
+  );
+};
+
+/**
+ * Queue deletion of blobs from storage, e.g. after the records pointing to
+ * them were deleted
+ * @param {Array<String>} keys - Blob keys; empty keys are ignored
+ * @param {Object} [options] - Same as enqueueJob
+ * @returns {Promise<Object|null>} - Job instance, or null if no keys
+ */
+const enqueueFileCleanup = async (keys, options) => {
+  const present = keys.filter(Boolean);
+  if (present.length === 0) {
+    return null;
+  }
+  return enqueueJob("file-cleanup", { keys: present }, options);
+};
+
+/**
+ * Queue each recurring job (RECURRING_JOBS) that is not queued or running
+ * and has not been queued within its interval. Workers racing here may
+ * queue a run twice, which the recurring handlers tolerate
+ * @returns {Promise<Array<Object>>} - Jobs queued
+ */
+const scheduleRecurringJobs = async () => {
+  const queued = [];
+  for (const [type, interval] of Object.entries(RECURRING_JOBS)) {
+    const recent = await Job.count({
+      where: {
+        type,
+        [Op.or]: [
+          { status: ["queued", "running"] },
+          { createdAt: { [Op.gt]: new Date(Date.now() - interval) } },
+        ],
+      },
+    });
+    if (recent === 0) {
+      queued.push(await enqueueJob(type, {}));
+    }
+  }
+  return queued;
+};
+
+/**
+ * Claim the next due job, skipping jobs other workers hold locks on
+ * @param {String} workerId - Name recorded on the claimed job
+ * @returns {Promise<Object|null>} - Claimed Job instance
+ */
+const claimNextJob = async (workerId) => {
+  const transaction = await sequelize.transaction();
+  try {
+    const now = new Date();
+    const job = await Job.findOne({
+      where: {
+        runAt: { [Op.lte]: now },
+        [Op.or]: [
+          { status: "queued" },
+          {
+            status: "running",
+            lockedAt: { [Op.lt]: new Date(now - STALE_LOCK_MS) },
+          },
+        ],
+      },
+      order: [
+        ["runAt", "ASC"],
+        ["createdAt", "ASC"],
+      ],
+      lock: transaction.LOCK.UPDATE,
+      skipLocked: true,
+      transaction,
+    });
+
+    if (!job) {
+      await transaction.commit();
+      return null;
+    }
+
+    // A stale job that already used all of its attempts is not retried
+    if (job.status === "running" && job.attempts >= job.maxAttempts) {
+      await job.update(
+        {
+          status: "failed",
+          error: "Worker stopped responding",
+          finishedAt: now,
+          lockedAt: null,
+          lockedBy: null,
+        },
+        { transaction }
+      );
+      await transaction.commit();
+      return claimNextJob(workerId);
+    }
+
+    await job.update(
+      {
+        status: "running",
+        attempts: job.attempts + 1,
+        lockedAt: now,
+        lockedBy: workerId,
+      },
+      { transaction }
+    );
+    await transaction.commit();
+    return job;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Run a claimed job and record its result, or queue a retry when it fails
+ * @param {Object} job - Job instance from claimNextJob
+ * @returns {Promise<void>}
+ */
+const runJob = async (job) => {
+  const handler = JOB_HANDLERS[job.type];
+
+  // Also refreshes the lock, so long jobs are not mistaken for stale ones
+  const reportProgress = async (done, total) => {
+    const progress = total > 0 ? Math.floor((done / total) * 100) : 0;
+    if (progress !== job.progress) {
+      await job.update({ progress, lockedAt: new Date() });
+    }
+  };
+
+  try {
+    if (!handler) {
+      throw new Error(`Unknown job type: ${job.type}`);
+    }
+    // Changes the job makes are attributed to the user who queued it
+    const result = await runWithAuditContext({ actorId: job.createdById }, () =>
+      handler(job.payload, { job, reportProgress })
+    );
+
+    await job.update({
+      status: "completed",
+      result: result === undefined ? null : result,
+      error: null,
+      progress: 100,
+      finishedAt: new Date(),
+      lockedAt: null,
+      lockedBy: null,
+    });
+    console.log(`Job ${job.id} (${job.type}) completed`);
+  } catch (error) {
+    const retry = Boolean(handler) && job.attempts < job.maxAttempts;
+    console.error(
+      `Job ${job.id} (${job.type}) failed on attempt ${job.attempts}:`,
+      error.message
+    );
+
+    await job.update({
+      status: retry ? "queued" : "failed",
+      error: error.message,
+      runAt: retry
+        ? new Date(Date.now() + RETRY_BASE_DELAY_MS * 2 ** (job.attempts - 1))
+        : job.runAt,
+      finishedAt: retry ? null : new Date(),
+      lockedAt: null,
+      lockedBy: null,
+    });
+  }
+};
+
+/**
+ * Start polling for jobs in this process. Jobs run one at a time per
+ * worker; start more processes (npm run worker) for more throughput.
+ * Workers also queue recurring jobs when they are due
+ * @param {Object} [options]
+ * @param {Number} [options.pollInterval] - Milliseconds between polls when
+ * the queue is empty
+ * @param {String} [options.workerId] - Name recorded on claimed jobs
+ * @returns {Object} - { stop } resolving once the current job has finished
+ */
+const startJobWorker = ({
+  pollInterval = DEFAULT_POLL_INTERVAL_MS,
+  workerId = `${os.hostname()}:${process.pid}`,
+} = {}) => {
+  let stopped = false;
+  let timer = null;
+  let polling = null;
+  let recurringCheckedAt = 0;
+
+  // Work through due jobs until the queue is empty
+  const drainQueue = async () => {
+    try {
+      if (Date.now() - recurringCheckedAt >= RECURRING_CHECK_MS) {
+        recurringCheckedAt = Date.now();
+        await scheduleRecurringJobs();
+      }
+
+      let job = await claimNextJob(workerId);
+      while (job) {
+        await runJob(job);
+        job = stopped ? null : await claimNextJob(workerId);
+      }
+    } catch (error) {
+      console.error("Job worker error:", error);
+    }
+  };
+
+  const poll = async () => {
+    polling = drainQueue();
+    await polling;
+    if (!stopped) {
+      timer = setTimeout(poll, pollInterval);
+    }
+  };
+
+  console.log(`Job worker ${workerId} started`);
+  poll();
+
+  return {
+    stop: async () => {
+      stopped = true;
+      clearTimeout(timer);
+      await polling;
+      console.log(`Job worker ${workerId} stopped`);
+    },
+  };
+};
+
+module.exports = {
+  enqueueJob,
+  enqueueFileCleanup,
+  scheduleRecurringJobs,
+  claimNextJob,
+  runJob,
+  startJobWorker,
+};
@@ -0,0 +1,178 @@
+const {
+  Assignment,
+  AssignmentExtension,
+  StudentCourse,
+  Submission,
+} = require("../models");
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Due date of an assignment for one student: the assignment's pushed back by
+ * their course accommodation, or their extension's if that is later, so an
+ * extension never takes accommodated days away
+ * @param {Object} assignment - Assignment instance
+ * @param {String} studentId - Student ID
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<Object>} - { dueDate, extended } where extended is
+ * "extension", "accommodation" or null
+ */
+const getStudentDueDate = async (assignment, studentId, transaction) => {
+  const [extension, enrollment] = await Promise.all([
+    AssignmentExtension.findOne({
+      where: { assignmentId: assignment.id, studentId },
+      attributes: ["dueDate"],
+      transaction,
+    }),
+    StudentCourse.findOne({
+      where: { courseId: assignment.courseId, studentId },
+      attributes: ["accommodationDays"],
+      transaction,
+    }),
+  ]);
+
+  const extraDays = enrollment ? enrollment.accommodationDays : 0;
+  const accommodated = new Date(
+    new Date(assignment.dueDate).getTime() + extraDays * DAY_MS
+  );
+  if (extension && new Date(extension.dueDate) > accommodated) {
+    return { dueDate: new Date(extension.dueDate), extended: "extension" };
+  }
+  return {
+    dueDate: accommodated,
+    extended: extraDays > 0 ? "accommodation" : null,
+  };
+};
+
+/**
+ * Where a moment stands against a student's due date under the assignment's
+ * late policy. Days late are counted from the due date and rounded up
+ * @param {Object} assignment - Assignment instance
+ * @param {Date} dueDate - The student's due date (see getStudentDueDate)
+ * @param {Date} [at] - Submission time, now by default
+ * @returns {Object} - { isLate, daysLate, penaltyPercent, closesAt, closed }
+ * where closesAt is null when late work is accepted indefinitely
+ */
+const lateStatus = (assignment, dueDate, at = new Date()) => {
+  const due = dueDate.getTime();
+  const graceEnd = due + assignment.gracePeriodMinutes * MINUTE_MS;
+  const time = new Date(at).getTime();
+  const isLate = time > graceEnd;
+  const daysLate = isLate ? Math.ceil((time - due) / DAY_MS) : 0;
+
+  let closesAt = null;
+  if (assignment.latePolicy === "cutoff") {
+    closesAt = new Date(graceEnd);
+  } else if (
+    assignment.latePolicy === "penalty" &&
+    assignment.maxLateDays !== null
+  ) {
+    closesAt = new Date(
+      Math.max(graceEnd, due + assignment.maxLateDays * DAY_MS)
+    );
+  }
+
+  const penaltyPercent =
+    assignment.latePolicy === "penalty" && isLate
+      ? Math.min(100, daysLate * (assignment.latePenaltyPercent || 0))
+      : 0;
+
+  return {
+    isLate,
+    daysLate,
+    penaltyPercent,
+    closesAt,
+    closed: closesAt !== null && time > closesAt.getTime(),
+  };
+};
+
+/**
+ * Take an assignment's late penalty off a grade, going by when the
+ * submission was made and the student's due date. The penalty is a
+ * percentage of the assignment's points per day late
+ * @param {Object} assignment - Assignment instance
+ * @param {Object} submission - Submission instance
+ * @param {Number} grade - Grade before the penalty
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<Object>} - { grade, latePenalty } where latePenalty is
+ * the points taken off, or null when there is no penalty
+ */
+const applyLatePenalty = async (assignment, submission, grade, transaction) => {
+  if (assignment.latePolicy !== "penalty") {
+    return { grade, latePenalty: null };
+  }
+
+  const { dueDate } = await getStudentDueDate(
+    assignment,
+    submission.studentId,
+    transaction
+  );
+  const { penaltyPercent } = lateStatus(
+    assignment,
+    dueDate,
+    submission.submissionDate
+  );
+  if (penaltyPercent === 0) {
+    return { grade, latePenalty: null };
+  }
+
+  const deduction = (assignment.totalPoints * penaltyPercent) / 100;
+  const penalized = round2(Math.max(0, grade - deduction));
+  return { grade: penalized, latePenalty: round2(grade - penalized) };
+};
+
+/**
+ * Recheck whether a student's submissions in a course were late, after
+ * their extensions or accommodation changed. Grades already given are left
+ * as they are
+ * @param {String} courseId - Course ID
+ * @param {String} studentId - Student ID
+ * @param {Object} [options]
+ * @param {String} [options.assignmentId] - Only this assignment
+ * @param {Object} [options.transaction] - Sequelize transaction
+ * @returns {Promise<Number>} - Number of submissions whose flag changed
+ */
+const refreshLateFlags = async (
+  courseId,
+  studentId,
+  { assignmentId, transaction } = {}
+) => {
+  const assignmentWhere = { courseId };
+  if (assignmentId) {
+    assignmentWhere.id = assignmentId;
+  }
+  const submissions = await Submission.findAll({
+    where: { studentId },
+    include: [{ model: Assignment, where: assignmentWhere }],
+    transaction,
+  });
+
+  let changed = 0;
+  for (const submission of submissions) {
+    const { dueDate } = await getStudentDueDate(
+      submission.Assignment,
+      studentId,
+      transaction
+    );
+    const { isLate } = lateStatus(
+      submission.Assignment,
+      dueDate,
+      submission.submissionDate
+    );
+    if (isLate !== submission.isLate) {
+      await submission.update({ isLate }, { transaction });
+      changed += 1;
+    }
+  }
+  return changed;
+};
+
+module.exports = {
+  getStudentDueDate,
+  lateStatus,
+  applyLatePenalty,
+  refreshLateFlags,
+};
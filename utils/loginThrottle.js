@@ -0,0 +1,189 @@
+const { User, LoginThrottle, sequelize } = require("../models");
+
+// Failures allowed before an account is locked, and how long failures are
+// remembered once the user stops trying
+const ACCOUNT_THRESHOLD = 5;
+const ACCOUNT_WINDOW_MINUTES = 24 * 60;
+const ACCOUNT_MAX_LOCK_MINUTES = 24 * 60;
+
+// Per-IP limits are looser since many users can share an address
+const IP_THRESHOLD = 20;
+const IP_WINDOW_MINUTES = 60;
+const IP_MAX_LOCK_MINUTES = 60;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Lock end time for a failure count; the lock doubles with every failure
+ * past the threshold (1, 2, 4, ... minutes) up to a maximum
+ * @param {Number} attempts - Consecutive failed attempts
+ * @param {Number} threshold - Failures allowed before locking
+ * @param {Number} maxMinutes - Longest lock
+ * @param {Date} now - Current time
+ * @returns {Date|null} - When the lock ends, or null if not locked
+ */
+const lockUntil = (attempts, threshold, maxMinutes, now) => {
+  if (attempts < threshold) {
+    return null;
+  }
+  const minutes = Math.min(2 ** (attempts - threshold), maxMinutes);
+  return new Date(now.getTime() + minutes * MINUTE_MS);
+};
+
+// Failures older than the window no longer count
+const isStale = (lastFailedAt, windowMinutes, now) =>
+  !lastFailedAt || now - lastFailedAt > windowMinutes * MINUTE_MS;
+
+const secondsUntil = (date, now) =>
+  Math.max(1, Math.ceil((date.getTime() - now.getTime()) / 1000));
+
+/**
+ * Check whether a login may be attempted for this account and IP
+ * @param {Object} options
+ * @param {Object} [options.user] - User instance, if the email matched one
+ * @param {String} options.ip - Client IP address
+ * @returns {Promise<Object>} - { allowed, retryAfterSeconds }
+ */
+const checkLoginAllowed = async ({ user, ip }) => {
+  const now = new Date();
+
+  const throttle = await LoginThrottle.findOne({ where: { ip } });
+  if (throttle && throttle.lockedUntil && throttle.lockedUntil > now) {
+    return {
+      allowed: false,
+      retryAfterSeconds: secondsUntil(throttle.lockedUntil, now),
+    };
+  }
+
+  if (user && user.lockedUntil && user.lockedUntil > now) {
+    return {
+      allowed: false,
+      retryAfterSeconds: secondsUntil(user.lockedUntil, now),
+    };
+  }
+
+  return { allowed: true, retryAfterSeconds: 0 };
+};
+
+/**
+ * Record a failed login for the IP and, when known, the account
+ * @param {Object} options
+ * @param {Object} [options.user] - User instance, if the email matched one
+ * @param {String} options.ip - Client IP address
+ */
+const recordLoginFailure = async ({ user, ip }) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const now = new Date();
+
+    // Make sure a row exists, then lock it so concurrent failures all count
+    await LoginThrottle.bulkCreate([{ ip }], {
+      ignoreDuplicates: true,
+      transaction,
+    });
+    const throttle = await LoginThrottle.findOne({
+      where: { ip },
+      lock: transaction.LOCK.UPDATE,
+      transaction,
+    });
+    const ipAttempts = isStale(throttle.lastFailedAt, IP_WINDOW_MINUTES, now)
+      ? 1
+      : throttle.failedAttempts + 1;
+    await throttle.update(
+      {
+        failedAttempts: ipAttempts,
+        lastFailedAt: now,
+        lockedUntil: lockUntil(
+          ipAttempts,
+          IP_THRESHOLD,
+          IP_MAX_LOCK_MINUTES,
+          now
+        ),
+      },
+      { transaction }
+    );
+
+    if (user) {
+      const account = await User.findByPk(user.id, {
+        lock: transaction.LOCK.UPDATE,
+        transaction,
+      });
+      const attempts = isStale(
+        account.lastFailedLoginAt,
+        ACCOUNT_WINDOW_MINUTES,
+        now
+      )
+        ? 1
+        : account.failedLoginAttempts + 1;
+      const lockedUntilDate = lockUntil(
+        attempts,
+        ACCOUNT_THRESHOLD,
+        ACCOUNT_MAX_LOCK_MINUTES,
+        now
+      );
+
+      await account.update(
+        {
+          failedLoginAttempts: attempts,
+          lastFailedLoginAt: now,
+          lockedUntil: lockedUntilDate,
+        },
+        { transaction }
+      );
+
+      if (lockedUntilDate) {
+        const until = lockedUntilDate.toISOString();
+        console.warn(
+          `Account ${account.email} locked until ${until} after ${attempts} failed logins`
+        );
+      }
+    }
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Clear the failure count of an account after a successful login
+ * @param {Object} user - User instance
+ */
+const recordLoginSuccess = async (user) => {
+  if (user.failedLoginAttempts || user.lockedUntil) {
+    await unlockUser(user);
+  }
+};
+
+/**
+ * Clear failures and any lock on an account
+ * @param {Object} user - User instance
+ * @param {Object} [options]
+ * @param {Object} [options.transaction] - Sequelize transaction
+ */
+const unlockUser = async (user, { transaction } = {}) => {
+  await user.update(
+    { failedLoginAttempts: 0, lastFailedLoginAt: null, lockedUntil: null },
+    { transaction }
+  );
+};
+
+/**
+ * Clear failures and any lock on an IP address
+ * @param {String} ip - Client IP address
+ * @returns {Promise<Boolean>} - Whether the IP had any recorded failures
+ */
+const unlockIp = async (ip) => {
+  const deleted = await LoginThrottle.destroy({ where: { ip } });
+  return deleted > 0;
+};
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockUser,
+  unlockIp,
+};
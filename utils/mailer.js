@@ -0,0 +1,139 @@
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+const DEFAULT_FROM = process.env.MAIL_FROM || "LMS <no-reply@lms.local>";
+const DEFAULT_MAIL_DIR = path.join(__dirname, "..", "tmp", "mail");
+
+/**
+ * SMTP transport backed by nodemailer
+ * @returns {Object} - Transport with a send(message) method
+ */
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined,
+  });
+
+  return {
+    name: "smtp",
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    },
+  };
+};
+
+/**
+ * Development transport that writes each message to a JSON file
+ * @param {String} [directory] - Folder to write messages to
+ * @returns {Object} - Transport with a send(message) method
+ */
+const createFileTransport = (
+  directory = process.env.MAIL_FILE_DIR || DEFAULT_MAIL_DIR
+) => ({
+  name: "file",
+  send: async (message) => {
+    await fs.promises.mkdir(directory, { recursive: true });
+
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const filePath = path.join(directory, `${id}.json`);
+    await fs.promises.writeFile(
+      filePath,
+      JSON.stringify({ ...message, date: new Date() }, null, 2)
+    );
+
+    console.log(`Mail to ${message.to} written to ${filePath}`);
+    return { id, filePath };
+  },
+});
+
+/**
+ * Development transport that prints each message to the console
+ * @returns {Object} - Transport with a send(message) method
+ */
+const createConsoleTransport = () => ({
+  name: "console",
+  send: async (message) => {
+    console.log(
+      `--- Mail ---\nFrom: ${message.from}\nTo: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n------------`
+    );
+    return { id: null };
+  },
+});
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+/**
+ * Create a mailer. The transport comes from MAIL_TRANSPORT (smtp, file or
+ * console); without it, SMTP is used when SMTP_HOST is set, else console.
+ * @param {Object} [options]
+ * @param {String|Object} [options.transport] - Transport name or transport object
+ * @param {String} [options.from] - Default sender address
+ * @returns {Object} - { transport, sendMail }
+ */
+const createMailer = ({
+  transport = process.env.MAIL_TRANSPORT ||
+    (process.env.SMTP_HOST ? "smtp" : "console"),
+  from = DEFAULT_FROM,
+} = {}) => {
+  let transportImpl = transport;
+  if (typeof transport === "string") {
+    if (!TRANSPORTS[transport]) {
+      throw new Error(`Unknown mail transport: ${transport}`);
+    }
+    transportImpl = TRANSPORTS[transport]();
+  }
+
+  /**
+   * Send an email
+   * @param {Object} message - { to, subject, text, html }
+   * @returns {Promise<Object>} - Transport specific result
+   */
+  const sendMail = async ({ to, subject, text, html }) => {
+    if (!to || !subject) {
+      throw new Error("Mail requires a recipient and a subject");
+    }
+    return transportImpl.send({ from, to, subject, text, html });
+  };
+
+  return { transport: transportImpl.name, sendMail };
+};
+
+let defaultMailer = null;
+
+/**
+ * Shared mailer configured from the environment
+ * @returns {Object} - Mailer instance
+ */
+const getMailer = () => {
+  if (!defaultMailer) {
+    defaultMailer = createMailer();
+  }
+  return defaultMailer;
+};
+
+/**
+ * Replace the shared mailer, e.g. with a custom transport
+ * @param {Object} mailer - Object with a sendMail(message) method
+ */
+const setMailer = (mailer) => {
+  defaultMailer = mailer;
+};
+
+module.exports = {
+  createMailer,
+  getMailer,
+  setMailer,
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+};
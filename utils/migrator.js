@@ -0,0 +1,295 @@
+const fs = require("fs");
+const path = require("path");
+const { Sequelize } = require("sequelize");
+
+// Table that records which migration versions have been applied
+const MIGRATIONS_TABLE = "SchemaMigrations";
+
+// Migration files are named <14 digit version>-<kebab-case-name>.js
+const MIGRATION_FILE_PATTERN = /^(\d{14})-([a-z0-9][a-z0-9-]*)\.js$/;
+
+// Arbitrary key for the Postgres advisory lock held while a migration runs
+const MIGRATION_LOCK_KEY = 72707369;
+
+const MIGRATION_TEMPLATE = `module.exports = {
+  up: async (queryInterface, Sequelize, { transaction }) => {
+    // await queryInterface.createTable("Examples", { ... }, { transaction });
+  },
+
+  down: async (queryInterface, Sequelize, { transaction }) => {
+    // await queryInterface.dropTable("Examples", { transaction });
+  },
+};
+`;
+
+/**
+ * Build a timestamp version (YYYYMMDDHHMMSS, UTC) for a new migration
+ * @param {Date} date - Point in time to encode
+ * @returns {String} - 14 digit version string
+ */
+const versionFromDate = (date = new Date()) =>
+  date.toISOString().replace(/[-:T]/g, "").slice(0, 14);
+
+/**
+ * Create a migrator bound to a Sequelize instance and migrations folder
+ * @param {Object} options
+ * @param {Sequelize} options.sequelize - Connected Sequelize instance
+ * @param {String} options.directory - Folder containing migration files
+ * @param {Function} [options.log] - Logger for progress messages
+ * @returns {Object} - { up, down, status, create, pending }
+ */
+const createMigrator = ({ sequelize, directory, log = console.log }) => {
+  const queryInterface = sequelize.getQueryInterface();
+
+  // Read migration files from disk, ordered by version
+  const loadMigrations = () => {
+    const seen = new Set();
+
+    return fs
+      .readdirSync(directory)
+      .map((file) => ({ file, match: MIGRATION_FILE_PATTERN.exec(file) }))
+      .filter(({ match }) => match)
+      .map(({ file, match }) => {
+        const [, version, name] = match;
+
+        if (seen.has(version)) {
+          throw new Error(`Duplicate migration version ${version} (${file})`);
+        }
+        seen.add(version);
+
+        const migration = require(path.join(directory, file));
+        if (
+          typeof migration.up !== "function" ||
+          typeof migration.down !== "function"
+        ) {
+          throw new Error(`Migration ${file} must export up and down`);
+        }
+
+        return { version, name, file, migration };
+      })
+      .sort((a, b) => a.version.localeCompare(b.version));
+  };
+
+  const ensureMigrationsTable = async () => {
+    await queryInterface.createTable(MIGRATIONS_TABLE, {
+      version: {
+        type: Sequelize.STRING(14),
+        primaryKey: true,
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      appliedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn("NOW"),
+      },
+    });
+  };
+
+  const getAppliedRows = async (transaction) => {
+    const [rows] = await sequelize.query(
+      `SELECT "version", "name", "appliedAt" FROM "${MIGRATIONS_TABLE}" ORDER BY "version" ASC`,
+      { transaction }
+    );
+    return rows;
+  };
+
+  // Run one migration step inside its own transaction. The advisory lock
+  // serialises concurrent runners (e.g. several app instances booting at
+  // once); whoever gets the lock second re-checks and skips finished work.
+  const runStep = async (entry, direction) => {
+    return sequelize.transaction(async (transaction) => {
+      await sequelize.query(
+        `SELECT pg_advisory_xact_lock(${MIGRATION_LOCK_KEY})`,
+        {
+          transaction,
+        }
+      );
+
+      const applied = (await getAppliedRows(transaction)).some(
+        (row) => row.version === entry.version
+      );
+
+      if ((direction === "up") === applied) {
+        return false;
+      }
+
+      await entry.migration[direction](queryInterface, Sequelize, {
+        transaction,
+      });
+
+      if (direction === "up") {
+        await sequelize.query(
+          `INSERT INTO "${MIGRATIONS_TABLE}" ("version", "name", "appliedAt") VALUES (:version, :name, NOW())`,
+          {
+            replacements: { version: entry.version, name: entry.name },
+            transaction,
+          }
+        );
+      } else {
+        await sequelize.query(
+          `DELETE FROM "${MIGRATIONS_TABLE}" WHERE "version" = :version`,
+          { replacements: { version: entry.version }, transaction }
+        );
+      }
+
+      return true;
+    });
+  };
+
+  /**
+   * List every known migration with its applied state
+   * @returns {Promise<Array>} - [{ version, name, applied, appliedAt, missing }]
+   */
+  const status = async () => {
+    await ensureMigrationsTable();
+    const migrations = loadMigrations();
+    const appliedRows = await getAppliedRows();
+    const appliedByVersion = new Map(
+      appliedRows.map((row) => [row.version, row])
+    );
+
+    const result = migrations.map((entry) => ({
+      version: entry.version,
+      name: entry.name,
+      applied: appliedByVersion.has(entry.version),
+      appliedAt: appliedByVersion.has(entry.version)
+        ? appliedByVersion.get(entry.version).appliedAt
+        : null,
+      missing: false,
+    }));
+
+    // Versions recorded in the database whose file no longer exists
+    const known = new Set(migrations.map((entry) => entry.version));
+    for (const row of appliedRows) {
+      if (!known.has(row.version)) {
+        result.push({
+          version: row.version,
+          name: row.name,
+          applied: true,
+          appliedAt: row.appliedAt,
+          missing: true,
+        });
+      }
+    }
+
+    return result.sort((a, b) => a.version.localeCompare(b.version));
+  };
+
+  /**
+   * Migrations that have not been applied yet
+   * @returns {Promise<Array>}
+   */
+  const pending = async () => {
+    const rows = await status();
+    return rows.filter((row) => !row.applied);
+  };
+
+  /**
+   * Apply pending migrations in version order
+   * @param {Object} [options]
+   * @param {String} [options.to] - Stop after applying this version
+   * @returns {Promise<Array>} - Versions that were applied
+   */
+  const up = async ({ to } = {}) => {
+    await ensureMigrationsTable();
+    const migrations = loadMigrations();
+
+    if (to && !migrations.some((entry) => entry.version === to)) {
+      throw new Error(`Unknown migration version: ${to}`);
+    }
+
+    const appliedVersions = [];
+    for (const entry of migrations) {
+      if (to && entry.version > to) break;
+
+      if (await runStep(entry, "up")) {
+        log(`Applied ${entry.version}-${entry.name}`);
+        appliedVersions.push(entry.version);
+      }
+    }
+
+    return appliedVersions;
+  };
+
+  /**
+   * Revert applied migrations, newest first
+   * @param {Object} [options]
+   * @param {Number} [options.step=1] - How many migrations to revert
+   * @param {String} [options.to] - Revert everything after this version ("0" reverts all)
+   * @returns {Promise<Array>} - Versions that were reverted
+   */
+  const down = async ({ step = 1, to } = {}) => {
+    await ensureMigrationsTable();
+    const migrations = loadMigrations();
+    const byVersion = new Map(
+      migrations.map((entry) => [entry.version, entry])
+    );
+    const appliedRows = (await getAppliedRows()).reverse();
+
+    let targets;
+    if (to !== undefined) {
+      targets = appliedRows.filter((row) => row.version > to);
+    } else {
+      targets = appliedRows.slice(0, step);
+    }
+
+    const revertedVersions = [];
+    for (const row of targets) {
+      const entry = byVersion.get(row.version);
+      if (!entry) {
+        throw new Error(
+          `Cannot revert ${row.version}-${row.name}: migration file is missing`
+        );
+      }
+
+      if (await runStep(entry, "down")) {
+        log(`Reverted ${entry.version}-${entry.name}`);
+        revertedVersions.push(entry.version);
+      }
+    }
+
+    return revertedVersions;
+  };
+
+  /**
+   * Write a new, empty migration file
+   * @param {String} name - Descriptive name, e.g. "add-course-capacity"
+   * @returns {String} - Path of the created file
+   */
+  const create = (name) => {
+    const slug = String(name || "")
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "");
+
+    if (!slug) {
+      throw new Error("Migration name is required");
+    }
+
+    let version = versionFromDate();
+    const existing = loadMigrations();
+    const latest = existing.length
+      ? existing[existing.length - 1].version
+      : null;
+
+    // Keep versions strictly increasing even if the clock is behind
+    if (latest && version <= latest) {
+      version = String(BigInt(latest) + 1n);
+    }
+
+    const filePath = path.join(directory, `${version}-${slug}.js`);
+    fs.writeFileSync(filePath, MIGRATION_TEMPLATE, { flag: "wx" });
+    return filePath;
+  };
+
+  return { up, down, status, pending, create };
+};
+
+module.exports = {
+  createMigrator,
+  MIGRATIONS_TABLE,
+};
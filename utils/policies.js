@@ -0,0 +1,87 @@
+const { Student, StudentCourse, CourseStaff } = require("../models");
+const { SCOPES, ROLE_PERMISSIONS } = require("../config/permissions");
+
+/**
+ * Scope at which a role holds a permission
+ * @param {String} role - User role
+ * @param {String} permission - Permission name, e.g. "course:manage"
+ * @returns {String|null} - Scope ("any", "own", "staff", "enrolled") or null
+ */
+const getPermissionScope = (role, permission) => {
+  const grants = ROLE_PERMISSIONS[role];
+  return (grants && grants[permission]) || null;
+};
+
+/**
+ * Whether a role holds a permission at any scope
+ * @param {String} role - User role
+ * @param {String} permission - Permission name
+ * @returns {Boolean}
+ */
+const hasPermission = (role, permission) =>
+  Boolean(getPermissionScope(role, permission));
+
+/**
+ * Whether the user is listed as staff of the course (primary instructor,
+ * co-instructor or teaching assistant)
+ * @param {Object} user - User instance
+ * @param {Object} course - Course instance
+ * @returns {Promise<Boolean>}
+ */
+const isCourseStaff = async (user, course) => {
+  const membership = await CourseStaff.findOne({
+    where: { courseId: course.id, userId: user.id },
+  });
+  return Boolean(membership);
+};
+
+/**
+ * Whether the user is enrolled in the course
+ * @param {Object} user - User instance
+ * @param {Object} course - Course instance
+ * @returns {Promise<Boolean>}
+ */
+const isEnrolledInCourse = async (user, course) => {
+  const student = await Student.findOne({ where: { userId: user.id } });
+  if (!student) {
+    return false;
+  }
+
+  const enrollment = await StudentCourse.findOne({
+    where: { studentId: student.id, courseId: course.id, status: "enrolled" },
+  });
+  return Boolean(enrollment);
+};
+
+const COURSE_SCOPE_CHECKS = {
+  [SCOPES.STAFF]: isCourseStaff,
+  [SCOPES.ENROLLED]: isEnrolledInCourse,
+};
+
+/**
+ * Whether the user may perform a course-scoped action on a course
+ * @param {Object} user - User instance
+ * @param {String} permission - Permission name, e.g. "submission:grade"
+ * @param {Object} course - Course instance
+ * @returns {Promise<Boolean>}
+ */
+const canAccessCourse = async (user, permission, course) => {
+  const scope = getPermissionScope(user.role, permission);
+  if (!scope) {
+    return false;
+  }
+  if (scope === SCOPES.ANY) {
+    return true;
+  }
+
+  const check = COURSE_SCOPE_CHECKS[scope];
+  return check ? check(user, course) : false;
+};
+
+module.exports = {
+  getPermissionScope,
+  hasPermission,
+  isCourseStaff,
+  isEnrolledInCourse,
+  canAccessCourse,
+};
@@ -0,0 +1,210 @@
+const {
+  Course,
+  Semester,
+  StudentCourse,
+  CourseRequisite,
+  RequisiteOverride,
+} = require("../models");
+
+/**
+ * Whether an enrollment counts as a completed course: it has a final grade,
+ * or its semester is over
+ * @param {Object} enrollment - StudentCourse instance with Course.Semester
+ * @param {Date} now - Current time
+ * @returns {Boolean}
+ */
+const isCompleted = (enrollment, now) =>
+  enrollment.finalGrade !== null ||
+  Boolean(
+    enrollment.Course.Semester && enrollment.Course.Semester.endDate < now
+  );
+
+/**
+ * Why one requisite is not met by the student's enrollment in the required
+ * course
+ * @param {Object} requisite - CourseRequisite instance with RequiredCourse
+ * @param {Object} [enrollment] - Student's enrollment in the required course
+ * @param {Date} now - Current time
+ * @returns {String|null} - Explanation, or null when met
+ */
+const explainUnmet = (requisite, enrollment, now) => {
+  const label = `${
+    requisite.type === "corequisite" ? "co-requisite" : "prerequisite"
+  } "${requisite.RequiredCourse.title}"`;
+  const completed = enrollment && isCompleted(enrollment, now);
+
+  if (requisite.type === "corequisite") {
+    // Taking the co-requisite in parallel is enough
+    if (!enrollment) {
+      return `${label} must be completed or taken at the same time`;
+    }
+    if (!completed) {
+      return null;
+    }
+  } else if (!completed) {
+    return `${label} has not been completed`;
+  }
+
+  if (requisite.minGrade === null) {
+    return null;
+  }
+  if (enrollment.finalGrade === null) {
+    return `${label} requires a final grade of at least ${requisite.minGrade}, but no final grade has been recorded`;
+  }
+  if (enrollment.finalGrade < requisite.minGrade) {
+    return `${label} requires a final grade of at least ${requisite.minGrade} (yours: ${enrollment.finalGrade})`;
+  }
+  return null;
+};
+
+/**
+ * Requirements of a course the student does not meet, unless an admin has
+ * granted them an override
+ * @param {Object} student - Student instance
+ * @param {Object} course - Course instance
+ * @param {Object} [transaction] - Sequelize transaction
+ * @param {Object} [options]
+ * @param {Array<String>} [options.alongside] - Courses the student is
+ * joining in the same request; they count as co-requisites taken at the
+ * same time, which is how mutual co-requisites are joined. Callers check
+ * again without them once every join is done, as only the joins that ended
+ * up enrolled may stand in
+ * @returns {Promise<Array<String>>} - One explanation per unmet requirement
+ */
+const findUnmetRequisites = async (
+  student,
+  course,
+  transaction,
+  { alongside = [] } = {}
+) => {
+  const requisites = await CourseRequisite.findAll({
+    where: { courseId: course.id },
+    // Trashed required courses still count, with the enrollments they keep
+    include: [
+      {
+        model: Course,
+        as: "RequiredCourse",
+        attributes: ["id", "title"],
+        paranoid: false,
+      },
+    ],
+    transaction,
+  });
+  if (requisites.length === 0) {
+    return [];
+  }
+
+  const override = await RequisiteOverride.findOne({
+    where: { studentId: student.id, courseId: course.id },
+    transaction,
+  });
+  if (override) {
+    return [];
+  }
+
+  // Only actual enrollments count; requests, invitations and waitlist
+  // places do not
+  const enrollments = await StudentCourse.findAll({
+    where: {
+      studentId: student.id,
+      courseId: requisites.map((requisite) => requisite.requiredCourseId),
+      status: "enrolled",
+    },
+    include: [
+      {
+        model: Course,
+        attributes: ["id", "semesterId"],
+        include: [{ model: Semester, attributes: ["endDate"] }],
+        paranoid: false,
+      },
+    ],
+    transaction,
+  });
+  const enrollmentByCourse = {};
+  enrollments.forEach((enrollment) => {
+    enrollmentByCourse[enrollment.courseId] = enrollment;
+  });
+
+  const now = new Date();
+  return requisites
+    .filter(
+      (requisite) =>
+        !(
+          requisite.type === "corequisite" &&
+          alongside.includes(requisite.requiredCourseId) &&
+          !enrollmentByCourse[requisite.requiredCourseId]
+        )
+    )
+    .map((requisite) =>
+      explainUnmet(
+        requisite,
+        enrollmentByCourse[requisite.requiredCourseId],
+        now
+      )
+    )
+    .filter(Boolean);
+};
+
+/**
+ * Chain of requirements that adding one would close into a loop no student
+ * could get through. Loops made only of co-requisites are fine, since those
+ * courses can be joined together; any prerequisite in the loop makes it
+ * impossible
+ * @param {String} courseId - Course getting the requirement
+ * @param {String} requiredCourseId - Course it would require
+ * @param {String} type - prerequisite or corequisite
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<Array<String>|null>} - Course IDs from courseId round to
+ * courseId again, or null when there is no such loop
+ */
+const findRequisiteCycle = async (
+  courseId,
+  requiredCourseId,
+  type,
+  transaction
+) => {
+  const requisites = await CourseRequisite.findAll({
+    attributes: ["courseId", "requiredCourseId", "type"],
+    transaction,
+  });
+  const edges = {};
+  requisites.forEach((requisite) => {
+    (edges[requisite.courseId] = edges[requisite.courseId] || []).push(
+      requisite
+    );
+  });
+
+  // Breadth-first over (course, has a prerequisite been crossed) so the
+  // shortest offending chain is reported
+  const start = {
+    courseId: requiredCourseId,
+    strict: type === "prerequisite",
+    path: [courseId, requiredCourseId],
+  };
+  const queue = [start];
+  const seen = new Set([`${start.courseId}:${start.strict}`]);
+  while (queue.length > 0) {
+    const current = queue.shift();
+    for (const edge of edges[current.courseId] || []) {
+      const next = {
+        courseId: edge.requiredCourseId,
+        strict: current.strict || edge.type === "prerequisite",
+        path: [...current.path, edge.requiredCourseId],
+      };
+      if (next.courseId === courseId) {
+        if (next.strict) {
+          return next.path;
+        }
+        continue;
+      }
+      const key = `${next.courseId}:${next.strict}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        queue.push(next);
+      }
+    }
+  }
+  return null;
+};
+
+module.exports = { findUnmetRequisites, findRequisiteCycle };
@@ -0,0 +1,291 @@
+const { Op } = require("sequelize");
+const {
+  Course,
+  Lecture,
+  Assignment,
+  AssignmentAttachment,
+  Submission,
+  EContent,
+  EContentModule,
+  EContentFile,
+  User,
+  sequelize,
+} = require("../models");
+const { enqueueFileCleanup } = require("./jobQueue");
+
+// Days a record stays in the trash before the trash-purge job deletes it
+// and its blobs for good
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+const lectureVideoKeys = (lectures) =>
+  lectures.map((lecture) => lecture.videoKey);
+
+const moduleFileKeys = async (modules, transaction) => {
+  const files = await EContentFile.findAll({
+    where: { moduleId: modules.map((module) => module.id) },
+    attributes: ["fileKey"],
+    transaction,
+  });
+  return files.map((file) => file.fileKey);
+};
+
+const assignmentFileKeys = async (assignments, transaction) => {
+  const where = {
+    assignmentId: assignments.map((assignment) => assignment.id),
+  };
+  const [attachments, submissions] = await Promise.all([
+    AssignmentAttachment.findAll({
+      where,
+      attributes: ["fileKey"],
+      transaction,
+    }),
+    Submission.findAll({
+      where,
+      attributes: ["submissionFileKey"],
+      transaction,
+    }),
+  ]);
+  return [
+    ...attachments.map((attachment) => attachment.fileKey),
+    ...submissions.map((submission) => submission.submissionFileKey),
+  ];
+};
+
+// Records of a course that can be trashed on their own, keyed by the
+// :itemType route parameter. Deleting a course trashes only the course row;
+// its records stay as they were and come back with it
+const TRASH_TYPES = {
+  lectures: {
+    model: Lecture,
+    permission: "lecture:manage",
+    titleField: "title",
+    inCourse: (courseId) => ({ where: { courseId } }),
+    fileKeys: lectureVideoKeys,
+  },
+  assignments: {
+    model: Assignment,
+    permission: "assignment:manage",
+    titleField: "title",
+    inCourse: (courseId) => ({ where: { courseId } }),
+    fileKeys: assignmentFileKeys,
+  },
+  modules: {
+    model: EContentModule,
+    permission: "econtent:manage",
+    titleField: "moduleTitle",
+    inCourse: (courseId) => ({
+      include: [{ model: EContent, attributes: [], where: { courseId } }],
+    }),
+    fileKeys: moduleFileKeys,
+  },
+};
+
+/**
+ * Move a record to the trash
+ * @param {Object} record - Course, Lecture, Assignment or EContentModule
+ * @param {String} userId - User deleting it
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<void>}
+ */
+const moveToTrash = async (record, userId, transaction) => {
+  await record.update({ deletedById: userId }, { transaction });
+  await record.destroy({ transaction });
+};
+
+/**
+ * Take a record back out of the trash
+ * @param {Object} record - Trashed record, loaded with paranoid: false
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<void>}
+ */
+const restoreFromTrash = async (record, transaction) => {
+  await record.restore({ transaction });
+  await record.update({ deletedById: null }, { transaction });
+};
+
+/**
+ * When a trashed record will be purged
+ * @param {Object} record - Trashed record
+ * @returns {Date}
+ */
+const purgeDate = (record) =>
+  new Date(
+    record.deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000
+  );
+
+/**
+ * Find a course's trashed records of one type
+ * @param {String} type - Key of TRASH_TYPES
+ * @param {String} courseId - Course ID
+ * @param {Object} [options]
+ * @param {String} [options.id] - Only this record
+ * @param {Object} [options.transaction] - Sequelize transaction
+ * @returns {Promise<Array<Object>>} - Records with DeletedBy, newest first
+ */
+const findTrashedItems = (type, courseId, { id, transaction } = {}) => {
+  const { model, inCourse } = TRASH_TYPES[type];
+  const { where = {}, include = [] } = inCourse(courseId);
+
+  return model.findAll({
+    where: {
+      ...where,
+      ...(id ? { id } : {}),
+      deletedAt: { [Op.ne]: null },
+    },
+    include: [
+      ...include,
+      { model: User, as: "DeletedBy", attributes: ["id", "name", "email"] },
+    ],
+    order: [["deletedAt", "DESC"]],
+    paranoid: false,
+    transaction,
+  });
+};
+
+/**
+ * Delete trashed records of one type for good and queue removal of their
+ * blobs
+ * @param {String} type - Key of TRASH_TYPES
+ * @param {Array<Object>} records - Records to purge
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Number>} - Records purged
+ */
+const purgeItems = async (type, records, transaction) => {
+  if (records.length === 0) {
+    return 0;
+  }
+  const { model, fileKeys } = TRASH_TYPES[type];
+
+  // Keys first: deleting the rows cascades to the file records
+  const keys = await fileKeys(records, transaction);
+  await model.destroy({
+    where: { id: records.map((record) => record.id) },
+    force: true,
+    transaction,
+  });
+  await enqueueFileCleanup(keys, { transaction });
+  return records.length;
+};
+
+/**
+ * Delete a course for good, with everything that cascades from it, and
+ * queue removal of its lecture videos, assignment attachments, submissions
+ * and e-content files
+ * @param {Object} course - Course instance (trashed or not)
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<void>}
+ */
+const purgeCourse = async (course, transaction) => {
+  const [lectures, assignments, modules] = await Promise.all([
+    Lecture.findAll({
+      where: { courseId: course.id },
+      attributes: ["videoKey"],
+      paranoid: false,
+      transaction,
+    }),
+    Assignment.findAll({
+      where: { courseId: course.id },
+      attributes: ["id"],
+      paranoid: false,
+      transaction,
+    }),
+    EContentModule.findAll({
+      include: [
+        { model: EContent, attributes: [], where: { courseId: course.id } },
+      ],
+      attributes: ["id"],
+      paranoid: false,
+      transaction,
+    }),
+  ]);
+  const keys = [
+    ...lectureVideoKeys(lectures),
+    ...(await assignmentFileKeys(assignments, transaction)),
+    ...(await moduleFileKeys(modules, transaction)),
+  ];
+
+  await course.destroy({ force: true, transaction });
+  await enqueueFileCleanup(keys, { transaction });
+};
+
+/**
+ * Purge everything that has been in the trash longer than the retention
+ * period. Each batch is committed on its own, so an interrupted run keeps
+ * its progress and the next run picks up the rest
+ * @param {Object} [options]
+ * @param {Number} [options.retentionDays] - Defaults to TRASH_RETENTION_DAYS
+ * @param {Function} [options.onProgress] - Called with (done, total)
+ * @returns {Promise<Object>} - Purged count per type, plus courses
+ */
+const purgeExpiredTrash = async ({
+  retentionDays = TRASH_RETENTION_DAYS,
+  onProgress,
+} = {}) => {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const expired = { deletedAt: { [Op.lt]: cutoff } };
+
+  const items = {};
+  for (const [type, { model }] of Object.entries(TRASH_TYPES)) {
+    items[type] = await model.findAll({ where: expired, paranoid: false });
+  }
+  const courses = await Course.findAll({ where: expired, paranoid: false });
+
+  const total =
+    courses.length +
+    Object.values(items).reduce((sum, records) => sum + records.length, 0);
+  const purged = { courses: 0 };
+  Object.keys(items).forEach((type) => {
+    purged[type] = 0;
+  });
+  let done = 0;
+
+  // Records before courses, so purging a course does not pull its trashed
+  // records out from under the loop
+  for (const [type, records] of Object.entries(items)) {
+    if (records.length === 0) {
+      continue;
+    }
+    const transaction = await sequelize.transaction();
+    try {
+      purged[type] = await purgeItems(type, records, transaction);
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+    done += records.length;
+    if (onProgress) {
+      await onProgress(done, total);
+    }
+  }
+
+  for (const course of courses) {
+    const transaction = await sequelize.transaction();
+    try {
+      await purgeCourse(course, transaction);
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+    purged.courses += 1;
+    done += 1;
+    if (onProgress) {
+      await onProgress(done, total);
+    }
+  }
+
+  return purged;
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  TRASH_TYPES,
+  moveToTrash,
+  restoreFromTrash,
+  purgeDate,
+  findTrashedItems,
+  purgeItems,
+  purgeCourse,
+  purgeExpiredTrash,
+};
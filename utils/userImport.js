@@ -0,0 +1,284 @@
+const { User, Teacher, Student, sequelize } = require("../models");
+const { validateUserImportRow } = require("./validation");
+
+// "atomic" imports nothing if any row is invalid; "skipInvalid" imports the
+// valid rows and reports the rest
+const IMPORT_MODES = ["atomic", "skipInvalid"];
+
+/**
+ * Validate import rows against each other and the database, without writing
+ * anything
+ * @param {Array<Object>} rows - Rows from parseSpreadsheet
+ * @param {Boolean} upsert - Update existing users instead of rejecting them
+ * @returns {Promise<Array<Object>>} - One entry per row with its sheet and
+ * row number, planned action ("create" or "update") and errors
+ */
+const planUserImport = async (rows, upsert) => {
+  const entries = rows.map(({ sheet, row, values: raw }) => {
+    const { error, value } = validateUserImportRow(raw);
+    return {
+      sheet,
+      row,
+      email: value
+        ? value.email
+        : String(raw.email || "")
+            .trim()
+            .toLowerCase() || null,
+      role: value ? value.role : raw.role || null,
+      action: null,
+      errors: error ? [error] : [],
+      data: value,
+    };
+  });
+
+  // "row 3" in a single-sheet file, "Teachers row 3" in a multi-sheet one
+  const multiSheet = new Set(rows.map((row) => row.sheet)).size > 1;
+  const describeRow = (entry) =>
+    multiSheet ? `${entry.sheet} row ${entry.row}` : `row ${entry.row}`;
+
+  const entryByEmail = new Map();
+  entries.forEach((entry) => {
+    if (!entry.email) {
+      return;
+    }
+    if (entryByEmail.has(entry.email)) {
+      entry.errors.push(
+        `Duplicate of ${describeRow(entryByEmail.get(entry.email))}`
+      );
+    } else {
+      entryByEmail.set(entry.email, entry);
+    }
+  });
+
+  const isValid = (entry) => entry.errors.length === 0;
+
+  const existingUsers = await User.findAll({
+    where: { email: entries.filter(isValid).map((entry) => entry.email) },
+    attributes: ["id", "email", "role"],
+  });
+  const existingByEmail = new Map(
+    existingUsers.map((user) => [user.email, user])
+  );
+
+  entries.filter(isValid).forEach((entry) => {
+    const existing = existingByEmail.get(entry.email);
+    if (!existing) {
+      entry.action = "create";
+      if (!entry.data.password) {
+        entry.errors.push("Password is required for new users");
+      }
+    } else if (!upsert) {
+      entry.errors.push(`User with email ${entry.email} already exists`);
+    } else if (existing.role !== entry.role) {
+      entry.errors.push(
+        `User with email ${entry.email} already exists as ${existing.role}; import cannot change roles`
+      );
+    } else {
+      entry.action = "update";
+      entry.userId = existing.id;
+    }
+  });
+
+  // Students may reference teachers created earlier in the same file
+  const fileTeachers = new Set(
+    entries
+      .filter((entry) => isValid(entry) && entry.role === "teacher")
+      .map((entry) => entry.email)
+  );
+  const students = entries.filter(
+    (entry) => isValid(entry) && entry.role === "student"
+  );
+  students.forEach((entry) => {
+    entry.data.teacherEmail = entry.data.teacherEmail.toLowerCase();
+  });
+  const knownTeachers = await Teacher.findAll({
+    where: { email: students.map((entry) => entry.data.teacherEmail) },
+    attributes: ["email"],
+  });
+  const dbTeachers = new Set(knownTeachers.map((teacher) => teacher.email));
+
+  students.forEach((entry) => {
+    const { teacherEmail } = entry.data;
+    if (fileTeachers.has(teacherEmail) || dbTeachers.has(teacherEmail)) {
+      return;
+    }
+    entry.errors.push(
+      entryByEmail.has(teacherEmail)
+        ? `Teacher with email ${teacherEmail} on ${describeRow(
+            entryByEmail.get(teacherEmail)
+          )} is invalid`
+        : `Teacher with email ${teacherEmail} not found`
+    );
+  });
+
+  entries.forEach((entry) => {
+    if (!isValid(entry)) {
+      entry.action = null;
+    }
+  });
+  return entries;
+};
+
+/**
+ * Write one planned row: the user plus its teacher or student profile
+ * @param {Object} entry - Valid entry from planUserImport
+ * @param {Map} teacherByEmail - Teachers written so far in this import
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Object>} - Summary of the written user
+ */
+const applyImportEntry = async (entry, teacherByEmail, transaction) => {
+  const { name, email, password, role } = entry.data;
+
+  let user;
+  if (entry.action === "create") {
+    user = await User.create({ name, email, password, role }, { transaction });
+  } else {
+    user = await User.findByPk(entry.userId, { transaction });
+    // A blank password keeps the current one
+    await user.update(password ? { name, password } : { name }, {
+      transaction,
+    });
+  }
+
+  const result = {
+    id: user.id,
+    email: user.email,
+    role: user.role,
+    createdAt: user.createdAt,
+  };
+
+  if (role === "teacher") {
+    const [teacher] = await Teacher.findOrCreate({
+      where: { userId: user.id },
+      defaults: { email },
+      transaction,
+    });
+    teacherByEmail.set(email, teacher);
+  } else if (role === "student") {
+    const { teacherEmail } = entry.data;
+    const teacher =
+      teacherByEmail.get(teacherEmail) ||
+      (await Teacher.findOne({ where: { email: teacherEmail }, transaction }));
+    if (!teacher) {
+      throw new Error(`Teacher with email ${teacherEmail} not found`);
+    }
+
+    const profile = { teacherId: teacher.id, teacherEmail: teacher.email };
+    // Blank profile columns keep the current values
+    if (entry.data.program) {
+      profile.program = entry.data.program;
+    }
+    if (entry.data.semester) {
+      profile.semester = entry.data.semester;
+    }
+    const [student, created] = await Student.findOrCreate({
+      where: { userId: user.id },
+      defaults: profile,
+      transaction,
+    });
+    if (!created) {
+      await student.update(profile, { transaction });
+    }
+    result.teacherEmail = teacher.email;
+  }
+
+  return result;
+};
+
+/**
+ * Import users from spreadsheet rows and report the outcome of every row
+ * @param {Array<Object>} rows - Rows from parseSpreadsheet
+ * @param {Object} [options]
+ * @param {Boolean} [options.dryRun] - Only validate
+ * @param {String} [options.mode] - One of IMPORT_MODES, "atomic" by default
+ * @param {Boolean} [options.upsert] - Update existing users with the same
+ * email and role
+ * @param {Function} [options.onProgress] - Called with (done, total) as
+ * rows are written
+ * @returns {Promise<Object>} - { imported, message, summary, rows, users };
+ * each row has result "created", "updated", "valid" (not written) or
+ * "invalid"
+ */
+const importUsers = async (
+  rows,
+  { dryRun = false, mode = "atomic", upsert = false, onProgress } = {}
+) => {
+  const entries = await planUserImport(rows, upsert);
+  const users = [];
+  let imported = false;
+
+  const hasErrors = () => entries.some((entry) => entry.errors.length > 0);
+
+  if (!dryRun && !(mode === "atomic" && hasErrors())) {
+    const transaction = await sequelize.transaction();
+    try {
+      const teacherByEmail = new Map();
+      // Teachers first so their students can be linked to them
+      const pending = entries.filter((entry) => entry.action);
+      const ordered = [
+        ...pending.filter((entry) => entry.role === "teacher"),
+        ...pending.filter((entry) => entry.role !== "teacher"),
+      ];
+
+      for (const [index, entry] of ordered.entries()) {
+        // Savepoint per row, so a failed row does not abort the others
+        const savepoint = await sequelize.transaction({ transaction });
+        try {
+          users.push(await applyImportEntry(entry, teacherByEmail, savepoint));
+          await savepoint.commit();
+        } catch (error) {
+          await savepoint.rollback();
+          entry.errors.push(error.message);
+          entry.action = null;
+          if (mode === "atomic") {
+            break;
+          }
+        }
+        if (onProgress) {
+          await onProgress(index + 1, ordered.length);
+        }
+      }
+
+      if (mode === "atomic" && hasErrors()) {
+        await transaction.rollback();
+        users.length = 0;
+      } else {
+        await transaction.commit();
+        imported = true;
+      }
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  const report = entries.map(({ sheet, row, email, role, action, errors }) => {
+    let result = "invalid";
+    if (errors.length === 0) {
+      result = !imported
+        ? "valid"
+        : action === "create"
+        ? "created"
+        : "updated";
+    }
+    return { sheet, row, email, role, result, errors };
+  });
+
+  const summary = {};
+  report.forEach((entry) => {
+    summary[entry.result] = (summary[entry.result] || 0) + 1;
+  });
+
+  let message = "Users imported successfully";
+  if (dryRun) {
+    message = "Dry run complete; nothing was imported";
+  } else if (!imported) {
+    message = "No users were imported because some rows are invalid";
+  } else if (summary.invalid) {
+    message = "Valid rows imported; invalid rows were skipped";
+  }
+
+  return { imported, message, summary, rows: report, users };
+};
+
+module.exports = { IMPORT_MODES, planUserImport, importUsers };
@@ -0,0 +1,143 @@
+const {
+  User,
+  Teacher,
+  Student,
+  Course,
+  CourseStaff,
+  StudentCourse,
+  Submission,
+} = require("../models");
+const { ErrorHandler } = require("../middleware/errorHandler");
+
+const USER_ROLES = User.rawAttributes.role.values;
+
+/**
+ * Whether another active admin would remain if this user stopped being one.
+ * Inside a transaction the active admin rows are locked until it ends, so
+ * two admins cannot remove each other at the same time
+ * @param {Object} user - User instance
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<Boolean>}
+ */
+const hasOtherActiveAdmin = async (user, transaction) => {
+  // Locked in id order so concurrent checks queue instead of deadlocking
+  const admins = await User.findAll({
+    where: { role: "admin", isActive: true },
+    attributes: ["id"],
+    order: [["id", "ASC"]],
+    ...(transaction ? { lock: transaction.LOCK.UPDATE, transaction } : {}),
+  });
+  return admins.some((admin) => admin.id !== user.id);
+};
+
+/**
+ * Change a user's role and move their profile along: the Teacher or Student
+ * row of the old role is removed and one for the new role is created.
+ * Refuses when that would lose data, i.e. a teacher who still owns courses
+ * or a student with enrollments or submissions
+ * @param {Object} user - User instance
+ * @param {String} role - New role, one of USER_ROLES
+ * @param {Object} [options]
+ * @param {Object} [options.advisor] - Teacher instance to advise a new student
+ * @param {Object} [options.transaction] - Sequelize transaction
+ * @returns {Promise<Object>} - What moved: { advisees (left without an
+ * advisor), staffConverted (to TA), staffRemoved }
+ */
+const changeUserRole = async (user, role, { advisor, transaction } = {}) => {
+  const from = user.role;
+  const summary = { advisees: 0, staffConverted: 0, staffRemoved: 0 };
+  if (from === role) {
+    return summary;
+  }
+
+  if (from === "admin" && !(await hasOtherActiveAdmin(user, transaction))) {
+    throw new ErrorHandler("At least one active admin must remain", 409);
+  }
+
+  if (from === "teacher") {
+    const teacher = await Teacher.findOne({
+      where: { userId: user.id },
+      transaction,
+    });
+    if (teacher) {
+      // Trashed courses too: removing the teacher would cascade to them
+      const ownedCourses = await Course.count({
+        where: { teacherId: teacher.id },
+        paranoid: false,
+        transaction,
+      });
+      if (ownedCourses > 0) {
+        throw new ErrorHandler(
+          `${user.email} is the primary instructor of ${ownedCourses} course(s); transfer them before changing the role`,
+          409
+        );
+      }
+
+      // Advisees keep their records and wait for a new advisor
+      const [advisees] = await Student.update(
+        { teacherId: null, teacherEmail: null },
+        { where: { teacherId: teacher.id }, transaction }
+      );
+      summary.advisees = advisees;
+      await teacher.destroy({ transaction });
+    }
+  }
+
+  if (from === "student") {
+    const student = await Student.findOne({
+      where: { userId: user.id },
+      transaction,
+    });
+    if (student) {
+      const [enrollments, submissions] = await Promise.all([
+        StudentCourse.count({ where: { studentId: student.id }, transaction }),
+        Submission.count({ where: { studentId: student.id }, transaction }),
+      ]);
+      if (enrollments > 0 || submissions > 0) {
+        throw new ErrorHandler(
+          `${user.email} has ${enrollments} enrollment(s) and ${submissions} submission(s); remove them before changing the role`,
+          409
+        );
+      }
+      await student.destroy({ transaction });
+    }
+  }
+
+  // Staff memberships follow the account role (see courseStaffController):
+  // a teacher becoming a TA keeps assisting the same courses, any other
+  // change ends the memberships
+  if (from === "teacher" && role === "ta") {
+    const [converted] = await CourseStaff.update(
+      { role: "ta" },
+      { where: { userId: user.id, role: "co_instructor" }, transaction }
+    );
+    summary.staffConverted = converted;
+  } else if (from === "teacher" || from === "ta") {
+    summary.staffRemoved = await CourseStaff.destroy({
+      where: { userId: user.id },
+      transaction,
+    });
+  }
+
+  if (role === "teacher") {
+    await Teacher.findOrCreate({
+      where: { userId: user.id },
+      defaults: { email: user.email },
+      transaction,
+    });
+  } else if (role === "student") {
+    await Student.create(
+      {
+        userId: user.id,
+        teacherId: advisor ? advisor.id : null,
+        teacherEmail: advisor ? advisor.email : null,
+      },
+      { transaction }
+    );
+  }
+
+  await user.update({ role }, { transaction });
+  return summary;
+};
+
+module.exports = { USER_ROLES, hasOtherActiveAdmin, changeUserRole };
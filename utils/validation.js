@@ -19,11 +19,14 @@ const userSchema = Joi.object({
     "any.required": "Password is required",
   }),
 
-  role: Joi.string().valid("admin", "teacher", "student").required().messages({
-    "any.only": "Role must be either admin, teacher or student",
-    "string.empty": "Role is required",
-    "any.required": "Role is required",
-  }),
+  role: Joi.string()
+    .valid("admin", "teacher", "student", "ta")
+    .required()
+    .messages({
+      "any.only": "Role must be one of admin, teacher, student or ta",
+      "string.empty": "Role is required",
+      "any.required": "Role is required",
+    }),
 
   teacherEmail: Joi.string()
     .email()
@@ -38,6 +41,112 @@ const userSchema = Joi.object({
     }),
 });
 
+// Spreadsheet import rows; the password may be left blank when updating an
+// existing user, which the importer checks
+const userImportSchema = userSchema.keys({
+  email: Joi.string().trim().lowercase().email().required().messages({
+    "string.email": "Invalid email format",
+    "string.empty": "Email is required",
+    "any.required": "Email is required",
+  }),
+
+  password: Joi.string().min(6).allow("", null).messages({
+    "string.min": "Password must be at least 6 characters long",
+  }),
+
+  role: Joi.string()
+    .trim()
+    .lowercase()
+    .valid("admin", "teacher", "student", "ta")
+    .required()
+    .messages({
+      "any.only": "Role must be one of admin, teacher, student or ta",
+      "string.empty": "Role is required",
+      "any.required": "Role is required",
+    }),
+
+  // Student profile columns
+  program: Joi.string().trim().allow("", null),
+
+  semester: Joi.string().trim().allow("", null),
+});
+
+// Users created (all of name, email, password and role required) or edited
+// by an admin through the API
+const adminUserSchema = Joi.object({
+  name: Joi.string().trim().messages({
+    "string.empty": "Name is required",
+    "any.required": "Name is required",
+  }),
+
+  email: Joi.string().trim().lowercase().email().messages({
+    "string.email": "Invalid email format",
+    "string.empty": "Email is required",
+    "any.required": "Email is required",
+  }),
+
+  password: Joi.string().min(6).allow("", null).messages({
+    "string.min": "Password must be at least 6 characters long",
+  }),
+
+  role: Joi.string()
+    .trim()
+    .lowercase()
+    .valid("admin", "teacher", "student", "ta")
+    .messages({
+      "any.only": "Role must be one of admin, teacher, student or ta",
+      "any.required": "Role is required",
+    }),
+
+  // Advisor of a student
+  teacherEmail: Joi.string()
+    .trim()
+    .lowercase()
+    .email()
+    .allow("", null)
+    .messages({
+      "string.email": "Invalid teacher email format",
+    }),
+
+  program: Joi.string().trim().allow("", null),
+
+  semester: Joi.string().trim().allow("", null),
+});
+
+// Self-registration schema; which roles may register is enforced by the
+// auth controller
+const registrationSchema = Joi.object({
+  name: Joi.string().trim().required().messages({
+    "string.empty": "Name is required",
+    "any.required": "Name is required",
+  }),
+
+  email: Joi.string().trim().lowercase().email().required().messages({
+    "string.email": "Invalid email format",
+    "string.empty": "Email is required",
+    "any.required": "Email is required",
+  }),
+
+  password: Joi.string().min(6).required().messages({
+    "string.min": "Password must be at least 6 characters long",
+    "string.empty": "Password is required",
+    "any.required": "Password is required",
+  }),
+
+  role: Joi.string()
+    .valid("admin", "teacher", "student")
+    .default("student")
+    .messages({
+      "any.only": "Role must be either teacher or student",
+    }),
+
+  inviteCode: Joi.string().trim().allow("", null),
+
+  program: Joi.string().trim().allow("", null),
+
+  semester: Joi.string().trim().allow("", null),
+});
+
 // Course validation schema
 const courseSchema = Joi.object({
   title: Joi.string().required().messages({
@@ -76,6 +185,32 @@ const semesterSchema = Joi.object({
   }),
 });
 
+// Enrollment and drop window of a semester; null clears a date back to its
+// default. Both windows run from enrollmentOpensAt when it is set
+const ENROLLMENT_WINDOW_FIELDS = [
+  "enrollmentOpensAt",
+  "enrollmentClosesAt",
+  "dropDeadline",
+];
+const windowDate = (field) =>
+  Joi.date()
+    .allow(null)
+    .messages({ "date.base": `Invalid date format for ${field}` });
+const afterOpening = (field) =>
+  windowDate(field).when("enrollmentOpensAt", {
+    is: Joi.date().required(),
+    then: Joi.date()
+      .greater(Joi.ref("enrollmentOpensAt"))
+      .messages({
+        "date.greater": `${field} must be after enrollmentOpensAt`,
+      }),
+  });
+const enrollmentWindowSchema = Joi.object({
+  enrollmentOpensAt: windowDate("enrollmentOpensAt"),
+  enrollmentClosesAt: afterOpening("enrollmentClosesAt"),
+  dropDeadline: afterOpening("dropDeadline"),
+});
+
 // Assignment validation schema
 const assignmentSchema = Joi.object({
   title: Joi.string().required().messages({
@@ -103,6 +238,31 @@ const assignmentSchema = Joi.object({
   isActive: Joi.boolean().default(true),
 });
 
+// Late policy settings of an assignment (see utils/latePolicy)
+const latePolicySchema = Joi.object({
+  latePolicy: Joi.string().valid("accept", "cutoff", "penalty").messages({
+    "any.only": "latePolicy must be one of: accept, cutoff, penalty",
+  }),
+
+  gracePeriodMinutes: Joi.number().integer().min(0).messages({
+    "number.base": "gracePeriodMinutes must be a whole number",
+    "number.integer": "gracePeriodMinutes must be a whole number",
+    "number.min": "gracePeriodMinutes cannot be negative",
+  }),
+
+  latePenaltyPercent: Joi.number().greater(0).max(100).allow(null).messages({
+    "number.base": "latePenaltyPercent must be a number",
+    "number.greater": "latePenaltyPercent must be between 0 and 100",
+    "number.max": "latePenaltyPercent must be between 0 and 100",
+  }),
+
+  maxLateDays: Joi.number().integer().min(0).allow(null).messages({
+    "number.base": "maxLateDays must be a whole number",
+    "number.integer": "maxLateDays must be a whole number",
+    "number.min": "maxLateDays cannot be negative",
+  }),
+});
+
 // Lecture validation schema
 const lectureSchema = Joi.object({
   title: Joi.string().required().messages({
@@ -157,20 +317,106 @@ const eventSchema = Joi.object({
   }),
 });
 
-// Module for validating user data
-const validateUserData = async (data) => {
-  try {
-    const validatedData = await userSchema.validateAsync(data, {
-      abortEarly: false,
-      stripUnknown: true,
-    });
-    return validatedData;
-  } catch (error) {
-    console.error("Validation error for row:", data);
-    console.error("Error details:", error.details);
-    return null;
-  }
-};
+// Rubric with its criteria and performance levels; criteria and levels are
+// stored in the order given
+const rubricLevelSchema = Joi.object({
+  title: Joi.string().trim().required().messages({
+    "string.empty": "Level title is required",
+    "any.required": "Level title is required",
+  }),
+
+  description: Joi.string().trim().allow("", null),
+
+  points: Joi.number().min(0).required().messages({
+    "number.base": "Level points must be a number",
+    "number.min": "Level points cannot be negative",
+    "any.required": "Level points are required",
+  }),
+});
+
+const rubricCriterionSchema = Joi.object({
+  title: Joi.string().trim().required().messages({
+    "string.empty": "Criterion title is required",
+    "any.required": "Criterion title is required",
+  }),
+
+  description: Joi.string().trim().allow("", null),
+
+  levels: Joi.array().items(rubricLevelSchema).min(1).required().messages({
+    "array.min": "Each criterion needs at least one level",
+    "any.required": "Each criterion needs at least one level",
+  }),
+});
+
+const rubricSchema = Joi.object({
+  title: Joi.string().trim().messages({
+    "string.empty": "Rubric title is required",
+    "any.required": "Rubric title is required",
+  }),
+
+  description: Joi.string().trim().allow("", null),
+
+  criteria: Joi.array().items(rubricCriterionSchema).min(1).messages({
+    "array.min": "A rubric needs at least one criterion",
+    "any.required": "A rubric needs at least one criterion",
+  }),
+});
+
+// Weighted gradebook category of a course
+const gradeCategorySchema = Joi.object({
+  name: Joi.string().trim().messages({
+    "string.empty": "Category name is required",
+    "any.required": "Category name is required",
+  }),
+
+  weight: Joi.number().min(0).max(100).messages({
+    "number.base": "Weight must be a number",
+    "number.min": "Weight must be between 0 and 100",
+    "number.max": "Weight must be between 0 and 100",
+    "any.required": "Weight is required",
+  }),
+
+  dropLowest: Joi.number().integer().min(0).messages({
+    "number.base": "dropLowest must be a whole number",
+    "number.integer": "dropLowest must be a whole number",
+    "number.min": "dropLowest cannot be negative",
+  }),
+
+  position: Joi.number().integer().min(0),
+});
+
+// Letter grade scale; each letter applies from its minPercent up to the next
+// letter's
+const gradeScaleSchema = Joi.object({
+  name: Joi.string().trim().messages({
+    "string.empty": "Scale name is required",
+    "any.required": "Scale name is required",
+  }),
+
+  entries: Joi.array()
+    .items(
+      Joi.object({
+        letter: Joi.string().trim().max(8).required().messages({
+          "string.empty": "Each entry needs a letter",
+          "any.required": "Each entry needs a letter",
+        }),
+        minPercent: Joi.number().min(0).max(100).required().messages({
+          "number.base": "minPercent must be a number",
+          "number.min": "minPercent must be between 0 and 100",
+          "number.max": "minPercent must be between 0 and 100",
+          "any.required": "Each entry needs a minPercent",
+        }),
+      })
+    )
+    .min(1)
+    .unique("letter")
+    .unique("minPercent")
+    .messages({
+      "array.min": "A scale needs at least one entry",
+      "array.unique": "Letters and minPercent values must be unique",
+      "any.required": "A scale needs at least one entry",
+    }),
+});
 
 // Validate course data
 const validateCourseData = async (data) => {
@@ -242,8 +488,158 @@ const validateEventData = async (data) => {
   }
 };
 
+// Validate self-registration data, returning messages for the client
+const validateRegistrationData = (data) => {
+  const { error, value } = registrationSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  if (error) {
+    return { error: error.details.map((detail) => detail.message).join(", ") };
+  }
+  return { value };
+};
+
+// Validate one user import row, returning messages for the report
+const validateUserImportRow = (data) => {
+  const { error, value } = userImportSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  if (error) {
+    return { error: error.details.map((detail) => detail.message).join(", ") };
+  }
+  return { value };
+};
+
+// Validate a user created or edited by an admin, returning messages for the
+// client
+const validateAdminUserData = (data, { creating = false } = {}) => {
+  const schema = creating
+    ? adminUserSchema.fork(["name", "email", "role"], (field) =>
+        field.required()
+      )
+    : adminUserSchema;
+  const { error, value } = schema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  if (error) {
+    return { error: error.details.map((detail) => detail.message).join(", ") };
+  }
+  return { value };
+};
+
+// Validate a rubric being created (title and criteria required) or edited,
+// returning messages for the client
+const validateRubricData = (data, { creating = false } = {}) => {
+  const schema = creating
+    ? rubricSchema.fork(["title", "criteria"], (field) => field.required())
+    : rubricSchema;
+  const { error, value } = schema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  if (error) {
+    return { error: error.details.map((detail) => detail.message).join(", ") };
+  }
+  return { value };
+};
+
+// Validate a gradebook category being created (name and weight required)
+// or edited, returning messages for the client
+const validateGradeCategoryData = (data, { creating = false } = {}) => {
+  const schema = creating
+    ? gradeCategorySchema.fork(["name", "weight"], (field) => field.required())
+    : gradeCategorySchema;
+  const { error, value } = schema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  if (error) {
+    return { error: error.details.map((detail) => detail.message).join(", ") };
+  }
+  return { value };
+};
+
+// Validate a grade scale being created (name and entries required) or
+// edited; entries come back highest first
+const validateGradeScaleData = (data, { creating = false } = {}) => {
+  const schema = creating
+    ? gradeScaleSchema.fork(["name", "entries"], (field) => field.required())
+    : gradeScaleSchema;
+  const { error, value } = schema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  if (error) {
+    return { error: error.details.map((detail) => detail.message).join(", ") };
+  }
+  if (value.entries) {
+    value.entries.sort((a, b) => b.minPercent - a.minPercent);
+  }
+  return { value };
+};
+
+// Validate a semester's window dates, ignoring any other fields. The order
+// is checked against the semester's current dates when only some change;
+// only the dates given come back
+const validateEnrollmentWindowData = (data, current = {}) => {
+  const given = ENROLLMENT_WINDOW_FIELDS.filter(
+    (field) => data[field] !== undefined
+  );
+  const dates = {};
+  ENROLLMENT_WINDOW_FIELDS.forEach((field) => {
+    dates[field] = given.includes(field) ? data[field] : current[field];
+  });
+
+  const { error, value } = enrollmentWindowSchema.validate(dates, {
+    abortEarly: false,
+  });
+  if (error) {
+    return { error: error.details.map((detail) => detail.message).join(", ") };
+  }
+  const window = {};
+  given.forEach((field) => {
+    window[field] = value[field];
+  });
+  return { value: window };
+};
+
+// Validate an assignment's late policy fields, ignoring any others. The
+// penalty policy needs a latePenaltyPercent, checked against the
+// assignment's current settings when only some fields change
+const validateLatePolicyData = (data, current = {}) => {
+  const { error, value } = latePolicySchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  if (error) {
+    return { error: error.details.map((detail) => detail.message).join(", ") };
+  }
+  const settings = { ...current, ...value };
+  if (settings.latePolicy === "penalty" && !settings.latePenaltyPercent) {
+    return { error: "latePenaltyPercent is required for the penalty policy" };
+  }
+  return { value };
+};
+
 module.exports = {
-  validateUserData,
+  validateUserImportRow,
+  validateAdminUserData,
+  validateRubricData,
+  validateGradeCategoryData,
+  validateGradeScaleData,
+  validateLatePolicyData,
+  validateEnrollmentWindowData,
+  validateRegistrationData,
   validateCourseData,
   validateSemesterData,
   validateAssignmentData,
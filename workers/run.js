@@ -0,0 +1,21 @@
+require("dotenv").config();
+const { sequelize } = require("../config/database");
+const { startJobWorker } = require("../utils/jobQueue");
+
+// Standalone job worker (npm run worker), the way jobs run in production.
+// Run one or more of these next to the API; without any, queued jobs and
+// the recurring ones (such as the trash purge) never run unless the API
+// was started with JOB_WORKER=true
+const worker = startJobWorker({
+  pollInterval: Number(process.env.JOB_POLL_INTERVAL_MS) || undefined,
+});
+
+// Finish the current job before exiting
+const shutdown = async () => {
+  await worker.stop();
+  await sequelize.close();
+  process.exit(0);
+};
+
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);